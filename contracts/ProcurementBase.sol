@@ -0,0 +1,2073 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title ProcurementBase
+ * @notice Shared state, events, modifiers and internal helpers of
+ *         SecureProcurementSystem and its modules
+ * @dev SecureProcurementSystem and every module inherit this contract, so
+ *      they all have the same storage layout. Each deployed unit holds the
+ *      next module's address: a call it does not implement falls through
+ *      to the fallback below and is delegated down the chain. This keeps
+ *      every unit under the EIP-170 contract size limit.
+ */
+abstract contract ProcurementBase is Ownable, AccessControl, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+    
+    // =============================================================
+    //                      TYPE DEFINITIONS
+    // =============================================================
+    
+    /**
+     * @dev Tender lifecycle phases following secure state machine pattern
+     */
+    enum TenderPhase {
+        BID_SUBMISSION,    // Bidders submit hashed bids (commit phase)
+        BID_REVEAL,        // Bidders reveal their bids (reveal phase)
+        WINNER_SELECTION,  // Owner selects winner from valid bids
+        PAYMENT_PENDING,   // Winner executing work, milestones being released
+        COMPLETED,         // All milestones paid, tender finalized
+        CANCELLED,         // Cancelled before any milestone payment
+        FRAMEWORK_ACTIVE,  // Framework awarded, call-off orders issued against it
+        AWARD_PENDING,     // Award notified, standstill running before it is confirmed
+        TERMINATED         // Contract terminated for the winner's default
+    }
+    
+    /**
+     * @dev Milestone delivery states (claim → approve/reject → pay)
+     */
+    enum MilestoneStatus {
+        PENDING,    // Not yet claimed by the winner
+        CLAIMED,    // Winner claims completion, awaiting auditor review
+        APPROVED,   // Auditor accepted the claim, payment can be released
+        REJECTED,   // Auditor rejected the claim, winner may claim again
+        PAID,       // Payment released
+        REMOVED,    // Dropped by a change order, never paid
+        DISPUTED    // Frozen until an arbitrator rules or the dispute lapses
+    }
+    
+    /**
+     * @dev Change order states (proposed by one party, decided by the other)
+     */
+    enum ChangeOrderStatus {
+        PROPOSED,   // Signed by the proposing party only
+        APPROVED,   // Signed by both parties and applied
+        REJECTED    // Rejected or withdrawn by either party
+    }
+    
+    /**
+     * @dev Milestone dispute lifecycle
+     */
+    enum DisputeStatus {
+        NONE,       // Never disputed
+        OPEN,       // Raised, awaiting the arbitrator
+        RULED,      // Settled by the arbitrator's split
+        LAPSED      // Arbitrator silent past the ruling period; status restored
+    }
+    
+    /**
+     * @dev Award challenge lifecycle (the resolution applies to every open challenge)
+     */
+    enum AwardChallengeStatus {
+        OPEN,               // Filed during the standstill, awaiting the arbitrator
+        AWARD_CONFIRMED,    // Dismissed; the notified award stands
+        REEVALUATED,        // Upheld; the award went to the next-ranked bidder
+        TENDER_CANCELLED    // Upheld; the tender was cancelled
+    }
+    
+    /**
+     * @dev Payment milestone for incremental fund release
+     * @notice Payments are released only after auditor approval
+     */
+    struct Milestone {
+        string description;     // Milestone deliverable description
+        uint256 amount;         // Budgeted amount (share of maxBudget)
+        MilestoneStatus status; // Delivery/payment state
+        uint256 paidAt;         // Timestamp when paid (0 if not paid)
+        uint256 payoutAmount;   // Amount actually paid, rescaled to the winning bid
+        address approvedBy;     // Auditor who approved this milestone
+        uint256 approvalTimestamp; // When milestone was approved (0 if not approved)
+        bytes32 evidenceHash;   // Hash of the inspection/acceptance evidence
+        bytes32 claimEvidenceHash; // Hash of the winner's completion evidence
+        uint256 claimedAt;      // When the latest claim was submitted
+        bytes32 rejectionReasonHash; // Hash of the latest rejection reason
+        uint256 dueAfter;       // Time allowed after award (0 = no due date)
+        uint256 dueDate;        // Delivery deadline, set at award (0 = none)
+    }
+    
+    /**
+     * @dev Public tender structure with all procurement details
+     */
+    struct Tender {
+        string title;                   // Tender title/name
+        string description;             // Detailed requirements
+        uint256 maxBudget;              // Maximum acceptable bid
+        uint256 submissionDeadline;     // Commit phase deadline (block.timestamp)
+        uint256 revealDeadline;         // Reveal phase deadline
+        TenderPhase phase;              // Current phase in lifecycle
+        address winner;                 // Winning bidder (address(0) if not selected)
+        uint256 fundedAmount;           // Amount funded by the treasurer (in paymentToken)
+        Milestone[] milestones;         // Payment milestones
+        uint256 milestonesCompleted;    // Count of paid milestones
+        bool exists;                    // Existence flag for validation
+        uint256 bidBond;                // Deposit required with each bid commitment
+        address paymentToken;           // ERC-20 the tender is paid in (address(0) = ETH)
+    }
+    
+    /**
+     * @dev Individual bid with commit-reveal mechanism
+     */
+    struct Bid {
+        bytes32 commitHash;         // Hash of (amount + nonce) during commit
+        uint256 revealedAmount;     // Actual bid amount (revealed in reveal phase)
+        bool isRevealed;            // Whether bid has been revealed
+        bool isValid;               // Whether bid meets requirements (≤ maxBudget)
+        uint256 revealTimestamp;    // When bid was revealed (for audit trail)
+        uint256 bondAmount;         // Bid bond deposited with the commitment
+        bool bondSettled;           // Whether the bond was refunded or forfeited
+    }
+    
+    /**
+     * @dev Winner selection rules of a tender (default: lowest price)
+     */
+    struct EvaluationConfig {
+        bool weighted;              // Weighted price/quality instead of lowest price
+        uint256 priceWeight;        // Price weight in basis points (quality = rest)
+        uint256 abnormalThreshold;  // Low-bid threshold in basis points of the median (0 = off)
+    }
+    
+    /**
+     * @dev Abnormally-low-bid review states (flag → justify → accept/exclude)
+     */
+    enum LowBidStatus {
+        NONE,       // Not flagged
+        FLAGGED,    // Below threshold, awaiting the bidder's justification
+        JUSTIFIED,  // Justification submitted, awaiting evaluator decision
+        ACCEPTED,   // Justification accepted, bid stays in the competition
+        EXCLUDED    // Justification rejected, bid excluded from selection
+    }
+    
+    /**
+     * @dev Low-bid review of one bid
+     */
+    struct LowBidReview {
+        LowBidStatus status;
+        bytes32 justificationHash;  // Hash of the bidder's justification
+    }
+    
+    /**
+     * @dev Low-bid screening run by the first selectWinner call
+     */
+    struct LowBidScreening {
+        bool screened;                  // Screening already performed
+        uint256 median;                 // Median of valid revealed bids
+        uint256 flaggedCount;           // Number of bids flagged
+        uint256 justificationDeadline;  // End of the justification window
+    }
+    
+    /**
+     * @dev Committee technical scores received by one bid
+     */
+    struct TechnicalEvaluation {
+        uint256 scoreSum;           // Sum of evaluator scores (each 0-100)
+        uint256 scoreCount;         // Number of evaluators who scored the bid
+    }
+    
+    /**
+     * @dev Clarification or amendment published during the submission phase
+     */
+    struct Addendum {
+        bytes32 contentHash;        // Hash of the published addendum document
+        uint256 publishedAt;        // Publication timestamp
+    }
+    
+    /**
+     * @dev Bidder registry states (apply → approve → suspend/debar ↔ reinstate)
+     */
+    enum BidderStatus {
+        NONE,       // Never applied, or application rejected
+        PENDING,    // Application awaiting registrar review
+        APPROVED,   // Identity attested by a registrar
+        SUSPENDED,  // Temporarily barred from bidding
+        DEBARRED    // Excluded from bidding (until a date or indefinitely)
+    }
+    
+    /**
+     * @dev Registered company identity and standing
+     */
+    struct BidderProfile {
+        BidderStatus status;
+        bytes32 registrationNumberHash; // Hash of the company registration number
+        string legalName;               // Legal name of the company
+        address registrar;              // Registrar who attested the identity
+        bytes32 attestationHash;        // Hash of the registrar's KYC attestation
+        uint256 validUntil;             // Registration expiry
+        bytes32 sanctionReasonHash;     // Reason of the latest suspension/debarment/reinstatement
+        uint256 sanctionedUntil;        // End of the suspension/debarment (0 = indefinite)
+    }
+    
+    /**
+     * @dev Company entry on the debarment list
+     */
+    struct Debarment {
+        bytes32 reasonHash;         // Hash of the debarment decision
+        uint256 debarredAt;         // When the debarment was recorded
+        uint256 until;              // End of the debarment (0 = lifted)
+    }
+    
+    /**
+     * @dev Joint-venture bid: members and their payment shares
+     */
+    struct Consortium {
+        address[] members;          // Member addresses (lead included)
+        uint256[] shares;           // Payment share of each member in basis points
+    }
+    
+    /**
+     * @dev Retention and performance bond terms of a tender (all 0 = none)
+     */
+    struct GuaranteeTerms {
+        uint256 retentionRate;          // Withheld from each milestone payment (basis points)
+        uint256 performanceBondRate;    // Bond due from the winner (basis points of the winning bid)
+        uint256 defectsLiabilityPeriod; // Time after completion before release (seconds)
+    }
+    
+    /**
+     * @dev Liquidated damages for late milestones (all 0 = none)
+     */
+    struct LiquidatedDamagesTerms {
+        uint256 dailyRate;              // Deducted per day late (basis points of the payout)
+        uint256 cap;                    // Maximum deduction per milestone (basis points of the payout)
+    }
+    
+    /**
+     * @dev Retention and performance bond held in escrow for a tender
+     */
+    struct Guarantees {
+        uint256 retentionHeld;          // Retention withheld and not yet released or forfeited
+        uint256 performanceBond;        // Bond held and not yet released or forfeited
+        uint256 bondDepositedAt;        // When the winner deposited the bond (0 = not yet)
+        uint256 releasableAt;           // End of the defects-liability period (set on completion)
+        bytes32 forfeitReasonHash;      // Hash of the reason of the latest forfeiture
+    }
+    
+    /**
+     * @dev Post-award amendment of the milestone schedule
+     */
+    struct ChangeOrder {
+        address proposer;               // Authority or winner who proposed it
+        bytes32 justificationHash;      // Hash of the change justification document
+        uint256[] milestoneIndexes;     // Existing milestones to re-price (increasing)
+        uint256[] newAmounts;           // New payout of each (0 = remove the milestone)
+        string[] addedDescriptions;     // Milestones added by the change
+        uint256[] addedAmounts;         // Payout of each added milestone
+        bool authorityApproved;         // Signed off by a tender admin
+        bool winnerApproved;            // Signed off by the winner
+        ChangeOrderStatus status;       // Current state
+        uint256 previousValue;          // Contract value before the change (set when applied)
+        uint256 newValue;               // Contract value after the change (re-checked when applied)
+        uint256 proposedAt;             // When it was proposed
+        uint256 decidedAt;              // When it was approved or rejected
+    }
+    
+    /**
+     * @dev Dispute over a milestone between the authority and the winner
+     */
+    struct Dispute {
+        address raisedBy;               // Tender admin or winner who raised it
+        bytes32 reasonHash;             // Hash of the statement of dispute
+        MilestoneStatus previousStatus; // Restored if the dispute lapses
+        DisputeStatus status;           // Current state
+        uint256 raisedAt;               // When it was raised
+        address arbitrator;             // Arbitrator who ruled (address(0) if none)
+        uint256 contractorShare;        // Payout share awarded to the contractor (basis points)
+        bytes32 rulingHash;             // Hash of the arbitrator's ruling
+        uint256 resolvedAt;             // When it was ruled or closed as lapsed
+    }
+    
+    /**
+     * @dev Standstill between the notification and the confirmation of an award
+     */
+    struct AwardStandstill {
+        uint256 period;             // Standstill length (0 = award confirmed at once)
+        uint256 endsAt;             // End of the current standstill
+        uint256 round;              // Awards notified so far (one challenge per bidder each)
+        uint256 openChallenges;     // Challenges awaiting the arbitrator
+    }
+    
+    /**
+     * @dev Winner's acceptance of a confirmed award (period 0 = no acceptance step)
+     */
+    struct AwardAcceptance {
+        uint256 period;             // Time the winner has to accept (seconds)
+        uint256 deadline;           // Acceptance deadline of the current winner
+        bool accepted;              // Current winner accepted the award
+        bool declined;              // Current winner declined the award
+    }
+    
+    /**
+     * @dev Latest termination of a tender for the winner's default
+     */
+    struct Termination {
+        address contractor;             // Winner terminated for default
+        address terminatedBy;           // Tender admin who terminated
+        bytes32 reasonHash;             // Hash of the default notice
+        uint256 milestonesSettled;      // Approved milestones paid out on termination
+        uint256 settledAmount;          // Credited to the contractor (after damages and retention)
+        uint256 refundedAmount;         // Unspent funding returned to the treasury
+        uint256 bondForfeited;          // Performance bond forfeited to the treasury
+        uint256 retentionForfeited;     // Retention held forfeited to the treasury
+        uint256 terminatedAt;           // When the contract was terminated
+        uint256 unfundedLiability;      // Approved payouts the funding did not cover, still owed
+    }
+    
+    /**
+     * @dev Challenge of a notified award by another bidder
+     */
+    struct AwardChallenge {
+        address challenger;             // Bidder who filed it
+        address awardee;                // Winner notified when it was filed
+        uint256 round;                  // Award round challenged
+        bytes32 groundsHash;            // Hash of the grounds of challenge
+        AwardChallengeStatus status;    // Current state
+        uint256 filedAt;                // When it was filed
+        bytes32 decisionHash;           // Hash of the arbitrator's decision
+        uint256 resolvedAt;             // When it was resolved
+    }
+    
+    /**
+     * @dev Framework agreement settings of a tender (maxSuppliers 0 = regular tender)
+     */
+    struct FrameworkAgreement {
+        uint256 maxSuppliers;       // Top-ranked bidders admitted at award
+        uint256 ceilingValue;       // Maximum total value of call-off orders
+        uint256 duration;           // Agreement lifetime from the award (seconds)
+        uint256 expiresAt;          // Call-offs can be issued until then (set at award)
+        uint256 calledOffValue;     // Value of call-offs issued (undelivered ones released)
+    }
+    
+    /**
+     * @dev Sealed-bid encryption settings of a tender (empty publicKey = commit-reveal)
+     */
+    struct SealedBidConfig {
+        bytes publicKey;            // Authority secp256k1 public key (65-byte uncompressed)
+        address keyAddress;         // Ethereum address derived from publicKey
+        bytes32 privateKey;         // Authority private key, published after the deadline
+    }
+    
+    // =============================================================
+    //                     STATE VARIABLES
+    // =============================================================
+    
+    // FIX #2: Add maximum bidder limit to prevent DoS attacks
+    /**
+     * @dev Maximum bidders per tender to prevent unbounded loop gas exhaustion
+     * @notice Prevents DoS attacks via gas limit exploitation in selectWinner()
+     */
+    uint256 public constant MAX_BIDDERS_PER_TENDER = 100;
+    
+    // Role identifiers (AccessControl)
+    bytes32 public constant TENDER_ADMIN_ROLE = keccak256("TENDER_ADMIN_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant EVALUATOR_ROLE = keccak256("EVALUATOR_ROLE");
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant ARBITRATOR_ROLE = keccak256("ARBITRATOR_ROLE");
+    
+    // Weighted evaluation scales
+    uint256 public constant WEIGHT_PRECISION = 10000;   // Basis points
+    uint256 public constant MAX_TECHNICAL_SCORE = 100;
+    
+    // Time flagged bidders have to justify an abnormally low bid
+    uint256 public constant JUSTIFICATION_PERIOD = 3 days;
+    
+    // Bounds the payment split loop of consortium bids
+    uint256 public constant MAX_CONSORTIUM_MEMBERS = 10;
+    
+    // Bounds the suppliers admitted to a framework agreement
+    uint256 public constant MAX_FRAMEWORK_SUPPLIERS = 10;
+    
+    // Maximum retention and performance bond rates (basis points)
+    uint256 public constant MAX_GUARANTEE_RATE = 2000;
+    
+    // Maximum liquidated damages per milestone (basis points of the payout)
+    uint256 public constant MAX_LIQUIDATED_DAMAGES = 2000;
+    
+    // Time the arbitrator has to rule before a dispute lapses
+    uint256 public constant DISPUTE_RULING_PERIOD = 30 days;
+    
+    // Longest standstill a tender can impose between award and confirmation
+    uint256 public constant MAX_STANDSTILL_PERIOD = 60 days;
+    
+    // Longest time a tender can give its winner to accept the award
+    uint256 public constant MAX_ACCEPTANCE_PERIOD = 30 days;
+    
+    // Maximum cumulative change of the contract value through change orders
+    // (basis points of the awarded value)
+    uint256 public constant MAX_CONTRACT_VARIATION = 1500;
+    
+    // Counter for tender IDs (auto-incrementing)
+    uint256 internal nextTenderId;
+    
+    // Tender storage: tenderId => Tender
+    mapping(uint256 => Tender) public tenders;
+    
+    // Bid storage: tenderId => bidder => Bid
+    mapping(uint256 => mapping(address => Bid)) public bids;
+    
+    // Bidder tracking for each tender: tenderId => array of bidder addresses
+    // (in commitment order; withdrawn and replaced bids leave no holes)
+    mapping(uint256 => address[]) internal tenderBidders;
+    
+    // Bid changes: tenderId => bidder => number of replaced commitments
+    mapping(uint256 => mapping(address => uint256)) public bidReplacementCounts;
+    
+    // Winner selection rules: tenderId => evaluation config
+    mapping(uint256 => EvaluationConfig) public evaluationConfigs;
+    
+    // Committee scores: tenderId => bidder => aggregated technical scores
+    mapping(uint256 => mapping(address => TechnicalEvaluation)) public technicalEvaluations;
+    
+    // Scoring record: tenderId => bidder => evaluator => has scored
+    mapping(uint256 => mapping(address => mapping(address => bool))) public hasScored;
+    
+    // Abnormally low bids: tenderId => screening result
+    mapping(uint256 => LowBidScreening) public lowBidScreenings;
+    
+    // Abnormally low bids: tenderId => bidder => review
+    mapping(uint256 => mapping(address => LowBidReview)) public lowBidReviews;
+    
+    // Addenda published for each tender: tenderId => addenda in publication order
+    mapping(uint256 => Addendum[]) internal tenderAddenda;
+    
+    // Sealed-bid mode: tenderId => authority key settings
+    mapping(uint256 => SealedBidConfig) public sealedBidConfigs;
+    
+    // Sealed bids: tenderId => bidder => ECIES-encrypted (amount, nonce)
+    mapping(uint256 => mapping(address => bytes)) public sealedBidPayloads;
+    
+    // Sealed bids whose payload did not open to the commitment: tenderId => bidder => rejected
+    mapping(uint256 => mapping(address => bool)) public rejectedSealedBids;
+    
+    // Sealed bids whose payload was checked to open to the revealed bid: tenderId => bidder => confirmed
+    mapping(uint256 => mapping(address => bool)) public confirmedSealedBids;
+    
+    // Bidder registry: bidder => company identity and standing
+    mapping(address => BidderProfile) public bidderProfiles;
+    
+    // Bidder registry: registration number hash => bidder holding it
+    mapping(bytes32 => address) public registrationNumberOwners;
+    
+    // Every address that ever applied (for listing pending applications)
+    address[] internal bidderApplicants;
+    
+    // Debarment list: registration number hash => debarment
+    mapping(bytes32 => Debarment) public companyDebarments;
+    
+    // Every registration number hash ever debarred (public oversight)
+    bytes32[] internal debarredCompanies;
+    
+    // Conflicts of interest: tenderId => official => declaration hash
+    mapping(uint256 => mapping(address => bytes32)) public conflictDeclarations;
+    
+    // Lots: parent tenderId => IDs of its additional lots (the parent is lot 1)
+    mapping(uint256 => uint256[]) internal tenderLots;
+    
+    // Lots: lot tenderId => parent tenderId (0 = not an additional lot)
+    mapping(uint256 => uint256) public parentTenders;
+    
+    // Retention and performance bonds: tenderId => terms
+    mapping(uint256 => GuaranteeTerms) public guaranteeTerms;
+    
+    // Retention and performance bonds: tenderId => amounts held in escrow
+    mapping(uint256 => Guarantees) public guarantees;
+    
+    // Liquidated damages: tenderId => terms
+    mapping(uint256 => LiquidatedDamagesTerms) public liquidatedDamagesTerms;
+    
+    // Disputes: tenderId => milestone index => dispute
+    mapping(uint256 => mapping(uint256 => Dispute)) public disputes;
+    
+    // Disputes: tenderId => payouts of milestones under dispute
+    mapping(uint256 => uint256) public frozenFunds;
+    
+    // Standstill: tenderId => period and current award round
+    mapping(uint256 => AwardStandstill) public awardStandstills;
+    
+    // Standstill: tenderId => challenges filed against notified awards
+    mapping(uint256 => AwardChallenge[]) internal awardChallenges;
+    
+    // Standstill: tenderId => bidder => last award round it challenged
+    mapping(uint256 => mapping(address => uint256)) internal lastChallengedRound;
+    
+    // Standstill: tenderId => bidder => excluded by an upheld challenge
+    mapping(uint256 => mapping(address => bool)) public excludedFromAward;
+    
+    // Award acceptance: tenderId => acceptance period and current winner's answer
+    mapping(uint256 => AwardAcceptance) public awardAcceptances;
+    
+    // Runner-up fallback: tenderId => eligible bidders ranked at award, best first
+    mapping(uint256 => address[]) internal awardRankings;
+    
+    // Runner-up fallback: tenderId => ranking position of the current winner
+    mapping(uint256 => uint256) public awardRankPositions;
+    
+    // Termination for default: tenderId => latest termination
+    mapping(uint256 => Termination) public terminations;
+    
+    // Change orders: tenderId => history of change orders
+    mapping(uint256 => ChangeOrder[]) internal changeOrders;
+    
+    // Change orders: tenderId => number of milestones removed
+    mapping(uint256 => uint256) public removedMilestoneCounts;
+    
+    // Framework agreements: tenderId => settings
+    mapping(uint256 => FrameworkAgreement) public frameworkAgreements;
+    
+    // Framework agreements: tenderId => admitted suppliers, best-ranked first
+    mapping(uint256 => address[]) internal frameworkSuppliers;
+    
+    // Framework agreements: tenderId => supplier => admitted
+    mapping(uint256 => mapping(address => bool)) public isFrameworkSupplier;
+    
+    // Framework agreements: tenderId => call-off tender IDs
+    mapping(uint256 => uint256[]) internal frameworkCallOffs;
+    
+    // Call-offs: call-off tenderId => framework tenderId (0 = not a call-off)
+    mapping(uint256 => uint256) public callOffFrameworks;
+    
+    // Consortium bids: tenderId => lead => consortium
+    mapping(uint256 => mapping(address => Consortium)) internal consortia;
+    
+    // Consortium membership: tenderId => member => lead it accepted (address(0) = none)
+    mapping(uint256 => mapping(address => address)) public consortiumLeads;
+    
+    // Recipient of forfeited bid bonds
+    address public treasury;
+    
+    // Cancelled tenders: tenderId => hash of the cancellation reason
+    mapping(uint256 => bytes32) public cancellationReasons;
+    
+    // Pull payments: payee => ETH credited and not yet withdrawn
+    mapping(address => uint256) public pendingWithdrawals;
+    
+    // Pull payments: token => payee => ERC-20 amount credited and not yet withdrawn
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals;
+    
+    // =============================================================
+    //                          EVENTS
+    // =============================================================
+    
+    event TenderCreated(
+        uint256 indexed tenderId,
+        string title,
+        uint256 maxBudget,
+        uint256 submissionDeadline,
+        uint256 revealDeadline
+    );
+    
+    event BidderApplicationSubmitted(
+        address indexed bidder,
+        bytes32 indexed registrationNumberHash,
+        string legalName,
+        uint256 timestamp
+    );
+    
+    event BidderApplicationRejected(
+        address indexed bidder,
+        address indexed registrar,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event BidderRegistered(
+        address indexed bidder,
+        address indexed registrar,
+        bytes32 attestationHash,
+        uint256 validUntil,
+        uint256 timestamp
+    );
+    
+    event BidderSanctioned(
+        address indexed bidder,
+        address indexed registrar,
+        BidderStatus status,
+        bytes32 reasonHash,
+        uint256 sanctionedUntil,
+        uint256 timestamp
+    );
+    
+    event BidderReinstated(
+        address indexed bidder,
+        address indexed registrar,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event CompanyDebarred(
+        bytes32 indexed registrationNumberHash,
+        address indexed registrar,
+        bytes32 reasonHash,
+        uint256 until,
+        uint256 timestamp
+    );
+    
+    event CompanyDebarmentLifted(
+        bytes32 indexed registrationNumberHash,
+        address indexed registrar,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event GuaranteesConfigured(
+        uint256 indexed tenderId,
+        uint256 retentionRate,
+        uint256 performanceBondRate,
+        uint256 defectsLiabilityPeriod
+    );
+    
+    event PerformanceBondDeposited(
+        uint256 indexed tenderId,
+        address indexed winner,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event RetentionWithheld(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event GuaranteesReleased(
+        uint256 indexed tenderId,
+        address indexed winner,
+        uint256 retention,
+        uint256 performanceBond,
+        uint256 timestamp
+    );
+    
+    event GuaranteeForfeited(
+        uint256 indexed tenderId,
+        uint256 retention,
+        uint256 performanceBond,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event TenderTerminated(
+        uint256 indexed tenderId,
+        address indexed contractor,
+        address indexed terminatedBy,
+        bytes32 reasonHash,
+        uint256 milestonesSettled,
+        uint256 settledAmount,
+        uint256 refundedAmount,
+        uint256 bondForfeited,
+        uint256 retentionForfeited,
+        uint256 timestamp
+    );
+    
+    event TerminationLiabilityRecorded(
+        uint256 indexed tenderId,
+        uint256 milestonesOwed,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event TerminationLiabilitySettled(
+        uint256 indexed tenderId,
+        address indexed settledBy,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event LiquidatedDamagesConfigured(
+        uint256 indexed tenderId,
+        uint256 dailyRate,
+        uint256 cap
+    );
+    
+    event LiquidatedDamagesDeducted(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        uint256 daysLate,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event ChangeOrderProposed(
+        uint256 indexed tenderId,
+        uint256 indexed changeOrderId,
+        address indexed proposer,
+        uint256 newValue,
+        bytes32 justificationHash,
+        uint256 timestamp
+    );
+    
+    event ChangeOrderApproved(
+        uint256 indexed tenderId,
+        uint256 indexed changeOrderId,
+        address indexed approver,
+        uint256 previousValue,
+        uint256 newValue,
+        uint256 timestamp
+    );
+    
+    event ChangeOrderRejected(
+        uint256 indexed tenderId,
+        uint256 indexed changeOrderId,
+        address indexed rejectedBy,
+        uint256 timestamp
+    );
+    
+    event FundingToppedUp(
+        uint256 indexed tenderId,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event FundingReleased(
+        uint256 indexed tenderId,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event DisputeRaised(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        address indexed raisedBy,
+        bytes32 reasonHash,
+        uint256 rulingDeadline,
+        uint256 timestamp
+    );
+    
+    event DisputeRuled(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        address indexed arbitrator,
+        uint256 contractorAmount,
+        uint256 funderAmount,
+        bytes32 rulingHash,
+        uint256 timestamp
+    );
+    
+    event DisputeLapsed(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        MilestoneStatus restoredStatus,
+        uint256 timestamp
+    );
+    
+    event StandstillConfigured(
+        uint256 indexed tenderId,
+        uint256 period
+    );
+    
+    event AwardNotified(
+        uint256 indexed tenderId,
+        address indexed winner,
+        uint256 amount,
+        uint256 standstillEndsAt,
+        uint256 timestamp
+    );
+    
+    event AwardChallenged(
+        uint256 indexed tenderId,
+        uint256 indexed challengeId,
+        address indexed challenger,
+        address awardee,
+        bytes32 groundsHash,
+        uint256 timestamp
+    );
+    
+    event AwardAcceptanceConfigured(
+        uint256 indexed tenderId,
+        uint256 period
+    );
+    
+    event AwardAccepted(
+        uint256 indexed tenderId,
+        address indexed winner,
+        uint256 timestamp
+    );
+    
+    event AwardDeclined(
+        uint256 indexed tenderId,
+        address indexed winner,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event AwardPassedToNextRanked(
+        uint256 indexed tenderId,
+        address indexed previousWinner,
+        address indexed newWinner,
+        uint256 amount,
+        uint256 rankPosition,
+        uint256 acceptanceDeadline,
+        uint256 timestamp
+    );
+    
+    event AwardChallengesResolved(
+        uint256 indexed tenderId,
+        address indexed arbitrator,
+        AwardChallengeStatus outcome,
+        uint256 challengesResolved,
+        bytes32 decisionHash,
+        uint256 timestamp
+    );
+    
+    event FrameworkConfigured(
+        uint256 indexed tenderId,
+        uint256 maxSuppliers,
+        uint256 ceilingValue,
+        uint256 duration
+    );
+    
+    event FrameworkAwarded(
+        uint256 indexed tenderId,
+        address[] suppliers,
+        uint256 expiresAt,
+        uint256 timestamp
+    );
+    
+    event CallOffIssued(
+        uint256 indexed frameworkId,
+        uint256 indexed callOffId,
+        address indexed supplier,
+        uint256 value,
+        uint256 timestamp
+    );
+    
+    event ConsortiumRegistered(
+        uint256 indexed tenderId,
+        address indexed lead,
+        address[] members,
+        uint256[] shares
+    );
+    
+    event ConsortiumMemberAccepted(
+        uint256 indexed tenderId,
+        address indexed lead,
+        address indexed member
+    );
+    
+    event ConsortiumMemberLeft(
+        uint256 indexed tenderId,
+        address indexed lead,
+        address indexed member
+    );
+    
+    event ConflictOfInterestDeclared(
+        uint256 indexed tenderId,
+        address indexed official,
+        bytes32 declarationHash,
+        uint256 timestamp
+    );
+    
+    event BidSubmitted(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        bytes32 commitHash,
+        uint256 timestamp
+    );
+    
+    event BidReplaced(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        bytes32 commitHash,
+        uint256 replacementCount,
+        uint256 timestamp
+    );
+    
+    event BidWithdrawn(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        uint256 bondRefunded,
+        uint256 replacementCount,
+        uint256 timestamp
+    );
+    
+    event BidRevealed(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        uint256 amount,
+        bool isValid,
+        uint256 timestamp
+    );
+    
+    event WinnerSelected(
+        uint256 indexed tenderId,
+        address indexed winner,
+        uint256 winningBid,
+        uint256 timestamp
+    );
+    
+    event TenderFunded(
+        uint256 indexed tenderId,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event MilestoneClaimSubmitted(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        address indexed contractor,
+        bytes32 evidenceHash,
+        uint256 timestamp
+    );
+    
+    event MilestoneClaimRejected(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        address indexed rejectedBy,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event MilestoneApproved(
+        uint256 indexed tenderId,
+        uint256 indexed milestoneIndex,
+        address indexed approvedBy,
+        bytes32 evidenceHash,
+        uint256 timestamp
+    );
+    
+    event MilestonePaymentReleased(
+        uint256 indexed tenderId,
+        uint256 milestoneIndex,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event TenderCompleted(
+        uint256 indexed tenderId,
+        uint256 timestamp
+    );
+    
+    event TenderCancelled(
+        uint256 indexed tenderId,
+        address indexed cancelledBy,
+        bytes32 reasonHash,
+        uint256 timestamp
+    );
+    
+    event LotAdded(
+        uint256 indexed tenderId,
+        uint256 indexed lotTenderId,
+        uint256 lotNumber
+    );
+    
+    event TenderRetendered(
+        uint256 indexed originalTenderId,
+        uint256 indexed newTenderId,
+        uint256 timestamp
+    );
+    
+    event EvaluationConfigured(
+        uint256 indexed tenderId,
+        uint256 priceWeight,
+        uint256 qualityWeight
+    );
+    
+    event TechnicalScoreSubmitted(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        address indexed evaluator,
+        uint256 score,
+        uint256 timestamp
+    );
+    
+    event AbnormalBidThresholdConfigured(
+        uint256 indexed tenderId,
+        uint256 threshold
+    );
+    
+    event AbnormallyLowBidFlagged(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 median,
+        uint256 justificationDeadline
+    );
+    
+    event LowBidJustified(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        bytes32 justificationHash,
+        uint256 timestamp
+    );
+    
+    event LowBidReviewed(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        address indexed evaluator,
+        bool accepted,
+        uint256 timestamp
+    );
+    
+    event DeadlinesExtended(
+        uint256 indexed tenderId,
+        uint256 submissionDeadline,
+        uint256 revealDeadline,
+        uint256 timestamp
+    );
+    
+    event AddendumPublished(
+        uint256 indexed tenderId,
+        uint256 indexed addendumIndex,
+        bytes32 indexed contentHash,
+        uint256 timestamp
+    );
+    
+    event SealedBiddingConfigured(
+        uint256 indexed tenderId,
+        address indexed keyAddress,
+        bytes publicKey
+    );
+    
+    event DecryptionKeyPublished(
+        uint256 indexed tenderId,
+        bytes32 privateKey,
+        uint256 timestamp
+    );
+    
+    event SealedBidRejected(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        address indexed rejectedBy,
+        uint256 bondForfeited,
+        uint256 timestamp
+    );
+    
+    event SealedBidConfirmed(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        address indexed confirmedBy,
+        uint256 timestamp
+    );
+    
+    event EmergencyWithdrawal(
+        uint256 indexed tenderId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event PaymentCredited(
+        address indexed payee,
+        address indexed token,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event PaymentWithdrawn(
+        address indexed payee,
+        address indexed token,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event BidBondRefunded(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event BidBondForfeited(
+        uint256 indexed tenderId,
+        address indexed bidder,
+        address indexed treasury,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event TreasuryUpdated(
+        address indexed previousTreasury,
+        address indexed newTreasury
+    );
+    
+    // =============================================================
+    //                         MODIFIERS
+    // =============================================================
+    
+    modifier tenderExists(uint256 tenderId) {
+        require(tenders[tenderId].exists, "Tender does not exist");
+        _;
+    }
+    
+    modifier onlyWinner(uint256 tenderId) {
+        require(msg.sender == tenders[tenderId].winner, "Only winner can call this");
+        _;
+    }
+    
+    modifier onlyAcceptedAward(uint256 tenderId) {
+        AwardAcceptance storage acceptance = awardAcceptances[tenderId];
+        require(acceptance.period == 0 || acceptance.accepted, "Award not accepted");
+        _;
+    }
+    
+    modifier onlyRegisteredBidder() {
+        BidderProfile storage profile = bidderProfiles[msg.sender];
+        require(
+            profile.status != BidderStatus.NONE && profile.status != BidderStatus.PENDING,
+            "Bidder not registered"
+        );
+        require(!_isSanctioned(profile), "Bidder suspended or debarred");
+        require(block.timestamp < profile.validUntil, "Bidder registration expired");
+        _;
+    }
+    
+    modifier noConflictOfInterest(uint256 tenderId) {
+        require(
+            conflictDeclarations[tenderId][msg.sender] == bytes32(0),
+            "Conflict of interest declared"
+        );
+        _;
+    }
+    
+    modifier inPhase(uint256 tenderId, TenderPhase requiredPhase) {
+        require(
+            tenders[tenderId].phase == requiredPhase,
+            "Invalid tender phase"
+        );
+        _;
+    }
+    
+    modifier onlyBeforeDeadline(uint256 deadline) {
+        require(block.timestamp < deadline, "Deadline has passed");
+        _;
+    }
+    
+    modifier onlyAfterDeadline(uint256 deadline) {
+        require(block.timestamp >= deadline, "Deadline not reached");
+        _;
+    }
+    
+    // =============================================================
+    //                       MODULE CHAIN
+    // =============================================================
+    
+    // Next unit of the module chain (address(0) = end of the chain)
+    address private immutable nextModule;
+    
+    /**
+     * @param nextModule_ Module that receives the calls this unit does not implement
+     */
+    constructor(address nextModule_) Ownable(msg.sender) {
+        nextModule = nextModule_;
+    }
+    
+    /**
+     * @dev Forwards a call this unit does not implement to the next module
+     * 
+     * The module runs through delegatecall, so it works on the storage,
+     * balance and events of SecureProcurementSystem and sees the original
+     * msg.sender and msg.value. Its return data and revert reasons are
+     * passed through unchanged.
+     */
+    fallback() external payable {
+        address module = nextModule;
+        require(module != address(0), "Function does not exist");
+        
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @dev Rejects plain ETH transfers; ETH only comes in through the
+     * payable functions so that every wei is accounted for
+     */
+    receive() external payable {
+        revert("Direct ETH transfers not accepted");
+    }
+
+    // =============================================================
+    //                      ROLE MANAGEMENT
+    // =============================================================
+    
+    /**
+     * @dev Keeps DEFAULT_ADMIN_ROLE with the owner across ownership transfers
+     * @param newOwner The new owner address
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+        
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+    }
+    
+    /**
+     * @dev Enforces separation of duties on every role grant
+     * @param role The role being granted
+     * @param account The account receiving the role
+     * @return True if the role was newly granted
+     * 
+     * Requirements:
+     * - A tender admin cannot become treasurer, and vice versa
+     * - A tender admin cannot become auditor, and vice versa
+     * - A tender admin cannot become arbitrator, and vice versa
+     * - A tender admin cannot become registrar, and vice versa
+     */
+    function _grantRole(bytes32 role, address account) internal override returns (bool) {
+        require(
+            !(role == TREASURER_ROLE && hasRole(TENDER_ADMIN_ROLE, account)) &&
+            !(role == TENDER_ADMIN_ROLE && hasRole(TREASURER_ROLE, account)),
+            "Tender admin and treasurer roles must be separate"
+        );
+        require(
+            !(role == AUDITOR_ROLE && hasRole(TENDER_ADMIN_ROLE, account)) &&
+            !(role == TENDER_ADMIN_ROLE && hasRole(AUDITOR_ROLE, account)),
+            "Tender admin and auditor roles must be separate"
+        );
+        require(
+            !(role == EVALUATOR_ROLE && hasRole(TENDER_ADMIN_ROLE, account)) &&
+            !(role == TENDER_ADMIN_ROLE && hasRole(EVALUATOR_ROLE, account)),
+            "Tender admin and evaluator roles must be separate"
+        );
+        require(
+            !(role == ARBITRATOR_ROLE && hasRole(TENDER_ADMIN_ROLE, account)) &&
+            !(role == TENDER_ADMIN_ROLE && hasRole(ARBITRATOR_ROLE, account)),
+            "Tender admin and arbitrator roles must be separate"
+        );
+        require(
+            !(role == REGISTRAR_ROLE && hasRole(TENDER_ADMIN_ROLE, account)) &&
+            !(role == TENDER_ADMIN_ROLE && hasRole(REGISTRAR_ROLE, account)),
+            "Tender admin and registrar roles must be separate"
+        );
+        return super._grantRole(role, account);
+    }
+    
+    // =============================================================
+    //                   BIDDER REGISTRATION
+    // =============================================================
+    
+    /**
+     * @dev Whether a bidder is approved, unexpired and not suspended or debarred
+     */
+    function _isActiveBidder(address bidder) internal view returns (bool) {
+        BidderProfile storage profile = bidderProfiles[bidder];
+        return profile.status != BidderStatus.NONE &&
+            profile.status != BidderStatus.PENDING &&
+            !_isSanctioned(profile) &&
+            block.timestamp < profile.validUntil;
+    }
+    
+    /**
+     * @dev Whether a bidder can still be awarded a contract: active in the
+     *      registry and its company not on the debarment list
+     */
+    function _canBeAwarded(address bidder) internal view returns (bool) {
+        return _isActiveBidder(bidder) &&
+            !isCompanyDebarred(bidderProfiles[bidder].registrationNumberHash);
+    }
+    
+    /**
+     * @dev Whether a suspension or debarment is currently in force
+     */
+    function _isSanctioned(BidderProfile storage profile) internal view returns (bool) {
+        if (
+            profile.status != BidderStatus.SUSPENDED &&
+            profile.status != BidderStatus.DEBARRED
+        ) {
+            return false;
+        }
+        return profile.sanctionedUntil == 0 || block.timestamp < profile.sanctionedUntil;
+    }
+    
+    // =============================================================
+    //          DEBARMENT LIST & CONFLICTS OF INTEREST
+    // =============================================================
+    
+    /**
+     * @dev Whether a company is currently on the debarment list
+     * @param registrationNumberHash Hash of the company registration number
+     * @return true if debarred and the debarment has not ended
+     */
+    function isCompanyDebarred(bytes32 registrationNumberHash) public view returns (bool) {
+        return block.timestamp < companyDebarments[registrationNumberHash].until;
+    }
+    
+    // =============================================================
+    //                      CONSORTIUM BIDS
+    // =============================================================
+    
+    /**
+     * @dev Credits a payout to a bidder, split across its consortium if any
+     */
+    function _creditBidder(uint256 tenderId, address bidder, uint256 amount) internal {
+        Consortium storage consortium = consortia[tenderId][bidder];
+        address token = tenders[tenderId].paymentToken;
+        if (consortium.members.length == 0) {
+            _creditPayment(token, bidder, amount);
+            return;
+        }
+        
+        uint256 distributed = 0;
+        uint256 leadShare = 0;
+        for (uint256 i = 0; i < consortium.members.length; i++) {
+            uint256 memberAmount = (amount * consortium.shares[i]) / WEIGHT_PRECISION;
+            if (consortium.members[i] == bidder) {
+                // Credited last, together with the rounding dust
+                leadShare = memberAmount;
+            } else {
+                _creditPayment(token, consortium.members[i], memberAmount);
+            }
+            distributed += memberAmount;
+        }
+        _creditPayment(token, bidder, leadShare + amount - distributed);
+    }
+    
+    // =============================================================
+    //                     TENDER MANAGEMENT
+    // =============================================================
+    
+    /**
+     * @dev Cancels a tender and credits every refund (see cancelTender)
+     */
+    function _cancelTender(uint256 tenderId, bytes32 reasonHash) internal {
+        Tender storage tender = tenders[tenderId];
+        require(
+            tender.phase != TenderPhase.COMPLETED &&
+            tender.phase != TenderPhase.CANCELLED &&
+            tender.phase != TenderPhase.TERMINATED,
+            "Tender cannot be cancelled"
+        );
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            MilestoneStatus status = tender.milestones[i].status;
+            require(
+                status != MilestoneStatus.APPROVED && status != MilestoneStatus.PAID,
+                "Milestone payments already started"
+            );
+            require(status != MilestoneStatus.DISPUTED, "Milestone under dispute");
+        }
+        
+        tender.phase = TenderPhase.CANCELLED;
+        cancellationReasons[tenderId] = reasonHash;
+        
+        // A cancelled call-off no longer counts against its framework ceiling
+        // (charged at its value after any change orders)
+        uint256 frameworkId = callOffFrameworks[tenderId];
+        if (frameworkId != 0) {
+            (uint256 value, ) = _contractValues(tender);
+            frameworkAgreements[frameworkId].calledOffValue -= value;
+        }
+        
+        // Refund funding to the treasury
+        uint256 funded = tender.fundedAmount;
+        if (funded > 0) {
+            tender.fundedAmount = 0;
+            _creditPayment(tender.paymentToken, treasury, funded);
+        }
+        
+        // Return the performance bond to the winner
+        uint256 performanceBond = guarantees[tenderId].performanceBond;
+        if (performanceBond > 0) {
+            guarantees[tenderId].performanceBond = 0;
+            _creditPayment(tender.paymentToken, tender.winner, performanceBond);
+        }
+        
+        // Refund every bid bond not yet refunded or forfeited
+        address[] storage bidders = tenderBidders[tenderId];
+        for (uint256 i = 0; i < bidders.length; i++) {
+            Bid storage bid = bids[tenderId][bidders[i]];
+            if (bid.bondAmount > 0 && !bid.bondSettled) {
+                bid.bondSettled = true;
+                _creditPayment(address(0), bidders[i], bid.bondAmount);
+                emit BidBondRefunded(tenderId, bidders[i], bid.bondAmount, block.timestamp);
+            }
+        }
+        
+        emit TenderCancelled(tenderId, msg.sender, reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Validates and stores a new tender (shared by createTender and retender)
+     */
+    function _createTender(
+        string memory title,
+        string memory description,
+        uint256 maxBudget,
+        uint256 submissionDuration,
+        uint256 revealDuration,
+        uint256 bidBond,
+        address paymentToken,
+        string[] memory milestoneDescriptions,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    ) internal returns (uint256) {
+        require(bytes(title).length > 0, "Title required");
+        require(maxBudget > 0, "Budget must be positive");
+        require(submissionDuration > 0, "Submission duration required");
+        require(revealDuration > 0, "Reveal duration required");
+        require(
+            paymentToken == address(0) || paymentToken.code.length > 0,
+            "Invalid payment token"
+        );
+        require(
+            milestoneDescriptions.length == milestoneAmounts.length &&
+            milestoneDescriptions.length == milestoneDueAfter.length,
+            "Milestone arrays length mismatch"
+        );
+        require(milestoneDescriptions.length > 0, "At least one milestone required");
+        
+        // Validate total milestone amounts equal maxBudget
+        uint256 totalMilestoneAmount = 0;
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            require(milestoneAmounts[i] > 0, "Milestone amount must be positive");
+            totalMilestoneAmount += milestoneAmounts[i];
+        }
+        require(
+            totalMilestoneAmount == maxBudget,
+            "Total milestones must equal maxBudget"
+        );
+        
+        uint256 tenderId = nextTenderId++;
+        Tender storage tender = tenders[tenderId];
+        
+        tender.title = title;
+        tender.description = description;
+        tender.maxBudget = maxBudget;
+        tender.submissionDeadline = block.timestamp + submissionDuration;
+        tender.revealDeadline = tender.submissionDeadline + revealDuration;
+        tender.phase = TenderPhase.BID_SUBMISSION;
+        tender.winner = address(0);
+        tender.fundedAmount = 0;
+        tender.milestonesCompleted = 0;
+        tender.exists = true;
+        tender.bidBond = bidBond;
+        tender.paymentToken = paymentToken;
+        
+        // Initialize milestones
+        for (uint256 i = 0; i < milestoneDescriptions.length; i++) {
+            tender.milestones.push(Milestone({
+                description: milestoneDescriptions[i],
+                amount: milestoneAmounts[i],
+                status: MilestoneStatus.PENDING,
+                paidAt: 0,
+                payoutAmount: 0,
+                approvedBy: address(0),
+                approvalTimestamp: 0,
+                evidenceHash: bytes32(0),
+                claimEvidenceHash: bytes32(0),
+                claimedAt: 0,
+                rejectionReasonHash: bytes32(0),
+                dueAfter: milestoneDueAfter[i],
+                dueDate: 0
+            }));
+        }
+        
+        emit TenderCreated(
+            tenderId,
+            title,
+            maxBudget,
+            tender.submissionDeadline,
+            tender.revealDeadline
+        );
+        
+        return tenderId;
+    }
+    
+    // =============================================================
+    //                    WINNER SELECTION
+    // =============================================================
+    
+    /**
+     * @dev Selection logic of selectWinner, also run when an upheld award
+     *      challenge re-evaluates the tender
+     */
+    function _selectWinner(uint256 tenderId) internal {
+        Tender storage tender = tenders[tenderId];
+        
+        // Auto-transition to winner selection phase if needed
+        if (tender.phase == TenderPhase.BID_REVEAL) {
+            tender.phase = TenderPhase.WINNER_SELECTION;
+        }
+        
+        require(
+            tender.phase == TenderPhase.WINNER_SELECTION,
+            "Invalid phase for winner selection"
+        );
+        require(tender.winner == address(0), "Winner already selected");
+        
+        if (evaluationConfigs[tenderId].abnormalThreshold > 0) {
+            if (!lowBidScreenings[tenderId].screened) {
+                if (_screenLowBids(tenderId) > 0) {
+                    return; // Selection resumes once flagged bids are settled
+                }
+            } else {
+                require(_lowBidReviewsSettled(tenderId), "Low bid review pending");
+            }
+        }
+        
+        (address winner, uint256 lowestBid) = _lowestValidBid(tenderId);
+        require(winner != address(0), "No valid bids found");
+        
+        if (evaluationConfigs[tenderId].weighted) {
+            winner = _bestWeightedBid(tenderId, lowestBid);
+        }
+        if (frameworkAgreements[tenderId].maxSuppliers > 0) {
+            _awardFramework(tenderId, lowestBid);
+            return;
+        }
+        
+        // Same rules as above, so the winner ranks first
+        awardRankings[tenderId] = _rankedBidders(tenderId, lowestBid);
+        awardRankPositions[tenderId] = 0;
+        tender.winner = winner;
+        AwardStandstill storage standstill = awardStandstills[tenderId];
+        if (standstill.period == 0) {
+            _confirmAward(tenderId);
+            return;
+        }
+        
+        tender.phase = TenderPhase.AWARD_PENDING;
+        standstill.endsAt = block.timestamp + standstill.period;
+        standstill.round++;
+        
+        emit AwardNotified(
+            tenderId,
+            winner,
+            bids[tenderId][winner].revealedAmount,
+            standstill.endsAt,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Awards the contract to the selected winner: milestones are
+     *      rescaled to the winning bid and their delivery clocks started
+     */
+    function _confirmAward(uint256 tenderId) internal {
+        Tender storage tender = tenders[tenderId];
+        uint256 winningBid = bids[tenderId][tender.winner].revealedAmount;
+        
+        tender.phase = TenderPhase.PAYMENT_PENDING;
+        _rescaleMilestones(tender, winningBid);
+        _scheduleMilestones(tender);
+        _requestAcceptance(tenderId);
+        
+        emit WinnerSelected(tenderId, tender.winner, winningBid, block.timestamp);
+    }
+    
+    /**
+     * @dev Finds the lowest revealed valid bid (earliest commitment wins ties)
+     * @return winner Lowest bidder (address(0) if no valid bid)
+     * @return lowestBid Lowest valid amount
+     */
+    function _lowestValidBid(uint256 tenderId)
+        internal
+        view
+        returns (address winner, uint256 lowestBid)
+    {
+        lowestBid = type(uint256).max;
+        
+        // SECURE: Loop bounded by MAX_BIDDERS_PER_TENDER (fix #2)
+        // Maximum iterations: 100
+        // Maximum gas: ~210,000 (well within block limit)
+        address[] memory bidders = tenderBidders[tenderId];
+        for (uint256 i = 0; i < bidders.length; i++) {
+            address bidder = bidders[i];
+            Bid storage bid = bids[tenderId][bidder];
+            
+            // Consider only eligible (revealed, valid, not excluded) bids
+            if (_isEligible(tenderId, bidder) && bid.revealedAmount < lowestBid) {
+                lowestBid = bid.revealedAmount;
+                winner = bidder;
+            }
+        }
+    }
+    
+    /**
+     * @dev Finds the valid bid with the highest weighted score
+     * 
+     * Ties go to the lower price, then to the earliest commitment, so the
+     * outcome never depends on who calls selectWinner.
+     */
+    function _bestWeightedBid(uint256 tenderId, uint256 lowestBid)
+        internal
+        view
+        returns (address winner)
+    {
+        uint256 bestScore = 0;
+        uint256 bestAmount = 0;
+        
+        address[] memory bidders = tenderBidders[tenderId];
+        for (uint256 i = 0; i < bidders.length; i++) {
+            Bid storage bid = bids[tenderId][bidders[i]];
+            if (!_isEligible(tenderId, bidders[i])) {
+                continue;
+            }
+            require(
+                technicalEvaluations[tenderId][bidders[i]].scoreCount > 0,
+                "Valid bid not scored"
+            );
+            
+            uint256 score = _weightedScore(tenderId, bidders[i], lowestBid);
+            if (
+                winner == address(0) ||
+                score > bestScore ||
+                (score == bestScore && bid.revealedAmount < bestAmount)
+            ) {
+                winner = bidders[i];
+                bestScore = score;
+                bestAmount = bid.revealedAmount;
+            }
+        }
+    }
+    
+    /**
+     * @dev Whether a bid competes for the award: revealed, valid, not
+     *      excluded by the low-bid review (flagged bids count as excluded
+     *      once selection resumes, since their window has closed unjustified),
+     *      not excluded by an upheld award challenge, and from a bidder that
+     *      can still be awarded (its bond stays refundable either way)
+     */
+    function _isEligible(uint256 tenderId, address bidder) internal view returns (bool) {
+        Bid storage bid = bids[tenderId][bidder];
+        LowBidStatus status = lowBidReviews[tenderId][bidder].status;
+        return bid.isRevealed && bid.isValid && !excludedFromAward[tenderId][bidder] &&
+            (status == LowBidStatus.NONE || status == LowBidStatus.ACCEPTED) &&
+            _canBeAwarded(bidder);
+    }
+    
+    /**
+     * @dev Flags valid bids below threshold × median and opens the
+     *      justification window
+     * @return flaggedCount Number of bids flagged
+     */
+    function _screenLowBids(uint256 tenderId) internal returns (uint256 flaggedCount) {
+        address[] memory bidders = tenderBidders[tenderId];
+        uint256[] memory amounts = new uint256[](bidders.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < bidders.length; i++) {
+            if (_isEligible(tenderId, bidders[i])) {
+                amounts[count++] = bids[tenderId][bidders[i]].revealedAmount;
+            }
+        }
+        
+        LowBidScreening storage screening = lowBidScreenings[tenderId];
+        screening.screened = true;
+        if (count == 0) {
+            return 0;
+        }
+        
+        uint256 median = _median(amounts, count);
+        uint256 deadline = block.timestamp + JUSTIFICATION_PERIOD;
+        uint256 threshold = evaluationConfigs[tenderId].abnormalThreshold;
+        
+        for (uint256 i = 0; i < bidders.length; i++) {
+            uint256 amount = bids[tenderId][bidders[i]].revealedAmount;
+            if (
+                _isEligible(tenderId, bidders[i]) &&
+                amount * WEIGHT_PRECISION < median * threshold
+            ) {
+                lowBidReviews[tenderId][bidders[i]].status = LowBidStatus.FLAGGED;
+                flaggedCount++;
+                emit AbnormallyLowBidFlagged(tenderId, bidders[i], amount, median, deadline);
+            }
+        }
+        
+        screening.median = median;
+        screening.flaggedCount = flaggedCount;
+        screening.justificationDeadline = deadline;
+    }
+    
+    /**
+     * @dev Whether every flagged bid is decided or out of time to justify
+     */
+    function _lowBidReviewsSettled(uint256 tenderId) internal view returns (bool) {
+        bool windowOpen = block.timestamp < lowBidScreenings[tenderId].justificationDeadline;
+        address[] storage bidders = tenderBidders[tenderId];
+        for (uint256 i = 0; i < bidders.length; i++) {
+            LowBidStatus status = lowBidReviews[tenderId][bidders[i]].status;
+            if (
+                status == LowBidStatus.JUSTIFIED ||
+                (status == LowBidStatus.FLAGGED && windowOpen)
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Median of the first `count` values (sorts them in place)
+     * 
+     * Insertion sort: count is bounded by MAX_BIDDERS_PER_TENDER (Fix #2).
+     */
+    function _median(uint256[] memory values, uint256 count) internal pure returns (uint256) {
+        for (uint256 i = 1; i < count; i++) {
+            uint256 key = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > key) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = key;
+        }
+        
+        uint256 mid = count / 2;
+        return count % 2 == 1 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+    }
+    
+    /**
+     * @dev Weighted score of a valid bid, in points out of 100 with 18 decimals
+     * 
+     * Lowest-price tenders weight price at 100%, so the lowest bid scores 100.
+     */
+    function _weightedScore(uint256 tenderId, address bidder, uint256 lowestBid)
+        internal
+        view
+        returns (uint256)
+    {
+        EvaluationConfig storage config = evaluationConfigs[tenderId];
+        uint256 priceWeight = config.weighted ? config.priceWeight : WEIGHT_PRECISION;
+        
+        uint256 priceScore = (lowestBid * MAX_TECHNICAL_SCORE * 1e18) /
+            bids[tenderId][bidder].revealedAmount;
+        uint256 technicalScore = _technicalScore(tenderId, bidder);
+        
+        return (priceScore * priceWeight +
+            technicalScore * (WEIGHT_PRECISION - priceWeight)) / WEIGHT_PRECISION;
+    }
+    
+    /**
+     * @dev Average committee score of a bid, out of 100 with 18 decimals
+     */
+    function _technicalScore(uint256 tenderId, address bidder)
+        internal
+        view
+        returns (uint256)
+    {
+        TechnicalEvaluation storage evaluation = technicalEvaluations[tenderId][bidder];
+        if (evaluation.scoreCount == 0) {
+            return 0;
+        }
+        return (evaluation.scoreSum * 1e18) / evaluation.scoreCount;
+    }
+    
+    // =============================================================
+    //             AWARD ACCEPTANCE & RUNNER-UP FALLBACK
+    // =============================================================
+    
+    /**
+     * @dev Starts the acceptance period of a newly awarded winner
+     */
+    function _requestAcceptance(uint256 tenderId) internal {
+        AwardAcceptance storage acceptance = awardAcceptances[tenderId];
+        acceptance.accepted = false;
+        acceptance.declined = false;
+        if (acceptance.period > 0) {
+            acceptance.deadline = block.timestamp + acceptance.period;
+        }
+    }
+    
+    // =============================================================
+    //                   FRAMEWORK AGREEMENTS
+    // =============================================================
+    
+    /**
+     * @dev Admits the top-ranked bidders and starts the framework term
+     * 
+     * The best-ranked supplier is recorded as the tender's winner; milestones
+     * are not rescaled since the framework itself is never funded.
+     */
+    function _awardFramework(uint256 tenderId, uint256 lowestBid) internal {
+        address[] memory ranked = _rankedBidders(tenderId, lowestBid);
+        FrameworkAgreement storage framework = frameworkAgreements[tenderId];
+        uint256 count = ranked.length < framework.maxSuppliers
+            ? ranked.length
+            : framework.maxSuppliers;
+        
+        for (uint256 i = 0; i < count; i++) {
+            frameworkSuppliers[tenderId].push(ranked[i]);
+            isFrameworkSupplier[tenderId][ranked[i]] = true;
+        }
+        
+        Tender storage tender = tenders[tenderId];
+        tender.winner = ranked[0];
+        tender.phase = TenderPhase.FRAMEWORK_ACTIVE;
+        framework.expiresAt = block.timestamp + framework.duration;
+        
+        emit FrameworkAwarded(
+            tenderId,
+            frameworkSuppliers[tenderId],
+            framework.expiresAt,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Eligible bidders from best to worst, by the same rules as selectWinner
+     * 
+     * Insertion sort over at most MAX_BIDDERS_PER_TENDER bids; ties keep
+     * commitment order, so the earliest commitment ranks first.
+     */
+    function _rankedBidders(uint256 tenderId, uint256 lowestBid)
+        internal
+        view
+        returns (address[] memory ranked)
+    {
+        address[] memory bidders = tenderBidders[tenderId];
+        bool weighted = evaluationConfigs[tenderId].weighted;
+        address[] memory sorted = new address[](bidders.length);
+        uint256[] memory scores = new uint256[](bidders.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < bidders.length; i++) {
+            if (!_isEligible(tenderId, bidders[i])) {
+                continue;
+            }
+            uint256 score = weighted ? _weightedScore(tenderId, bidders[i], lowestBid) : 0;
+            uint256 j = count;
+            while (j > 0 && _ranksAbove(tenderId, bidders[i], score, sorted[j - 1], scores[j - 1])) {
+                sorted[j] = sorted[j - 1];
+                scores[j] = scores[j - 1];
+                j--;
+            }
+            sorted[j] = bidders[i];
+            scores[j] = score;
+            count++;
+        }
+        
+        ranked = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ranked[i] = sorted[i];
+        }
+    }
+    
+    /**
+     * @dev Whether bid a ranks strictly above bid b (higher score, then lower price)
+     */
+    function _ranksAbove(
+        uint256 tenderId,
+        address a,
+        uint256 scoreA,
+        address b,
+        uint256 scoreB
+    ) internal view returns (bool) {
+        if (scoreA != scoreB) {
+            return scoreA > scoreB;
+        }
+        return bids[tenderId][a].revealedAmount < bids[tenderId][b].revealedAmount;
+    }
+    
+    // =============================================================
+    //                    PAYMENT MANAGEMENT
+    // =============================================================
+    
+    /**
+     * @dev Receives exactly `amount` of the payment currency from the caller
+     * 
+     * Token transfers are checked on the received balance so fee-on-transfer
+     * tokens cannot underfund the escrow.
+     */
+    function _collectFunding(
+        address paymentToken,
+        uint256 amount,
+        string memory mismatchError
+    ) internal {
+        if (paymentToken == address(0)) {
+            require(msg.value == amount, mismatchError);
+        } else {
+            require(msg.value == 0, "ETH not accepted for token tender");
+            
+            IERC20 token = IERC20(paymentToken);
+            uint256 balanceBefore = token.balanceOf(address(this));
+            token.safeTransferFrom(msg.sender, address(this), amount);
+            require(token.balanceOf(address(this)) - balanceBefore == amount, mismatchError);
+        }
+    }
+    
+    /**
+     * @dev Credits a payee's withdrawable balance in the given currency
+     * @param token The ERC-20 credited (address(0) for ETH)
+     * @param payee The address credited
+     * @param amount The amount credited
+     */
+    function _creditPayment(address token, address payee, uint256 amount) internal {
+        if (token == address(0)) {
+            pendingWithdrawals[payee] += amount;
+        } else {
+            pendingTokenWithdrawals[token][payee] += amount;
+        }
+        emit PaymentCredited(payee, token, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Rescales milestone payouts from maxBudget to the winning bid
+     * @param tender The tender whose milestones are rescaled
+     * @param winningBid The winner's revealed bid amount
+     * 
+     * Each payout is amount × winningBid / maxBudget, rounded down.
+     * The rounding remainder is assigned to the last milestone so the
+     * payouts always sum to exactly winningBid.
+     */
+    function _rescaleMilestones(Tender storage tender, uint256 winningBid) internal {
+        uint256 count = tender.milestones.length;
+        uint256 allocated = 0;
+        
+        for (uint256 i = 0; i < count - 1; i++) {
+            Milestone storage milestone = tender.milestones[i];
+            milestone.payoutAmount = (milestone.amount * winningBid) / tender.maxBudget;
+            allocated += milestone.payoutAmount;
+        }
+        
+        tender.milestones[count - 1].payoutAmount = winningBid - allocated;
+    }
+    
+    /**
+     * @dev Starts the delivery clock of every milestone with a due date
+     * @param tender The tender being awarded
+     */
+    function _scheduleMilestones(Tender storage tender) internal {
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            Milestone storage milestone = tender.milestones[i];
+            if (milestone.dueAfter > 0) {
+                milestone.dueDate = block.timestamp + milestone.dueAfter;
+            }
+        }
+    }
+    
+    /**
+     * @dev Marks the tender completed once every milestone not removed by a
+     *      change order is paid
+     */
+    function _completeIfAllPaid(uint256 tenderId) internal {
+        Tender storage tender = tenders[tenderId];
+        if (tender.milestonesCompleted + removedMilestoneCounts[tenderId] == tender.milestones.length) {
+            tender.phase = TenderPhase.COMPLETED;
+            guarantees[tenderId].releasableAt =
+                block.timestamp + guaranteeTerms[tenderId].defectsLiabilityPeriod;
+            emit TenderCompleted(tenderId, block.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Current contract value and the part of it not yet paid
+     * @return total Sum of the payouts of all milestones not removed
+     * @return outstanding Sum of the payouts still to be released
+     */
+    function _contractValues(Tender storage tender)
+        internal
+        view
+        returns (uint256 total, uint256 outstanding)
+    {
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            Milestone storage milestone = tender.milestones[i];
+            if (milestone.status == MilestoneStatus.REMOVED) {
+                continue;
+            }
+            total += milestone.payoutAmount;
+            if (milestone.status != MilestoneStatus.PAID) {
+                outstanding += milestone.payoutAmount;
+            }
+        }
+    }
+    
+    // =============================================================
+    //              RETENTION & PERFORMANCE BONDS
+    // =============================================================
+    
+    /**
+     * @dev Withholds the tender's retention rate from a milestone payout
+     * @return netPayout Amount to credit to the winner now
+     */
+    function _withholdRetention(uint256 tenderId, uint256 milestoneIndex, uint256 payout)
+        internal
+        returns (uint256 netPayout)
+    {
+        uint256 retained = (payout * guaranteeTerms[tenderId].retentionRate) / WEIGHT_PRECISION;
+        if (retained > 0) {
+            guarantees[tenderId].retentionHeld += retained;
+            emit RetentionWithheld(tenderId, milestoneIndex, retained, block.timestamp);
+        }
+        return payout - retained;
+    }
+    
+    // =============================================================
+    //                   LIQUIDATED DAMAGES
+    // =============================================================
+    
+    /**
+     * @dev Computes the liquidated damages of a milestone
+     * @return daysLate Started days between the due date and the latest claim
+     *         (or now, while the milestone is not claimed yet)
+     * @return damages Amount deducted from the payout
+     */
+    function _liquidatedDamages(uint256 tenderId, Milestone storage milestone)
+        internal
+        view
+        returns (uint256 daysLate, uint256 damages)
+    {
+        uint256 deliveredAt = milestone.claimedAt;
+        if (
+            deliveredAt == 0 ||
+            milestone.status == MilestoneStatus.PENDING ||
+            milestone.status == MilestoneStatus.REJECTED
+        ) {
+            deliveredAt = block.timestamp;
+        }
+        if (milestone.dueDate == 0 || deliveredAt <= milestone.dueDate) {
+            return (0, 0);
+        }
+        
+        daysLate = (deliveredAt - milestone.dueDate + 1 days - 1) / 1 days;
+        LiquidatedDamagesTerms storage terms = liquidatedDamagesTerms[tenderId];
+        uint256 rate = daysLate * terms.dailyRate;
+        if (rate > terms.cap) {
+            rate = terms.cap;
+        }
+        damages = (milestone.payoutAmount * rate) / WEIGHT_PRECISION;
+    }
+    
+    /**
+     * @dev Credits a late milestone's liquidated damages back to the treasury
+     * @return netPayout Payout left for the winner
+     */
+    function _deductLiquidatedDamages(uint256 tenderId, uint256 milestoneIndex)
+        internal
+        returns (uint256 netPayout)
+    {
+        Tender storage tender = tenders[tenderId];
+        Milestone storage milestone = tender.milestones[milestoneIndex];
+        (uint256 daysLate, uint256 damages) = _liquidatedDamages(tenderId, milestone);
+        if (damages > 0) {
+            _creditPayment(tender.paymentToken, treasury, damages);
+            emit LiquidatedDamagesDeducted(
+                tenderId,
+                milestoneIndex,
+                daysLate,
+                damages,
+                block.timestamp
+            );
+        }
+        return milestone.payoutAmount - damages;
+    }
+}
@@ -11,218 +11,62 @@ pragma solidity ^0.8.20;
  * ✅ FIX #2: Maximum bidder limit (prevents DoS via unbounded loops)
  * ✅ FIX #3: ReentrancyGuard on all payment functions (defense-in-depth)
  * 
+ * PULL PAYMENTS:
+ * Every payout (milestones, refunds, bonds, forfeitures) credits a
+ * withdrawable balance instead of pushing funds, so a reverting recipient
+ * can only block its own withdrawal, never the tender lifecycle.
+ * 
+ * PAYMENT TOKENS:
+ * Each tender is denominated either in native ETH (paymentToken == address(0))
+ * or in an ERC-20 such as a stablecoin; bid bonds are always ETH.
+ * 
  * OPENZEPPELIN LIBRARIES USED:
- * - Ownable: Secure ownership management with 2-step transfer
- * - ReentrancyGuard: Prevents reentrancy attacks on payment functions
- * - Pausable: Emergency stop mechanism for critical situations
+ * Ownable, AccessControl, ReentrancyGuard, Pausable and SafeERC20
+ * 
+ * ROLES:
+ * The owner holds DEFAULT_ADMIN_ROLE and grants the registrar, tender admin,
+ * auditor, evaluator, treasurer, pauser and arbitrator roles. The account
+ * selecting winners can never release money, score bids or arbitrate.
+ * 
+ * MODULES:
+ * This contract holds tender management, bid bonds and emergency controls.
+ * Everything else (registry, bidding, award, payments, disputes, guarantees,
+ * frameworks, change orders and views) lives in modules under
+ * contracts/modules, reached through the fallback in ProcurementBase, so
+ * this address serves the whole API. See the README for each feature.
  * 
  * @author Project GLD 2026 - Secure Implementation
  * @custom:security-contact security@example.com
  */
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./ProcurementBase.sol";
 
-contract SecureProcurementSystem is Ownable, ReentrancyGuard, Pausable {
-    
-    // =============================================================
-    //                      TYPE DEFINITIONS
-    // =============================================================
-    
-    /**
-     * @dev Tender lifecycle phases following secure state machine pattern
-     */
-    enum TenderPhase {
-        BID_SUBMISSION,    // Bidders submit hashed bids (commit phase)
-        BID_REVEAL,        // Bidders reveal their bids (reveal phase)
-        WINNER_SELECTION,  // Owner selects winner from valid bids
-        PAYMENT_PENDING,   // Winner executing work, milestones being released
-        COMPLETED          // All milestones paid, tender finalized
-    }
-    
-    /**
-     * @dev Payment milestone for incremental fund release
-     */
-    struct Milestone {
-        string description;     // Milestone deliverable description
-        uint256 amount;         // Payment amount for this milestone
-        bool isPaid;            // Payment status flag
-        uint256 paidAt;         // Timestamp when paid (0 if not paid)
-    }
-    
-    /**
-     * @dev Public tender structure with all procurement details
-     */
-    struct Tender {
-        string title;                   // Tender title/name
-        string description;             // Detailed requirements
-        uint256 maxBudget;              // Maximum acceptable bid
-        uint256 submissionDeadline;     // Commit phase deadline (block.timestamp)
-        uint256 revealDeadline;         // Reveal phase deadline
-        TenderPhase phase;              // Current phase in lifecycle
-        address winner;                 // Winning bidder (address(0) if not selected)
-        uint256 fundedAmount;           // Total ETH funded by owner
-        Milestone[] milestones;         // Payment milestones
-        uint256 milestonesCompleted;    // Count of paid milestones
-        bool exists;                    // Existence flag for validation
-    }
-    
-    /**
-     * @dev Individual bid with commit-reveal mechanism
-     */
-    struct Bid {
-        bytes32 commitHash;         // Hash of (amount + nonce) during commit
-        uint256 revealedAmount;     // Actual bid amount (revealed in reveal phase)
-        bool isRevealed;            // Whether bid has been revealed
-        bool isValid;               // Whether bid meets requirements (≤ maxBudget)
-        uint256 revealTimestamp;    // When bid was revealed (for audit trail)
-    }
-    
-    // =============================================================
-    //                     STATE VARIABLES
-    // =============================================================
-    
-    // FIX #2: Add maximum bidder limit to prevent DoS attacks
-    /**
-     * @dev Maximum bidders per tender to prevent unbounded loop gas exhaustion
-     * @notice Prevents DoS attacks via gas limit exploitation in selectWinner()
-     */
-    uint256 public constant MAX_BIDDERS_PER_TENDER = 100;
-    
-    // Counter for tender IDs (auto-incrementing)
-    uint256 private nextTenderId;
-    
-    // Tender storage: tenderId => Tender
-    mapping(uint256 => Tender) public tenders;
-    
-    // Bid storage: tenderId => bidder => Bid
-    mapping(uint256 => mapping(address => Bid)) public bids;
-    
-    // Bidder tracking for each tender: tenderId => array of bidder addresses
-    mapping(uint256 => address[]) private tenderBidders;
-    
-    // Registered bidders (must register before bidding)
-    mapping(address => bool) public registeredBidders;
-    
-    // =============================================================
-    //                          EVENTS
-    // =============================================================
-    
-    event TenderCreated(
-        uint256 indexed tenderId,
-        string title,
-        uint256 maxBudget,
-        uint256 submissionDeadline,
-        uint256 revealDeadline
-    );
-    
-    event BidderRegistered(address indexed bidder, uint256 timestamp);
-    
-    event BidSubmitted(
-        uint256 indexed tenderId,
-        address indexed bidder,
-        bytes32 commitHash,
-        uint256 timestamp
-    );
-    
-    event BidRevealed(
-        uint256 indexed tenderId,
-        address indexed bidder,
-        uint256 amount,
-        bool isValid,
-        uint256 timestamp
-    );
-    
-    event WinnerSelected(
-        uint256 indexed tenderId,
-        address indexed winner,
-        uint256 winningBid,
-        uint256 timestamp
-    );
-    
-    event TenderFunded(
-        uint256 indexed tenderId,
-        uint256 amount,
-        uint256 timestamp
-    );
-    
-    event MilestonePaymentReleased(
-        uint256 indexed tenderId,
-        uint256 milestoneIndex,
-        address indexed recipient,
-        uint256 amount,
-        uint256 timestamp
-    );
-    
-    event TenderCompleted(
-        uint256 indexed tenderId,
-        uint256 timestamp
-    );
-    
-    event EmergencyWithdrawal(
-        uint256 indexed tenderId,
-        address indexed recipient,
-        uint256 amount,
-        uint256 timestamp
-    );
-    
-    // =============================================================
-    //                         MODIFIERS
-    // =============================================================
-    
-    modifier tenderExists(uint256 tenderId) {
-        require(tenders[tenderId].exists, "Tender does not exist");
-        _;
-    }
-    
-    modifier onlyRegisteredBidder() {
-        require(registeredBidders[msg.sender], "Bidder not registered");
-        _;
-    }
-    
-    modifier inPhase(uint256 tenderId, TenderPhase requiredPhase) {
-        require(
-            tenders[tenderId].phase == requiredPhase,
-            "Invalid tender phase"
-        );
-        _;
-    }
-    
-    modifier onlyBeforeDeadline(uint256 deadline) {
-        require(block.timestamp < deadline, "Deadline has passed");
-        _;
-    }
-    
-    modifier onlyAfterDeadline(uint256 deadline) {
-        require(block.timestamp >= deadline, "Deadline not reached");
-        _;
-    }
+contract SecureProcurementSystem is ProcurementBase {
+    // secp256k1 generator x-coordinate and group order (authority key check)
+    uint256 private constant SECP256K1_GX =
+        0x79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798;
+    uint256 private constant SECP256K1_N =
+        0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141;
     
     // =============================================================
     //                       CONSTRUCTOR
     // =============================================================
     
     /**
-     * @dev Initializes contract with deployer as owner
+     * @dev Initializes contract with deployer as owner and treasury
      * @notice Uses OpenZeppelin Ownable for secure ownership management
+     * @param firstModule First module of the chain implementing the functions
+     *        this contract does not (see ProcurementBase)
+     * 
+     * The deployer receives TENDER_ADMIN_ROLE and PAUSER_ROLE. TREASURER_ROLE
+     * and AUDITOR_ROLE must be granted to separate accounts by the owner.
      */
-    constructor() Ownable(msg.sender) {
+    constructor(address firstModule) ProcurementBase(firstModule) {
+        require(firstModule.code.length > 0, "Module must be a contract");
         nextTenderId = 1;
-    }
-    
-    // =============================================================
-    //                   BIDDER REGISTRATION
-    // =============================================================
-    
-    /**
-     * @dev Allows companies to register as bidders
-     * @notice Must register before submitting bids to any tender
-     */
-    function registerBidder() external whenNotPaused {
-        require(!registeredBidders[msg.sender], "Already registered");
-        registeredBidders[msg.sender] = true;
-        emit BidderRegistered(msg.sender, block.timestamp);
+        treasury = msg.sender;
+        _grantRole(TENDER_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
     
     // =============================================================
@@ -236,15 +80,20 @@ contract SecureProcurementSystem is Ownable, ReentrancyGuard, Pausable {
      * @param maxBudget Maximum acceptable bid amount
      * @param submissionDuration Duration of commit phase (in seconds)
      * @param revealDuration Duration of reveal phase (in seconds)
+     * @param bidBond ETH deposit each bidder must send with their commitment (0 for none)
+     * @param paymentToken ERC-20 the tender is paid in (address(0) for ETH)
      * @param milestoneDescriptions Array of milestone descriptions
      * @param milestoneAmounts Array of milestone payment amounts
+     * @param milestoneDueAfter Time allowed after award to deliver each milestone
+     *        (seconds, 0 = no due date); late delivery incurs liquidated damages
      * @return tenderId The ID of the created tender
      * 
      * Requirements:
-     * - Only owner can create tenders (government entity)
+     * - Only tender admins can create tenders (government entity)
      * - Contract must not be paused
      * - Milestone arrays must match in length
      * - Total milestone amounts must equal maxBudget
+     * - paymentToken must be address(0) or a contract
      */
     function createTender(
         string memory title,
@@ -252,607 +101,442 @@ contract SecureProcurementSystem is Ownable, ReentrancyGuard, Pausable {
         uint256 maxBudget,
         uint256 submissionDuration,
         uint256 revealDuration,
+        uint256 bidBond,
+        address paymentToken,
         string[] memory milestoneDescriptions,
-        uint256[] memory milestoneAmounts
-    ) external onlyOwner whenNotPaused returns (uint256) {
-        require(bytes(title).length > 0, "Title required");
-        require(maxBudget > 0, "Budget must be positive");
-        require(submissionDuration > 0, "Submission duration required");
-        require(revealDuration > 0, "Reveal duration required");
-        require(
-            milestoneDescriptions.length == milestoneAmounts.length,
-            "Milestone arrays length mismatch"
-        );
-        require(milestoneDescriptions.length > 0, "At least one milestone required");
-        
-        // Validate total milestone amounts equal maxBudget
-        uint256 totalMilestoneAmount = 0;
-        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
-            require(milestoneAmounts[i] > 0, "Milestone amount must be positive");
-            totalMilestoneAmount += milestoneAmounts[i];
-        }
-        require(
-            totalMilestoneAmount == maxBudget,
-            "Total milestones must equal maxBudget"
-        );
-        
-        uint256 tenderId = nextTenderId++;
-        Tender storage tender = tenders[tenderId];
-        
-        tender.title = title;
-        tender.description = description;
-        tender.maxBudget = maxBudget;
-        tender.submissionDeadline = block.timestamp + submissionDuration;
-        tender.revealDeadline = tender.submissionDeadline + revealDuration;
-        tender.phase = TenderPhase.BID_SUBMISSION;
-        tender.winner = address(0);
-        tender.fundedAmount = 0;
-        tender.milestonesCompleted = 0;
-        tender.exists = true;
-        
-        // Initialize milestones
-        for (uint256 i = 0; i < milestoneDescriptions.length; i++) {
-            tender.milestones.push(Milestone({
-                description: milestoneDescriptions[i],
-                amount: milestoneAmounts[i],
-                isPaid: false,
-                paidAt: 0
-            }));
-        }
-        
-        emit TenderCreated(
-            tenderId,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    ) external onlyRole(TENDER_ADMIN_ROLE) whenNotPaused returns (uint256) {
+        return _createTender(
             title,
+            description,
             maxBudget,
-            tender.submissionDeadline,
-            tender.revealDeadline
+            submissionDuration,
+            revealDuration,
+            bidBond,
+            paymentToken,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
         );
-        
-        return tenderId;
     }
     
-    // =============================================================
-    //                   COMMIT-REVEAL BIDDING
-    // =============================================================
-    
     /**
-     * @dev Submit a hashed bid commitment (COMMIT PHASE)
-     * @param tenderId The tender to bid on
-     * @param bidHash Hash of keccak256(abi.encodePacked(amount, nonce))
-     * 
-     * FIX #2 APPLIED: Enforces MAX_BIDDERS_PER_TENDER limit
+     * @dev Cancels a tender before any milestone has been paid or approved
+     * @param tenderId The tender to cancel
+     * @param reasonHash Hash of the published cancellation decision
      * 
-     * Security:
-     * - Commit-reveal prevents front-running attacks
-     * - Hash hiding prevents bid sniping
-     * - Nonce prevents rainbow table attacks
+     * Refunds are credited as pull payments: any funding goes back to the
+     * treasury and every unsettled bid bond goes back to its bidder, all
+     * collected with withdraw()/withdrawToken(). The loop over bidders is
+     * bounded by MAX_BIDDERS_PER_TENDER (Fix #2).
      * 
      * Requirements:
-     * - Bidder must be registered
-     * - Tender must be in BID_SUBMISSION phase
-     * - Must be before submission deadline
-     * - FIX: Maximum bidders per tender enforced (DoS prevention)
+     * - Only tender admins can cancel
+     * - Tender must not be completed, terminated or already cancelled
+     * - No milestone may be approved or paid
+     * - Reason hash must be provided
      */
-    function submitBid(uint256 tenderId, bytes32 bidHash)
+    function cancelTender(uint256 tenderId, bytes32 reasonHash)
         external
-        onlyRegisteredBidder
+        onlyRole(TENDER_ADMIN_ROLE)
         tenderExists(tenderId)
-        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
-        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        nonReentrant
         whenNotPaused
     {
-        require(bidHash != bytes32(0), "Invalid bid hash");
-        require(
-            bids[tenderId][msg.sender].commitHash == bytes32(0),
-            "Bid already submitted"
-        );
-        
-        // FIX #2: Enforce maximum bidder limit to prevent DoS attacks
-        require(
-            tenderBidders[tenderId].length < MAX_BIDDERS_PER_TENDER,
-            "Maximum number of bidders reached for this tender"
-        );
-        
-        // Store the commitment
-        bids[tenderId][msg.sender].commitHash = bidHash;
-        
-        // Track this bidder for iteration during winner selection
-        tenderBidders[tenderId].push(msg.sender);
-        
-        emit BidSubmitted(tenderId, msg.sender, bidHash, block.timestamp);
+        _cancelTender(tenderId, reasonHash);
     }
     
     /**
-     * @dev Reveal a previously committed bid (REVEAL PHASE)
-     * @param tenderId The tender ID
-     * @param bidAmount The actual bid amount
-     * @param nonce The secret nonce used in the hash
+     * @dev Re-issues a cancelled tender under a fresh tender ID
+     * @param tenderId The cancelled tender to clone
+     * @param submissionDuration Duration of the new commit phase (in seconds)
+     * @param revealDuration Duration of the new reveal phase (in seconds)
+     * @return newTenderId The ID of the new tender
      * 
-     * FIX #1 APPLIED: Strict reveal deadline enforcement
-     * 
-     * Security:
-     * - Verifies hash matches commitment
-     * - FIX: Enforces reveal deadline (no late reveals)
-     * - Validates bid against maxBudget
+     * Title, description, budget, bid bond, payment token, milestones,
+     * evaluation rules and guarantee terms are copied; bids, winner and
+     * funding start from scratch.
+     * Sealed-bid mode is not copied, since the old authority key may already
+     * be public: configure a fresh key on the new tender if needed. A
+     * re-tendered lot becomes a standalone tender. A framework keeps its
+     * supplier count, ceiling and duration. Change orders are not carried
+     * over: only the originally budgeted milestones are copied.
      * 
      * Requirements:
-     * - Must have submitted a commitment
-     * - Tender must be in BID_REVEAL phase
-     * - FIX: Must reveal before deadline (prevents strategic delays)
-     * - Hash must match commitment
+     * - Only tender admins can re-tender
+     * - Original tender must be cancelled
+     * - Original tender must not be a call-off (issue a new one instead)
      */
-    function revealBid(uint256 tenderId, uint256 bidAmount, string memory nonce)
+    function retender(uint256 tenderId, uint256 submissionDuration, uint256 revealDuration)
         external
-        onlyRegisteredBidder
+        onlyRole(TENDER_ADMIN_ROLE)
         tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.CANCELLED)
         whenNotPaused
+        returns (uint256 newTenderId)
     {
-        // Auto-transition to reveal phase if submission deadline passed
-        if (block.timestamp >= tenders[tenderId].submissionDeadline && 
-            tenders[tenderId].phase == TenderPhase.BID_SUBMISSION) {
-            tenders[tenderId].phase = TenderPhase.BID_REVEAL;
+        require(callOffFrameworks[tenderId] == 0, "Call-offs cannot be re-tendered");
+        Tender storage original = tenders[tenderId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < original.milestones.length; i++) {
+            if (original.milestones[i].amount > 0) {
+                count++;
+            }
         }
-        
-        require(
-            tenders[tenderId].phase == TenderPhase.BID_REVEAL,
-            "Not in reveal phase"
-        );
-        
-        Bid storage bid = bids[tenderId][msg.sender];
-        require(bid.commitHash != bytes32(0), "No bid commitment found");
-        require(!bid.isRevealed, "Bid already revealed");
-        
-        // FIX #1: Enforce reveal deadline - reject late reveals
-        // This prevents bidders from waiting to see other bids before revealing
-        require(
-            block.timestamp < tenders[tenderId].revealDeadline,
-            "Reveal deadline has passed"
-        );
-        
-        // Verify the commitment matches the reveal
-        bytes32 computedHash = keccak256(abi.encodePacked(bidAmount, nonce));
-        require(
-            computedHash == bid.commitHash,
-            "Invalid reveal - hash mismatch"
-        );
-        
-        // Store revealed amount
-        bid.revealedAmount = bidAmount;
-        bid.isRevealed = true;
-        bid.revealTimestamp = block.timestamp;
-        
-        // Validate bid against tender requirements
-        if (bidAmount <= tenders[tenderId].maxBudget && bidAmount > 0) {
-            bid.isValid = true;
-        } else {
-            bid.isValid = false;
+        string[] memory milestoneDescriptions = new string[](count);
+        uint256[] memory milestoneAmounts = new uint256[](count);
+        uint256[] memory milestoneDueAfter = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < original.milestones.length; i++) {
+            // Milestones added by change orders have no budgeted amount
+            if (original.milestones[i].amount > 0) {
+                milestoneDescriptions[count] = original.milestones[i].description;
+                milestoneAmounts[count] = original.milestones[i].amount;
+                milestoneDueAfter[count] = original.milestones[i].dueAfter;
+                count++;
+            }
         }
         
-        emit BidRevealed(tenderId, msg.sender, bidAmount, bid.isValid, block.timestamp);
+        newTenderId = _createTender(
+            original.title,
+            original.description,
+            original.maxBudget,
+            submissionDuration,
+            revealDuration,
+            original.bidBond,
+            original.paymentToken,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
+        );
+        evaluationConfigs[newTenderId] = evaluationConfigs[tenderId];
+        guaranteeTerms[newTenderId] = guaranteeTerms[tenderId];
+        liquidatedDamagesTerms[newTenderId] = liquidatedDamagesTerms[tenderId];
+        awardStandstills[newTenderId].period = awardStandstills[tenderId].period;
+        awardAcceptances[newTenderId].period = awardAcceptances[tenderId].period;
+        _copyFrameworkTerms(tenderId, newTenderId);
+        
+        emit TenderRetendered(tenderId, newTenderId, block.timestamp);
     }
     
-    // =============================================================
-    //                    WINNER SELECTION
-    // =============================================================
-    
     /**
-     * @dev Selects the winner (lowest valid bid)
+     * @dev Pushes the submission and reveal deadlines of an open tender forward
      * @param tenderId The tender ID
-     * 
-     * FIX #2 PROTECTION: Maximum bidders limit ensures this doesn't run out of gas
-     * 
-     * Selection Criteria:
-     * - Lowest bid wins (standard procurement rule)
-     * - Must be revealed
-     * - Must be valid (≤ maxBudget)
-     * 
-     * Gas Safety:
-     * - FIX: Maximum 100 bidders enforced at submission
-     * - Gas cost: ~2,100 per bidder × 100 = ~210k gas (safe)
+     * @param newSubmissionDeadline New commit phase deadline (timestamp)
+     * @param newRevealDeadline New reveal phase deadline (timestamp)
      * 
      * Requirements:
-     * - Only owner can select winner
-     * - Must be after reveal deadline
+     * - Only tender admins can extend deadlines
+     * - Tender must not be an additional lot: the parent's extension applies
+     *   to all of its lots still in BID_SUBMISSION
+     * - Tender must be in BID_SUBMISSION phase, before the submission deadline
+     * - Neither deadline may move backward, and at least one must move forward
+     * - The reveal window cannot shrink, so bidders who committed keep at
+     *   least the time to reveal that the tender was published with
      */
-    function selectWinner(uint256 tenderId)
+    function extendDeadlines(
+        uint256 tenderId,
+        uint256 newSubmissionDeadline,
+        uint256 newRevealDeadline
+    )
         external
-        onlyOwner
+        onlyRole(TENDER_ADMIN_ROLE)
         tenderExists(tenderId)
-        onlyAfterDeadline(tenders[tenderId].revealDeadline)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
         whenNotPaused
     {
+        require(parentTenders[tenderId] == 0, "Deadlines are set on the parent tender");
         Tender storage tender = tenders[tenderId];
-        
-        // Auto-transition to winner selection phase if needed
-        if (tender.phase == TenderPhase.BID_REVEAL) {
-            tender.phase = TenderPhase.WINNER_SELECTION;
-        }
-        
         require(
-            tender.phase == TenderPhase.WINNER_SELECTION,
-            "Invalid phase for winner selection"
+            newSubmissionDeadline >= tender.submissionDeadline &&
+            newRevealDeadline >= tender.revealDeadline,
+            "Deadlines cannot move backward"
+        );
+        require(
+            newSubmissionDeadline > tender.submissionDeadline ||
+            newRevealDeadline > tender.revealDeadline,
+            "No deadline extended"
+        );
+        require(
+            newRevealDeadline - newSubmissionDeadline >=
+                tender.revealDeadline - tender.submissionDeadline,
+            "Reveal window cannot shrink"
         );
-        require(tender.winner == address(0), "Winner already selected");
         
-        // Find lowest valid bid
-        uint256 lowestBid = type(uint256).max;
-        address winner = address(0);
+        _setDeadlines(tenderId, newSubmissionDeadline, newRevealDeadline);
         
-        // SECURE: Loop bounded by MAX_BIDDERS_PER_TENDER (fix #2)
-        // Maximum iterations: 100
-        // Maximum gas: ~210,000 (well within block limit)
-        address[] memory bidders = tenderBidders[tenderId];
-        for (uint256 i = 0; i < bidders.length; i++) {
-            address bidder = bidders[i];
-            Bid storage bid = bids[tenderId][bidder];
-            
-            // Consider only revealed and valid bids
-            if (bid.isRevealed && bid.isValid && bid.revealedAmount < lowestBid) {
-                lowestBid = bid.revealedAmount;
-                winner = bidder;
+        uint256[] storage lots = tenderLots[tenderId];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (tenders[lots[i]].phase == TenderPhase.BID_SUBMISSION) {
+                _setDeadlines(lots[i], newSubmissionDeadline, newRevealDeadline);
             }
         }
-        
-        require(winner != address(0), "No valid bids found");
-        
-        tender.winner = winner;
-        tender.phase = TenderPhase.PAYMENT_PENDING;
-        
-        emit WinnerSelected(tenderId, winner, lowestBid, block.timestamp);
     }
     
-    // =============================================================
-    //                    PAYMENT MANAGEMENT
-    // =============================================================
-    
     /**
-     * @dev Owner funds the tender with ETH
-     * @param tenderId The tender to fund
-     * 
-     * Security:
-     * - Validates payment amount matches winner's bid
-     * - Only allows funding after winner selection
-     * - Uses msg.value for secure ETH transfer
-     * 
-     * Requirements:
-     * - Only owner can fund
-     * - Winner must be selected
-     * - Amount must equal winner's bid
+     * @dev Stores new deadlines for a tender or lot
      */
-    function fundTender(uint256 tenderId)
-        external
-        payable
-        onlyOwner
-        tenderExists(tenderId)
-        whenNotPaused
-    {
+    function _setDeadlines(
+        uint256 tenderId,
+        uint256 newSubmissionDeadline,
+        uint256 newRevealDeadline
+    ) internal {
         Tender storage tender = tenders[tenderId];
-        require(tender.winner != address(0), "Winner not selected yet");
-        require(tender.fundedAmount == 0, "Tender already funded");
-        
-        uint256 winningBid = bids[tenderId][tender.winner].revealedAmount;
-        require(msg.value == winningBid, "Must fund exact winning bid amount");
-        
-        tender.fundedAmount = msg.value;
+        tender.submissionDeadline = newSubmissionDeadline;
+        tender.revealDeadline = newRevealDeadline;
         
-        emit TenderFunded(tenderId, msg.value, block.timestamp);
+        emit DeadlinesExtended(
+            tenderId,
+            newSubmissionDeadline,
+            newRevealDeadline,
+            block.timestamp
+        );
     }
     
     /**
-     * @dev Release payment for a completed milestone
+     * @dev Publishes a clarification or amendment to an open tender
      * @param tenderId The tender ID
-     * @param milestoneIndex Index of the milestone to pay
-     * 
-     * FIX #3 APPLIED: nonReentrant modifier for defense-in-depth
-     * 
-     * Security Features:
-     * - nonReentrant: Prevents reentrancy attacks (OpenZeppelin)
-     * - CEI Pattern: Checks-Effects-Interactions ordering
-     * - State updates before external call
+     * @param contentHash Hash of the addendum document (stored off-chain)
      * 
      * Requirements:
-     * - Only owner can release payments
-     * - Tender must be funded
-     * - Milestone must not be already paid
-     * - Milestone index must be valid
+     * - Only tender admins can publish addenda
+     * - Tender must be in BID_SUBMISSION phase, before the submission deadline
+     * - Content hash must be provided
      */
-    function releaseMilestonePayment(uint256 tenderId, uint256 milestoneIndex)
+    function publishAddendum(uint256 tenderId, bytes32 contentHash)
         external
-        onlyOwner
+        onlyRole(TENDER_ADMIN_ROLE)
         tenderExists(tenderId)
-        nonReentrant  // OpenZeppelin: Prevents reentrancy attacks
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
         whenNotPaused
     {
-        Tender storage tender = tenders[tenderId];
-        require(tender.winner != address(0), "No winner selected");
-        require(tender.fundedAmount > 0, "Tender not funded");
-        require(
-            tender.phase == TenderPhase.PAYMENT_PENDING,
-            "Not in payment phase"
-        );
-        require(
-            milestoneIndex < tender.milestones.length,
-            "Invalid milestone index"
-        );
+        require(contentHash != bytes32(0), "Content hash required");
         
-        Milestone storage milestone = tender.milestones[milestoneIndex];
-        require(!milestone.isPaid, "Milestone already paid");
+        tenderAddenda[tenderId].push(Addendum({
+            contentHash: contentHash,
+            publishedAt: block.timestamp
+        }));
         
-        // EFFECTS: Update state BEFORE external call (CEI pattern)
-        milestone.isPaid = true;
-        milestone.paidAt = block.timestamp;
-        tender.milestonesCompleted++;
-        tender.fundedAmount -= milestone.amount;
-        
-        // Check if all milestones completed
-        if (tender.milestonesCompleted == tender.milestones.length) {
-            tender.phase = TenderPhase.COMPLETED;
-            emit TenderCompleted(tenderId, block.timestamp);
-        }
-        
-        // INTERACTIONS: External call AFTER state changes
-        (bool success, ) = tender.winner.call{value: milestone.amount}("");
-        require(success, "Payment transfer failed");
-        
-        emit MilestonePaymentReleased(
+        emit AddendumPublished(
             tenderId,
-            milestoneIndex,
-            tender.winner,
-            milestone.amount,
+            tenderAddenda[tenderId].length - 1,
+            contentHash,
             block.timestamp
         );
     }
     
     /**
-     * @dev Emergency withdrawal of funds (owner only)
+     * @dev Switches a tender to sealed bids encrypted to a tender authority key
      * @param tenderId The tender ID
-     * 
-     * FIX #3 APPLIED: nonReentrant modifier added for defense-in-depth
-     * 
-     * Security Layers:
-     * 1. CEI Pattern: State updated before external call
-     * 2. nonReentrant: OpenZeppelin ReentrancyGuard protection
-     * 3. onlyOwner: Access control via OpenZeppelin Ownable
-     * 4. whenNotPaused: Circuit breaker via OpenZeppelin Pausable
-     * 
-     * Use Cases:
-     * - Winner abandons project
-     * - Critical bug discovered
-     * - Legal/regulatory requirements
+     * @param publicKey Authority secp256k1 public key, 65-byte uncompressed (0x04 || x || y)
      * 
      * Requirements:
-     * - Only owner can withdraw
-     * - Tender must have funds
-     * - Tender must be completed or deadline + 30 days passed
+     * - Only tender admins can configure sealed bidding
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - publicKey must be an uncompressed secp256k1 key
      */
-    function emergencyWithdraw(uint256 tenderId)
+    function configureSealedBidding(uint256 tenderId, bytes calldata publicKey)
         external
-        onlyOwner
+        onlyRole(TENDER_ADMIN_ROLE)
         tenderExists(tenderId)
-        nonReentrant  // FIX #3: Add ReentrancyGuard protection for defense-in-depth
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
         whenNotPaused
     {
-        Tender storage tender = tenders[tenderId];
-        require(tender.fundedAmount > 0, "No funds to withdraw");
-        require(
-            tender.phase == TenderPhase.COMPLETED || 
-            block.timestamp > tender.revealDeadline + 30 days,
-            "Cannot withdraw - tender still active"
-        );
-        
-        uint256 amount = tender.fundedAmount;
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(publicKey.length == 65 && publicKey[0] == 0x04, "Invalid public key");
         
-        // EFFECTS: Update state BEFORE external call (CEI pattern)
-        tender.fundedAmount = 0;
+        address keyAddress = address(uint160(uint256(keccak256(publicKey[1:]))));
+        SealedBidConfig storage config = sealedBidConfigs[tenderId];
+        config.publicKey = publicKey;
+        config.keyAddress = keyAddress;
         
-        // INTERACTIONS: External call protected by nonReentrant modifier
-        (bool success, ) = owner().call{value: amount}("");
-        require(success, "Withdrawal failed");
-        
-        emit EmergencyWithdrawal(tenderId, owner(), amount, block.timestamp);
+        emit SealedBiddingConfigured(tenderId, keyAddress, publicKey);
     }
     
-    // =============================================================
-    //                    EMERGENCY CONTROLS
-    // =============================================================
-    
     /**
-     * @dev Pause all contract operations (emergency stop)
-     * @notice Uses OpenZeppelin Pausable for battle-tested implementation
-     * 
-     * When Paused:
-     * - No new tenders
-     * - No bid submissions
-     * - No bid reveals
-     * - No winner selections
-     * - No payments
+     * @dev Publishes the tender authority private key so anyone can decrypt the sealed bids
+     * @param tenderId The tender ID
+     * @param privateKey Private key matching the configured public key
      * 
-     * Use Cases:
-     * - Critical bug discovered
-     * - Ongoing attack detected
-     * - Regulatory freeze
-     * - System upgrade needed
+     * Requirements:
+     * - Only tender admins can publish the key
+     * - Tender must use sealed bids and the submission deadline must have passed
+     * - Key can only be published once and must match the public key
      */
-    function pause() external onlyOwner {
-        _pause();
+    function publishDecryptionKey(uint256 tenderId, bytes32 privateKey)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        onlyAfterDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        SealedBidConfig storage config = sealedBidConfigs[tenderId];
+        require(config.publicKey.length > 0, "Tender not using sealed bids");
+        require(config.privateKey == bytes32(0), "Decryption key already published");
+        require(_keyAddress(privateKey) == config.keyAddress, "Key does not match public key");
+        
+        config.privateKey = privateKey;
+        
+        emit DecryptionKeyPublished(tenderId, privateKey, block.timestamp);
     }
     
     /**
-     * @dev Unpause contract operations
-     * @notice Only owner can resume operations after investigation
+     * @dev Address of the secp256k1 public key privateKey × G
+     * 
+     * ecrecover(0, 27, Gx, privateKey × Gx) recovers Gx⁻¹ × (privateKey × Gx × G),
+     * which avoids elliptic-curve multiplication in Solidity.
      */
-    function unpause() external onlyOwner {
-        _unpause();
+    function _keyAddress(bytes32 privateKey) internal pure returns (address) {
+        uint256 key = uint256(privateKey);
+        require(key > 0 && key < SECP256K1_N, "Invalid private key");
+        return ecrecover(
+            bytes32(0),
+            27,
+            bytes32(SECP256K1_GX),
+            bytes32(mulmod(key, SECP256K1_GX, SECP256K1_N))
+        );
     }
     
     // =============================================================
-    //                      VIEW FUNCTIONS
+    //                        BID BONDS
     // =============================================================
     
     /**
-     * @dev Get tender details
+     * @dev Bidder reclaims their bond after a valid reveal
      * @param tenderId The tender ID
-     * @return title Tender title
-     * @return description Tender description
-     * @return maxBudget Maximum bid amount
-     * @return submissionDeadline Commit phase deadline
-     * @return revealDeadline Reveal phase deadline
-     * @return phase Current tender phase
-     * @return winner Winner address (address(0) if not selected)
-     * @return fundedAmount Current funded amount
-     * @return milestonesCompleted Number of paid milestones
-     */
-    function getTenderDetails(uint256 tenderId)
-        external
-        view
-        tenderExists(tenderId)
-        returns (
-            string memory title,
-            string memory description,
-            uint256 maxBudget,
-            uint256 submissionDeadline,
-            uint256 revealDeadline,
-            TenderPhase phase,
-            address winner,
-            uint256 fundedAmount,
-            uint256 milestonesCompleted
-        )
-    {
-        Tender storage tender = tenders[tenderId];
-        return (
-            tender.title,
-            tender.description,
-            tender.maxBudget,
-            tender.submissionDeadline,
-            tender.revealDeadline,
-            tender.phase,
-            tender.winner,
-            tender.fundedAmount,
-            tender.milestonesCompleted
-        );
-    }
-    
-    /**
-     * @dev Get milestone details
-     * @param tenderId The tender ID
-     * @param milestoneIndex Milestone index
-     * @return description Milestone description
-     * @return amount Payment amount
-     * @return isPaid Payment status
-     * @return paidAt Payment timestamp (0 if not paid)
+     * 
+     * The bond is credited to the bidder's withdrawable balance, collected
+     * with withdraw() like every other payment. On a sealed-bid tender a
+     * reveal alone does not prove the ciphertext opens to the same bid, so
+     * the bond stays locked until the tender admin has checked the payload
+     * (confirmSealedBid); a rejected bid is no longer valid.
+     * 
+     * Requirements:
+     * - Must be after reveal deadline
+     * - Bid must be revealed and valid
+     * - Sealed bids must be confirmed against their ciphertext
+     * - Bond must not already be settled
      */
-    function getMilestone(uint256 tenderId, uint256 milestoneIndex)
+    function claimBidBond(uint256 tenderId)
         external
-        view
         tenderExists(tenderId)
-        returns (
-            string memory description,
-            uint256 amount,
-            bool isPaid,
-            uint256 paidAt
-        )
+        onlyAfterDeadline(tenders[tenderId].revealDeadline)
+        nonReentrant
+        whenNotPaused
     {
+        Bid storage bid = bids[tenderId][msg.sender];
+        require(bid.isRevealed && bid.isValid, "Bond not refundable");
         require(
-            milestoneIndex < tenders[tenderId].milestones.length,
-            "Invalid milestone index"
+            sealedBidConfigs[tenderId].publicKey.length == 0 ||
+            confirmedSealedBids[tenderId][msg.sender],
+            "Sealed bid not checked"
         );
-        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
-        return (
-            milestone.description,
-            milestone.amount,
-            milestone.isPaid,
-            milestone.paidAt
-        );
-    }
-    
-    /**
-     * @dev Get total number of milestones for a tender
-     * @param tenderId The tender ID
-     * @return count Number of milestones
-     */
-    function getMilestoneCount(uint256 tenderId)
-        external
-        view
-        tenderExists(tenderId)
-        returns (uint256)
-    {
-        return tenders[tenderId].milestones.length;
+        require(!bid.bondSettled, "Bond already settled");
+        require(bid.bondAmount > 0, "No bond to refund");
+        
+        bid.bondSettled = true;
+        uint256 amount = bid.bondAmount;
+        _creditPayment(address(0), msg.sender, amount);
+        
+        emit BidBondRefunded(tenderId, msg.sender, amount, block.timestamp);
     }
     
     /**
-     * @dev Get bid details for a specific bidder
+     * @dev Forfeits the bond of an unrevealed or invalid bid to the treasury
      * @param tenderId The tender ID
-     * @param bidder Bidder address
-     * @return commitHash Committed bid hash
-     * @return revealedAmount Revealed bid amount
-     * @return isRevealed Whether bid has been revealed
-     * @return isValid Whether bid is valid
-     * @return revealTimestamp When bid was revealed
+     * @param bidder The bidder whose bond is forfeited
+     * 
+     * Callable by anyone once the reveal deadline has passed, so slashing
+     * does not depend on the owner being online. The bond is credited to
+     * the treasury's withdrawable balance.
+     * 
+     * Requirements:
+     * - Must be after reveal deadline
+     * - Bid must be unrevealed or invalid
+     * - Bond must not already be settled
      */
-    function getBid(uint256 tenderId, address bidder)
+    function forfeitBidBond(uint256 tenderId, address bidder)
         external
-        view
         tenderExists(tenderId)
-        returns (
-            bytes32 commitHash,
-            uint256 revealedAmount,
-            bool isRevealed,
-            bool isValid,
-            uint256 revealTimestamp
-        )
+        onlyAfterDeadline(tenders[tenderId].revealDeadline)
+        nonReentrant
+        whenNotPaused
     {
         Bid storage bid = bids[tenderId][bidder];
-        return (
-            bid.commitHash,
-            bid.revealedAmount,
-            bid.isRevealed,
-            bid.isValid,
-            bid.revealTimestamp
-        );
+        require(bid.commitHash != bytes32(0), "No bid commitment found");
+        require(!(bid.isRevealed && bid.isValid), "Bond not forfeitable");
+        require(!bid.bondSettled, "Bond already settled");
+        require(bid.bondAmount > 0, "No bond to forfeit");
+        
+        bid.bondSettled = true;
+        uint256 amount = bid.bondAmount;
+        _creditPayment(address(0), treasury, amount);
+        
+        emit BidBondForfeited(tenderId, bidder, treasury, amount, block.timestamp);
     }
     
     /**
-     * @dev Get all bidders for a tender
-     * @param tenderId The tender ID
-     * @return Array of bidder addresses
+     * @dev Changes the address receiving forfeited bid bonds and withdrawals
+     * @param newTreasury The new treasury address
      */
-    function getTenderBidders(uint256 tenderId)
-        external
-        view
-        tenderExists(tenderId)
-        returns (address[] memory)
-    {
-        return tenderBidders[tenderId];
+    function setTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTreasury != address(0), "Invalid treasury address");
+        address previousTreasury = treasury;
+        treasury = newTreasury;
+        emit TreasuryUpdated(previousTreasury, newTreasury);
     }
     
+    // =============================================================
+    //                   FRAMEWORK AGREEMENTS
+    // =============================================================
+    
     /**
-     * @dev Get number of bidders for a tender
-     * @param tenderId The tender ID
-     * @return count Number of bidders
+     * @dev Copies framework settings to a re-tendered tender (term not started)
      */
-    function getBidderCount(uint256 tenderId)
-        external
-        view
-        tenderExists(tenderId)
-        returns (uint256)
-    {
-        return tenderBidders[tenderId].length;
+    function _copyFrameworkTerms(uint256 fromTenderId, uint256 toTenderId) internal {
+        FrameworkAgreement storage source = frameworkAgreements[fromTenderId];
+        if (source.maxSuppliers == 0) {
+            return;
+        }
+        FrameworkAgreement storage target = frameworkAgreements[toTenderId];
+        target.maxSuppliers = source.maxSuppliers;
+        target.ceilingValue = source.ceilingValue;
+        target.duration = source.duration;
     }
     
+    // =============================================================
+    //                    EMERGENCY CONTROLS
+    // =============================================================
+    
     /**
-     * @dev Check if address is a registered bidder
-     * @param bidder Address to check
-     * @return true if registered, false otherwise
+     * @dev Pause all contract operations (emergency stop)
+     * @notice Uses OpenZeppelin Pausable for battle-tested implementation
+     * 
+     * When Paused:
+     * - No new tenders
+     * - No bid submissions
+     * - No bid reveals
+     * - No winner selections
+     * - No payments
+     * 
+     * Use Cases:
+     * - Critical bug discovered
+     * - Ongoing attack detected
+     * - Regulatory freeze
+     * - System upgrade needed
      */
-    function isBidderRegistered(address bidder) external view returns (bool) {
-        return registeredBidders[bidder];
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
     }
     
     /**
-     * @dev Get contract ETH balance
-     * @return Balance in wei
+     * @dev Unpause contract operations
+     * @notice Only pausers can resume operations after investigation
      */
-    function getContractBalance() external view returns (uint256) {
-        return address(this).balance;
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
     }
 }
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Test stablecoin with configurable decimals and open minting.
+ * @notice Used to exercise ERC-20 denominated tenders; never deploy to a
+ *         real network.
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_)
+        ERC20(name, symbol)
+    {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mints tokens to any address (test helper)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title RevertingRecipient
+ * @dev Test helper that takes part in a tender as a bidder but refuses ETH.
+ * @notice Used to show that a winner whose receive() reverts cannot block
+ *         milestone payments or tender completion under pull payments.
+ */
+contract RevertingRecipient {
+    address public immutable target;
+
+    constructor(address _target) {
+        target = _target;
+    }
+
+    /**
+     * @dev Forwards a call (and any attached ETH) to the procurement contract
+     * @param data ABI-encoded calldata for the target
+     */
+    function forward(bytes calldata data) external payable {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        revert("RevertingRecipient: ETH rejected");
+    }
+}
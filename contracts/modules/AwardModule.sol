@@ -0,0 +1,419 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title AwardModule
+ * @notice Multi-criteria evaluation, winner selection and award acceptance
+ *         with runner-up fallback
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract AwardModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                 MULTI-CRITERIA EVALUATION
+    // =============================================================
+    
+    /**
+     * @dev Switches a tender to weighted price/quality evaluation
+     * @param tenderId The tender ID
+     * @param priceWeight Weight of price in basis points (quality gets the rest)
+     * 
+     * Requirements:
+     * - Only tender admins can configure evaluation
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet,
+     *   so bidders know the rules before pricing
+     * - priceWeight must not exceed WEIGHT_PRECISION
+     */
+    function configureWeightedEvaluation(uint256 tenderId, uint256 priceWeight)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Evaluation rules locked after first bid");
+        require(priceWeight <= WEIGHT_PRECISION, "Invalid price weight");
+        
+        EvaluationConfig storage config = evaluationConfigs[tenderId];
+        config.weighted = true;
+        config.priceWeight = priceWeight;
+        
+        emit EvaluationConfigured(tenderId, priceWeight, WEIGHT_PRECISION - priceWeight);
+    }
+    
+    /**
+     * @dev Enables abnormally-low-bid screening for a tender
+     * @param tenderId The tender ID
+     * @param threshold Bids below threshold × median are flagged, in basis
+     *        points of the median (e.g. 7000 = 70%; 0 disables screening)
+     * 
+     * Requirements:
+     * - Only tender admins can configure evaluation
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - threshold must not exceed WEIGHT_PRECISION
+     */
+    function configureAbnormalBidThreshold(uint256 tenderId, uint256 threshold)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Evaluation rules locked after first bid");
+        require(threshold <= WEIGHT_PRECISION, "Invalid threshold");
+        
+        evaluationConfigs[tenderId].abnormalThreshold = threshold;
+        
+        emit AbnormalBidThresholdConfigured(tenderId, threshold);
+    }
+    
+    /**
+     * @dev Flagged bidder justifies an abnormally low bid
+     * @param tenderId The tender ID
+     * @param justificationHash Hash of the justification (cost breakdown, etc.)
+     * 
+     * Requirements:
+     * - Caller's bid must be flagged and not yet justified
+     * - Must be before the justification deadline
+     * - Justification hash must be provided
+     */
+    function submitLowBidJustification(uint256 tenderId, bytes32 justificationHash)
+        external
+        tenderExists(tenderId)
+        onlyBeforeDeadline(lowBidScreenings[tenderId].justificationDeadline)
+        whenNotPaused
+    {
+        LowBidReview storage review = lowBidReviews[tenderId][msg.sender];
+        require(review.status == LowBidStatus.FLAGGED, "Bid not awaiting justification");
+        require(justificationHash != bytes32(0), "Justification hash required");
+        
+        review.status = LowBidStatus.JUSTIFIED;
+        review.justificationHash = justificationHash;
+        
+        emit LowBidJustified(tenderId, msg.sender, justificationHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Evaluator accepts or excludes a justified abnormally low bid
+     * @param tenderId The tender ID
+     * @param bidder The flagged bidder
+     * @param accept True to keep the bid, false to exclude it
+     * 
+     * Requirements:
+     * - Only evaluators without a conflict of interest on the tender can review
+     * - Bid must have a justification awaiting review
+     * - Winner must not be selected yet
+     */
+    function reviewLowBid(uint256 tenderId, address bidder, bool accept)
+        external
+        onlyRole(EVALUATOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        inPhase(tenderId, TenderPhase.WINNER_SELECTION)
+        whenNotPaused
+    {
+        LowBidReview storage review = lowBidReviews[tenderId][bidder];
+        require(review.status == LowBidStatus.JUSTIFIED, "No justification to review");
+        
+        review.status = accept ? LowBidStatus.ACCEPTED : LowBidStatus.EXCLUDED;
+        
+        emit LowBidReviewed(tenderId, bidder, msg.sender, accept, block.timestamp);
+    }
+    
+    /**
+     * @dev Evaluation committee member scores the technical quality of a bid
+     * @param tenderId The tender ID
+     * @param bidder The bidder being scored
+     * @param score Technical score from 0 to MAX_TECHNICAL_SCORE
+     * 
+     * Each evaluator scores each bid once; a bid's technical score is the
+     * average over all evaluators who scored it.
+     * 
+     * Requirements:
+     * - Only evaluators without a conflict of interest on the tender can score
+     * - Tender must use weighted evaluation
+     * - Must be after reveal deadline and before winner selection
+     * - Bid must be revealed and valid
+     */
+    function submitTechnicalScore(uint256 tenderId, address bidder, uint256 score)
+        external
+        onlyRole(EVALUATOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        onlyAfterDeadline(tenders[tenderId].revealDeadline)
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(evaluationConfigs[tenderId].weighted, "Tender not using weighted evaluation");
+        require(
+            tender.winner == address(0) && tender.phase != TenderPhase.CANCELLED,
+            "Evaluation closed"
+        );
+        Bid storage bid = bids[tenderId][bidder];
+        require(bid.isRevealed && bid.isValid, "Bid not eligible for scoring");
+        require(score <= MAX_TECHNICAL_SCORE, "Score out of range");
+        require(!hasScored[tenderId][bidder][msg.sender], "Bid already scored");
+        
+        hasScored[tenderId][bidder][msg.sender] = true;
+        TechnicalEvaluation storage evaluation = technicalEvaluations[tenderId][bidder];
+        evaluation.scoreSum += score;
+        evaluation.scoreCount++;
+        
+        emit TechnicalScoreSubmitted(tenderId, bidder, msg.sender, score, block.timestamp);
+    }
+    
+    // =============================================================
+    //                    WINNER SELECTION
+    // =============================================================
+    
+    /**
+     * @dev Selects the winner (lowest valid bid, or best weighted score)
+     * @param tenderId The tender ID
+     * 
+     * FIX #2 PROTECTION: Maximum bidders limit ensures this doesn't run out of gas
+     * 
+     * Selection Criteria:
+     * - Lowest bid wins (standard procurement rule), or the highest weighted
+     *   price/quality score for tenders using weighted evaluation
+     * - Must be revealed
+     * - Must be valid (≤ maxBudget)
+     * - Weighted evaluation: every valid bid must have a technical score
+     * - Low-bid screening: bids excluded or left unjustified are skipped
+     * 
+     * With a low-bid threshold, the first call only screens: if any bid is
+     * flagged it opens the justification window and returns without a
+     * winner. The next call requires every flagged bid to be settled.
+     * 
+     * Gas Safety:
+     * - FIX: Maximum 100 bidders enforced at submission
+     * - Gas cost: ~2,100 per bidder × 100 = ~210k gas (safe)
+     * 
+     * Milestone payouts are rescaled pro-rata to the winning bid so the
+     * funded amount (exactly the winning bid) covers every milestone.
+     * 
+     * For a framework agreement the top-ranked bidders are admitted to the
+     * framework instead (see _awardFramework) and nothing is funded.
+     * 
+     * With a standstill period the award is only notified (AWARD_PENDING)
+     * and confirmAward() completes it once the standstill is over.
+     * 
+     * Requirements:
+     * - Only tender admins can select winner
+     * - Must be after reveal deadline
+     */
+    function selectWinner(uint256 tenderId)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        onlyAfterDeadline(tenders[tenderId].revealDeadline)
+        whenNotPaused
+    {
+        _selectWinner(tenderId);
+    }
+    
+    // =============================================================
+    //             AWARD ACCEPTANCE & RUNNER-UP FALLBACK
+    // =============================================================
+    
+    /**
+     * @dev Requires winners to accept the award within a period
+     * @param tenderId The tender ID
+     * @param period Acceptance period in seconds (0 = no acceptance step)
+     * 
+     * Requirements:
+     * - Only tender admins can configure award acceptance
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - Period must not exceed MAX_ACCEPTANCE_PERIOD
+     */
+    function configureAwardAcceptance(uint256 tenderId, uint256 period)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(period <= MAX_ACCEPTANCE_PERIOD, "Acceptance period too long");
+        
+        awardAcceptances[tenderId].period = period;
+        
+        emit AwardAcceptanceConfigured(tenderId, period);
+    }
+    
+    /**
+     * @dev Winner accepts the award, unlocking funding and delivery
+     * @param tenderId The tender ID
+     * 
+     * Requirements:
+     * - Only the winner can accept
+     * - Tender must be in PAYMENT_PENDING phase and require acceptance
+     * - Award must not be answered yet and the acceptance period not over
+     */
+    function acceptAward(uint256 tenderId)
+        external
+        tenderExists(tenderId)
+        onlyWinner(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        AwardAcceptance storage acceptance = _pendingAcceptance(tenderId);
+        acceptance.accepted = true;
+        
+        emit AwardAccepted(tenderId, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Winner declines the award so it can pass to the next-ranked bidder
+     * @param tenderId The tender ID
+     * @param reasonHash Hash of the winner's statement
+     * 
+     * Requirements:
+     * - Only the winner can decline
+     * - Tender must be in PAYMENT_PENDING phase and require acceptance
+     * - Award must not be answered yet and the acceptance period not over
+     * - Reason hash must be provided
+     */
+    function declineAward(uint256 tenderId, bytes32 reasonHash)
+        external
+        tenderExists(tenderId)
+        onlyWinner(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        require(reasonHash != bytes32(0), "Reason hash required");
+        AwardAcceptance storage acceptance = _pendingAcceptance(tenderId);
+        acceptance.declined = true;
+        
+        emit AwardDeclined(tenderId, msg.sender, reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Passes the award to the next bidder in the ranking kept at award
+     * @param tenderId The tender ID
+     * 
+     * The runner-up is awarded at its own bid price: milestone payouts are
+     * rescaled to its bid, due dates restart and it gets a fresh acceptance
+     * period. No new standstill runs, since the ranking was open to
+     * challenge when the award was notified. Ranked bidders whose
+     * registration has since lapsed, or who have been suspended or debarred,
+     * are skipped.
+     * 
+     * A contract terminated for default returns to PAYMENT_PENDING with every
+     * milestone back to PENDING; it must be funded again.
+     * 
+     * Requirements:
+     * - Only tender admins can re-award
+     * - Tender must be in PAYMENT_PENDING phase with a winner that declined or
+     *   let the acceptance period lapse, or TERMINATED before any milestone
+     *   was paid and without change orders adding or removing milestones
+     * - A further eligible bidder must be left in the ranking
+     */
+    function awardToNextRanked(uint256 tenderId)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        AwardAcceptance storage acceptance = awardAcceptances[tenderId];
+        if (tender.phase == TenderPhase.TERMINATED) {
+            _reopenTerminatedContract(tenderId);
+        } else {
+            require(tender.phase == TenderPhase.PAYMENT_PENDING, "Invalid tender phase");
+            require(
+                acceptance.declined ||
+                (acceptance.period > 0 && !acceptance.accepted && block.timestamp >= acceptance.deadline),
+                "Winner has not declined or lapsed"
+            );
+        }
+        address[] storage ranking = awardRankings[tenderId];
+        uint256 position = awardRankPositions[tenderId];
+        address newWinner;
+        do {
+            position++;
+            require(position < ranking.length, "No ranked bidder left");
+            newWinner = ranking[position];
+        } while (!_canBeAwarded(newWinner));
+        
+        address previousWinner = tender.winner;
+        uint256 amount = bids[tenderId][newWinner].revealedAmount;
+        
+        awardRankPositions[tenderId] = position;
+        tender.winner = newWinner;
+        _rescaleMilestones(tender, amount);
+        _scheduleMilestones(tender);
+        _requestAcceptance(tenderId);
+        
+        emit AwardPassedToNextRanked(
+            tenderId,
+            previousWinner,
+            newWinner,
+            amount,
+            position,
+            acceptance.deadline,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Puts a contract terminated before any payment back to its
+     *      unperformed state for the runner-up; change orders still
+     *      pending with the terminated contractor are rejected
+     */
+    function _reopenTerminatedContract(uint256 tenderId) internal {
+        Tender storage tender = tenders[tenderId];
+        require(
+            tender.milestonesCompleted == 0 && terminations[tenderId].unfundedLiability == 0,
+            "Contract partly performed"
+        );
+        require(removedMilestoneCounts[tenderId] == 0, "Contract varied by change order");
+        
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            Milestone storage milestone = tender.milestones[i];
+            // Milestones added by a change order were not budgeted (amount 0)
+            require(milestone.amount > 0, "Contract varied by change order");
+            milestone.status = MilestoneStatus.PENDING;
+            milestone.approvedBy = address(0);
+            milestone.approvalTimestamp = 0;
+            milestone.evidenceHash = bytes32(0);
+            milestone.claimEvidenceHash = bytes32(0);
+            milestone.claimedAt = 0;
+            milestone.rejectionReasonHash = bytes32(0);
+            delete disputes[tenderId][i];
+        }
+        
+        ChangeOrder[] storage orders = changeOrders[tenderId];
+        for (uint256 i = 0; i < orders.length; i++) {
+            if (orders[i].status == ChangeOrderStatus.PROPOSED) {
+                orders[i].status = ChangeOrderStatus.REJECTED;
+                orders[i].decidedAt = block.timestamp;
+                emit ChangeOrderRejected(tenderId, i, msg.sender, block.timestamp);
+            }
+        }
+        
+        Guarantees storage held = guarantees[tenderId];
+        held.bondDepositedAt = 0;
+        held.releasableAt = 0;
+        tender.phase = TenderPhase.PAYMENT_PENDING;
+    }
+    
+    /**
+     * @dev Acceptance record of an award still waiting for the winner's answer
+     */
+    function _pendingAcceptance(uint256 tenderId)
+        internal
+        view
+        returns (AwardAcceptance storage acceptance)
+    {
+        acceptance = awardAcceptances[tenderId];
+        require(acceptance.period > 0, "No acceptance required");
+        require(!acceptance.accepted && !acceptance.declined, "Award already answered");
+        require(block.timestamp < acceptance.deadline, "Acceptance period over");
+    }
+}
@@ -0,0 +1,449 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title BiddingModule
+ * @notice Commit-reveal and sealed bidding
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract BiddingModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                   COMMIT-REVEAL BIDDING
+    // =============================================================
+    
+    /**
+     * @dev Submit a hashed bid commitment (COMMIT PHASE)
+     * @param tenderId The tender to bid on
+     * @param bidHash Hash of keccak256(abi.encodePacked(amount, nonce))
+     * 
+     * FIX #2 APPLIED: Enforces MAX_BIDDERS_PER_TENDER limit
+     * 
+     * Security:
+     * - Commit-reveal prevents front-running attacks
+     * - Hash hiding prevents bid sniping
+     * - Nonce prevents rainbow table attacks
+     * - Bid bond makes unrevealed commitments costly (slot-filling DoS)
+     * 
+     * Requirements:
+     * - Bidder must be registered
+     * - Bidder's company must not be on the debarment list
+     * - Tender must be in BID_SUBMISSION phase
+     * - Must be before submission deadline
+     * - FIX: Maximum bidders per tender enforced (DoS prevention)
+     * - msg.value must equal the tender's bid bond
+     */
+    function submitBid(uint256 tenderId, bytes32 bidHash)
+        external
+        payable
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].publicKey.length == 0, "Tender requires sealed bids");
+        _commitBid(tenderId, bidHash);
+    }
+    
+    /**
+     * @dev Submit a commitment together with the bid encrypted to the tender authority key
+     * @param tenderId The tender ID
+     * @param bidHash Hash of (bidAmount, nonce), as for submitBid
+     * @param encryptedBid ECIES ciphertext of abi.encode(bidAmount, nonce)
+     * 
+     * The ciphertext is stored on-chain so that anyone can decrypt it once the
+     * authority key is published and post the bid on the bidder's behalf.
+     * 
+     * Requirements:
+     * - Same as submitBid
+     * - Tender must use sealed bids and the ciphertext must not be empty
+     */
+    function submitSealedBid(uint256 tenderId, bytes32 bidHash, bytes calldata encryptedBid)
+        external
+        payable
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].publicKey.length > 0, "Tender not using sealed bids");
+        require(encryptedBid.length > 0, "Encrypted bid required");
+        
+        _commitBid(tenderId, bidHash);
+        sealedBidPayloads[tenderId][msg.sender] = encryptedBid;
+    }
+    
+    /**
+     * @dev Records a bid commitment and its bond (shared by submitBid and submitSealedBid)
+     */
+    function _commitBid(uint256 tenderId, bytes32 bidHash) internal {
+        require(bidHash != bytes32(0), "Invalid bid hash");
+        require(
+            !isCompanyDebarred(bidderProfiles[msg.sender].registrationNumberHash),
+            "Company debarred"
+        );
+        address lead = consortiumLeads[tenderId][msg.sender];
+        require(lead == address(0) || lead == msg.sender, "Member of a consortium bid");
+        address[] storage members = consortia[tenderId][msg.sender].members;
+        for (uint256 i = 0; i < members.length; i++) {
+            require(
+                consortiumLeads[tenderId][members[i]] == msg.sender,
+                "Consortium member has not accepted"
+            );
+        }
+        require(
+            bids[tenderId][msg.sender].commitHash == bytes32(0),
+            "Bid already submitted"
+        );
+        
+        // FIX #2: Enforce maximum bidder limit to prevent DoS attacks
+        require(
+            tenderBidders[tenderId].length < MAX_BIDDERS_PER_TENDER,
+            "Maximum number of bidders reached for this tender"
+        );
+        require(msg.value == tenders[tenderId].bidBond, "Incorrect bid bond amount");
+        
+        // Store the commitment and the bond held in escrow
+        bids[tenderId][msg.sender].commitHash = bidHash;
+        bids[tenderId][msg.sender].bondAmount = msg.value;
+        
+        // Track this bidder for iteration during winner selection
+        tenderBidders[tenderId].push(msg.sender);
+        
+        emit BidSubmitted(tenderId, msg.sender, bidHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Replace a commitment before the submission deadline (e.g. after a pricing mistake)
+     * @param tenderId The tender ID
+     * @param bidHash New hash of keccak256(abi.encodePacked(amount, nonce))
+     * 
+     * The bid bond already deposited carries over. For tie-breaking the
+     * replaced bid ranks as committed now, behind every earlier commitment.
+     * 
+     * Requirements:
+     * - Same as submitBid, except that the caller must already have a commitment
+     * - Tender must not use sealed bids (use replaceSealedBid)
+     */
+    function replaceBid(uint256 tenderId, bytes32 bidHash)
+        external
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].publicKey.length == 0, "Tender requires sealed bids");
+        _replaceCommitment(tenderId, bidHash);
+    }
+    
+    /**
+     * @dev Replace a sealed commitment and its ciphertext before the submission deadline
+     * @param tenderId The tender ID
+     * @param bidHash New hash of (bidAmount, nonce)
+     * @param encryptedBid New ECIES ciphertext of abi.encode(bidAmount, nonce)
+     * 
+     * Requirements:
+     * - Same as replaceBid
+     * - Tender must use sealed bids and the ciphertext must not be empty
+     */
+    function replaceSealedBid(uint256 tenderId, bytes32 bidHash, bytes calldata encryptedBid)
+        external
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].publicKey.length > 0, "Tender not using sealed bids");
+        require(encryptedBid.length > 0, "Encrypted bid required");
+        
+        _replaceCommitment(tenderId, bidHash);
+        sealedBidPayloads[tenderId][msg.sender] = encryptedBid;
+    }
+    
+    /**
+     * @dev Withdraw a commitment before the submission deadline
+     * @param tenderId The tender ID
+     * 
+     * The bid bond is credited back to the bidder (pull payment) and the
+     * bidder's slot is freed, so the bidder may commit again later.
+     * 
+     * Requirements:
+     * - Caller must have a commitment on the tender
+     * - Tender must be in BID_SUBMISSION phase, before the submission deadline
+     */
+    function withdrawBid(uint256 tenderId)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        Bid storage bid = bids[tenderId][msg.sender];
+        require(bid.commitHash != bytes32(0), "No bid submitted");
+        uint256 bond = bid.bondAmount;
+        
+        _removeBidder(tenderId, msg.sender);
+        delete bids[tenderId][msg.sender];
+        delete sealedBidPayloads[tenderId][msg.sender];
+        if (bond > 0) {
+            _creditPayment(address(0), msg.sender, bond);
+            emit BidBondRefunded(tenderId, msg.sender, bond, block.timestamp);
+        }
+        
+        emit BidWithdrawn(
+            tenderId,
+            msg.sender,
+            bond,
+            bidReplacementCounts[tenderId][msg.sender],
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Swaps a bidder's commitment and moves the bidder to the end of the
+     *      commitment order (shared by replaceBid and replaceSealedBid)
+     */
+    function _replaceCommitment(uint256 tenderId, bytes32 bidHash) internal {
+        require(bidHash != bytes32(0), "Invalid bid hash");
+        require(
+            !isCompanyDebarred(bidderProfiles[msg.sender].registrationNumberHash),
+            "Company debarred"
+        );
+        Bid storage bid = bids[tenderId][msg.sender];
+        require(bid.commitHash != bytes32(0), "No bid submitted");
+        
+        _removeBidder(tenderId, msg.sender);
+        tenderBidders[tenderId].push(msg.sender);
+        bid.commitHash = bidHash;
+        uint256 replacementCount = ++bidReplacementCounts[tenderId][msg.sender];
+        
+        emit BidReplaced(tenderId, msg.sender, bidHash, replacementCount, block.timestamp);
+    }
+    
+    /**
+     * @dev Removes a bidder from tenderBidders, shifting later bidders down
+     *      so the commitment order (tie-breaking) is kept
+     * 
+     * Bounded by MAX_BIDDERS_PER_TENDER (Fix #2).
+     */
+    function _removeBidder(uint256 tenderId, address bidder) internal {
+        address[] storage bidders = tenderBidders[tenderId];
+        uint256 i = 0;
+        while (bidders[i] != bidder) {
+            i++;
+        }
+        for (; i + 1 < bidders.length; i++) {
+            bidders[i] = bidders[i + 1];
+        }
+        bidders.pop();
+    }
+    
+    /**
+     * @dev Reveal a previously committed bid (REVEAL PHASE)
+     * @param tenderId The tender ID
+     * @param bidAmount The actual bid amount
+     * @param nonce The secret nonce used in the hash
+     * 
+     * FIX #1 APPLIED: Strict reveal deadline enforcement
+     * 
+     * Security:
+     * - Verifies hash matches commitment
+     * - FIX: Enforces reveal deadline (no late reveals)
+     * - Validates bid against maxBudget
+     * 
+     * No registration check: a bidder whose registration lapsed or was
+     * suspended after committing can still reveal, and so recover the bond.
+     * Such a bid is left out when the winner is selected.
+     * 
+     * Requirements:
+     * - Must have submitted a commitment
+     * - Tender must be in BID_REVEAL phase
+     * - FIX: Must reveal before deadline (prevents strategic delays)
+     * - Hash must match commitment
+     */
+    function revealBid(uint256 tenderId, uint256 bidAmount, string memory nonce)
+        external
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        _revealBid(tenderId, msg.sender, bidAmount, nonce);
+    }
+    
+    /**
+     * @dev Posts a decrypted sealed bid on behalf of its bidder (REVEAL PHASE)
+     * @param tenderId The tender ID
+     * @param bidder Bidder whose sealed bid was decrypted
+     * @param bidAmount Decrypted bid amount
+     * @param nonce Decrypted nonce
+     * 
+     * Callable by anyone: the commitment check is the authorization, so a bid
+     * is revealed even if its bidder never comes back.
+     * 
+     * Only the commitment is checked on chain: the contract cannot decrypt
+     * the ECIES payload, so it does not know whether the amount and nonce
+     * came from the posted ciphertext. That link is the tender admin's
+     * responsibility, recorded per bid with confirmSealedBid or
+     * rejectSealedBid and auditable by anyone holding the published key.
+     * 
+     * Requirements:
+     * - Tender must use sealed bids
+     * - Same phase, deadline and hash checks as revealBid
+     */
+    function postDecryptedBid(
+        uint256 tenderId,
+        address bidder,
+        uint256 bidAmount,
+        string memory nonce
+    )
+        external
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].publicKey.length > 0, "Tender not using sealed bids");
+        _revealBid(tenderId, bidder, bidAmount, nonce);
+    }
+    
+    /**
+     * @dev Rejects a sealed bid whose ciphertext does not open to its commitment
+     * @param tenderId The tender ID
+     * @param bidder Bidder whose sealed bid is rejected
+     * 
+     * A payload that does not decrypt, or decrypts to another bid, would let
+     * its bidder decide after the submission deadline whether to reveal at
+     * all. Once the authority key is published anyone can decrypt every
+     * payload and re-check the rejection, so the tender admin only records
+     * the outcome: the bid is excluded (even if already revealed by its
+     * bidder) and its bond is forfeited to the treasury.
+     * 
+     * Requirements:
+     * - Only tender admins can reject
+     * - The decryption key must be published and no winner selection started
+     * - Bidder must hold a commitment neither rejected nor confirmed yet
+     */
+    function rejectSealedBid(uint256 tenderId, address bidder)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].privateKey != bytes32(0), "Decryption key not published");
+        TenderPhase phase = tenders[tenderId].phase;
+        require(
+            phase == TenderPhase.BID_SUBMISSION || phase == TenderPhase.BID_REVEAL,
+            "Invalid tender phase"
+        );
+        Bid storage bid = bids[tenderId][bidder];
+        require(bid.commitHash != bytes32(0), "No bid commitment found");
+        require(!rejectedSealedBids[tenderId][bidder], "Sealed bid already rejected");
+        require(!confirmedSealedBids[tenderId][bidder], "Sealed bid already confirmed");
+        
+        rejectedSealedBids[tenderId][bidder] = true;
+        bid.isValid = false;
+        
+        uint256 forfeited;
+        if (bid.bondAmount > 0 && !bid.bondSettled) {
+            bid.bondSettled = true;
+            forfeited = bid.bondAmount;
+            _creditPayment(address(0), treasury, forfeited);
+            emit BidBondForfeited(tenderId, bidder, treasury, forfeited, block.timestamp);
+        }
+        
+        emit SealedBidRejected(tenderId, bidder, msg.sender, forfeited, block.timestamp);
+    }
+    
+    /**
+     * @dev Confirms that a revealed sealed bid's ciphertext opens to the revealed bid
+     * @param tenderId The tender ID
+     * @param bidder Bidder whose sealed bid is confirmed
+     * 
+     * The contract cannot run ECIES, so the tender admin decrypts the payload
+     * with the published key and records that it holds the revealed amount
+     * and nonce. Anyone can repeat the decryption to audit the confirmation.
+     * Until then the bidder cannot reclaim the bond, which keeps it available
+     * for rejectSealedBid.
+     * 
+     * Requirements:
+     * - Only tender admins can confirm
+     * - The decryption key must be published
+     * - Bid must be revealed and neither rejected nor already confirmed
+     */
+    function confirmSealedBid(uint256 tenderId, address bidder)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(sealedBidConfigs[tenderId].privateKey != bytes32(0), "Decryption key not published");
+        require(bids[tenderId][bidder].isRevealed, "Bid not revealed");
+        require(!rejectedSealedBids[tenderId][bidder], "Sealed bid rejected");
+        require(!confirmedSealedBids[tenderId][bidder], "Sealed bid already confirmed");
+        
+        confirmedSealedBids[tenderId][bidder] = true;
+        
+        emit SealedBidConfirmed(tenderId, bidder, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Verifies and records a reveal (shared by revealBid and postDecryptedBid)
+     */
+    function _revealBid(
+        uint256 tenderId,
+        address bidder,
+        uint256 bidAmount,
+        string memory nonce
+    ) internal {
+        // Auto-transition to reveal phase if submission deadline passed
+        if (block.timestamp >= tenders[tenderId].submissionDeadline && 
+            tenders[tenderId].phase == TenderPhase.BID_SUBMISSION) {
+            tenders[tenderId].phase = TenderPhase.BID_REVEAL;
+        }
+        
+        require(
+            tenders[tenderId].phase == TenderPhase.BID_REVEAL,
+            "Not in reveal phase"
+        );
+        
+        Bid storage bid = bids[tenderId][bidder];
+        require(bid.commitHash != bytes32(0), "No bid commitment found");
+        require(!bid.isRevealed, "Bid already revealed");
+        require(!rejectedSealedBids[tenderId][bidder], "Sealed bid rejected");
+        
+        // FIX #1: Enforce reveal deadline - reject late reveals
+        // This prevents bidders from waiting to see other bids before revealing
+        require(
+            block.timestamp < tenders[tenderId].revealDeadline,
+            "Reveal deadline has passed"
+        );
+        
+        // Verify the commitment matches the reveal
+        bytes32 computedHash = keccak256(abi.encodePacked(bidAmount, nonce));
+        require(
+            computedHash == bid.commitHash,
+            "Invalid reveal - hash mismatch"
+        );
+        
+        // Store revealed amount
+        bid.revealedAmount = bidAmount;
+        bid.isRevealed = true;
+        bid.revealTimestamp = block.timestamp;
+        
+        // Validate bid against tender requirements
+        if (bidAmount <= tenders[tenderId].maxBudget && bidAmount > 0) {
+            bid.isValid = true;
+        } else {
+            bid.isValid = false;
+        }
+        
+        emit BidRevealed(tenderId, bidder, bidAmount, bid.isValid, block.timestamp);
+    }
+}
@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title ChangeOrderModule
+ * @notice Change orders varying the scope and value of awarded contracts
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract ChangeOrderModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                      CHANGE ORDERS
+    // =============================================================
+    
+    /**
+     * @dev Proposes a change order; the proposer's side counts as signed
+     * @param tenderId The awarded tender
+     * @param milestoneIndexes Unclaimed milestones to re-price, in increasing order
+     * @param newAmounts New payout of each listed milestone (0 removes it)
+     * @param addedDescriptions Descriptions of milestones to add
+     * @param addedAmounts Payouts of milestones to add
+     * @param justificationHash Hash of the change justification document
+     * @return changeOrderId Index in the tender's change-order history
+     * 
+     * Requirements:
+     * - Caller must be the winner or a tender admin
+     * - Tender must be in PAYMENT_PENDING phase
+     * - Listed milestones must be PENDING or REJECTED (not claimed, approved or paid)
+     * - Added milestones need a positive amount
+     * - The resulting value must stay within MAX_CONTRACT_VARIATION of the awarded value
+     * - On a call-off, an increase must fit in the framework's remaining ceiling
+     */
+    function proposeChangeOrder(
+        uint256 tenderId,
+        uint256[] memory milestoneIndexes,
+        uint256[] memory newAmounts,
+        string[] memory addedDescriptions,
+        uint256[] memory addedAmounts,
+        bytes32 justificationHash
+    )
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        onlyAcceptedAward(tenderId)
+        whenNotPaused
+        returns (uint256 changeOrderId)
+    {
+        bool isWinner = msg.sender == tenders[tenderId].winner;
+        require(
+            isWinner || hasRole(TENDER_ADMIN_ROLE, msg.sender),
+            "Only the authority or the winner"
+        );
+        require(justificationHash != bytes32(0), "Justification hash required");
+        
+        changeOrderId = changeOrders[tenderId].length;
+        ChangeOrder storage changeOrder = changeOrders[tenderId].push();
+        changeOrder.proposer = msg.sender;
+        changeOrder.justificationHash = justificationHash;
+        changeOrder.milestoneIndexes = milestoneIndexes;
+        changeOrder.newAmounts = newAmounts;
+        for (uint256 i = 0; i < addedDescriptions.length; i++) {
+            changeOrder.addedDescriptions.push(addedDescriptions[i]);
+        }
+        changeOrder.addedAmounts = addedAmounts;
+        changeOrder.authorityApproved = !isWinner;
+        changeOrder.winnerApproved = isWinner;
+        changeOrder.proposedAt = block.timestamp;
+        changeOrder.newValue = _changeOrderValue(tenderId, changeOrder);
+        
+        emit ChangeOrderProposed(
+            tenderId,
+            changeOrderId,
+            msg.sender,
+            changeOrder.newValue,
+            justificationHash,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev The other party signs a proposed change order, which is then applied
+     * @param tenderId The tender ID
+     * @param changeOrderId The change order to approve
+     * 
+     * The change is re-validated against the current schedule, since other
+     * change orders or claims may have landed since it was proposed. If the
+     * tender is funded, escrow freed by a reduction is credited back to the
+     * treasury; an increase must be paid in with topUpFunding(). On a
+     * call-off the variation is charged to (or released from) the framework
+     * ceiling.
+     * 
+     * Requirements:
+     * - Caller must be the party that has not signed yet (winner or tender admin)
+     * - Change order must be PROPOSED and the tender in PAYMENT_PENDING phase
+     */
+    function approveChangeOrder(uint256 tenderId, uint256 changeOrderId)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        ChangeOrder storage changeOrder = _proposedChangeOrder(tenderId, changeOrderId);
+        if (msg.sender == tenders[tenderId].winner) {
+            require(!changeOrder.winnerApproved, "Already approved by this party");
+            changeOrder.winnerApproved = true;
+        } else {
+            require(hasRole(TENDER_ADMIN_ROLE, msg.sender), "Only the authority or the winner");
+            require(!changeOrder.authorityApproved, "Already approved by this party");
+            changeOrder.authorityApproved = true;
+        }
+        
+        (changeOrder.previousValue, ) = _contractValues(tenders[tenderId]);
+        changeOrder.newValue = _changeOrderValue(tenderId, changeOrder);
+        changeOrder.status = ChangeOrderStatus.APPROVED;
+        changeOrder.decidedAt = block.timestamp;
+        
+        _applyChangeOrder(tenderId, changeOrder);
+        
+        emit ChangeOrderApproved(
+            tenderId,
+            changeOrderId,
+            msg.sender,
+            changeOrder.previousValue,
+            changeOrder.newValue,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Rejects (or, for the proposer, withdraws) a proposed change order
+     * @param tenderId The tender ID
+     * @param changeOrderId The change order to reject
+     * 
+     * Requirements:
+     * - Caller must be the winner or a tender admin
+     * - Change order must be PROPOSED
+     */
+    function rejectChangeOrder(uint256 tenderId, uint256 changeOrderId)
+        external
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(
+            msg.sender == tenders[tenderId].winner || hasRole(TENDER_ADMIN_ROLE, msg.sender),
+            "Only the authority or the winner"
+        );
+        ChangeOrder storage changeOrder = _proposedChangeOrder(tenderId, changeOrderId);
+        changeOrder.status = ChangeOrderStatus.REJECTED;
+        changeOrder.decidedAt = block.timestamp;
+        
+        emit ChangeOrderRejected(tenderId, changeOrderId, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Looks up a change order that is still awaiting a decision
+     */
+    function _proposedChangeOrder(uint256 tenderId, uint256 changeOrderId)
+        internal
+        view
+        returns (ChangeOrder storage changeOrder)
+    {
+        require(changeOrderId < changeOrders[tenderId].length, "Invalid change order");
+        changeOrder = changeOrders[tenderId][changeOrderId];
+        require(changeOrder.status == ChangeOrderStatus.PROPOSED, "Change order not pending");
+    }
+    
+    /**
+     * @dev Validates a change order against the current schedule
+     * @return newValue Contract value once the change is applied
+     */
+    function _changeOrderValue(uint256 tenderId, ChangeOrder storage changeOrder)
+        internal
+        view
+        returns (uint256 newValue)
+    {
+        Tender storage tender = tenders[tenderId];
+        require(
+            changeOrder.milestoneIndexes.length == changeOrder.newAmounts.length &&
+            changeOrder.addedDescriptions.length == changeOrder.addedAmounts.length,
+            "Change order arrays length mismatch"
+        );
+        require(
+            changeOrder.milestoneIndexes.length + changeOrder.addedAmounts.length > 0,
+            "Empty change order"
+        );
+        
+        (uint256 currentValue, ) = _contractValues(tender);
+        newValue = currentValue;
+        for (uint256 i = 0; i < changeOrder.milestoneIndexes.length; i++) {
+            uint256 index = changeOrder.milestoneIndexes[i];
+            require(
+                i == 0 || index > changeOrder.milestoneIndexes[i - 1],
+                "Milestone indexes must be increasing"
+            );
+            require(index < tender.milestones.length, "Invalid milestone index");
+            Milestone storage milestone = tender.milestones[index];
+            require(
+                milestone.status == MilestoneStatus.PENDING ||
+                milestone.status == MilestoneStatus.REJECTED,
+                "Milestone cannot be changed"
+            );
+            newValue = newValue - milestone.payoutAmount + changeOrder.newAmounts[i];
+        }
+        for (uint256 i = 0; i < changeOrder.addedAmounts.length; i++) {
+            require(changeOrder.addedAmounts[i] > 0, "Milestone amount must be positive");
+            newValue += changeOrder.addedAmounts[i];
+        }
+        
+        uint256 awardedValue = bids[tenderId][tender.winner].revealedAmount;
+        uint256 variation = newValue > awardedValue
+            ? newValue - awardedValue
+            : awardedValue - newValue;
+        require(
+            variation * WEIGHT_PRECISION <= awardedValue * MAX_CONTRACT_VARIATION,
+            "Change exceeds contract variation cap"
+        );
+        
+        uint256 frameworkId = callOffFrameworks[tenderId];
+        if (frameworkId != 0 && newValue > currentValue) {
+            FrameworkAgreement storage framework = frameworkAgreements[frameworkId];
+            require(
+                framework.calledOffValue + newValue - currentValue <= framework.ceilingValue,
+                "Framework ceiling exceeded"
+            );
+        }
+    }
+    
+    /**
+     * @dev Applies an approved change order to the milestone schedule,
+     *      re-charges a call-off's framework ceiling and returns escrow
+     *      freed by a reduction to the treasury
+     */
+    function _applyChangeOrder(uint256 tenderId, ChangeOrder storage changeOrder) internal {
+        Tender storage tender = tenders[tenderId];
+        
+        for (uint256 i = 0; i < changeOrder.milestoneIndexes.length; i++) {
+            Milestone storage milestone = tender.milestones[changeOrder.milestoneIndexes[i]];
+            if (changeOrder.newAmounts[i] == 0) {
+                milestone.status = MilestoneStatus.REMOVED;
+                removedMilestoneCounts[tenderId]++;
+            } else {
+                milestone.payoutAmount = changeOrder.newAmounts[i];
+            }
+        }
+        
+        // Added milestones were not budgeted at tender time (amount 0)
+        for (uint256 i = 0; i < changeOrder.addedAmounts.length; i++) {
+            Milestone storage added = tender.milestones.push();
+            added.description = changeOrder.addedDescriptions[i];
+            added.payoutAmount = changeOrder.addedAmounts[i];
+        }
+        
+        // A call-off counts against its framework at its current value
+        uint256 frameworkId = callOffFrameworks[tenderId];
+        if (frameworkId != 0) {
+            FrameworkAgreement storage framework = frameworkAgreements[frameworkId];
+            framework.calledOffValue =
+                framework.calledOffValue + changeOrder.newValue - changeOrder.previousValue;
+        }
+        
+        (, uint256 outstanding) = _contractValues(tender);
+        if (tender.fundedAmount > outstanding) {
+            uint256 surplus = tender.fundedAmount - outstanding;
+            tender.fundedAmount = outstanding;
+            _creditPayment(tender.paymentToken, treasury, surplus);
+            emit FundingReleased(tenderId, surplus, block.timestamp);
+        }
+        
+        _completeIfAllPaid(tenderId);
+    }
+}
@@ -0,0 +1,366 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title DisputeModule
+ * @notice Standstill award challenges and milestone disputes
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract DisputeModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //              STANDSTILL & AWARD CHALLENGES
+    // =============================================================
+    
+    /**
+     * @dev Sets the standstill between award notification and confirmation
+     * @param tenderId The tender ID
+     * @param period Standstill length in seconds (0 = award confirmed at once)
+     * 
+     * Requirements:
+     * - Only tender admins can configure the standstill
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - Period must not exceed MAX_STANDSTILL_PERIOD
+     */
+    function configureStandstill(uint256 tenderId, uint256 period)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(period <= MAX_STANDSTILL_PERIOD, "Standstill period too long");
+        
+        awardStandstills[tenderId].period = period;
+        
+        emit StandstillConfigured(tenderId, period);
+    }
+    
+    /**
+     * @dev Challenges the notified award during the standstill
+     * @param tenderId The tender ID
+     * @param groundsHash Hash of the published grounds of challenge
+     * @return challengeId Index of the challenge in the tender's history
+     * 
+     * Requirements:
+     * - Tender must be in AWARD_PENDING phase, before the standstill ends
+     * - Caller must have a revealed valid bid and not be the notified winner
+     * - Caller must not have challenged this award already
+     * - Grounds hash must be provided
+     */
+    function challengeAward(uint256 tenderId, bytes32 groundsHash)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.AWARD_PENDING)
+        whenNotPaused
+        returns (uint256 challengeId)
+    {
+        AwardStandstill storage standstill = awardStandstills[tenderId];
+        require(block.timestamp < standstill.endsAt, "Standstill period over");
+        Bid storage bid = bids[tenderId][msg.sender];
+        require(bid.isRevealed && bid.isValid, "Only bidders with a valid bid");
+        address awardee = tenders[tenderId].winner;
+        require(msg.sender != awardee, "Winner cannot challenge");
+        require(lastChallengedRound[tenderId][msg.sender] < standstill.round, "Award already challenged");
+        require(groundsHash != bytes32(0), "Grounds hash required");
+        
+        lastChallengedRound[tenderId][msg.sender] = standstill.round;
+        standstill.openChallenges++;
+        
+        challengeId = awardChallenges[tenderId].length;
+        awardChallenges[tenderId].push(AwardChallenge({
+            challenger: msg.sender,
+            awardee: awardee,
+            round: standstill.round,
+            groundsHash: groundsHash,
+            status: AwardChallengeStatus.OPEN,
+            filedAt: block.timestamp,
+            decisionHash: bytes32(0),
+            resolvedAt: 0
+        }));
+        
+        emit AwardChallenged(tenderId, challengeId, msg.sender, awardee, groundsHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Arbitrator resolves every open challenge against the notified award
+     * @param tenderId The tender ID
+     * @param outcome AWARD_CONFIRMED, REEVALUATED or TENDER_CANCELLED
+     * @param decisionHash Hash of the published decision
+     * 
+     * AWARD_CONFIRMED dismisses the challenges; the award is confirmed with
+     * confirmAward() once the standstill is over. REEVALUATED excludes the
+     * notified winner and runs the selection again, which notifies the
+     * next-ranked bidder with a new standstill. TENDER_CANCELLED cancels the
+     * tender with the decision hash as reason, refunding every bid bond.
+     * 
+     * Requirements:
+     * - Only arbitrators without a conflict of interest on the tender can resolve
+     * - Arbitrator must not be the notified winner
+     * - Tender must be in AWARD_PENDING phase with at least one open challenge
+     * - Decision hash must be provided
+     */
+    function resolveAwardChallenges(
+        uint256 tenderId,
+        AwardChallengeStatus outcome,
+        bytes32 decisionHash
+    )
+        external
+        onlyRole(ARBITRATOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        inPhase(tenderId, TenderPhase.AWARD_PENDING)
+        nonReentrant
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(msg.sender != tender.winner, "Arbitrator is a party");
+        AwardStandstill storage standstill = awardStandstills[tenderId];
+        require(standstill.openChallenges > 0, "No open challenge");
+        require(outcome != AwardChallengeStatus.OPEN, "Invalid outcome");
+        require(decisionHash != bytes32(0), "Decision hash required");
+        
+        // Bounded: each bidder challenges at most once per award round, and
+        // every upheld round excludes a bidder (Fix #2)
+        AwardChallenge[] storage challenges = awardChallenges[tenderId];
+        uint256 resolved = standstill.openChallenges;
+        for (uint256 i = challenges.length; i > 0 && challenges[i - 1].round == standstill.round; i--) {
+            AwardChallenge storage challenge = challenges[i - 1];
+            if (challenge.status != AwardChallengeStatus.OPEN) {
+                continue; // Dismissed earlier in the same standstill
+            }
+            challenge.status = outcome;
+            challenge.decisionHash = decisionHash;
+            challenge.resolvedAt = block.timestamp;
+        }
+        standstill.openChallenges = 0;
+        
+        emit AwardChallengesResolved(tenderId, msg.sender, outcome, resolved, decisionHash, block.timestamp);
+        
+        if (outcome == AwardChallengeStatus.REEVALUATED) {
+            excludedFromAward[tenderId][tender.winner] = true;
+            tender.winner = address(0);
+            tender.phase = TenderPhase.WINNER_SELECTION;
+            _selectWinner(tenderId);
+        } else if (outcome == AwardChallengeStatus.TENDER_CANCELLED) {
+            _cancelTender(tenderId, decisionHash);
+        }
+    }
+    
+    /**
+     * @dev Confirms the notified award once the standstill is over
+     * @param tenderId The tender ID
+     * 
+     * Requirements:
+     * - Only tender admins can confirm awards
+     * - Tender must be in AWARD_PENDING phase
+     * - Standstill must be over with no challenge open
+     */
+    function confirmAward(uint256 tenderId)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.AWARD_PENDING)
+        whenNotPaused
+    {
+        AwardStandstill storage standstill = awardStandstills[tenderId];
+        require(block.timestamp >= standstill.endsAt, "Standstill not over");
+        require(standstill.openChallenges == 0, "Award challenge pending");
+        
+        _confirmAward(tenderId);
+    }
+    
+    // =============================================================
+    //                         DISPUTES
+    // =============================================================
+    
+    /**
+     * @dev Raises a dispute over a milestone, freezing it and its funds
+     * @param tenderId The awarded tender
+     * @param milestoneIndex The contested milestone
+     * @param reasonHash Hash of the statement of dispute
+     * 
+     * Requirements:
+     * - Caller must be the winner or a tender admin
+     * - Tender must be in PAYMENT_PENDING phase and funded
+     * - Milestone must be CLAIMED, APPROVED or REJECTED
+     * - Milestone must not have been disputed before
+     */
+    function raiseDispute(uint256 tenderId, uint256 milestoneIndex, bytes32 reasonHash)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(
+            msg.sender == tender.winner || hasRole(TENDER_ADMIN_ROLE, msg.sender),
+            "Only the authority or the winner"
+        );
+        require(tender.fundedAmount > 0, "Tender not funded");
+        require(milestoneIndex < tender.milestones.length, "Invalid milestone index");
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        Milestone storage milestone = tender.milestones[milestoneIndex];
+        require(
+            milestone.status == MilestoneStatus.CLAIMED ||
+            milestone.status == MilestoneStatus.APPROVED ||
+            milestone.status == MilestoneStatus.REJECTED,
+            "Milestone cannot be disputed"
+        );
+        Dispute storage dispute = disputes[tenderId][milestoneIndex];
+        require(dispute.status == DisputeStatus.NONE, "Milestone already disputed");
+        
+        dispute.raisedBy = msg.sender;
+        dispute.reasonHash = reasonHash;
+        dispute.previousStatus = milestone.status;
+        dispute.status = DisputeStatus.OPEN;
+        dispute.raisedAt = block.timestamp;
+        milestone.status = MilestoneStatus.DISPUTED;
+        frozenFunds[tenderId] += milestone.payoutAmount;
+        
+        emit DisputeRaised(
+            tenderId,
+            milestoneIndex,
+            msg.sender,
+            reasonHash,
+            block.timestamp + DISPUTE_RULING_PERIOD,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Arbitrator settles a dispute by splitting the milestone payout
+     * @param tenderId The tender ID
+     * @param milestoneIndex The disputed milestone
+     * @param contractorShare Share of the payout awarded to the contractor (basis points)
+     * @param rulingHash Hash of the published ruling
+     * 
+     * The contractor's share is credited like a milestone payment (retention
+     * is withheld, consortium shares apply); the rest goes back to the
+     * treasury. The ruling replaces any liquidated damages. The milestone
+     * counts as paid.
+     * 
+     * Requirements:
+     * - Only arbitrators without a conflict of interest on the tender can rule
+     * - Arbitrator must not be the winner
+     * - Dispute must be open and within DISPUTE_RULING_PERIOD
+     * - Share must not exceed WEIGHT_PRECISION; ruling hash must be provided
+     * - Tender must hold the milestone's payout (any top-up paid in)
+     */
+    function ruleOnDispute(
+        uint256 tenderId,
+        uint256 milestoneIndex,
+        uint256 contractorShare,
+        bytes32 rulingHash
+    )
+        external
+        onlyRole(ARBITRATOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        nonReentrant
+        whenNotPaused
+    {
+        require(msg.sender != tenders[tenderId].winner, "Arbitrator is a party");
+        Dispute storage dispute = disputes[tenderId][milestoneIndex];
+        require(dispute.status == DisputeStatus.OPEN, "No open dispute");
+        require(
+            block.timestamp < dispute.raisedAt + DISPUTE_RULING_PERIOD,
+            "Ruling period over"
+        );
+        require(contractorShare <= WEIGHT_PRECISION, "Invalid split");
+        require(rulingHash != bytes32(0), "Ruling hash required");
+        
+        dispute.status = DisputeStatus.RULED;
+        dispute.arbitrator = msg.sender;
+        dispute.contractorShare = contractorShare;
+        dispute.rulingHash = rulingHash;
+        dispute.resolvedAt = block.timestamp;
+        
+        _settleDispute(tenderId, milestoneIndex, contractorShare, rulingHash);
+    }
+    
+    /**
+     * @dev Closes a dispute the arbitrator did not rule on in time; the
+     *      milestone returns to its status before the dispute
+     * @param tenderId The tender ID
+     * @param milestoneIndex The disputed milestone
+     * 
+     * Callable by anyone, so a silent arbitrator cannot freeze funds forever.
+     * 
+     * Requirements:
+     * - Dispute must be open and DISPUTE_RULING_PERIOD over
+     */
+    function closeLapsedDispute(uint256 tenderId, uint256 milestoneIndex)
+        external
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        Dispute storage dispute = disputes[tenderId][milestoneIndex];
+        require(dispute.status == DisputeStatus.OPEN, "No open dispute");
+        require(
+            block.timestamp >= dispute.raisedAt + DISPUTE_RULING_PERIOD,
+            "Ruling period not over"
+        );
+        
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        dispute.status = DisputeStatus.LAPSED;
+        dispute.resolvedAt = block.timestamp;
+        milestone.status = dispute.previousStatus;
+        frozenFunds[tenderId] -= milestone.payoutAmount;
+        
+        emit DisputeLapsed(tenderId, milestoneIndex, dispute.previousStatus, block.timestamp);
+    }
+    
+    /**
+     * @dev Pays out a ruled dispute: the contractor's share to the winner,
+     *      the rest to the treasury (kept separate to avoid stack too deep)
+     */
+    function _settleDispute(
+        uint256 tenderId,
+        uint256 milestoneIndex,
+        uint256 contractorShare,
+        bytes32 rulingHash
+    ) internal {
+        Tender storage tender = tenders[tenderId];
+        Milestone storage milestone = tender.milestones[milestoneIndex];
+        uint256 payout = milestone.payoutAmount;
+        require(tender.fundedAmount >= payout, "Top-up required");
+        
+        milestone.status = MilestoneStatus.PAID;
+        milestone.paidAt = block.timestamp;
+        tender.milestonesCompleted++;
+        tender.fundedAmount -= payout;
+        frozenFunds[tenderId] -= payout;
+        _completeIfAllPaid(tenderId);
+        
+        uint256 contractorAmount = (payout * contractorShare) / WEIGHT_PRECISION;
+        if (contractorAmount > 0) {
+            _creditBidder(
+                tenderId,
+                tender.winner,
+                _withholdRetention(tenderId, milestoneIndex, contractorAmount)
+            );
+        }
+        if (payout > contractorAmount) {
+            _creditPayment(tender.paymentToken, treasury, payout - contractorAmount);
+        }
+        
+        emit DisputeRuled(
+            tenderId,
+            milestoneIndex,
+            msg.sender,
+            contractorAmount,
+            payout - contractorAmount,
+            rulingHash,
+            block.timestamp
+        );
+    }
+}
@@ -0,0 +1,297 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title FrameworkModule
+ * @notice Lots and framework agreements with call-offs
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract FrameworkModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                     TENDER MANAGEMENT
+    // =============================================================
+    
+    /**
+     * @dev Adds a lot to an open tender
+     * @param tenderId The parent tender (lot 1)
+     * @param title Lot title (e.g. "Lot 2: street lighting")
+     * @param description Lot requirements
+     * @param maxBudget Maximum acceptable bid for this lot
+     * @param milestoneDescriptions Lot milestone descriptions
+     * @param milestoneAmounts Lot milestone amounts (must sum to maxBudget)
+     * @param milestoneDueAfter Time allowed after award for each lot milestone
+     * @return lotTenderId The ID under which the lot is bid on, awarded and paid
+     * 
+     * The lot copies the parent's deadlines, bid bond, payment token,
+     * evaluation rules, guarantee terms and liquidated damages; these and sealed-bid mode can then
+     * be configured per lot.
+     * 
+     * Requirements:
+     * - Only tender admins can add lots
+     * - Parent must be in BID_SUBMISSION phase, before the submission deadline
+     * - Parent must not itself be a lot
+     * - Same budget and milestone rules as createTender
+     */
+    function addLot(
+        uint256 tenderId,
+        string memory title,
+        string memory description,
+        uint256 maxBudget,
+        string[] memory milestoneDescriptions,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    )
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+        returns (uint256 lotTenderId)
+    {
+        require(parentTenders[tenderId] == 0, "Lots cannot have lots");
+        
+        return _createLot(
+            tenderId,
+            title,
+            description,
+            maxBudget,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
+        );
+    }
+    
+    /**
+     * @dev Creates a lot's tender record with its parent's deadlines, bid bond,
+     * payment token, evaluation rules, guarantee terms and liquidated damages,
+     * and links it to the parent
+     * (kept separate from addLot to avoid stack too deep)
+     */
+    function _createLot(
+        uint256 tenderId,
+        string memory title,
+        string memory description,
+        uint256 maxBudget,
+        string[] memory milestoneDescriptions,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    ) internal returns (uint256) {
+        Tender storage parent = tenders[tenderId];
+        uint256 lotTenderId = _createTender(
+            title,
+            description,
+            maxBudget,
+            parent.submissionDeadline - block.timestamp,
+            parent.revealDeadline - parent.submissionDeadline,
+            parent.bidBond,
+            parent.paymentToken,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
+        );
+        parentTenders[lotTenderId] = tenderId;
+        tenderLots[tenderId].push(lotTenderId);
+        evaluationConfigs[lotTenderId] = evaluationConfigs[tenderId];
+        guaranteeTerms[lotTenderId] = guaranteeTerms[tenderId];
+        liquidatedDamagesTerms[lotTenderId] = liquidatedDamagesTerms[tenderId];
+        awardStandstills[lotTenderId].period = awardStandstills[tenderId].period;
+        awardAcceptances[lotTenderId].period = awardAcceptances[tenderId].period;
+        
+        emit LotAdded(tenderId, lotTenderId, tenderLots[tenderId].length + 1);
+        return lotTenderId;
+    }
+    
+    // =============================================================
+    //                   FRAMEWORK AGREEMENTS
+    // =============================================================
+    
+    /**
+     * @dev Turns a tender into a framework agreement
+     * @param tenderId The tender ID
+     * @param maxSuppliers Number of top-ranked bidders admitted at award
+     * @param ceilingValue Maximum total value of call-off orders (in paymentToken)
+     * @param duration Agreement lifetime from the award (seconds)
+     * 
+     * The tender's budget and milestones describe the reference order that
+     * bidders price; the work itself is ordered and paid through call-offs.
+     * 
+     * Requirements:
+     * - Only tender admins can configure frameworks
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - maxSuppliers between 1 and MAX_FRAMEWORK_SUPPLIERS
+     * - Ceiling and duration must be positive
+     */
+    function configureFramework(
+        uint256 tenderId,
+        uint256 maxSuppliers,
+        uint256 ceilingValue,
+        uint256 duration
+    )
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(
+            maxSuppliers > 0 && maxSuppliers <= MAX_FRAMEWORK_SUPPLIERS,
+            "Invalid supplier count"
+        );
+        require(ceilingValue > 0, "Ceiling value required");
+        require(duration > 0, "Framework duration required");
+        
+        FrameworkAgreement storage framework = frameworkAgreements[tenderId];
+        framework.maxSuppliers = maxSuppliers;
+        framework.ceilingValue = ceilingValue;
+        framework.duration = duration;
+        
+        emit FrameworkConfigured(tenderId, maxSuppliers, ceilingValue, duration);
+    }
+    
+    /**
+     * @dev Issues a call-off order to a framework supplier
+     * @param frameworkId The framework tender ID
+     * @param supplier Admitted supplier receiving the order
+     * @param title Call-off title
+     * @param description Call-off requirements
+     * @param milestoneDescriptions Call-off milestone descriptions
+     * @param milestoneAmounts Call-off milestone amounts (their sum is the order value)
+     * @param milestoneDueAfter Time allowed after issue for each call-off milestone
+     * @return callOffId The ID under which the call-off is funded and paid
+     * 
+     * The call-off starts in PAYMENT_PENDING with the supplier as winner and
+     * the order value recorded as its revealed bid, so fundTender and the
+     * milestone flow apply unchanged. A consortium supplier's shares and the
+     * framework's guarantee terms and liquidated damages carry over.
+     * 
+     * Requirements:
+     * - Only tender admins can issue call-offs
+     * - Framework must be active and not expired
+     * - Supplier must be admitted, still registered and not debarred
+     * - Total call-off value must stay within the framework ceiling
+     */
+    function issueCallOff(
+        uint256 frameworkId,
+        address supplier,
+        string memory title,
+        string memory description,
+        string[] memory milestoneDescriptions,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    )
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(frameworkId)
+        inPhase(frameworkId, TenderPhase.FRAMEWORK_ACTIVE)
+        whenNotPaused
+        returns (uint256 callOffId)
+    {
+        require(
+            block.timestamp < frameworkAgreements[frameworkId].expiresAt,
+            "Framework expired"
+        );
+        require(isFrameworkSupplier[frameworkId][supplier], "Supplier not in framework");
+        require(_isActiveBidder(supplier), "Supplier not eligible");
+        require(
+            !isCompanyDebarred(bidderProfiles[supplier].registrationNumberHash),
+            "Company debarred"
+        );
+        
+        callOffId = _createCallOff(
+            frameworkId,
+            title,
+            description,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
+        );
+        _awardCallOff(frameworkId, callOffId, supplier);
+    }
+    
+    /**
+     * @dev Creates a call-off's tender record for the order value
+     * (kept separate from issueCallOff to avoid stack too deep)
+     */
+    function _createCallOff(
+        uint256 frameworkId,
+        string memory title,
+        string memory description,
+        string[] memory milestoneDescriptions,
+        uint256[] memory milestoneAmounts,
+        uint256[] memory milestoneDueAfter
+    ) internal returns (uint256) {
+        return _createTender(
+            title,
+            description,
+            _orderValue(milestoneAmounts),
+            1,
+            1,
+            0,
+            tenders[frameworkId].paymentToken,
+            milestoneDescriptions,
+            milestoneAmounts,
+            milestoneDueAfter
+        );
+    }
+    
+    /**
+     * @dev Total value of an order (sum of its milestone amounts)
+     */
+    function _orderValue(uint256[] memory milestoneAmounts) internal pure returns (uint256 value) {
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            value += milestoneAmounts[i];
+        }
+    }
+    
+    /**
+     * @dev Charges a new call-off to the framework ceiling and awards it to
+     * the supplier straight away, without competition
+     */
+    function _awardCallOff(uint256 frameworkId, uint256 callOffId, address supplier) internal {
+        Tender storage callOff = tenders[callOffId];
+        uint256 value = callOff.maxBudget;
+        FrameworkAgreement storage framework = frameworkAgreements[frameworkId];
+        require(
+            framework.calledOffValue + value <= framework.ceilingValue,
+            "Framework ceiling exceeded"
+        );
+        framework.calledOffValue += value;
+        
+        callOff.submissionDeadline = block.timestamp;
+        callOff.revealDeadline = block.timestamp;
+        callOff.winner = supplier;
+        callOff.phase = TenderPhase.PAYMENT_PENDING;
+        _rescaleMilestones(callOff, value);
+        _scheduleMilestones(callOff);
+        
+        Bid storage order = bids[callOffId][supplier];
+        order.revealedAmount = value;
+        order.isRevealed = true;
+        order.isValid = true;
+        order.revealTimestamp = block.timestamp;
+        
+        Consortium storage consortium = consortia[frameworkId][supplier];
+        if (consortium.members.length > 0) {
+            consortia[callOffId][supplier] = consortium;
+            for (uint256 i = 0; i < consortium.members.length; i++) {
+                consortiumLeads[callOffId][consortium.members[i]] = supplier;
+            }
+        }
+        
+        callOffFrameworks[callOffId] = frameworkId;
+        frameworkCallOffs[frameworkId].push(callOffId);
+        guaranteeTerms[callOffId] = guaranteeTerms[frameworkId];
+        liquidatedDamagesTerms[callOffId] = liquidatedDamagesTerms[frameworkId];
+        
+        emit CallOffIssued(frameworkId, callOffId, supplier, value, block.timestamp);
+    }
+}
@@ -0,0 +1,429 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title GuaranteeModule
+ * @notice Retention, performance bonds, liquidated damages and termination for default
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract GuaranteeModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //              RETENTION & PERFORMANCE BONDS
+    // =============================================================
+    
+    /**
+     * @dev Sets the retention and performance bond terms of a tender
+     * @param tenderId The tender ID
+     * @param retentionRate Share of each milestone payment withheld (basis points)
+     * @param performanceBondRate Bond due from the winner (basis points of the winning bid)
+     * @param defectsLiabilityPeriod Time after completion before both are released
+     * 
+     * Requirements:
+     * - Only tender admins can configure guarantees
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - Rates must not exceed MAX_GUARANTEE_RATE
+     * - A defects-liability period is required when either rate is set
+     */
+    function configureGuarantees(
+        uint256 tenderId,
+        uint256 retentionRate,
+        uint256 performanceBondRate,
+        uint256 defectsLiabilityPeriod
+    )
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(
+            retentionRate <= MAX_GUARANTEE_RATE && performanceBondRate <= MAX_GUARANTEE_RATE,
+            "Guarantee rate too high"
+        );
+        require(
+            defectsLiabilityPeriod > 0 || (retentionRate == 0 && performanceBondRate == 0),
+            "Defects liability period required"
+        );
+        
+        guaranteeTerms[tenderId] = GuaranteeTerms({
+            retentionRate: retentionRate,
+            performanceBondRate: performanceBondRate,
+            defectsLiabilityPeriod: defectsLiabilityPeriod
+        });
+        
+        emit GuaranteesConfigured(
+            tenderId,
+            retentionRate,
+            performanceBondRate,
+            defectsLiabilityPeriod
+        );
+    }
+    
+    /**
+     * @dev Winner deposits the performance bond in the tender's payment currency
+     * @param tenderId The tender ID
+     * 
+     * ETH tenders send the bond as msg.value; token tenders pull it with
+     * transferFrom, so the winner approves the contract first.
+     * 
+     * Requirements:
+     * - Only the winner can deposit
+     * - Tender must be in PAYMENT_PENDING phase and require a bond
+     * - Bond must not be deposited yet
+     * - Amount must equal performanceBondRate × winning bid
+     */
+    function depositPerformanceBond(uint256 tenderId)
+        external
+        payable
+        tenderExists(tenderId)
+        onlyWinner(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        onlyAcceptedAward(tenderId)
+        nonReentrant
+        whenNotPaused
+    {
+        uint256 rate = guaranteeTerms[tenderId].performanceBondRate;
+        require(rate > 0, "No performance bond required");
+        Guarantees storage held = guarantees[tenderId];
+        require(held.bondDepositedAt == 0, "Performance bond already deposited");
+        
+        uint256 amount = (bids[tenderId][msg.sender].revealedAmount * rate) / WEIGHT_PRECISION;
+        _collectFunding(tenders[tenderId].paymentToken, amount, "Must deposit exact bond amount");
+        held.performanceBond = amount;
+        held.bondDepositedAt = block.timestamp;
+        
+        emit PerformanceBondDeposited(tenderId, msg.sender, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Releases the retention and performance bond once the
+     *      defects-liability period after completion has run
+     * @param tenderId The tender ID
+     * 
+     * Callable by anyone, like releaseMilestonePayment. Retention is split
+     * across consortium members like the payments it was withheld from; the
+     * bond goes back to the winner who deposited it. A contract terminated
+     * for default has nothing to release: its guarantees are forfeited.
+     * 
+     * Requirements:
+     * - Tender must be COMPLETED and the defects-liability period over
+     * - Something must still be held
+     */
+    function releaseGuarantees(uint256 tenderId)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.COMPLETED)
+        nonReentrant
+        whenNotPaused
+    {
+        Guarantees storage held = guarantees[tenderId];
+        require(block.timestamp >= held.releasableAt, "Defects liability period not over");
+        uint256 retention = held.retentionHeld;
+        uint256 performanceBond = held.performanceBond;
+        require(retention > 0 || performanceBond > 0, "Nothing to release");
+        
+        held.retentionHeld = 0;
+        held.performanceBond = 0;
+        
+        Tender storage tender = tenders[tenderId];
+        if (retention > 0) {
+            _creditBidder(tenderId, tender.winner, retention);
+        }
+        if (performanceBond > 0) {
+            _creditPayment(tender.paymentToken, tender.winner, performanceBond);
+        }
+        
+        emit GuaranteesReleased(tenderId, tender.winner, retention, performanceBond, block.timestamp);
+    }
+    
+    /**
+     * @dev Forfeits the retention and/or performance bond to the treasury
+     * @param tenderId The tender ID
+     * @param forfeitRetention Whether to forfeit the retention held
+     * @param forfeitBond Whether to forfeit the performance bond
+     * @param reasonHash Hash of the defect report or default notice
+     * 
+     * Requirements:
+     * - Only tender admins can forfeit
+     * - Reason hash must be provided
+     * - The contract must be completed and still in its defects-liability
+     *   period (terminateForDefault forfeits both itself)
+     * - Something must still be held (not yet released or refunded)
+     */
+    function forfeitGuarantees(
+        uint256 tenderId,
+        bool forfeitRetention,
+        bool forfeitBond,
+        bytes32 reasonHash
+    )
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(reasonHash != bytes32(0), "Reason hash required");
+        Guarantees storage held = guarantees[tenderId];
+        require(block.timestamp < held.releasableAt, "Not in defects liability period");
+        uint256 retention = forfeitRetention ? held.retentionHeld : 0;
+        uint256 performanceBond = forfeitBond ? held.performanceBond : 0;
+        require(retention > 0 || performanceBond > 0, "Nothing to forfeit");
+        
+        held.retentionHeld -= retention;
+        held.performanceBond -= performanceBond;
+        held.forfeitReasonHash = reasonHash;
+        _creditPayment(tenders[tenderId].paymentToken, treasury, retention + performanceBond);
+        
+        emit GuaranteeForfeited(tenderId, retention, performanceBond, reasonHash, block.timestamp);
+    }
+    
+    // =============================================================
+    //                   LIQUIDATED DAMAGES
+    // =============================================================
+    
+    /**
+     * @dev Sets the liquidated damages deducted from late milestone payments
+     * @param tenderId The tender ID
+     * @param dailyRate Deduction per day late (basis points of the milestone payout)
+     * @param cap Maximum deduction per milestone (basis points of the payout)
+     * 
+     * A milestone is late when its latest claim is submitted after its due
+     * date; every started day counts. Milestones without a due date are
+     * never late.
+     * 
+     * Requirements:
+     * - Only tender admins can configure liquidated damages
+     * - Tender must be in BID_SUBMISSION phase with no bid committed yet
+     * - Cap must not exceed MAX_LIQUIDATED_DAMAGES
+     * - Both values are set, or both are 0 (no damages)
+     */
+    function configureLiquidatedDamages(uint256 tenderId, uint256 dailyRate, uint256 cap)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        require(tenderBidders[tenderId].length == 0, "Bidding rules locked after first bid");
+        require(cap <= MAX_LIQUIDATED_DAMAGES, "Damages cap too high");
+        require((dailyRate == 0) == (cap == 0), "Daily rate and cap required together");
+        
+        liquidatedDamagesTerms[tenderId] = LiquidatedDamagesTerms({
+            dailyRate: dailyRate,
+            cap: cap
+        });
+        
+        emit LiquidatedDamagesConfigured(tenderId, dailyRate, cap);
+    }
+    
+    // =============================================================
+    //                  TERMINATION FOR DEFAULT
+    // =============================================================
+    
+    /**
+     * @dev Terminates an awarded contract for the winner's default
+     * @param tenderId The awarded tender
+     * @param reasonHash Hash of the default notice
+     * 
+     * Settlement, all as pull payments:
+     * - Approved milestones are paid to the contractor as releaseMilestonePayment
+     *   would (liquidated damages deducted, retention withheld), as far as the
+     *   funding covers them; the rest is recorded as a liability the treasurer
+     *   settles with settleTerminationLiability
+     * - Unspent funding goes back to the treasury
+     * - Any performance bond and all retention held are forfeited to the treasury
+     * A terminated call-off releases the value of its undelivered milestones
+     * back to the framework ceiling.
+     * 
+     * Requirements:
+     * - Only tender admins can terminate
+     * - Tender must be in PAYMENT_PENDING phase
+     * - No milestone may be under dispute
+     * - Reason hash must be provided
+     */
+    function terminateForDefault(uint256 tenderId, bytes32 reasonHash)
+        external
+        onlyRole(TENDER_ADMIN_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        nonReentrant
+        whenNotPaused
+    {
+        require(reasonHash != bytes32(0), "Reason hash required");
+        require(frozenFunds[tenderId] == 0, "Milestone under dispute");
+        
+        Tender storage tender = tenders[tenderId];
+        Termination storage termination = terminations[tenderId];
+        termination.contractor = tender.winner;
+        termination.terminatedBy = msg.sender;
+        termination.reasonHash = reasonHash;
+        termination.terminatedAt = block.timestamp;
+        uint256 milestonesOwed;
+        (termination.milestonesSettled, termination.settledAmount, milestonesOwed) =
+            _settleApprovedMilestones(tenderId);
+        tender.phase = TenderPhase.TERMINATED;
+        
+        if (milestonesOwed > 0) {
+            termination.unfundedLiability = _approvedPayouts(tender);
+            emit TerminationLiabilityRecorded(
+                tenderId,
+                milestonesOwed,
+                termination.unfundedLiability,
+                block.timestamp
+            );
+        }
+        
+        // Return the unspent funding to the treasury
+        termination.refundedAmount = tender.fundedAmount;
+        if (tender.fundedAmount > 0) {
+            tender.fundedAmount = 0;
+            _creditPayment(tender.paymentToken, treasury, termination.refundedAmount);
+        }
+        
+        // Forfeit the performance bond and the retention held
+        Guarantees storage held = guarantees[tenderId];
+        termination.bondForfeited = held.performanceBond;
+        termination.retentionForfeited = held.retentionHeld;
+        if (held.performanceBond > 0 || held.retentionHeld > 0) {
+            held.performanceBond = 0;
+            held.retentionHeld = 0;
+            held.forfeitReasonHash = reasonHash;
+            _creditPayment(
+                tender.paymentToken,
+                treasury,
+                termination.bondForfeited + termination.retentionForfeited
+            );
+        }
+        
+        _releaseCallOffValue(tenderId);
+        
+        emit TenderTerminated(
+            tenderId,
+            termination.contractor,
+            msg.sender,
+            reasonHash,
+            termination.milestonesSettled,
+            termination.settledAmount,
+            termination.refundedAmount,
+            termination.bondForfeited,
+            termination.retentionForfeited,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Treasurer pays in the approved payouts a termination left unfunded,
+     *      which are then credited to the terminated contractor
+     * @param tenderId The terminated tender
+     * 
+     * The retention withheld from these payouts is forfeited to the treasury,
+     * like the retention held at termination.
+     * 
+     * Requirements:
+     * - Only treasurers can settle
+     * - Tender must be in TERMINATED phase with a liability outstanding
+     * - Amount must equal the liability
+     */
+    function settleTerminationLiability(uint256 tenderId)
+        external
+        payable
+        onlyRole(TREASURER_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.TERMINATED)
+        nonReentrant
+        whenNotPaused
+    {
+        Termination storage termination = terminations[tenderId];
+        uint256 amount = termination.unfundedLiability;
+        require(amount > 0, "No liability outstanding");
+        
+        Tender storage tender = tenders[tenderId];
+        _collectFunding(tender.paymentToken, amount, "Must fund exact liability amount");
+        termination.unfundedLiability = 0;
+        tender.fundedAmount = amount;
+        
+        (uint256 count, uint256 settled, ) = _settleApprovedMilestones(tenderId);
+        termination.milestonesSettled += count;
+        termination.settledAmount += settled;
+        
+        Guarantees storage held = guarantees[tenderId];
+        uint256 retention = held.retentionHeld;
+        if (retention > 0) {
+            held.retentionHeld = 0;
+            termination.retentionForfeited += retention;
+            _creditPayment(tender.paymentToken, treasury, retention);
+        }
+        
+        emit TerminationLiabilitySettled(tenderId, msg.sender, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Pays out every approved milestone the funding still covers
+     * @return count Milestones settled
+     * @return settled Total credited to the contractor
+     * @return owed Approved milestones left unpaid for lack of funding
+     */
+    function _settleApprovedMilestones(uint256 tenderId)
+        internal
+        returns (uint256 count, uint256 settled, uint256 owed)
+    {
+        Tender storage tender = tenders[tenderId];
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            Milestone storage milestone = tender.milestones[i];
+            if (milestone.status != MilestoneStatus.APPROVED) {
+                continue;
+            }
+            if (tender.fundedAmount < milestone.payoutAmount) {
+                owed++;
+                continue;
+            }
+            
+            milestone.status = MilestoneStatus.PAID;
+            milestone.paidAt = block.timestamp;
+            tender.milestonesCompleted++;
+            tender.fundedAmount -= milestone.payoutAmount;
+            
+            uint256 netPayout = _deductLiquidatedDamages(tenderId, i);
+            netPayout = _withholdRetention(tenderId, i, netPayout);
+            _creditBidder(tenderId, tender.winner, netPayout);
+            
+            emit MilestonePaymentReleased(tenderId, i, tender.winner, netPayout, block.timestamp);
+            count++;
+            settled += netPayout;
+        }
+    }
+    
+    /**
+     * @dev Sum of the payouts of approved, unpaid milestones
+     */
+    function _approvedPayouts(Tender storage tender) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < tender.milestones.length; i++) {
+            if (tender.milestones[i].status == MilestoneStatus.APPROVED) {
+                total += tender.milestones[i].payoutAmount;
+            }
+        }
+    }
+    
+    /**
+     * @dev Gives the undelivered value of a terminated call-off back to its
+     * framework ceiling
+     */
+    function _releaseCallOffValue(uint256 tenderId) internal {
+        uint256 frameworkId = callOffFrameworks[tenderId];
+        if (frameworkId == 0) {
+            return;
+        }
+        // Charged at its value after any change orders, of which the paid
+        // milestones and those still owed were delivered
+        (, uint256 outstanding) = _contractValues(tenders[tenderId]);
+        frameworkAgreements[frameworkId].calledOffValue -=
+            outstanding - terminations[tenderId].unfundedLiability;
+    }
+}
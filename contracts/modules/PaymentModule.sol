@@ -0,0 +1,403 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title PaymentModule
+ * @notice Funding, milestone claims and payments, and pull-payment withdrawals
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract PaymentModule is ProcurementBase {
+    using SafeERC20 for IERC20;
+    
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                    PAYMENT MANAGEMENT
+    // =============================================================
+    
+    /**
+     * @dev Treasurer funds the tender in its payment currency
+     * @param tenderId The tender to fund
+     * 
+     * The amount is the contract value: the winning bid, as amended by any
+     * change order approved before funding.
+     * 
+     * Security:
+     * - Validates payment amount matches winner's bid
+     * - Only allows funding after winner selection
+     * - ETH tenders: uses msg.value for secure ETH transfer
+     * - Token tenders: SafeERC20 transferFrom of the winning bid, which the
+     *   treasurer must have approved beforehand; the received amount is
+     *   checked so fee-on-transfer tokens cannot underfund the escrow
+     * 
+     * Requirements:
+     * - Only treasurers can fund
+     * - Winner must be selected and tender not cancelled
+     * - Amount must equal winner's bid
+     * - No ETH may be sent with a token tender
+     */
+    function fundTender(uint256 tenderId)
+        external
+        payable
+        onlyRole(TREASURER_ROLE)
+        tenderExists(tenderId)
+        onlyAcceptedAward(tenderId)
+        nonReentrant
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(tender.winner != address(0), "Winner not selected yet");
+        require(
+            tender.fundedAmount == 0 && tender.milestonesCompleted == 0,
+            "Tender already funded"
+        );
+        
+        require(tender.phase == TenderPhase.PAYMENT_PENDING, "Invalid tender phase");
+        
+        (uint256 contractValue, ) = _contractValues(tender);
+        _collectFunding(tender.paymentToken, contractValue, "Must fund exact winning bid amount");
+        
+        tender.fundedAmount = contractValue;
+        
+        emit TenderFunded(tenderId, contractValue, block.timestamp);
+    }
+    
+    /**
+     * @dev Treasurer pays in the extra value added by approved change orders
+     * @param tenderId The tender ID
+     * 
+     * Requirements:
+     * - Only treasurers can top up
+     * - Tender must be in PAYMENT_PENDING phase and already funded
+     * - Amount must equal the unfunded value of the unpaid milestones
+     */
+    function topUpFunding(uint256 tenderId)
+        external
+        payable
+        onlyRole(TREASURER_ROLE)
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        nonReentrant
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(
+            tender.fundedAmount > 0 || tender.milestonesCompleted > 0,
+            "Tender not funded"
+        );
+        (, uint256 outstanding) = _contractValues(tender);
+        require(outstanding > tender.fundedAmount, "No top-up required");
+        
+        uint256 amount = outstanding - tender.fundedAmount;
+        _collectFunding(tender.paymentToken, amount, "Must fund exact top-up amount");
+        tender.fundedAmount = outstanding;
+        
+        emit FundingToppedUp(tenderId, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Winner claims a milestone is complete
+     * @param tenderId The tender ID
+     * @param milestoneIndex Index of the completed milestone
+     * @param evidenceHash Hash of the delivery evidence (reports, photos, etc.)
+     * 
+     * Requirements:
+     * - Only the tender winner can claim
+     * - Tender must be in PAYMENT_PENDING phase
+     * - Performance bond must be deposited if the tender requires one
+     * - Milestone must be PENDING or REJECTED (re-claim after rejection)
+     * - Evidence hash must be provided
+     */
+    function submitMilestoneClaim(uint256 tenderId, uint256 milestoneIndex, bytes32 evidenceHash)
+        external
+        tenderExists(tenderId)
+        onlyWinner(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        onlyAcceptedAward(tenderId)
+        whenNotPaused
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        require(evidenceHash != bytes32(0), "Evidence hash required");
+        require(
+            guaranteeTerms[tenderId].performanceBondRate == 0 ||
+            guarantees[tenderId].bondDepositedAt > 0,
+            "Performance bond not deposited"
+        );
+        
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        require(
+            milestone.status == MilestoneStatus.PENDING ||
+            milestone.status == MilestoneStatus.REJECTED,
+            "Milestone cannot be claimed"
+        );
+        
+        milestone.status = MilestoneStatus.CLAIMED;
+        milestone.claimEvidenceHash = evidenceHash;
+        milestone.claimedAt = block.timestamp;
+        
+        emit MilestoneClaimSubmitted(
+            tenderId,
+            milestoneIndex,
+            msg.sender,
+            evidenceHash,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Auditor rejects a milestone claim
+     * @param tenderId The tender ID
+     * @param milestoneIndex Index of the claimed milestone
+     * @param reasonHash Hash of the rejection reason document
+     * 
+     * Requirements:
+     * - Only auditors without a conflict of interest on the tender can reject claims
+     * - Milestone must be CLAIMED
+     * - Reason hash must be provided
+     */
+    function rejectMilestoneClaim(uint256 tenderId, uint256 milestoneIndex, bytes32 reasonHash)
+        external
+        onlyRole(AUDITOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        require(milestone.status == MilestoneStatus.CLAIMED, "Milestone not claimed");
+        
+        milestone.status = MilestoneStatus.REJECTED;
+        milestone.rejectionReasonHash = reasonHash;
+        
+        emit MilestoneClaimRejected(
+            tenderId,
+            milestoneIndex,
+            msg.sender,
+            reasonHash,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Auditor approves a claimed milestone for payment
+     * @param tenderId The tender ID
+     * @param milestoneIndex Index of the milestone to approve
+     * @param evidenceHash Hash of the inspection report / acceptance evidence
+     * 
+     * Requirements:
+     * - Only auditors without a conflict of interest on the tender can approve milestones
+     * - Tender must be in PAYMENT_PENDING phase
+     * - Milestone must be CLAIMED by the winner
+     * - Evidence hash must be provided
+     */
+    function approveMilestone(uint256 tenderId, uint256 milestoneIndex, bytes32 evidenceHash)
+        external
+        onlyRole(AUDITOR_ROLE)
+        tenderExists(tenderId)
+        noConflictOfInterest(tenderId)
+        inPhase(tenderId, TenderPhase.PAYMENT_PENDING)
+        whenNotPaused
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        require(evidenceHash != bytes32(0), "Evidence hash required");
+        
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        require(milestone.status != MilestoneStatus.APPROVED, "Milestone already approved");
+        require(milestone.status != MilestoneStatus.PAID, "Milestone already paid");
+        require(milestone.status == MilestoneStatus.CLAIMED, "Milestone not claimed");
+        
+        milestone.status = MilestoneStatus.APPROVED;
+        milestone.approvedBy = msg.sender;
+        milestone.approvalTimestamp = block.timestamp;
+        milestone.evidenceHash = evidenceHash;
+        
+        emit MilestoneApproved(
+            tenderId,
+            milestoneIndex,
+            msg.sender,
+            evidenceHash,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Release payment for an auditor-approved milestone
+     * @param tenderId The tender ID
+     * @param milestoneIndex Index of the milestone to pay
+     * 
+     * FIX #3 APPLIED: nonReentrant modifier for defense-in-depth
+     * 
+     * Security Features:
+     * - nonReentrant: Prevents reentrancy attacks (OpenZeppelin)
+     * - CEI Pattern: Checks-Effects-Interactions ordering
+     * - No external call: payout is credited, not pushed
+     * 
+     * Callable by anyone: the auditor's approval is the authorization, so the
+     * contractor does not depend on a second key to trigger the transfer.
+     * 
+     * The payout, less any liquidated damages for late delivery and any
+     * retention, is credited to the winner's withdrawable balance (pull
+     * payment); the winner collects it with withdraw() or withdrawToken().
+     * Liquidated damages go back to the treasury that funded the tender.
+     * 
+     * Requirements:
+     * - Tender must be funded, including any top-up the payout depends on
+     * - Milestone must be approved by an auditor
+     * - Milestone must not be already paid
+     * - Milestone index must be valid
+     */
+    function releaseMilestonePayment(uint256 tenderId, uint256 milestoneIndex)
+        external
+        tenderExists(tenderId)
+        nonReentrant  // OpenZeppelin: Prevents reentrancy attacks
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        require(tender.winner != address(0), "No winner selected");
+        require(tender.fundedAmount > 0, "Tender not funded");
+        require(
+            tender.phase == TenderPhase.PAYMENT_PENDING,
+            "Not in payment phase"
+        );
+        require(
+            milestoneIndex < tender.milestones.length,
+            "Invalid milestone index"
+        );
+        
+        Milestone storage milestone = tender.milestones[milestoneIndex];
+        require(milestone.status != MilestoneStatus.PAID, "Milestone already paid");
+        require(milestone.status == MilestoneStatus.APPROVED, "Milestone not approved yet");
+        require(tender.fundedAmount >= milestone.payoutAmount, "Top-up required");
+        
+        // EFFECTS: Update state BEFORE external call (CEI pattern)
+        milestone.status = MilestoneStatus.PAID;
+        milestone.paidAt = block.timestamp;
+        tender.milestonesCompleted++;
+        tender.fundedAmount -= milestone.payoutAmount;
+        
+        // Check if all milestones completed
+        _completeIfAllPaid(tenderId);
+        
+        uint256 netPayout = _deductLiquidatedDamages(tenderId, milestoneIndex);
+        netPayout = _withholdRetention(tenderId, milestoneIndex, netPayout);
+        _creditBidder(tenderId, tender.winner, netPayout);
+        
+        emit MilestonePaymentReleased(
+            tenderId,
+            milestoneIndex,
+            tender.winner,
+            netPayout,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Emergency withdrawal of funds to the treasury (treasurer only)
+     * @param tenderId The tender ID
+     * 
+     * FIX #3 APPLIED: nonReentrant modifier added for defense-in-depth
+     * 
+     * Security Layers:
+     * 1. Pull payment: Funds credited to the treasury, collected via withdraw()
+     *    or withdrawToken()
+     * 2. nonReentrant: OpenZeppelin ReentrancyGuard protection
+     * 3. onlyRole: Access control via OpenZeppelin AccessControl
+     * 4. whenNotPaused: Circuit breaker via OpenZeppelin Pausable
+     * 
+     * Use Cases:
+     * - Winner abandons project
+     * - Critical bug discovered
+     * - Legal/regulatory requirements
+     * 
+     * Requirements:
+     * - Only treasurers can withdraw
+     * - Tender must have funds not frozen by a dispute
+     * - Tender must be completed or deadline + 30 days passed
+     */
+    function emergencyWithdraw(uint256 tenderId)
+        external
+        onlyRole(TREASURER_ROLE)
+        tenderExists(tenderId)
+        nonReentrant  // FIX #3: Add ReentrancyGuard protection for defense-in-depth
+        whenNotPaused
+    {
+        Tender storage tender = tenders[tenderId];
+        uint256 frozen = frozenFunds[tenderId];
+        require(tender.fundedAmount > frozen, "No funds to withdraw");
+        require(
+            tender.phase == TenderPhase.COMPLETED || 
+            block.timestamp > tender.revealDeadline + 30 days,
+            "Cannot withdraw - tender still active"
+        );
+        
+        uint256 amount = tender.fundedAmount - frozen;
+        
+        tender.fundedAmount = frozen;
+        _creditPayment(tender.paymentToken, treasury, amount);
+        
+        emit EmergencyWithdrawal(tenderId, treasury, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw all ETH credited to the caller (pull payment)
+     * 
+     * Security:
+     * - nonReentrant: OpenZeppelin ReentrancyGuard protection
+     * - CEI Pattern: Balance zeroed before external call
+     * 
+     * Requirements:
+     * - Caller must have a positive withdrawable balance
+     */
+    function withdraw() external nonReentrant whenNotPaused {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+        
+        // EFFECTS: Update state BEFORE external call (CEI pattern)
+        pendingWithdrawals[msg.sender] = 0;
+        
+        // INTERACTIONS: External call AFTER state changes
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Withdrawal failed");
+        
+        emit PaymentWithdrawn(msg.sender, address(0), amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw all of an ERC-20 credited to the caller (pull payment)
+     * @param token The ERC-20 to withdraw
+     * 
+     * Security:
+     * - nonReentrant: OpenZeppelin ReentrancyGuard protection
+     * - CEI Pattern: Balance zeroed before the token transfer
+     * - SafeERC20: Reverts on tokens that return false
+     * 
+     * Requirements:
+     * - Caller must have a positive withdrawable balance in this token
+     */
+    function withdrawToken(address token) external nonReentrant whenNotPaused {
+        uint256 amount = pendingTokenWithdrawals[token][msg.sender];
+        require(amount > 0, "No funds to withdraw");
+        
+        pendingTokenWithdrawals[token][msg.sender] = 0;
+        IERC20(token).safeTransfer(msg.sender, amount);
+        
+        emit PaymentWithdrawn(msg.sender, token, amount, block.timestamp);
+    }
+}
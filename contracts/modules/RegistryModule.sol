@@ -0,0 +1,455 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title RegistryModule
+ * @notice Bidder registry, debarment list, conflicts of interest and consortium bids
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract RegistryModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                   BIDDER REGISTRATION
+    // =============================================================
+    
+    /**
+     * @dev Companies apply to be registered as bidders
+     * @param registrationNumberHash Hash of the company registration number
+     * @param legalName Legal name of the company
+     * @notice A registrar must approve the application before the company can bid
+     * 
+     * Requirements:
+     * - Caller must not be registered or have a pending application
+     * - Registration number must not already be held by another bidder
+     */
+    function registerBidder(bytes32 registrationNumberHash, string calldata legalName)
+        external
+        whenNotPaused
+    {
+        BidderProfile storage profile = bidderProfiles[msg.sender];
+        require(profile.status == BidderStatus.NONE, "Already registered");
+        require(registrationNumberHash != bytes32(0), "Registration number required");
+        require(bytes(legalName).length > 0, "Legal name required");
+        require(
+            registrationNumberOwners[registrationNumberHash] == address(0),
+            "Company already registered"
+        );
+        
+        // First application from this address (a rejected applicant keeps its hash)
+        if (profile.registrationNumberHash == bytes32(0)) {
+            bidderApplicants.push(msg.sender);
+        }
+        profile.status = BidderStatus.PENDING;
+        profile.registrationNumberHash = registrationNumberHash;
+        profile.legalName = legalName;
+        registrationNumberOwners[registrationNumberHash] = msg.sender;
+        
+        emit BidderApplicationSubmitted(
+            msg.sender,
+            registrationNumberHash,
+            legalName,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Registrar attests a bidder's identity, or renews an approved registration
+     * @param bidder The applicant
+     * @param attestationHash Hash of the KYC attestation (documents checked, etc.)
+     * @param validUntil Registration expiry (timestamp)
+     * 
+     * Requirements:
+     * - Only registrars can approve
+     * - Bidder must have a pending application or an approved registration
+     * - Attestation hash must be provided and expiry must be in the future
+     */
+    function approveBidder(address bidder, bytes32 attestationHash, uint256 validUntil)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        BidderProfile storage profile = bidderProfiles[bidder];
+        require(
+            profile.status == BidderStatus.PENDING || profile.status == BidderStatus.APPROVED,
+            "No application to approve"
+        );
+        require(attestationHash != bytes32(0), "Attestation hash required");
+        require(validUntil > block.timestamp, "Invalid expiry");
+        
+        profile.status = BidderStatus.APPROVED;
+        profile.registrar = msg.sender;
+        profile.attestationHash = attestationHash;
+        profile.validUntil = validUntil;
+        
+        emit BidderRegistered(bidder, msg.sender, attestationHash, validUntil, block.timestamp);
+    }
+    
+    /**
+     * @dev Registrar rejects a pending application, releasing its registration number
+     * @param bidder The applicant
+     * @param reasonHash Hash of the rejection reason
+     * 
+     * Requirements:
+     * - Only registrars can reject
+     * - Bidder must have a pending application and a reason must be given
+     */
+    function rejectBidderApplication(address bidder, bytes32 reasonHash)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        BidderProfile storage profile = bidderProfiles[bidder];
+        require(profile.status == BidderStatus.PENDING, "No pending application");
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        delete registrationNumberOwners[profile.registrationNumberHash];
+        profile.status = BidderStatus.NONE;
+        profile.sanctionReasonHash = reasonHash;
+        
+        emit BidderApplicationRejected(bidder, msg.sender, reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Temporarily bars a registered bidder from bidding
+     * @param bidder The bidder
+     * @param reasonHash Hash of the suspension reason
+     * @param until End of the suspension (timestamp)
+     * 
+     * Requirements:
+     * - Only registrars can suspend
+     * - Bidder must be registered, a reason must be given and until in the future
+     */
+    function suspendBidder(address bidder, bytes32 reasonHash, uint256 until)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        require(until > block.timestamp, "Invalid expiry");
+        _sanctionBidder(bidder, BidderStatus.SUSPENDED, reasonHash, until);
+    }
+    
+    /**
+     * @dev Excludes a registered bidder from bidding
+     * @param bidder The bidder
+     * @param reasonHash Hash of the debarment reason
+     * @param until End of the debarment (timestamp), 0 for an indefinite debarment
+     * 
+     * Requirements:
+     * - Only registrars can debar
+     * - Bidder must be registered, a reason must be given and until in the future (or 0)
+     */
+    function debarBidder(address bidder, bytes32 reasonHash, uint256 until)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        require(until == 0 || until > block.timestamp, "Invalid expiry");
+        _sanctionBidder(bidder, BidderStatus.DEBARRED, reasonHash, until);
+    }
+    
+    /**
+     * @dev Lifts a suspension or debarment before it ends
+     * @param bidder The bidder
+     * @param reasonHash Hash of the reinstatement decision
+     * 
+     * Requirements:
+     * - Only registrars can reinstate
+     * - Bidder must be suspended or debarred and a reason must be given
+     */
+    function reinstateBidder(address bidder, bytes32 reasonHash)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        BidderProfile storage profile = bidderProfiles[bidder];
+        require(
+            profile.status == BidderStatus.SUSPENDED || profile.status == BidderStatus.DEBARRED,
+            "Bidder not sanctioned"
+        );
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        profile.status = BidderStatus.APPROVED;
+        profile.sanctionReasonHash = reasonHash;
+        profile.sanctionedUntil = 0;
+        
+        emit BidderReinstated(bidder, msg.sender, reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Records a suspension or debarment (shared by suspendBidder and debarBidder)
+     */
+    function _sanctionBidder(
+        address bidder,
+        BidderStatus status,
+        bytes32 reasonHash,
+        uint256 until
+    ) internal {
+        BidderProfile storage profile = bidderProfiles[bidder];
+        require(
+            profile.status != BidderStatus.NONE && profile.status != BidderStatus.PENDING,
+            "Bidder not registered"
+        );
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        profile.status = status;
+        profile.sanctionReasonHash = reasonHash;
+        profile.sanctionedUntil = until;
+        
+        emit BidderSanctioned(bidder, msg.sender, status, reasonHash, until, block.timestamp);
+    }
+    
+    // =============================================================
+    //          DEBARMENT LIST & CONFLICTS OF INTEREST
+    // =============================================================
+    
+    /**
+     * @dev Puts a company on the debarment list, or changes its debarment end
+     * @param registrationNumberHash Hash of the company registration number
+     * @param reasonHash Hash of the debarment decision
+     * @param until End of the debarment (timestamp)
+     * 
+     * Applies to every address registered with this registration number,
+     * now or in the future.
+     * 
+     * Requirements:
+     * - Only registrars can debar companies
+     * - Registration number hash and reason must be given
+     * - until must be in the future (debarments are time-limited)
+     */
+    function debarCompany(bytes32 registrationNumberHash, bytes32 reasonHash, uint256 until)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        require(registrationNumberHash != bytes32(0), "Registration number required");
+        require(reasonHash != bytes32(0), "Reason hash required");
+        require(until > block.timestamp, "Invalid expiry");
+        
+        Debarment storage debarment = companyDebarments[registrationNumberHash];
+        if (debarment.debarredAt == 0) {
+            debarredCompanies.push(registrationNumberHash);
+        }
+        debarment.reasonHash = reasonHash;
+        debarment.debarredAt = block.timestamp;
+        debarment.until = until;
+        
+        emit CompanyDebarred(registrationNumberHash, msg.sender, reasonHash, until, block.timestamp);
+    }
+    
+    /**
+     * @dev Lifts a company debarment before it ends
+     * @param registrationNumberHash Hash of the company registration number
+     * @param reasonHash Hash of the decision lifting the debarment
+     * 
+     * Requirements:
+     * - Only registrars can lift debarments
+     * - Company must currently be debarred and a reason must be given
+     */
+    function liftCompanyDebarment(bytes32 registrationNumberHash, bytes32 reasonHash)
+        external
+        onlyRole(REGISTRAR_ROLE)
+        whenNotPaused
+    {
+        require(isCompanyDebarred(registrationNumberHash), "Company not debarred");
+        require(reasonHash != bytes32(0), "Reason hash required");
+        
+        Debarment storage debarment = companyDebarments[registrationNumberHash];
+        debarment.reasonHash = reasonHash;
+        debarment.until = 0;
+        
+        emit CompanyDebarmentLifted(registrationNumberHash, msg.sender, reasonHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Evaluator, auditor or arbitrator declares a conflict of interest on a tender
+     * @param tenderId The tender ID
+     * @param declarationHash Hash of the declaration (related party, nature of the interest)
+     * 
+     * The declaration is final: the official can no longer score, review
+     * low bids, approve or reject milestones, rule on disputes or resolve
+     * award challenges on this tender. Scores already submitted stay counted,
+     * and the public event lets them be challenged.
+     * 
+     * Requirements:
+     * - Caller must be an evaluator, an auditor or an arbitrator
+     * - Declaration hash must be given, and only once per tender
+     */
+    function declareConflictOfInterest(uint256 tenderId, bytes32 declarationHash)
+        external
+        tenderExists(tenderId)
+        whenNotPaused
+    {
+        require(
+            hasRole(EVALUATOR_ROLE, msg.sender) ||
+            hasRole(AUDITOR_ROLE, msg.sender) ||
+            hasRole(ARBITRATOR_ROLE, msg.sender),
+            "Only evaluators, auditors and arbitrators can declare"
+        );
+        require(declarationHash != bytes32(0), "Declaration hash required");
+        require(
+            conflictDeclarations[tenderId][msg.sender] == bytes32(0),
+            "Conflict already declared"
+        );
+        
+        conflictDeclarations[tenderId][msg.sender] = declarationHash;
+        
+        emit ConflictOfInterestDeclared(tenderId, msg.sender, declarationHash, block.timestamp);
+    }
+    
+    // =============================================================
+    //                      CONSORTIUM BIDS
+    // =============================================================
+    
+    /**
+     * @dev Lead member proposes the consortium it will bid for on a tender
+     * @param tenderId The tender ID
+     * @param members Member addresses, the caller (lead) included
+     * @param shares Payment share of each member in basis points (sum = 100%)
+     * 
+     * Every other member must then call acceptConsortium() before the lead
+     * can commit. Can be called again to change the consortium until the
+     * lead commits; members have to accept the new proposal again.
+     * 
+     * Requirements:
+     * - Caller must be a registered bidder who has not bid on the tender yet
+     * - Tender must be in BID_SUBMISSION phase, before the submission deadline
+     * - 2 to MAX_CONSORTIUM_MEMBERS distinct members, each registered, not
+     *   debarred, not bidding on the tender and not already in a consortium
+     * - Every share must be positive and the shares must total WEIGHT_PRECISION
+     */
+    function registerConsortium(
+        uint256 tenderId,
+        address[] calldata members,
+        uint256[] calldata shares
+    )
+        external
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        require(members.length == shares.length, "Consortium arrays length mismatch");
+        require(
+            members.length >= 2 && members.length <= MAX_CONSORTIUM_MEMBERS,
+            "Invalid consortium size"
+        );
+        require(bids[tenderId][msg.sender].commitHash == bytes32(0), "Bid already submitted");
+        
+        // Release the members who accepted a previous proposal by this lead
+        Consortium storage consortium = consortia[tenderId][msg.sender];
+        for (uint256 i = 0; i < consortium.members.length; i++) {
+            delete consortiumLeads[tenderId][consortium.members[i]];
+        }
+        delete consortia[tenderId][msg.sender];
+        
+        bool leadListed = false;
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < members.length; i++) {
+            require(shares[i] > 0, "Invalid member share");
+            for (uint256 j = 0; j < i; j++) {
+                require(members[j] != members[i], "Duplicate consortium member");
+            }
+            _checkConsortiumMember(tenderId, members[i]);
+            if (members[i] == msg.sender) {
+                leadListed = true;
+            }
+            totalShares += shares[i];
+        }
+        require(leadListed, "Lead must be a consortium member");
+        require(totalShares == WEIGHT_PRECISION, "Shares must total 100%");
+        
+        consortium.members = members;
+        consortium.shares = shares;
+        consortiumLeads[tenderId][msg.sender] = msg.sender;
+        
+        emit ConsortiumRegistered(tenderId, msg.sender, members, shares);
+    }
+    
+    /**
+     * @dev Member consents to the consortium a lead proposed
+     * @param tenderId The tender ID
+     * @param lead The consortium lead
+     * 
+     * From then on the member can no longer bid on its own for the tender.
+     * 
+     * Requirements:
+     * - Caller must be a registered bidder listed in the lead's current proposal
+     * - Tender must be in BID_SUBMISSION phase, before the submission deadline
+     * - Caller must not be debarred, bidding on the tender or in a consortium
+     */
+    function acceptConsortium(uint256 tenderId, address lead)
+        external
+        onlyRegisteredBidder
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        onlyBeforeDeadline(tenders[tenderId].submissionDeadline)
+        whenNotPaused
+    {
+        address[] storage members = consortia[tenderId][lead].members;
+        bool proposed = false;
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] == msg.sender) {
+                proposed = true;
+                break;
+            }
+        }
+        require(proposed, "Not proposed for this consortium");
+        _checkConsortiumMember(tenderId, msg.sender);
+        
+        consortiumLeads[tenderId][msg.sender] = lead;
+        
+        emit ConsortiumMemberAccepted(tenderId, lead, msg.sender);
+    }
+    
+    /**
+     * @dev Member withdraws its consent before the lead commits
+     * @param tenderId The tender ID
+     * 
+     * The lead cannot commit until it proposes a consortium every listed
+     * member has accepted.
+     * 
+     * Requirements:
+     * - Caller must have accepted another lead's consortium on the tender
+     * - Tender must be in BID_SUBMISSION phase and the lead must not have bid
+     */
+    function leaveConsortium(uint256 tenderId)
+        external
+        tenderExists(tenderId)
+        inPhase(tenderId, TenderPhase.BID_SUBMISSION)
+        whenNotPaused
+    {
+        address lead = consortiumLeads[tenderId][msg.sender];
+        require(lead != address(0) && lead != msg.sender, "Not a consortium member");
+        require(bids[tenderId][lead].commitHash == bytes32(0), "Consortium bid already submitted");
+        
+        delete consortiumLeads[tenderId][msg.sender];
+        
+        emit ConsortiumMemberLeft(tenderId, lead, msg.sender);
+    }
+    
+    /**
+     * @dev Checks that a bidder can join a consortium on a tender
+     */
+    function _checkConsortiumMember(uint256 tenderId, address member) internal view {
+        require(_isActiveBidder(member), "Consortium member not registered");
+        require(
+            !isCompanyDebarred(bidderProfiles[member].registrationNumberHash),
+            "Consortium member debarred"
+        );
+        require(
+            bids[tenderId][member].commitHash == bytes32(0),
+            "Consortium member already bidding"
+        );
+        require(
+            consortiumLeads[tenderId][member] == address(0),
+            "Member already in a consortium"
+        );
+    }
+}
@@ -0,0 +1,559 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ProcurementBase.sol";
+
+/**
+ * @title ViewModule
+ * @notice Read-only views over tenders, bids, milestones and the bidder registry
+ * @dev Module of SecureProcurementSystem; runs through delegatecall on its storage
+ */
+contract ViewModule is ProcurementBase {
+    /**
+     * @param nextModule_ Next module of the chain (address(0) for the last one)
+     */
+    constructor(address nextModule_) ProcurementBase(nextModule_) {}
+    
+    // =============================================================
+    //                      VIEW FUNCTIONS
+    // =============================================================
+    
+    /**
+     * @dev Get tender details
+     * @param tenderId The tender ID
+     * @return title Tender title
+     * @return description Tender description
+     * @return maxBudget Maximum bid amount
+     * @return submissionDeadline Commit phase deadline
+     * @return revealDeadline Reveal phase deadline
+     * @return phase Current tender phase
+     * @return winner Winner address (address(0) if not selected)
+     * @return fundedAmount Current funded amount
+     * @return milestonesCompleted Number of paid milestones
+     * @return bidBond Deposit required with each bid
+     * @return paymentToken ERC-20 the tender is paid in (address(0) for ETH)
+     * 
+     * Pass a lot's ID to get the lot's own budget, winner and funding; the
+     * same holds for getBid and the other per-tender views. Use parentTenders
+     * and getLots to navigate between a tender and its lots.
+     */
+    function getTenderDetails(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            string memory title,
+            string memory description,
+            uint256 maxBudget,
+            uint256 submissionDeadline,
+            uint256 revealDeadline,
+            TenderPhase phase,
+            address winner,
+            uint256 fundedAmount,
+            uint256 milestonesCompleted,
+            uint256 bidBond,
+            address paymentToken
+        )
+    {
+        Tender storage tender = tenders[tenderId];
+        return (
+            tender.title,
+            tender.description,
+            tender.maxBudget,
+            tender.submissionDeadline,
+            tender.revealDeadline,
+            tender.phase,
+            tender.winner,
+            tender.fundedAmount,
+            tender.milestonesCompleted,
+            tender.bidBond,
+            tender.paymentToken
+        );
+    }
+    
+    /**
+     * @dev Get all lots of the tender a tender or lot belongs to
+     * @param tenderId The parent tender or any of its lots
+     * @return lotIds Tender IDs of lot 1 (the parent), lot 2, ... in order
+     */
+    function getLots(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256[] memory lotIds)
+    {
+        uint256 parentId = parentTenders[tenderId] == 0 ? tenderId : parentTenders[tenderId];
+        uint256[] storage lots = tenderLots[parentId];
+        
+        lotIds = new uint256[](lots.length + 1);
+        lotIds[0] = parentId;
+        for (uint256 i = 0; i < lots.length; i++) {
+            lotIds[i + 1] = lots[i];
+        }
+    }
+    
+    /**
+     * @dev Get the awarded and current value of a tender's contract
+     * @param tenderId The tender ID
+     * @return awardedValue Winning bid (0 before award)
+     * @return currentValue Value after approved change orders
+     * @return topUpDue Value of unpaid milestones not yet covered by funding
+     *         (before the initial funding, the whole unpaid value)
+     */
+    function getContractValue(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256 awardedValue, uint256 currentValue, uint256 topUpDue)
+    {
+        Tender storage tender = tenders[tenderId];
+        if (tender.winner == address(0)) {
+            return (0, 0, 0);
+        }
+        awardedValue = bids[tenderId][tender.winner].revealedAmount;
+        uint256 outstanding;
+        (currentValue, outstanding) = _contractValues(tender);
+        topUpDue = outstanding > tender.fundedAmount ? outstanding - tender.fundedAmount : 0;
+    }
+    
+    /**
+     * @dev Get the number of change orders proposed on a tender
+     * @param tenderId The tender ID
+     * @return Number of change orders
+     */
+    function getChangeOrderCount(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256)
+    {
+        return changeOrders[tenderId].length;
+    }
+    
+    /**
+     * @dev Get a change order from a tender's history
+     * @param tenderId The tender ID
+     * @param changeOrderId Index in the history
+     * @return The change order with its milestone changes, signatures and values
+     */
+    function getChangeOrder(uint256 tenderId, uint256 changeOrderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (ChangeOrder memory)
+    {
+        require(changeOrderId < changeOrders[tenderId].length, "Invalid change order");
+        return changeOrders[tenderId][changeOrderId];
+    }
+    
+    /**
+     * @dev Get the number of challenges filed against a tender's awards
+     * @param tenderId The tender ID
+     * @return Length of the challenge history
+     */
+    function getAwardChallengeCount(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256)
+    {
+        return awardChallenges[tenderId].length;
+    }
+    
+    /**
+     * @dev Get a challenge from a tender's history
+     * @param tenderId The tender ID
+     * @param challengeId Index in the history
+     * @return The challenge with its grounds and resolution
+     */
+    function getAwardChallenge(uint256 tenderId, uint256 challengeId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (AwardChallenge memory)
+    {
+        require(challengeId < awardChallenges[tenderId].length, "Invalid challenge");
+        return awardChallenges[tenderId][challengeId];
+    }
+    
+    /**
+     * @dev Get the ranking kept at award for the runner-up fallback
+     * @param tenderId The tender ID
+     * @return ranking Eligible bidders, best first (empty for frameworks and call-offs)
+     * @return currentPosition Ranking position of the current winner
+     */
+    function getAwardRanking(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (address[] memory ranking, uint256 currentPosition)
+    {
+        return (awardRankings[tenderId], awardRankPositions[tenderId]);
+    }
+    
+    /**
+     * @dev Get the suppliers admitted to a framework, best-ranked first
+     * @param frameworkId The framework tender ID
+     * @return Array of supplier addresses
+     */
+    function getFrameworkSuppliers(uint256 frameworkId)
+        external
+        view
+        tenderExists(frameworkId)
+        returns (address[] memory)
+    {
+        return frameworkSuppliers[frameworkId];
+    }
+    
+    /**
+     * @dev Get the call-off orders issued under a framework
+     * @param frameworkId The framework tender ID
+     * @return Array of call-off tender IDs
+     */
+    function getCallOffs(uint256 frameworkId)
+        external
+        view
+        tenderExists(frameworkId)
+        returns (uint256[] memory)
+    {
+        return frameworkCallOffs[frameworkId];
+    }
+    
+    /**
+     * @dev Get milestone details
+     * @param tenderId The tender ID
+     * @param milestoneIndex Milestone index
+     * @return description Milestone description
+     * @return amount Payment amount
+     * @return isPaid Payment status
+     * @return paidAt Payment timestamp (0 if not paid)
+     * @return payoutAmount Amount paid to the winner (0 until winner selected)
+     * @return isApproved Whether an auditor approved the milestone
+     * @return approvedBy Approving auditor (address(0) if not approved)
+     * @return approvalTimestamp Approval timestamp (0 if not approved)
+     * @return evidenceHash Hash of the approval evidence
+     * @return liquidatedDamages Amount deducted from the payout for late delivery
+     * 
+     * Due dates and lateness are returned by getMilestoneSchedule (kept
+     * separate to avoid stack too deep).
+     */
+    function getMilestone(uint256 tenderId, uint256 milestoneIndex)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            string memory description,
+            uint256 amount,
+            bool isPaid,
+            uint256 paidAt,
+            uint256 payoutAmount,
+            bool isApproved,
+            address approvedBy,
+            uint256 approvalTimestamp,
+            bytes32 evidenceHash,
+            uint256 liquidatedDamages
+        )
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        (, liquidatedDamages) = _liquidatedDamages(tenderId, milestone);
+        return (
+            milestone.description,
+            milestone.amount,
+            milestone.status == MilestoneStatus.PAID,
+            milestone.paidAt,
+            milestone.payoutAmount,
+            milestone.status == MilestoneStatus.APPROVED ||
+                milestone.status == MilestoneStatus.PAID,
+            milestone.approvedBy,
+            milestone.approvalTimestamp,
+            milestone.evidenceHash,
+            liquidatedDamages
+        );
+    }
+    
+    /**
+     * @dev Get the claim/dispute trail of a milestone
+     * @param tenderId The tender ID
+     * @param milestoneIndex Milestone index
+     * @return status Current milestone status
+     * @return claimEvidenceHash Winner's completion evidence hash
+     * @return claimedAt Timestamp of the latest claim (0 if never claimed)
+     * @return rejectionReasonHash Latest rejection reason hash (0 if never rejected)
+     */
+    function getMilestoneClaim(uint256 tenderId, uint256 milestoneIndex)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            MilestoneStatus status,
+            bytes32 claimEvidenceHash,
+            uint256 claimedAt,
+            bytes32 rejectionReasonHash
+        )
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        return (
+            milestone.status,
+            milestone.claimEvidenceHash,
+            milestone.claimedAt,
+            milestone.rejectionReasonHash
+        );
+    }
+    
+    /**
+     * @dev Get the due date of a milestone and the liquidated damages it incurs
+     * @param tenderId The tender ID
+     * @param milestoneIndex Milestone index
+     * @return dueAfter Time allowed after award (0 = no due date)
+     * @return dueDate Delivery deadline (0 before award or without a due date)
+     * @return daysLate Started days late at the latest claim (or now, if not claimed)
+     * @return liquidatedDamages Amount deducted from the payout on release
+     * @return netPayout Payout left after damages, before any retention
+     */
+    function getMilestoneSchedule(uint256 tenderId, uint256 milestoneIndex)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            uint256 dueAfter,
+            uint256 dueDate,
+            uint256 daysLate,
+            uint256 liquidatedDamages,
+            uint256 netPayout
+        )
+    {
+        require(
+            milestoneIndex < tenders[tenderId].milestones.length,
+            "Invalid milestone index"
+        );
+        Milestone storage milestone = tenders[tenderId].milestones[milestoneIndex];
+        (daysLate, liquidatedDamages) = _liquidatedDamages(tenderId, milestone);
+        return (
+            milestone.dueAfter,
+            milestone.dueDate,
+            daysLate,
+            liquidatedDamages,
+            milestone.payoutAmount - liquidatedDamages
+        );
+    }
+    
+    /**
+     * @dev Get total number of milestones for a tender
+     * @param tenderId The tender ID
+     * @return count Number of milestones
+     */
+    function getMilestoneCount(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256)
+    {
+        return tenders[tenderId].milestones.length;
+    }
+    
+    /**
+     * @dev Get the evaluation score table of a tender
+     * @param tenderId The tender ID
+     * @return bidders Bidders in commitment order
+     * @return amounts Revealed amounts (0 if unrevealed)
+     * @return technicalScores Average committee scores (out of 100, 18 decimals)
+     * @return weightedScores Final scores (out of 100, 18 decimals; 0 if not eligible)
+     * 
+     * Price scores are relative to the lowest valid bid, so weighted scores
+     * are only final once the reveal deadline has passed.
+     */
+    function getScoreTable(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            address[] memory bidders,
+            uint256[] memory amounts,
+            uint256[] memory technicalScores,
+            uint256[] memory weightedScores
+        )
+    {
+        bidders = tenderBidders[tenderId];
+        amounts = new uint256[](bidders.length);
+        technicalScores = new uint256[](bidders.length);
+        weightedScores = new uint256[](bidders.length);
+        
+        (, uint256 lowestBid) = _lowestValidBid(tenderId);
+        for (uint256 i = 0; i < bidders.length; i++) {
+            Bid storage bid = bids[tenderId][bidders[i]];
+            amounts[i] = bid.revealedAmount;
+            technicalScores[i] = _technicalScore(tenderId, bidders[i]);
+            if (_isEligible(tenderId, bidders[i])) {
+                weightedScores[i] = _weightedScore(tenderId, bidders[i], lowestBid);
+            }
+        }
+    }
+    
+    /**
+     * @dev Get number of addenda published for a tender
+     * @param tenderId The tender ID
+     * @return count Number of addenda
+     */
+    function getAddendumCount(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256)
+    {
+        return tenderAddenda[tenderId].length;
+    }
+    
+    /**
+     * @dev Get a published addendum
+     * @param tenderId The tender ID
+     * @param addendumIndex Addendum index (publication order)
+     * @return contentHash Hash of the addendum document
+     * @return publishedAt Publication timestamp
+     */
+    function getAddendum(uint256 tenderId, uint256 addendumIndex)
+        external
+        view
+        tenderExists(tenderId)
+        returns (bytes32 contentHash, uint256 publishedAt)
+    {
+        require(addendumIndex < tenderAddenda[tenderId].length, "Invalid addendum index");
+        Addendum storage addendum = tenderAddenda[tenderId][addendumIndex];
+        return (addendum.contentHash, addendum.publishedAt);
+    }
+    
+    /**
+     * @dev Get bid details for a specific bidder
+     * @param tenderId The tender ID
+     * @param bidder Bidder address
+     * @return commitHash Committed bid hash
+     * @return revealedAmount Revealed bid amount
+     * @return isRevealed Whether bid has been revealed
+     * @return isValid Whether bid is valid
+     * @return revealTimestamp When bid was revealed
+     * @return bondAmount Bid bond deposited
+     * @return bondSettled Whether the bond was refunded or forfeited
+     */
+    function getBid(uint256 tenderId, address bidder)
+        external
+        view
+        tenderExists(tenderId)
+        returns (
+            bytes32 commitHash,
+            uint256 revealedAmount,
+            bool isRevealed,
+            bool isValid,
+            uint256 revealTimestamp,
+            uint256 bondAmount,
+            bool bondSettled
+        )
+    {
+        Bid storage bid = bids[tenderId][bidder];
+        return (
+            bid.commitHash,
+            bid.revealedAmount,
+            bid.isRevealed,
+            bid.isValid,
+            bid.revealTimestamp,
+            bid.bondAmount,
+            bid.bondSettled
+        );
+    }
+    
+    /**
+     * @dev Get all bidders for a tender
+     * @param tenderId The tender ID
+     * @return Array of bidder addresses
+     */
+    function getTenderBidders(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (address[] memory)
+    {
+        return tenderBidders[tenderId];
+    }
+    
+    /**
+     * @dev Get number of bidders for a tender
+     * @param tenderId The tender ID
+     * @return count Number of bidders
+     */
+    function getBidderCount(uint256 tenderId)
+        external
+        view
+        tenderExists(tenderId)
+        returns (uint256)
+    {
+        return tenderBidders[tenderId].length;
+    }
+    
+    /**
+     * @dev Check if address is a registered bidder allowed to bid
+     * @param bidder Address to check
+     * @return true if approved, unexpired and not suspended or debarred
+     */
+    function isBidderRegistered(address bidder) external view returns (bool) {
+        return _isActiveBidder(bidder);
+    }
+    
+    /**
+     * @dev Get the consortium a lead bids for on a tender
+     * @param tenderId The tender ID
+     * @param lead The consortium lead (bidding address)
+     * @return members Member addresses (empty if not a consortium)
+     * @return shares Payment share of each member in basis points
+     */
+    function getConsortium(uint256 tenderId, address lead)
+        external
+        view
+        returns (address[] memory members, uint256[] memory shares)
+    {
+        Consortium storage consortium = consortia[tenderId][lead];
+        return (consortium.members, consortium.shares);
+    }
+    
+    /**
+     * @dev Get every company ever put on the debarment list
+     * @return registrationNumberHashes Registration number hashes (check isCompanyDebarred)
+     */
+    function getDebarredCompanies() external view returns (bytes32[] memory) {
+        return debarredCompanies;
+    }
+    
+    /**
+     * @dev Get applications awaiting registrar review
+     * @return applicants Addresses with a pending application
+     */
+    function getPendingApplicants() external view returns (address[] memory applicants) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < bidderApplicants.length; i++) {
+            if (bidderProfiles[bidderApplicants[i]].status == BidderStatus.PENDING) {
+                count++;
+            }
+        }
+        
+        applicants = new address[](count);
+        uint256 next = 0;
+        for (uint256 i = 0; i < bidderApplicants.length; i++) {
+            if (bidderProfiles[bidderApplicants[i]].status == BidderStatus.PENDING) {
+                applicants[next++] = bidderApplicants[i];
+            }
+        }
+    }
+    
+    /**
+     * @dev Get contract ETH balance
+     * @return Balance in wei
+     */
+    function getContractBalance() external view returns (uint256) {
+        return address(this).balance;
+    }
+}
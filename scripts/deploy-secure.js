@@ -1,11 +1,17 @@
 /**
  * @title Deployment Script for Secure Procurement System
  * @notice Deploys the SecureProcurementSystem contract with OpenZeppelin libraries
- * @dev Saves contract address for CLI interaction
+ * @dev Deploys its modules first (see procurement-modules.js) and saves the
+ *      core contract address for CLI interaction
  */
 
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const {
+  MODULES,
+  deployProcurementModules,
+  deployProcurementSystem,
+} = require("./procurement-modules");
 
 async function main() {
   console.log("🚀 Deploying SecureProcurementSystem Contract...\n");
@@ -13,7 +19,8 @@ async function main() {
   console.log("  SECURE VERSION - ALL VULNERABILITIES FIXED");
   console.log("=" + "=".repeat(70));
   console.log("\n🛡️  Security Features:");
-  console.log("   ✅ OpenZeppelin Ownable - Access control");
+  console.log("   ✅ OpenZeppelin Ownable - Ownership management");
+  console.log("   ✅ OpenZeppelin AccessControl - Separated duties");
   console.log("   ✅ OpenZeppelin ReentrancyGuard - Payment protection");
   console.log("   ✅ OpenZeppelin Pausable - Emergency controls");
   console.log("\n🔒 Security Fixes:");
@@ -22,8 +29,8 @@ async function main() {
   console.log("   ✅ Fix #3: ReentrancyGuard on payments (defense-in-depth)");
   console.log();
 
-  // Get deployer
-  const [deployer] = await ethers.getSigners();
+  // Get deployer (plus treasurer/auditor accounts on local networks)
+  const [deployer, treasurer, auditor] = await ethers.getSigners();
 
   console.log("📋 Deployment Details:");
   console.log("   Deployer address:", deployer.address);
@@ -38,15 +45,13 @@ async function main() {
   console.log("⏳ Deploying SecureProcurementSystem...");
   console.log("   Compiling contracts if needed...");
 
-  const SecureProcurementSystem = await ethers.getContractFactory(
-    "SecureProcurementSystem"
-  );
-
-  console.log("   Deploying to network...");
-  const contract = await SecureProcurementSystem.deploy();
+  // Each contract stays under the EIP-170 size limit: the modules go first,
+  // then the core that delegates to them
+  console.log(`   Deploying ${MODULES.length} modules...`);
+  const modules = await deployProcurementModules(deployer);
 
-  console.log("   Waiting for deployment confirmation...");
-  await contract.waitForDeployment();
+  console.log("   Deploying the core contract...");
+  const contract = await deployProcurementSystem(deployer, modules);
 
   const contractAddress = await contract.getAddress();
 
@@ -63,21 +68,38 @@ async function main() {
   );
   console.log("═".repeat(70));
 
-  // Get deployment transaction details
-  const deployTx = contract.deploymentTransaction();
-  if (deployTx) {
-    const receipt = await deployTx.wait();
-    console.log("\n💰 GAS ANALYSIS:");
-    console.log("   Gas Used:", receipt.gasUsed.toString());
-    console.log(
-      "   Gas Price:",
-      ethers.formatUnits(deployTx.gasPrice || 0n, "gwei"),
-      "gwei"
-    );
-    const gasCost = receipt.gasUsed * (deployTx.gasPrice || 0n);
-    console.log("   Deployment Cost:", ethers.formatEther(gasCost), "ETH");
-    console.log("   Block Number:", receipt.blockNumber);
+  // Separation of duties: the tender admin (deployer) cannot be treasurer,
+  // so funding and payments need a second account
+  const roles = { deployer: deployer.address };
+  if (treasurer && auditor) {
+    console.log("\n🔑 Granting roles (AccessControl)...");
+    await (
+      await contract.grantRole(await contract.TREASURER_ROLE(), treasurer.address)
+    ).wait();
+    await (
+      await contract.grantRole(await contract.AUDITOR_ROLE(), auditor.address)
+    ).wait();
+    roles.treasurer = treasurer.address;
+    roles.auditor = auditor.address;
+  }
+  console.log("   Tender Admin + Pauser:", deployer.address);
+  console.log("   Treasurer:", roles.treasurer || "(grant TREASURER_ROLE manually)");
+  console.log("   Auditor:", roles.auditor || "(grant AUDITOR_ROLE manually)");
+
+  // Get deployment transaction details (modules and core)
+  let gasUsed = 0n;
+  let gasCost = 0n;
+  let blockNumber = null;
+  for (const deployed of [...modules, contract]) {
+    const receipt = await deployed.deploymentTransaction().wait();
+    gasUsed += receipt.gasUsed;
+    gasCost += receipt.gasUsed * receipt.gasPrice;
+    blockNumber = receipt.blockNumber;
   }
+  console.log("\n💰 GAS ANALYSIS:");
+  console.log("   Gas Used:", gasUsed.toString(), `(${modules.length + 1} contracts)`);
+  console.log("   Deployment Cost:", ethers.formatEther(gasCost), "ETH");
+  console.log("   Block Number:", blockNumber);
 
   // Save contract address for CLI
   const deploymentInfo = {
@@ -85,10 +107,17 @@ async function main() {
     network: (await ethers.provider.getNetwork()).name,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
-    blockNumber: deployTx ? (await deployTx.wait()).blockNumber : null,
+    blockNumber: blockNumber,
+    modules: Object.fromEntries(
+      await Promise.all(
+        modules.map(async (module, i) => [MODULES[i], await module.getAddress()])
+      )
+    ),
     contractName: "SecureProcurementSystem",
+    roles: roles,
     openZeppelinLibraries: {
       Ownable: "^5.0.0",
+      AccessControl: "^5.0.0",
       ReentrancyGuard: "^5.0.0",
       Pausable: "^5.0.0",
     },
@@ -112,7 +141,7 @@ async function main() {
   console.log("      npx hardhat test");
   console.log("\n   3. Verify contract (if on testnet):");
   console.log(
-    `      npx hardhat verify --network <network> ${contractAddress}`
+    `      npx hardhat verify --network <network> ${contractAddress} ${await modules[0].getAddress()}`
   );
   console.log();
 
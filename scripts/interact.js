@@ -4,16 +4,32 @@
  * @dev Uses ethers.js v6 and Hardhat for OpenZeppelin contract interaction
  *
  * Features:
- * - Tender creation and management (tests Ownable.onlyOwner)
- * - Bidder registration
+ * - Tender creation and management (tests AccessControl.onlyRole)
+ * - Lots: tenders split into independently awarded and paid lots
+ * - Framework agreements with call-off orders up to a ceiling value
+ * - Change orders signed by authority and winner, with funding top-ups
+ * - Retention money and performance bonds held until the defects period ends
+ * - Milestone due dates with liquidated damages deducted for late delivery
+ * - Milestone disputes frozen until an arbitrator splits the payout
+ * - Role management (tender admin, auditor, treasurer, pauser)
+ * - Bidder registration with registrar KYC approval, suspension and debarment
+ * - Company debarment list and per-tender conflict-of-interest declarations
+ * - Consortium (joint-venture) bids with milestone payouts split by share
  * - Commit-reveal bidding (with local nonce storage)
+ * - Bid replacement and withdrawal until the submission deadline
+ * - Sealed bids encrypted to a tender authority key (see sealed-bids.js)
  * - Winner selection
+ * - Standstill period with award challenges resolved by an arbitrator
+ * - Winner acceptance deadline with fallback to the next-ranked bidder
+ * - Termination for default with settlement of approved milestones
  * - Milestone payments (tests ReentrancyGuard.nonReentrant)
+ * - ETH or ERC-20 (stablecoin) denominated tenders
  * - Emergency pause controls (tests Pausable)
  * - Event listening and display
  *
  * OpenZeppelin Integration:
- * - Ownable: Ownership management and access control
+ * - Ownable: Ownership management (owner administers roles)
+ * - AccessControl: Separated duties per role
  * - ReentrancyGuard: Payment protection
  * - Pausable: Emergency stop mechanism
  */
@@ -22,6 +38,8 @@ const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const sealedBids = require("./sealed-bids");
+const { attachProcurementSystem } = require("./procurement-modules");
 
 // =============================================================================
 //                           CONFIGURATION
@@ -30,9 +48,109 @@ const readline = require("readline");
 const CONFIG = {
   CONTRACT_ADDRESS_FILE: "deployed-address.json",
   BIDS_STORAGE_FILE: "bids.json",
+  AUTHORITY_KEYS_FILE: "authority-keys.json",
   CONTRACT_NAME: "SecureProcurementSystem",
 };
 
+/**
+ * TenderPhase enum labels (index = on-chain value)
+ */
+const TENDER_PHASE = [
+  "BID_SUBMISSION",
+  "BID_REVEAL",
+  "WINNER_SELECTION",
+  "PAYMENT_PENDING",
+  "COMPLETED",
+  "CANCELLED",
+  "FRAMEWORK_ACTIVE",
+  "AWARD_PENDING",
+  "TERMINATED",
+];
+
+/**
+ * MilestoneStatus enum labels (index = on-chain value)
+ */
+const MILESTONE_STATUS = [
+  "⏳ Pending",
+  "📨 Claimed",
+  "🔎 Approved",
+  "❌ Rejected",
+  "✅ Paid",
+  "🗑️  Removed (change order)",
+  "⚖️  Disputed",
+];
+
+/**
+ * DisputeStatus enum labels (index = on-chain value)
+ */
+const DISPUTE_STATUS = ["None", "Open", "Ruled", "Lapsed"];
+
+/**
+ * AwardChallengeStatus enum labels (index = on-chain value)
+ */
+const AWARD_CHALLENGE_STATUS = [
+  "⏳ Open",
+  "✅ Award confirmed",
+  "🔁 Re-evaluated without the winner",
+  "🚫 Tender cancelled",
+];
+
+/**
+ * ChangeOrderStatus enum labels (index = on-chain value)
+ */
+const CHANGE_ORDER_STATUS = ["📝 Proposed", "✅ Approved", "❌ Rejected"];
+
+/**
+ * LowBidStatus enum labels (index = on-chain value)
+ */
+const LOW_BID_STATUS = [
+  "",
+  "🚩 Flagged (awaiting justification)",
+  "📄 Justified (awaiting evaluator)",
+  "✅ Accepted",
+  "⛔ Excluded",
+];
+
+/**
+ * BidderStatus enum labels (index = on-chain value)
+ */
+const BIDDER_STATUS = [
+  "Not registered",
+  "⏳ Pending approval",
+  "✅ Approved",
+  "⏸️  Suspended",
+  "⛔ Debarred",
+];
+
+/**
+ * AccessControl roles: menu key => contract constant getter and label
+ */
+const ROLES = {
+  TENDER_ADMIN: { getter: "TENDER_ADMIN_ROLE", label: "Tender Admin" },
+  AUDITOR: { getter: "AUDITOR_ROLE", label: "Auditor" },
+  TREASURER: { getter: "TREASURER_ROLE", label: "Treasurer" },
+  PAUSER: { getter: "PAUSER_ROLE", label: "Pauser" },
+  EVALUATOR: { getter: "EVALUATOR_ROLE", label: "Evaluator" },
+  REGISTRAR: { getter: "REGISTRAR_ROLE", label: "Registrar" },
+  ARBITRATOR: { getter: "ARBITRATOR_ROLE", label: "Arbitrator" },
+};
+
+/**
+ * Minimal ERC-20 ABI for token-denominated tenders
+ */
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+];
+
+/**
+ * Native ETH currency (paymentToken == address(0))
+ */
+const ETH_CURRENCY = { token: ethers.ZeroAddress, symbol: "ETH", decimals: 18 };
+
 // =============================================================================
 //                           GLOBAL STATE
 // =============================================================================
@@ -129,6 +247,52 @@ function formatAddress(address) {
   return `${address.substring(0, 6)}...${address.substring(38)}`;
 }
 
+/**
+ * Use a 0x-prefixed 32-byte hash as-is, otherwise hash the text
+ */
+function toEvidenceHash(input) {
+  return ethers.isHexString(input, 32)
+    ? input
+    : ethers.keccak256(ethers.toUtf8Bytes(input));
+}
+
+/**
+ * Resolve symbol and decimals of a payment token (address(0) = ETH)
+ */
+async function getCurrency(tokenAddress) {
+  if (!tokenAddress || tokenAddress === ethers.ZeroAddress) {
+    return ETH_CURRENCY;
+  }
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  return {
+    token: tokenAddress,
+    symbol: await token.symbol(),
+    decimals: Number(await token.decimals()),
+  };
+}
+
+/**
+ * Resolve the payment currency of a tender
+ */
+async function getTenderCurrency(tenderId) {
+  const details = await contract.getTenderDetails(tenderId);
+  return getCurrency(details[10]);
+}
+
+/**
+ * Format an amount in the given currency
+ */
+function formatAmount(amount, currency) {
+  return `${ethers.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+}
+
+/**
+ * Parse a user-entered amount in the given currency
+ */
+function parseAmount(input, currency) {
+  return ethers.parseUnits(input, currency.decimals);
+}
+
 /**
  * Display transaction details
  */
@@ -160,6 +324,30 @@ async function pressEnterToContinue() {
   await question("\nPress Enter to continue...");
 }
 
+/**
+ * Get the roles held by an account (defaults to current signer)
+ */
+async function getRoles(address = signer.address) {
+  const roles = {};
+  for (const [key, role] of Object.entries(ROLES)) {
+    roles[key] = await contract.hasRole(await contract[role.getter](), address);
+  }
+  return roles;
+}
+
+/**
+ * Check that the current signer holds a role, printing an error otherwise
+ */
+async function requireRole(key, action) {
+  const role = ROLES[key];
+  if (await contract.hasRole(await contract[role.getter](), signer.address)) {
+    return true;
+  }
+  error(`Only accounts with the ${role.label} role can ${action}!`);
+  info(`You: ${signer.address}`);
+  return false;
+}
+
 // =============================================================================
 //                        STORAGE MANAGEMENT
 // =============================================================================
@@ -228,6 +416,31 @@ function loadBid(tenderId, bidderAddress) {
   return bids[key] || null;
 }
 
+/**
+ * Load sealed-bid authority keys (tenderId => key pair)
+ */
+function loadAuthorityKeys() {
+  try {
+    const data = fs.readFileSync(CONFIG.AUTHORITY_KEYS_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Save the authority key pair of a sealed-bid tender
+ */
+function saveAuthorityKey(tenderId, keyPair) {
+  const keys = loadAuthorityKeys();
+  keys[tenderId] = {
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+    timestamp: new Date().toISOString(),
+  };
+  fs.writeFileSync(CONFIG.AUTHORITY_KEYS_FILE, JSON.stringify(keys, null, 2));
+}
+
 // =============================================================================
 //                        CONTRACT INITIALIZATION
 // =============================================================================
@@ -252,12 +465,8 @@ async function initializeContract() {
     contractAddress = loadContractAddress();
     info(`Contract address: ${contractAddress}`);
 
-    // Get contract instance
-    contract = await ethers.getContractAt(
-      CONFIG.CONTRACT_NAME,
-      contractAddress,
-      signer
-    );
+    // Get contract instance (core address, combined ABI of the modules)
+    contract = attachProcurementSystem(contractAddress, signer);
 
     // Verify contract is deployed
     const code = await provider.getCode(contractAddress);
@@ -275,6 +484,12 @@ async function initializeContract() {
       } else {
         warning("You are NOT the contract owner");
       }
+
+      const roles = await getRoles();
+      const held = Object.keys(roles)
+        .filter((key) => roles[key])
+        .map((key) => ROLES[key].label);
+      info(`Your roles (AccessControl): ${held.join(", ") || "none"}`);
     } catch (err) {
       error("Failed to get owner - Ownable might not be implemented");
     }
@@ -301,18 +516,13 @@ async function initializeContract() {
 // =============================================================================
 
 /**
- * Create a new tender (Owner only - tests Ownable.onlyOwner)
+ * Create a new tender (Tender Admin only - tests AccessControl.onlyRole)
  */
 async function createTender() {
   header("Create New Tender");
 
   try {
-    // Check if user is owner
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can create tenders!");
-      info(`Owner: ${owner}`);
-      info(`You: ${signer.address}`);
+    if (!(await requireRole("TENDER_ADMIN", "create tenders"))) {
       return;
     }
 
@@ -321,57 +531,43 @@ async function createTender() {
 
     const title = await question("Title: ");
     const description = await question("Description: ");
-    const maxBudget = await question("Maximum Budget (ETH): ");
+    const paymentToken = await question(
+      "Payment token address (press Enter to pay in ETH): "
+    );
+    const currency = await getCurrency(paymentToken);
+    if (currency !== ETH_CURRENCY) {
+      info(`Tender will be paid in ${currency.symbol} (bid bonds stay in ETH)`);
+    }
+    const maxBudget = await question(`Maximum Budget (${currency.symbol}): `);
     const submissionDuration = await question(
       "Submission Duration (seconds, e.g., 3600 for 1 hour): "
     );
     const revealDuration = await question(
       "Reveal Duration (seconds, e.g., 1800 for 30 min): "
     );
+    const bidBond = await question("Bid Bond per bidder (ETH, 0 for none): ");
 
-    // Milestone details
-    const numMilestones = parseInt(await question("Number of Milestones: "));
-
-    const milestoneDescriptions = [];
-    const milestoneAmounts = [];
-
-    console.log("\nEnter milestone details:");
-    for (let i = 0; i < numMilestones; i++) {
-      console.log(`\nMilestone ${i + 1}:`);
-      const desc = await question(`  Description: `);
-      const amount = await question(`  Amount (ETH): `);
-
-      milestoneDescriptions.push(desc);
-      milestoneAmounts.push(ethers.parseEther(amount));
-    }
-
-    // Validate total milestone amounts
-    const totalMilestones = milestoneAmounts.reduce(
-      (sum, amount) => sum + amount,
-      0n
-    );
-    const maxBudgetWei = ethers.parseEther(maxBudget);
-
-    if (totalMilestones !== maxBudgetWei) {
-      error(
-        `Total milestones (${formatEth(
-          totalMilestones
-        )}) must equal max budget (${formatEth(maxBudgetWei)})`
-      );
+    const maxBudgetWei = parseAmount(maxBudget, currency);
+    const milestones = await promptMilestones(currency, maxBudgetWei);
+    if (!milestones) {
       return;
     }
+    const { milestoneDescriptions, milestoneAmounts, milestoneDueAfter } = milestones;
 
     info("\nCreating tender...");
 
-    // Call createTender (tests Ownable.onlyOwner modifier)
+    // Call createTender (tests AccessControl.onlyRole modifier)
     const tx = await contract.createTender(
       title,
       description,
       maxBudgetWei,
       parseInt(submissionDuration),
       parseInt(revealDuration),
+      ethers.parseEther(bidBond || "0"),
+      currency.token,
       milestoneDescriptions,
-      milestoneAmounts
+      milestoneAmounts,
+      milestoneDueAfter
     );
 
     info(`Transaction sent: ${tx.hash}`);
@@ -404,16 +600,27 @@ async function createTender() {
       console.log(`\n📋 Tender Details:`);
       console.log(`   ID: ${tenderId}`);
       console.log(`   Title: ${title}`);
-      console.log(`   Max Budget: ${formatEth(maxBudgetWei)}`);
+      console.log(`   Max Budget: ${formatAmount(maxBudgetWei, currency)}`);
       console.log(`   Submission Deadline: ${formatTimestamp(parsed.args[3])}`);
       console.log(`   Reveal Deadline: ${formatTimestamp(parsed.args[4])}`);
+
+      await displayTxDetails(tx, receipt);
+
+      // Split the tender into lots while it is still open
+      while (
+        (await question("\nAdd another lot to this tender? (y/N): ")).toLowerCase() ===
+        "y"
+      ) {
+        await addLotTo(tenderId, currency);
+      }
+      return;
     }
 
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    if (err.message.includes("Ownable")) {
+    if (err.message.includes("AccessControl")) {
       error(
-        "Access denied! This function requires owner privileges (Ownable.onlyOwner)"
+        "Access denied! This function requires the Tender Admin role (AccessControl.onlyRole)"
       );
     } else {
       error(`Failed to create tender: ${err.message}`);
@@ -421,6 +628,143 @@ async function createTender() {
   }
 }
 
+/**
+ * Prompt for milestones and check they add up to the budget
+ * @returns {{ milestoneDescriptions, milestoneAmounts, milestoneDueAfter } | null}
+ *          null if they do not
+ */
+async function promptMilestones(currency, maxBudgetWei) {
+  const numMilestones = parseInt(await question("Number of Milestones: "));
+
+  const milestoneDescriptions = [];
+  const milestoneAmounts = [];
+  const milestoneDueAfter = [];
+
+  console.log("\nEnter milestone details:");
+  for (let i = 0; i < numMilestones; i++) {
+    console.log(`\nMilestone ${i + 1}:`);
+    const desc = await question(`  Description: `);
+    const amount = await question(`  Amount (${currency.symbol}): `);
+    const dueDays = await question(`  Due (days after award, 0 for no due date): `);
+
+    milestoneDescriptions.push(desc);
+    milestoneAmounts.push(parseAmount(amount, currency));
+    milestoneDueAfter.push(Math.round(parseFloat(dueDays || "0") * 86400));
+  }
+
+  // Validate total milestone amounts
+  const totalMilestones = milestoneAmounts.reduce(
+    (sum, amount) => sum + amount,
+    0n
+  );
+
+  if (totalMilestones !== maxBudgetWei) {
+    error(
+      `Total milestones (${formatAmount(
+        totalMilestones,
+        currency
+      )}) must equal max budget (${formatAmount(maxBudgetWei, currency)})`
+    );
+    return null;
+  }
+  return { milestoneDescriptions, milestoneAmounts, milestoneDueAfter };
+}
+
+/**
+ * Prompt for a lot's details and add it to an open tender
+ */
+async function addLotTo(tenderId, currency) {
+  console.log("\nEnter lot details:");
+  const title = await question("Title: ");
+  const description = await question("Description: ");
+  const maxBudgetWei = parseAmount(
+    await question(`Maximum Budget (${currency.symbol}): `),
+    currency
+  );
+
+  const milestones = await promptMilestones(currency, maxBudgetWei);
+  if (!milestones) {
+    return;
+  }
+
+  const tx = await contract.addLot(
+    tenderId,
+    title,
+    description,
+    maxBudgetWei,
+    milestones.milestoneDescriptions,
+    milestones.milestoneAmounts,
+    milestones.milestoneDueAfter
+  );
+  info(`Transaction sent: ${tx.hash}`);
+
+  const receipt = await tx.wait();
+
+  const event = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "LotAdded");
+
+  success("Lot added!");
+  if (event) {
+    console.log(`   Lot ${event.args.lotNumber}: Tender ID ${event.args.lotTenderId}`);
+    info("Bid on, award, fund and pay the lot using its own Tender ID");
+  }
+  await displayTxDetails(tx, receipt);
+}
+
+/**
+ * Add a lot to a tender still in its submission phase (Tender Admin only)
+ */
+async function addLot() {
+  header("Add Lot to Tender");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "add lots"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID (lot 1): ");
+    await addLotTo(tenderId, await getTenderCurrency(tenderId));
+  } catch (err) {
+    error(`Failed to add lot: ${err.message}`);
+  }
+}
+
+/**
+ * List every lot of a tender with its award status
+ */
+async function viewLots() {
+  header("View Tender Lots");
+
+  try {
+    const tenderId = await question("Enter Tender ID (or any of its lots): ");
+    const lotIds = await contract.getLots(tenderId);
+    const currency = await getTenderCurrency(lotIds[0]);
+
+    console.log(`\n📦 Tender #${lotIds[0]} (${lotIds.length} lot(s)):`);
+    for (let i = 0; i < lotIds.length; i++) {
+      const details = await contract.getTenderDetails(lotIds[i]);
+      console.log(`\n   Lot ${i + 1} - Tender ID ${lotIds[i]}: ${details[0]}`);
+      console.log(`      Max Budget: ${formatAmount(details[2], currency)}`);
+      console.log(`      Phase: ${TENDER_PHASE[details[5]]}`);
+      console.log(
+        `      Winner: ${
+          details[6] === ethers.ZeroAddress ? "Not selected" : details[6]
+        }`
+      );
+      console.log(`      Funded Amount: ${formatAmount(details[7], currency)}`);
+    }
+  } catch (err) {
+    error(`Failed to view lots: ${err.message}`);
+  }
+}
+
 /**
  * View tender details
  */
@@ -431,31 +775,170 @@ async function viewTender() {
     const tenderId = await question("Enter Tender ID: ");
 
     const details = await contract.getTenderDetails(tenderId);
+    const currency = await getCurrency(details[10]);
 
     console.log(`\n📋 Tender #${tenderId}:`);
     console.log(`   Title: ${details[0]}`);
     console.log(`   Description: ${details[1]}`);
-    console.log(`   Max Budget: ${formatEth(details[2])}`);
-    console.log(`   Submission Deadline: ${formatTimestamp(details[3])}`);
-    console.log(`   Reveal Deadline: ${formatTimestamp(details[4])}`);
     console.log(
-      `   Phase: ${
-        [
-          "BID_SUBMISSION",
-          "BID_REVEAL",
-          "WINNER_SELECTION",
-          "PAYMENT_PENDING",
-          "COMPLETED",
-        ][details[5]]
+      `   Payment Currency: ${currency.symbol}${
+        currency === ETH_CURRENCY ? "" : ` (${currency.token})`
       }`
     );
+    console.log(`   Max Budget: ${formatAmount(details[2], currency)}`);
+    console.log(`   Submission Deadline: ${formatTimestamp(details[3])}`);
+    console.log(`   Reveal Deadline: ${formatTimestamp(details[4])}`);
+    console.log(`   Phase: ${TENDER_PHASE[details[5]]}`);
+    if (TENDER_PHASE[details[5]] === "CANCELLED") {
+      console.log(
+        `   Cancellation Reason: ${await contract.cancellationReasons(tenderId)}`
+      );
+    }
+    if (TENDER_PHASE[details[5]] === "TERMINATED") {
+      const termination = await contract.terminations(tenderId);
+      const currency = await getTenderCurrency(tenderId);
+      console.log(`   Terminated: ${formatTimestamp(termination[8])} (notice ${termination[2]})`);
+      console.log(
+        `   Settled: ${termination[3]} milestone(s), ${formatAmount(
+          termination[4],
+          currency
+        )} to ${formatAddress(termination[0])}`
+      );
+      console.log(`   Returned to Treasury: ${formatAmount(termination[5], currency)}`);
+      if (termination[6] > 0n) {
+        console.log(`   Bond Forfeited: ${formatAmount(termination[6], currency)}`);
+      }
+      if (termination[7] > 0n) {
+        console.log(`   Retention Forfeited: ${formatAmount(termination[7], currency)}`);
+      }
+      if (termination[9] > 0n) {
+        console.log(`   Still Owed to Contractor: ${formatAmount(termination[9], currency)}`);
+      }
+    }
+    const acceptance = await contract.awardAcceptances(tenderId);
+    if (acceptance[0] > 0n && TENDER_PHASE[details[5]] === "PAYMENT_PENDING") {
+      const answer = acceptance[2]
+        ? "✅ Accepted"
+        : acceptance[3]
+        ? "❌ Declined"
+        : `⏳ Awaiting winner until ${formatTimestamp(acceptance[1])}`;
+      console.log(`   Award Acceptance: ${answer}`);
+    }
+    const standstill = await contract.awardStandstills(tenderId);
+    if (standstill[0] > 0n) {
+      console.log(
+        `   Standstill: ${Number(standstill[0]) / 86400} day(s)${
+          TENDER_PHASE[details[5]] === "AWARD_PENDING"
+            ? `, ends ${formatTimestamp(standstill[1])} (${standstill[3]} open challenge(s))`
+            : ""
+        }`
+      );
+    }
     console.log(
       `   Winner: ${
         details[6] === ethers.ZeroAddress ? "Not selected" : details[6]
       }`
     );
-    console.log(`   Funded Amount: ${formatEth(details[7])}`);
+    console.log(`   Funded Amount: ${formatAmount(details[7], currency)}`);
+    const changeOrderCount = await contract.getChangeOrderCount(tenderId);
+    if (changeOrderCount > 0n) {
+      const [awardedValue, currentValue] = await contract.getContractValue(tenderId);
+      console.log(
+        `   Contract Value: ${formatAmount(currentValue, currency)} (awarded ${formatAmount(
+          awardedValue,
+          currency
+        )}, ${changeOrderCount} change order(s))`
+      );
+    }
     console.log(`   Milestones Completed: ${details[8].toString()}`);
+    console.log(`   Bid Bond: ${formatEth(details[9])}`);
+
+    const terms = await contract.guaranteeTerms(tenderId);
+    if (terms[0] > 0n || terms[1] > 0n) {
+      const held = await contract.guarantees(tenderId);
+      console.log(
+        `   Guarantees: ${Number(terms[0]) / 100}% retention, ${
+          Number(terms[1]) / 100
+        }% performance bond, ${Number(terms[2]) / 86400} day(s) defects liability`
+      );
+      console.log(
+        `   Held: ${formatAmount(held[0], currency)} retention, ${formatAmount(
+          held[1],
+          currency
+        )} bond${held[2] === 0n && terms[1] > 0n ? " (bond not deposited yet)" : ""}`
+      );
+    }
+
+    const damagesTerms = await contract.liquidatedDamagesTerms(tenderId);
+    if (damagesTerms[0] > 0n) {
+      console.log(
+        `   Liquidated Damages: ${Number(damagesTerms[0]) / 100}% per day late, capped at ${
+          Number(damagesTerms[1]) / 100
+        }% of each payout`
+      );
+    }
+
+    const framework = await contract.frameworkAgreements(tenderId);
+    if (framework[0] > 0n) {
+      console.log(
+        `   Framework: up to ${framework[0]} supplier(s), ceiling ${formatAmount(
+          framework[1],
+          currency
+        )} (see View Framework)`
+      );
+    }
+    const frameworkId = await contract.callOffFrameworks(tenderId);
+    if (frameworkId > 0n) {
+      console.log(`   Call-off of framework #${frameworkId}`);
+    }
+
+    const lotIds = await contract.getLots(tenderId);
+    if (lotIds.length > 1) {
+      const lotNumber = lotIds.findIndex((id) => id === BigInt(tenderId)) + 1;
+      console.log(
+        `   Lot: ${lotNumber} of ${lotIds.length} (tender #${lotIds[0]}, lot IDs ${lotIds.join(
+          ", "
+        )})`
+      );
+    }
+
+    const evaluation = await contract.evaluationConfigs(tenderId);
+    console.log(
+      `   Evaluation: ${
+        evaluation[0]
+          ? `Weighted (price ${Number(evaluation[1]) / 100}% / quality ${
+              100 - Number(evaluation[1]) / 100
+            }%)`
+          : "Lowest price"
+      }${
+        evaluation[2] > 0n
+          ? `, low bids flagged below ${Number(evaluation[2]) / 100}% of median`
+          : ""
+      }`
+    );
+
+    const sealedConfig = await contract.sealedBidConfigs(tenderId);
+    console.log(
+      `   Bid Mode: ${
+        sealedConfig[0] === "0x"
+          ? "Commit-reveal"
+          : `Sealed (authority key ${
+              sealedConfig[2] === ethers.ZeroHash ? "not yet published" : "published"
+            })`
+      }`
+    );
+
+    // Addenda published during the submission phase
+    const addendumCount = await contract.getAddendumCount(tenderId);
+    if (addendumCount > 0n) {
+      console.log(`\n📝 Addenda (${addendumCount} published):`);
+      for (let i = 0; i < Number(addendumCount); i++) {
+        const addendum = await contract.getAddendum(tenderId, i);
+        console.log(
+          `   #${i + 1} ${addendum[0]} (${formatTimestamp(addendum[1])})`
+        );
+      }
+    }
 
     // Get milestone count
     const milestoneCount = await contract.getMilestoneCount(tenderId);
@@ -465,8 +948,47 @@ async function viewTender() {
       const milestone = await contract.getMilestone(tenderId, i);
       console.log(`\n   Milestone ${i + 1}:`);
       console.log(`      Description: ${milestone[0]}`);
-      console.log(`      Amount: ${formatEth(milestone[1])}`);
-      console.log(`      Status: ${milestone[2] ? "✅ Paid" : "⏳ Pending"}`);
+      console.log(`      Budgeted Amount: ${formatAmount(milestone[1], currency)}`);
+      if (details[6] !== ethers.ZeroAddress) {
+        console.log(
+          `      Payout (pro-rata): ${formatAmount(milestone[4], currency)}`
+        );
+      }
+      const schedule = await contract.getMilestoneSchedule(tenderId, i);
+      if (schedule[1] > 0n) {
+        console.log(`      Due: ${formatTimestamp(schedule[1])}`);
+      } else if (schedule[0] > 0n) {
+        console.log(`      Due: ${Number(schedule[0]) / 86400} day(s) after award`);
+      }
+      if (schedule[3] > 0n) {
+        console.log(
+          `      Liquidated Damages: ${formatAmount(schedule[3], currency)} (${
+            schedule[2]
+          } day(s) late)`
+        );
+      }
+      const claim = await contract.getMilestoneClaim(tenderId, i);
+      console.log(`      Status: ${MILESTONE_STATUS[claim[0]]}`);
+      if (claim[2] > 0n) {
+        console.log(`      Claimed At: ${formatTimestamp(claim[2])}`);
+        console.log(`      Claim Evidence: ${claim[1]}`);
+      }
+      if (claim[3] !== ethers.ZeroHash) {
+        console.log(`      Last Rejection Reason: ${claim[3]}`);
+      }
+      const dispute = await contract.disputes(tenderId, i);
+      if (dispute[3] > 0n) {
+        console.log(
+          `      Dispute: ${DISPUTE_STATUS[dispute[3]]} (raised by ${formatAddress(
+            dispute[0]
+          )})${dispute[3] === 2n ? `, ${Number(dispute[6]) / 100}% to contractor` : ""}`
+        );
+      }
+      if (milestone[5]) {
+        console.log(`      Approved By: ${formatAddress(milestone[6])}`);
+        console.log(`      Approved At: ${formatTimestamp(milestone[7])}`);
+        console.log(`      Evidence Hash: ${milestone[8]}`);
+      }
       if (milestone[2]) {
         console.log(`      Paid At: ${formatTimestamp(milestone[3])}`);
       }
@@ -476,79 +998,296 @@ async function viewTender() {
   }
 }
 
-// =============================================================================
-//                        BIDDER OPERATIONS
-// =============================================================================
-
 /**
- * Register as a bidder
+ * Extend the deadlines of a tender still in its submission phase (Tender Admin only)
  */
-async function registerBidder() {
-  header("Register as Bidder");
+async function extendDeadlines() {
+  header("Extend Tender Deadlines");
 
   try {
-    // Check if already registered
-    const isRegistered = await contract.isBidderRegistered(signer.address);
+    if (!(await requireRole("TENDER_ADMIN", "extend deadlines"))) {
+      return;
+    }
 
-    if (isRegistered) {
-      warning("You are already registered as a bidder!");
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+
+    if (TENDER_PHASE[details[5]] !== "BID_SUBMISSION") {
+      error("Deadlines can only be extended during BID_SUBMISSION!");
+      return;
+    }
+
+    console.log(`\n⏰ Current Deadlines:`);
+    console.log(`   Submission: ${formatTimestamp(details[3])}`);
+    console.log(`   Reveal: ${formatTimestamp(details[4])}`);
+
+    const submissionExtension = BigInt(
+      (await question("Extend submission by (seconds): ")) || "0"
+    );
+    const revealExtension = BigInt(
+      (await question(
+        `Extend reveal by (seconds, Enter for ${submissionExtension}): `
+      )) || submissionExtension
+    );
+
+    const newSubmission = details[3] + submissionExtension;
+    const newReveal = details[4] + revealExtension;
+
+    if (revealExtension < submissionExtension) {
+      error("The reveal window cannot shrink: extend reveal by at least the submission extension!");
       return;
     }
 
-    info("Registering as bidder...");
+    console.log(`\n⏰ New Deadlines:`);
+    console.log(`   Submission: ${formatTimestamp(newSubmission)}`);
+    console.log(`   Reveal: ${formatTimestamp(newReveal)}`);
 
-    const tx = await contract.registerBidder();
+    const tx = await contract.extendDeadlines(tenderId, newSubmission, newReveal);
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    success("Successfully registered as bidder!");
+    success("Deadlines extended!");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    error(`Failed to register: ${err.message}`);
+    error(`Failed to extend deadlines: ${err.message}`);
   }
 }
 
 /**
- * Submit a bid (Commit phase)
+ * Publish an addendum to a tender in its submission phase (Tender Admin only)
  */
-async function submitBid() {
-  header("Submit Bid (Commit Phase)");
+async function publishAddendum() {
+  header("Publish Addendum");
 
   try {
-    // Check if registered
-    const isRegistered = await contract.isBidderRegistered(signer.address);
-    if (!isRegistered) {
-      error("You must register as a bidder first!");
+    if (!(await requireRole("TENDER_ADMIN", "publish addenda"))) {
       return;
     }
 
     const tenderId = await question("Enter Tender ID: ");
+    const content = await question(
+      "Addendum content (text or 0x-prefixed document hash): "
+    );
+    const contentHash = toEvidenceHash(content);
 
-    // Get tender details to check phase
-    const details = await contract.getTenderDetails(tenderId);
-    const phase = Number(details[5]);
+    info(`Content hash: ${contentHash}`);
 
-    if (phase !== 0) {
-      // BID_SUBMISSION = 0
-      error("Tender is not in BID_SUBMISSION phase!");
-      return;
-    }
+    const tx = await contract.publishAddendum(tenderId, contentHash);
+    info(`Transaction sent: ${tx.hash}`);
 
-    const bidAmount = await question("Enter your bid amount (ETH): ");
+    const receipt = await tx.wait();
 
-    // Generate random nonce using ethers
-    const nonce = ethers.hexlify(ethers.randomBytes(32));
+    success("Addendum published!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("Deadline has passed")) {
+      error("The submission deadline has passed - addenda are closed");
+    } else {
+      error(`Failed to publish addendum: ${err.message}`);
+    }
+  }
+}
 
-    info(`Generated nonce: ${nonce}`);
+/**
+ * Cancel a tender before any milestone payment (Tender Admin only)
+ */
+async function cancelTender() {
+  header("Cancel Tender");
 
-    // Calculate bid hash using solidityPackedKeccak256
-    const bidHash = ethers.solidityPackedKeccak256(
-      ["uint256", "string"],
-      [ethers.parseEther(bidAmount), nonce]
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "cancel tenders"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+    const phase = TENDER_PHASE[details[5]];
+
+    if (phase === "COMPLETED" || phase === "CANCELLED") {
+      error(`Tender is ${phase} and cannot be cancelled!`);
+      return;
+    }
+
+    const reason = await question(
+      "Cancellation reason (text or 0x-prefixed hash): "
+    );
+    const reasonHash = toEvidenceHash(reason);
+
+    console.log(`\n🚫 Cancellation:`);
+    console.log(`   Title: ${details[0]}`);
+    console.log(`   Current Phase: ${phase}`);
+    console.log(`   Reason Hash: ${reasonHash}`);
+    if (details[7] > 0n) {
+      const currency = await getCurrency(details[10]);
+      console.log(
+        `   Funding credited back to treasury: ${formatAmount(details[7], currency)}`
+      );
+    }
+    info("All unsettled bid bonds are credited back to their bidders");
+
+    const confirm = await question("\nCancel this tender? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Cancellation aborted");
+      return;
+    }
+
+    const tx = await contract.cancelTender(tenderId, reasonHash);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Tender cancelled!");
+    info("Refunds are collected with 'Withdraw Available Funds'");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("Milestone payments already started")) {
+      error("A milestone is already approved or paid - tender cannot be cancelled");
+    } else {
+      error(`Failed to cancel tender: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Re-issue a cancelled tender under a new ID (Tender Admin only)
+ */
+async function retender() {
+  header("Re-tender Cancelled Tender");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "re-tender"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter cancelled Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+
+    if (TENDER_PHASE[details[5]] !== "CANCELLED") {
+      error("Only cancelled tenders can be re-tendered!");
+      return;
+    }
+
+    const submissionDuration = await question(
+      "New Submission Duration (seconds): "
+    );
+    const revealDuration = await question("New Reveal Duration (seconds): ");
+
+    info(`Re-issuing "${details[0]}" with the same budget and milestones...`);
+
+    const tx = await contract.retender(
+      tenderId,
+      parseInt(submissionDuration),
+      parseInt(revealDuration)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "TenderRetendered");
+
+    success("Tender re-issued!");
+    if (event) {
+      console.log(`   New Tender ID: ${event.args.newTenderId}`);
+    }
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to re-tender: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        BIDDER OPERATIONS
+// =============================================================================
+
+/**
+ * Apply to be registered as a bidder (approved later by a registrar)
+ */
+async function registerBidder() {
+  header("Register as Bidder");
+
+  try {
+    // Check if already registered or pending
+    const profile = await contract.bidderProfiles(signer.address);
+    if (profile[0] !== 0n) {
+      warning(`You already applied: ${BIDDER_STATUS[profile[0]]}`);
+      return;
+    }
+
+    const registrationNumber = await question("Company registration number: ");
+    const legalName = await question("Legal name: ");
+
+    info("Submitting application (only the registration number hash is stored)...");
+
+    const tx = await contract.registerBidder(
+      ethers.keccak256(ethers.toUtf8Bytes(registrationNumber)),
+      legalName
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Application submitted - awaiting registrar approval");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to register: ${err.message}`);
+  }
+}
+
+/**
+ * Submit a bid (Commit phase)
+ */
+async function submitBid() {
+  header("Submit Bid (Commit Phase)");
+
+  try {
+    // Check if registered, unexpired and not suspended/debarred
+    const isRegistered = await contract.isBidderRegistered(signer.address);
+    if (!isRegistered) {
+      const profile = await contract.bidderProfiles(signer.address);
+      error(
+        profile[0] === 0n
+          ? "You must register as a bidder first!"
+          : `You cannot bid: ${BIDDER_STATUS[profile[0]]} (registration valid until ${formatTimestamp(profile[5])})`
+      );
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    // Get tender details to check phase
+    const details = await contract.getTenderDetails(tenderId);
+    const phase = Number(details[5]);
+
+    if (phase !== 0) {
+      // BID_SUBMISSION = 0
+      error("Tender is not in BID_SUBMISSION phase!");
+      return;
+    }
+
+    const currency = await getCurrency(details[10]);
+    const bidAmount = await question(
+      `Enter your bid amount (${currency.symbol}): `
+    );
+
+    const { nonce, bidHash, encryptedBid } = await prepareBid(
+      tenderId,
+      parseAmount(bidAmount, currency)
     );
 
-    info(`Calculated bid hash: ${bidHash}`);
+    const bidBond = details[9];
+    if (bidBond > 0n) {
+      info(`This tender requires a bid bond of ${formatEth(bidBond)}`);
+      info("It is refunded after a valid reveal and forfeited otherwise");
+    }
 
     // Save bid locally
     saveBid(tenderId, signer.address, bidAmount, nonce);
@@ -556,7 +1295,11 @@ async function submitBid() {
 
     info("Submitting hashed bid to blockchain...");
 
-    const tx = await contract.submitBid(tenderId, bidHash);
+    const tx = encryptedBid
+      ? await contract.submitSealedBid(tenderId, bidHash, encryptedBid, {
+          value: bidBond,
+        })
+      : await contract.submitBid(tenderId, bidHash, { value: bidBond });
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
@@ -564,11 +1307,17 @@ async function submitBid() {
     success("Bid submitted successfully!");
     console.log(`\n📝 Bid Summary:`);
     console.log(`   Tender ID: ${tenderId}`);
-    console.log(`   Bid Amount: ${bidAmount} ETH (hidden on-chain)`);
+    console.log(
+      `   Bid Amount: ${bidAmount} ${currency.symbol} (hidden on-chain)`
+    );
     console.log(`   Bid Hash: ${bidHash}`);
     console.log(`   Nonce: ${nonce.substring(0, 10)}... (stored locally)`);
 
-    warning("Keep your nonce safe! You'll need it to reveal your bid.");
+    if (encryptedBid) {
+      info("Anyone can post your bid once the authority key is published");
+    } else {
+      warning("Keep your nonce safe! You'll need it to reveal your bid.");
+    }
 
     await displayTxDetails(tx, receipt);
   } catch (err) {
@@ -581,6 +1330,101 @@ async function submitBid() {
   }
 }
 
+/**
+ * Generate a nonce and the commitment for a bid, plus its ciphertext on
+ * sealed-bid tenders
+ * @returns {{ nonce, bidHash, encryptedBid }} encryptedBid is null for commit-reveal
+ */
+async function prepareBid(tenderId, amountWei) {
+  // Generate random nonce using ethers
+  const nonce = ethers.hexlify(ethers.randomBytes(32));
+
+  info(`Generated nonce: ${nonce}`);
+
+  // Calculate bid hash using solidityPackedKeccak256
+  const bidHash = ethers.solidityPackedKeccak256(["uint256", "string"], [amountWei, nonce]);
+
+  info(`Calculated bid hash: ${bidHash}`);
+
+  // Sealed-bid tenders also carry the bid encrypted to the authority key
+  const [publicKey] = await contract.sealedBidConfigs(tenderId);
+  const encryptedBid =
+    publicKey === "0x" ? null : sealedBids.encryptBid(publicKey, amountWei, nonce);
+  if (encryptedBid) {
+    info("Sealed-bid tender: bid encrypted to the tender authority key");
+  }
+  return { nonce, bidHash, encryptedBid };
+}
+
+/**
+ * Replace or withdraw your commitment before the submission deadline
+ */
+async function changeBid() {
+  header("Replace / Withdraw Bid (Commit Phase)");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+
+    const [commitHash, , , , , bondAmount] = await contract.getBid(tenderId, signer.address);
+    if (commitHash === ethers.ZeroHash) {
+      error("You have no bid on this tender!");
+      return;
+    }
+    const details = await contract.getTenderDetails(tenderId);
+    const block = await provider.getBlock("latest");
+    if (Number(details[5]) !== 0 || BigInt(block.timestamp) >= details[3]) {
+      error("Bids can only be changed before the submission deadline!");
+      return;
+    }
+
+    const replacements = await contract.bidReplacementCounts(tenderId, signer.address);
+    console.log(`\n📝 Current commitment: ${commitHash}`);
+    console.log(`   Replaced ${replacements} time(s) so far`);
+    console.log("\n   1. Replace with a new amount");
+    console.log("   2. Withdraw (bid bond refunded)");
+    const choice = await question("Choice: ");
+
+    let tx;
+    let newBid = null;
+    if (choice === "1") {
+      const currency = await getCurrency(details[10]);
+      const bidAmount = await question(`Enter your new bid amount (${currency.symbol}): `);
+      const { nonce, bidHash, encryptedBid } = await prepareBid(
+        tenderId,
+        parseAmount(bidAmount, currency)
+      );
+      warning("A replaced bid ranks behind every earlier commitment on ties");
+
+      tx = encryptedBid
+        ? await contract.replaceSealedBid(tenderId, bidHash, encryptedBid)
+        : await contract.replaceBid(tenderId, bidHash);
+      newBid = { bidAmount, nonce };
+    } else if (choice === "2") {
+      tx = await contract.withdrawBid(tenderId);
+    } else {
+      error("Invalid choice");
+      return;
+    }
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    if (newBid) {
+      // Only overwrite the stored nonce once the old commitment is gone
+      saveBid(tenderId, signer.address, newBid.bidAmount, newBid.nonce);
+      success("Bid replaced (new nonce stored locally)");
+    } else {
+      success("Bid withdrawn");
+      if (bondAmount > 0n) {
+        info(`Bid bond of ${formatEth(bondAmount)} credited - use 'Withdraw Available Funds'`);
+      }
+    }
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to change bid: ${err.message}`);
+  }
+}
+
 /**
  * Reveal a bid (Reveal phase)
  */
@@ -599,8 +1443,10 @@ async function revealBid() {
       return;
     }
 
+    const currency = await getTenderCurrency(tenderId);
+
     console.log(`\n📝 Stored Bid Details:`);
-    console.log(`   Amount: ${storedBid.amount} ETH`);
+    console.log(`   Amount: ${storedBid.amount} ${currency.symbol}`);
     console.log(`   Nonce: ${storedBid.nonce.substring(0, 10)}...`);
     console.log(`   Submitted: ${storedBid.timestamp}`);
 
@@ -615,7 +1461,7 @@ async function revealBid() {
     // Call revealBid - Tests Fix #1 (deadline enforcement)
     const tx = await contract.revealBid(
       tenderId,
-      ethers.parseEther(storedBid.amount),
+      parseAmount(storedBid.amount, currency),
       storedBid.nonce
     );
 
@@ -645,7 +1491,7 @@ async function revealBid() {
       console.log(`\n📊 Revealed Bid:`);
       console.log(`   Tender ID: ${parsed.args[0]}`);
       console.log(`   Bidder: ${parsed.args[1]}`);
-      console.log(`   Amount: ${formatEth(parsed.args[2])}`);
+      console.log(`   Amount: ${formatAmount(parsed.args[2], currency)}`);
       console.log(`   Valid: ${parsed.args[3] ? "✅ Yes" : "❌ No"}`);
       console.log(`   Revealed At: ${formatTimestamp(parsed.args[4])}`);
     }
@@ -682,6 +1528,8 @@ async function viewBids() {
       return;
     }
 
+    const currency = await getTenderCurrency(tenderId);
+
     console.log(
       `\n📊 Bids for Tender #${tenderId} (${bidders.length} bidders):`
     );
@@ -696,12 +1544,39 @@ async function viewBids() {
 
       if (bid[2]) {
         // isRevealed
-        console.log(`      Revealed Amount: ${formatEth(bid[1])}`);
+        console.log(`      Revealed Amount: ${formatAmount(bid[1], currency)}`);
         console.log(`      Valid: ${bid[3] ? "✅" : "❌"}`);
         console.log(`      Revealed At: ${formatTimestamp(bid[4])}`);
       } else {
         console.log(`      Status: ⏳ Not yet revealed`);
       }
+      if (bid[5] > 0n) {
+        console.log(
+          `      Bid Bond: ${formatEth(bid[5])} ${
+            bid[6] ? "(settled)" : "(held in escrow)"
+          }`
+        );
+      }
+      const lowBid = await contract.lowBidReviews(tenderId, bidder);
+      if (lowBid[0] > 0n) {
+        console.log(`      Low-Bid Review: ${LOW_BID_STATUS[lowBid[0]]}`);
+      }
+      const [members, shares] = await contract.getConsortium(tenderId, bidder);
+      if (members.length > 0) {
+        console.log(`      Consortium (${members.length} members):`);
+        for (let j = 0; j < members.length; j++) {
+          const memberLead = await contract.consortiumLeads(tenderId, members[j]);
+          const role =
+            members[j] === bidder
+              ? " (lead)"
+              : memberLead === bidder
+              ? " (accepted)"
+              : " (not accepted)";
+          console.log(
+            `         ${formatAddress(members[j])}: ${Number(shares[j]) / 100}%${role}`
+          );
+        }
+      }
       console.log();
     }
   } catch (err) {
@@ -709,458 +1584,3563 @@ async function viewBids() {
   }
 }
 
-// =============================================================================
-//                        WINNER SELECTION
-// =============================================================================
-
 /**
- * Select winner (Owner only)
+ * Propose the consortium you lead on a tender, before bidding for it
  */
-async function selectWinner() {
-  header("Select Winner");
+async function registerConsortium() {
+  header("Register Consortium (Joint Venture)");
 
   try {
-    // Check if user is owner
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can select winners!");
+    const tenderId = await question("Enter Tender ID: ");
+
+    const members = [signer.address];
+    const shares = [];
+    info("You are the lead member and will submit the bid");
+    shares.push(parseFloat(await question("Your share (%): ")));
+
+    const count = parseInt(await question("Number of other members: "));
+    if (isNaN(count) || count < 1) {
+      error("A consortium needs at least one other member");
       return;
     }
+    for (let i = 0; i < count; i++) {
+      members.push(await question(`Member ${i + 2} address: `));
+      shares.push(parseFloat(await question(`Member ${i + 2} share (%): `)));
+    }
 
-    const tenderId = await question("Enter Tender ID: ");
-
-    info("Selecting winner (iterating through all revealed bids)...");
-    info("Protected by Fix #2: Maximum 100 bidders = ~210k gas max");
+    if (shares.some((share) => isNaN(share) || share <= 0)) {
+      error("Every share must be a positive percentage");
+      return;
+    }
+    const basisPoints = shares.map((share) => Math.round(share * 100));
+    const total = basisPoints.reduce((a, b) => a + b, 0);
+    if (total !== 10000) {
+      error(`Shares must total 100% (got ${total / 100}%)`);
+      return;
+    }
 
-    const tx = await contract.selectWinner(tenderId);
+    const tx = await contract.registerConsortium(tenderId, members, basisPoints);
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    // Parse WinnerSelected event
-    const event = receipt.logs.find((log) => {
-      try {
-        const parsed = contract.interface.parseLog({
-          topics: [...log.topics],
-          data: log.data,
-        });
-        return parsed.name === "WinnerSelected";
-      } catch {
-        return false;
-      }
-    });
-
-    if (event) {
-      const parsed = contract.interface.parseLog({
-        topics: [...event.topics],
-        data: event.data,
-      });
-
-      success("Winner selected successfully!");
-      console.log(`\n🏆 Winner Details:`);
-      console.log(`   Tender ID: ${parsed.args[0]}`);
-      console.log(`   Winner: ${parsed.args[1]}`);
-      console.log(`   Winning Bid: ${formatEth(parsed.args[2])}`);
-      console.log(`   Selected At: ${formatTimestamp(parsed.args[3])}`);
-    }
-
+    success("Consortium proposed - every other member must accept it (option 75)");
+    info("Submit the bid from this account once all members have accepted");
+    info("Milestone payments will be split across members by share");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    if (err.message.includes("No valid bids found")) {
-      error(
-        "No valid bids found! Ensure at least one bid is revealed and valid."
-      );
-    } else {
-      error(`Failed to select winner: ${err.message}`);
-    }
+    error(`Failed to register consortium: ${err.message}`);
   }
 }
 
-// =============================================================================
-//                        PAYMENT OPERATIONS
-// =============================================================================
-
 /**
- * Fund a tender (Owner only)
+ * Accept a consortium proposed to you, or leave it before the lead bids
  */
-async function fundTender() {
-  header("Fund Tender");
+async function answerConsortium() {
+  header("Accept / Leave Consortium (Member)");
 
   try {
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can fund tenders!");
-      return;
-    }
-
     const tenderId = await question("Enter Tender ID: ");
 
-    // Get tender details
-    const details = await contract.getTenderDetails(tenderId);
-    const winner = details[6];
+    const currentLead = await contract.consortiumLeads(tenderId, signer.address);
+    if (currentLead !== ethers.ZeroAddress && currentLead !== signer.address) {
+      info(`You accepted the consortium led by ${formatAddress(currentLead)}`);
+      const leave = await question("Leave it? (yes/no): ");
+      if (leave.toLowerCase() !== "yes") {
+        info("Membership kept");
+        return;
+      }
 
-    if (winner === ethers.ZeroAddress) {
-      error("Winner not selected yet!");
+      const tx = await contract.leaveConsortium(tenderId);
+      info(`Transaction sent: ${tx.hash}`);
+      const receipt = await tx.wait();
+
+      success("Left the consortium - you can bid on your own again");
+      await displayTxDetails(tx, receipt);
       return;
     }
 
-    // Get winner's bid amount
-    const winnerBid = await contract.getBid(tenderId, winner);
-    const amount = winnerBid[1];
-
-    console.log(`\n💰 Funding Details:`);
-    console.log(`   Winner: ${winner}`);
-    console.log(`   Winning Bid: ${formatEth(amount)}`);
-
-    const confirm = await question(`\nFund ${formatEth(amount)}? (yes/no): `);
+    const lead = await question("Lead member address: ");
+    const [members, shares] = await contract.getConsortium(tenderId, lead);
+    const index = members.indexOf(signer.address);
+    if (index < 0) {
+      error("You are not listed in this lead's consortium");
+      return;
+    }
+    console.log(`\n   Consortium led by ${formatAddress(lead)}:`);
+    members.forEach((member, j) => {
+      console.log(`      ${formatAddress(member)}: ${Number(shares[j]) / 100}%`);
+    });
+    const confirm = await question(
+      `Accept a ${Number(shares[index]) / 100}% share? (yes/no): `
+    );
     if (confirm.toLowerCase() !== "yes") {
-      info("Funding cancelled");
+      info("Proposal not accepted");
       return;
     }
 
-    info("Funding tender...");
-
-    const tx = await contract.fundTender(tenderId, { value: amount });
+    const tx = await contract.acceptConsortium(tenderId, lead);
     info(`Transaction sent: ${tx.hash}`);
-
     const receipt = await tx.wait();
 
-    success("Tender funded successfully!");
+    success("Consortium accepted - you can no longer bid on your own for this tender");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    error(`Failed to fund tender: ${err.message}`);
+    error(`Failed to answer consortium: ${err.message}`);
   }
 }
 
+// =============================================================================
+//                        BIDDER REGISTRY (Registrar)
+// =============================================================================
+
 /**
- * Release milestone payment (Owner only - Tests nonReentrant)
+ * Print a bidder's registry profile
  */
-async function releaseMilestonePayment() {
-  header("Release Milestone Payment");
+async function printBidderProfile(bidder) {
+  const profile = await contract.bidderProfiles(bidder);
+  console.log(`\n🪪 Bidder ${bidder}:`);
+  console.log(`   Legal Name: ${profile[2] || "-"}`);
+  console.log(`   Registration Number Hash: ${profile[1]}`);
+  console.log(`   Status: ${BIDDER_STATUS[profile[0]]}`);
+  if (profile[3] !== ethers.ZeroAddress) {
+    console.log(`   Attested By: ${formatAddress(profile[3])}`);
+    console.log(`   Attestation Hash: ${profile[4]}`);
+    console.log(`   Valid Until: ${formatTimestamp(profile[5])}`);
+  }
+  if (profile[6] !== ethers.ZeroHash) {
+    console.log(`   Last Decision Reason: ${profile[6]}`);
+  }
+  if (profile[0] === 3n || profile[0] === 4n) {
+    console.log(
+      `   Sanctioned Until: ${
+        profile[7] === 0n ? "Indefinitely" : formatTimestamp(profile[7])
+      }`
+    );
+  }
+  if (await contract.isCompanyDebarred(profile[1])) {
+    const debarment = await contract.companyDebarments(profile[1]);
+    console.log(`   ⛔ Company on debarment list until ${formatTimestamp(debarment[2])}`);
+  }
+  return profile;
+}
+
+/**
+ * Approve or reject pending bidder applications (Registrar only)
+ */
+async function reviewBidderApplications() {
+  header("Review Bidder Applications");
 
   try {
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can release milestone payments!");
+    if (!(await requireRole("REGISTRAR", "review bidder applications"))) {
       return;
     }
 
-    const tenderId = await question("Enter Tender ID: ");
-    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+    const applicants = await contract.getPendingApplicants();
+    if (applicants.length === 0) {
+      info("No pending applications");
+      return;
+    }
 
-    // Get milestone details
-    const milestone = await contract.getMilestone(tenderId, milestoneIndex);
+    for (const applicant of applicants) {
+      await printBidderProfile(applicant);
 
-    console.log(`\n💸 Milestone Details:`);
-    console.log(`   Description: ${milestone[0]}`);
-    console.log(`   Amount: ${formatEth(milestone[1])}`);
-    console.log(`   Status: ${milestone[2] ? "Already paid" : "Pending"}`);
+      const decision = await question("Approve, reject or skip? (a/r/s): ");
+      let tx;
+      if (decision.toLowerCase() === "a") {
+        const attestation = await question(
+          "KYC attestation (text or 0x-prefixed document hash): "
+        );
+        const days = parseInt(await question("Registration valid for (days): "));
+        if (isNaN(days) || days <= 0) {
+          error("Validity must be a positive number of days");
+          continue;
+        }
+        const block = await provider.getBlock("latest");
+        tx = await contract.approveBidder(
+          applicant,
+          toEvidenceHash(attestation),
+          block.timestamp + days * 24 * 60 * 60
+        );
+      } else if (decision.toLowerCase() === "r") {
+        const reason = await question("Rejection reason (text or 0x-prefixed hash): ");
+        tx = await contract.rejectBidderApplication(applicant, toEvidenceHash(reason));
+      } else {
+        continue;
+      }
 
-    if (milestone[2]) {
-      warning("This milestone is already paid!");
+      info(`Transaction sent: ${tx.hash}`);
+      await tx.wait();
+      success(decision.toLowerCase() === "a" ? "Bidder approved" : "Application rejected");
+    }
+  } catch (err) {
+    error(`Failed to review applications: ${err.message}`);
+  }
+}
+
+/**
+ * Suspend or debar a registered bidder (Registrar only)
+ */
+async function sanctionBidder() {
+  header("Suspend / Debar Bidder");
+
+  try {
+    if (!(await requireRole("REGISTRAR", "suspend or debar bidders"))) {
       return;
     }
 
-    const confirm = await question(
-      `\nRelease payment of ${formatEth(milestone[1])}? (yes/no): `
-    );
-    if (confirm.toLowerCase() !== "yes") {
-      info("Release cancelled");
+    const bidder = await question("Enter bidder address: ");
+    await printBidderProfile(bidder);
+
+    const type = await question("\nSuspend or debar? (s/d): ");
+    if (type.toLowerCase() !== "s" && type.toLowerCase() !== "d") {
+      error("Choose s (suspend) or d (debar)");
       return;
     }
+    const debar = type.toLowerCase() === "d";
 
-    info("Releasing milestone payment...");
-    info(
-      "Protected by OpenZeppelin ReentrancyGuard.nonReentrant modifier (Fix #3)"
+    const reason = await question("Reason (text or 0x-prefixed hash): ");
+    const days = parseInt(
+      await question(`Duration in days${debar ? " (0 = indefinite)" : ""}: `)
     );
+    if (isNaN(days) || days < 0 || (!debar && days === 0)) {
+      error("Invalid duration");
+      return;
+    }
 
-    // This tests ReentrancyGuard - will block reentrancy attempts
-    const tx = await contract.releaseMilestonePayment(tenderId, milestoneIndex);
+    const block = await provider.getBlock("latest");
+    const until = days === 0 ? 0 : block.timestamp + days * 24 * 60 * 60;
+    const tx = debar
+      ? await contract.debarBidder(bidder, toEvidenceHash(reason), until)
+      : await contract.suspendBidder(bidder, toEvidenceHash(reason), until);
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    success("Milestone payment released successfully!");
-    info(
-      "Note: Payment protected by ReentrancyGuard (defense-in-depth with CEI pattern)"
-    );
-
+    success(debar ? "Bidder debarred" : "Bidder suspended");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    if (err.message.includes("ReentrancyGuard")) {
-      error("Reentrancy attempt blocked by ReentrancyGuard!");
-      info("This is Fix #3 - prevents reentrancy attacks");
-    } else {
-      error(`Failed to release payment: ${err.message}`);
-    }
+    error(`Failed to sanction bidder: ${err.message}`);
   }
 }
 
 /**
- * Emergency withdraw (Owner only - Tests nonReentrant)
+ * Lift a suspension or debarment early (Registrar only)
  */
-async function emergencyWithdraw() {
-  header("Emergency Withdraw");
+async function reinstateBidder() {
+  header("Reinstate Bidder");
 
   try {
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can perform emergency withdraw!");
+    if (!(await requireRole("REGISTRAR", "reinstate bidders"))) {
       return;
     }
 
-    const tenderId = await question("Enter Tender ID: ");
+    const bidder = await question("Enter bidder address: ");
+    const profile = await printBidderProfile(bidder);
+    if (profile[0] !== 3n && profile[0] !== 4n) {
+      error("This bidder is not suspended or debarred!");
+      return;
+    }
 
-    // Get tender details
-    const details = await contract.getTenderDetails(tenderId);
-    const fundedAmount = details[7];
+    const reason = await question("\nReinstatement decision (text or 0x-prefixed hash): ");
 
-    if (fundedAmount === 0n) {
-      warning("No funds to withdraw for this tender");
+    const tx = await contract.reinstateBidder(bidder, toEvidenceHash(reason));
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Bidder reinstated");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to reinstate bidder: ${err.message}`);
+  }
+}
+
+/**
+ * View the registry profile of any bidder
+ */
+async function viewBidderProfile() {
+  header("View Bidder Profile");
+
+  try {
+    const input = await question("Enter bidder address (empty = you): ");
+    await printBidderProfile(input || signer.address);
+  } catch (err) {
+    error(`Failed to view bidder profile: ${err.message}`);
+  }
+}
+
+/**
+ * Put a company on the debarment list by registration number (Registrar only)
+ */
+async function debarCompany() {
+  header("Debar Company");
+
+  try {
+    if (!(await requireRole("REGISTRAR", "debar companies"))) {
       return;
     }
 
-    console.log(`\n⚠️  Emergency Withdraw:`);
-    console.log(`   Funded Amount: ${formatEth(fundedAmount)}`);
+    const registrationNumber = await question(
+      "Company registration number (or 0x-prefixed hash): "
+    );
+    const reason = await question("Debarment decision (text or 0x-prefixed hash): ");
+    const days = parseInt(await question("Debarment duration (days): "));
+    if (isNaN(days) || days <= 0) {
+      error("Debarments are time-limited: enter a positive number of days");
+      return;
+    }
 
-    const confirm = await question(
-      `\nWithdraw ${formatEth(fundedAmount)}? (yes/no): `
+    const block = await provider.getBlock("latest");
+    const tx = await contract.debarCompany(
+      toEvidenceHash(registrationNumber),
+      toEvidenceHash(reason),
+      block.timestamp + days * 24 * 60 * 60
     );
-    if (confirm.toLowerCase() !== "yes") {
-      info("Withdrawal cancelled");
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Company added to the debarment list");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to debar company: ${err.message}`);
+  }
+}
+
+/**
+ * Lift a company debarment early (Registrar only)
+ */
+async function liftCompanyDebarment() {
+  header("Lift Company Debarment");
+
+  try {
+    if (!(await requireRole("REGISTRAR", "lift debarments"))) {
       return;
     }
 
-    warning("This is an emergency function - use with caution!");
-    info(
-      "Protected by OpenZeppelin ReentrancyGuard.nonReentrant modifier (Fix #3)"
+    const registrationNumber = await question(
+      "Company registration number (or 0x-prefixed hash): "
     );
+    const registrationNumberHash = toEvidenceHash(registrationNumber);
+    if (!(await contract.isCompanyDebarred(registrationNumberHash))) {
+      error("This company is not debarred!");
+      return;
+    }
 
-    const tx = await contract.emergencyWithdraw(tenderId);
+    const reason = await question("Decision lifting the debarment (text or 0x-prefixed hash): ");
+
+    const tx = await contract.liftCompanyDebarment(
+      registrationNumberHash,
+      toEvidenceHash(reason)
+    );
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    success("Emergency withdrawal completed!");
-    info(
-      "Note: Protected by both CEI pattern AND ReentrancyGuard (defense-in-depth)"
+    success("Debarment lifted");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to lift debarment: ${err.message}`);
+  }
+}
+
+/**
+ * Show the public debarment list
+ */
+async function viewDebarmentList() {
+  header("Debarment List");
+
+  try {
+    const companies = await contract.getDebarredCompanies();
+    if (companies.length === 0) {
+      info("No company has ever been debarred");
+      return;
+    }
+
+    for (const company of companies) {
+      const debarment = await contract.companyDebarments(company);
+      const active = await contract.isCompanyDebarred(company);
+      console.log(`\n   ${company}`);
+      console.log(`      Status: ${active ? "⛔ Debarred" : "✅ Ended or lifted"}`);
+      console.log(`      Recorded: ${formatTimestamp(debarment[1])}`);
+      if (active) {
+        console.log(`      Until: ${formatTimestamp(debarment[2])}`);
+      }
+      console.log(`      Latest Decision: ${debarment[0]}`);
+    }
+  } catch (err) {
+    error(`Failed to view debarment list: ${err.message}`);
+  }
+}
+
+/**
+ * Declare a conflict of interest on a tender (Evaluator, Auditor or Arbitrator)
+ */
+async function declareConflictOfInterest() {
+  header("Declare Conflict of Interest");
+
+  try {
+    const roles = await getRoles(signer.address);
+    if (!roles.EVALUATOR && !roles.AUDITOR && !roles.ARBITRATOR) {
+      error("Only evaluators, auditors and arbitrators declare conflicts of interest!");
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const declaration = await question(
+      "Declaration - related party and nature of the interest (text or 0x-prefixed hash): "
+    );
+
+    warning("You will no longer be able to act on this tender.");
+    const confirm = await question("Confirm declaration? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Cancelled");
+      return;
+    }
+
+    const tx = await contract.declareConflictOfInterest(
+      tenderId,
+      toEvidenceHash(declaration)
     );
+    info(`Transaction sent: ${tx.hash}`);
 
+    const receipt = await tx.wait();
+
+    success("Conflict of interest declared - you are recused from this tender");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    if (err.message.includes("ReentrancyGuard")) {
-      error("Reentrancy attempt blocked by ReentrancyGuard!");
-    } else {
-      error(`Failed to withdraw: ${err.message}`);
-    }
+    error(`Failed to declare conflict of interest: ${err.message}`);
   }
 }
 
 // =============================================================================
-//                        EMERGENCY CONTROLS (Pausable)
+//                        BID BONDS
 // =============================================================================
 
 /**
- * Pause contract (Owner only - Tests Pausable)
+ * Claim bid bond refund after a valid reveal (pull payment)
  */
-async function pauseContract() {
-  header("Pause Contract");
+async function claimBidBond() {
+  header("Claim Bid Bond Refund");
 
   try {
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can pause the contract!");
+    const tenderId = await question("Enter Tender ID: ");
+
+    const bid = await contract.getBid(tenderId, signer.address);
+    if (bid[5] === 0n) {
+      warning("You have no bid bond on this tender");
       return;
     }
-
-    const isPaused = await contract.paused();
-    if (isPaused) {
-      warning("Contract is already paused!");
+    if (bid[6]) {
+      warning("Your bid bond has already been refunded or forfeited");
+      return;
+    }
+    if (!bid[2] || !bid[3]) {
+      error("Only bidders who revealed a valid bid can claim their bond!");
       return;
     }
 
-    warning("This will stop all contract operations!");
-    const confirm = await question("Pause contract? (yes/no): ");
-    if (confirm.toLowerCase() !== "yes") {
-      info("Pause cancelled");
+    const details = await contract.getTenderDetails(tenderId);
+    const now = (await provider.getBlock("latest")).timestamp;
+    if (BigInt(now) < details[4]) {
+      error(`Bonds can be claimed after the reveal deadline (${formatTimestamp(details[4])})`);
+      return;
+    }
+    const [publicKey] = await contract.sealedBidConfigs(tenderId);
+    if (publicKey !== "0x" && !(await contract.confirmedSealedBids(tenderId, signer.address))) {
+      error("Your sealed bid has not been checked against its ciphertext yet!");
       return;
     }
 
-    info("Pausing contract (OpenZeppelin Pausable)...");
+    info(`Claiming refund of ${formatEth(bid[5])}...`);
 
-    const tx = await contract.pause();
+    const tx = await contract.claimBidBond(tenderId);
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    success("Contract paused successfully!");
-    info("All public functions are now blocked by whenNotPaused modifier");
-
+    success("Bid bond refunded! Collect it with 'Withdraw Available Funds'.");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    error(`Failed to pause: ${err.message}`);
+    error(`Failed to claim bid bond: ${err.message}`);
   }
 }
 
 /**
- * Unpause contract (Owner only - Tests Pausable)
+ * Forfeit the bid bond of an unrevealed or invalid bid to the treasury
  */
-async function unpauseContract() {
-  header("Unpause Contract");
+async function forfeitBidBond() {
+  header("Forfeit Bid Bond");
 
   try {
-    const owner = await contract.owner();
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the contract owner can unpause the contract!");
+    const tenderId = await question("Enter Tender ID: ");
+    const bidder = await question("Enter bidder address: ");
+
+    if (!ethers.isAddress(bidder)) {
+      error("Invalid address!");
       return;
     }
 
-    const isPaused = await contract.paused();
-    if (!isPaused) {
-      warning("Contract is not paused!");
+    const bid = await contract.getBid(tenderId, bidder);
+    if (bid[5] === 0n || bid[6]) {
+      warning("No unsettled bid bond for this bidder");
+      return;
+    }
+    if (bid[2] && bid[3]) {
+      error("This bidder revealed a valid bid - the bond is refundable");
       return;
     }
 
-    const confirm = await question("Unpause contract? (yes/no): ");
+    const treasury = await contract.treasury();
+    console.log(`\n💼 Forfeiture Details:`);
+    console.log(`   Bidder: ${bidder}`);
+    console.log(`   Bond: ${formatEth(bid[5])}`);
+    console.log(`   Reason: ${bid[2] ? "Invalid bid" : "Bid never revealed"}`);
+    console.log(`   Treasury: ${treasury}`);
+
+    const confirm = await question("\nForfeit this bond? (yes/no): ");
     if (confirm.toLowerCase() !== "yes") {
-      info("Unpause cancelled");
+      info("Forfeiture cancelled");
       return;
     }
 
-    info("Unpausing contract (OpenZeppelin Pausable)...");
-
-    const tx = await contract.unpause();
+    const tx = await contract.forfeitBidBond(tenderId, bidder);
     info(`Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
 
-    success("Contract unpaused successfully!");
-    info("All public functions are now operational");
-
+    success("Bid bond credited to the treasury's withdrawable balance!");
     await displayTxDetails(tx, receipt);
   } catch (err) {
-    error(`Failed to unpause: ${err.message}`);
+    if (err.message.includes("Deadline not reached")) {
+      error("Bonds can only be forfeited after the reveal deadline!");
+    } else {
+      error(`Failed to forfeit bid bond: ${err.message}`);
+    }
   }
 }
 
 // =============================================================================
-//                        OWNERSHIP MANAGEMENT (Ownable)
+//                        WINNER SELECTION
 // =============================================================================
 
 /**
- * Transfer ownership (Tests Ownable.transferOwnership)
+ * Select winner (Tender Admin only)
  */
-async function transferOwnership() {
-  header("Transfer Ownership");
+async function selectWinner() {
+  header("Select Winner");
 
   try {
-    const currentOwner = await contract.owner();
-    if (currentOwner.toLowerCase() !== signer.address.toLowerCase()) {
-      error("Only the current owner can transfer ownership!");
+    if (!(await requireRole("TENDER_ADMIN", "select winners"))) {
       return;
     }
 
-    console.log(`\nCurrent Owner: ${currentOwner}`);
+    const tenderId = await question("Enter Tender ID: ");
+
+    info("Selecting winner (iterating through all revealed bids)...");
+    info("Protected by Fix #2: Maximum 100 bidders = ~210k gas max");
+
+    const tx = await contract.selectWinner(tenderId);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    // Parse WinnerSelected event
+    const event = receipt.logs.find((log) => {
+      try {
+        const parsed = contract.interface.parseLog({
+          topics: [...log.topics],
+          data: log.data,
+        });
+        return parsed.name === "WinnerSelected";
+      } catch {
+        return false;
+      }
+    });
+
+    if (event) {
+      const parsed = contract.interface.parseLog({
+        topics: [...event.topics],
+        data: event.data,
+      });
+
+      success("Winner selected successfully!");
+      console.log(`\n🏆 Winner Details:`);
+      console.log(`   Tender ID: ${parsed.args[0]}`);
+      console.log(`   Winner: ${parsed.args[1]}`);
+      const currency = await getTenderCurrency(tenderId);
+      console.log(`   Winning Bid: ${formatAmount(parsed.args[2], currency)}`);
+      console.log(`   Selected At: ${formatTimestamp(parsed.args[3])}`);
+    } else if (
+      TENDER_PHASE[(await contract.getTenderDetails(tenderId))[5]] === "AWARD_PENDING"
+    ) {
+      const details = await contract.getTenderDetails(tenderId);
+      const standstill = await contract.awardStandstills(tenderId);
+      success("Award notified! Standstill period started.");
+      console.log(`\n📣 Notified Winner: ${details[6]}`);
+      console.log(`   Other bidders can challenge until: ${formatTimestamp(standstill[1])}`);
+      info("Confirm the award once the standstill is over (option 70)");
+    } else if (
+      TENDER_PHASE[(await contract.getTenderDetails(tenderId))[5]] === "FRAMEWORK_ACTIVE"
+    ) {
+      const suppliers = await contract.getFrameworkSuppliers(tenderId);
+      const framework = await contract.frameworkAgreements(tenderId);
+      success("Framework awarded!");
+      console.log(`\n📑 Admitted Suppliers (best-ranked first):`);
+      suppliers.forEach((supplier, i) => console.log(`   ${i + 1}. ${supplier}`));
+      console.log(`   Call-offs allowed until: ${formatTimestamp(framework[3])}`);
+    } else {
+      // First call on a screened tender: abnormally low bids were flagged
+      const screening = await contract.lowBidScreenings(tenderId);
+      const currency = await getTenderCurrency(tenderId);
+      warning(
+        `${screening[2]} abnormally low bid(s) flagged (median bid ${formatAmount(
+          screening[1],
+          currency
+        )})`
+      );
+      info(
+        `Justification window closes ${formatTimestamp(screening[3])} - select again afterwards`
+      );
+    }
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("No valid bids found")) {
+      error(
+        "No valid bids found! Ensure at least one bid is revealed and valid."
+      );
+    } else if (err.message.includes("Low bid review pending")) {
+      error("Flagged low bids are still awaiting justification or review");
+    } else if (err.message.includes("Valid bid not scored")) {
+      error("Weighted evaluation: every valid bid needs a technical score first");
+    } else {
+      error(`Failed to select winner: ${err.message}`);
+    }
+  }
+}
+
+// =============================================================================
+//                        STANDSTILL & AWARD CHALLENGES
+// =============================================================================
+
+/**
+ * Set the standstill between award notification and confirmation (Tender Admin only)
+ */
+async function configureStandstill() {
+  header("Configure Standstill Period");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure the standstill"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const maxDays = Number(await contract.MAX_STANDSTILL_PERIOD()) / 86400;
+    const days = parseFloat(
+      await question(`Standstill period in days (0 for none, max ${maxDays}): `)
+    );
+    if (isNaN(days) || days < 0 || days > maxDays) {
+      error(`Standstill must be between 0 and ${maxDays} days`);
+      return;
+    }
+
+    const tx = await contract.configureStandstill(tenderId, Math.round(days * 86400));
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(
+      days > 0
+        ? `Standstill set: awards can be challenged for ${days} day(s) before confirmation`
+        : "Standstill removed: awards are confirmed at selection"
+    );
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure standstill: ${err.message}`);
+  }
+}
+
+/**
+ * Challenge a notified award during the standstill (bidders with a valid bid)
+ */
+async function challengeAward() {
+  header("Challenge Award");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+
+    const details = await contract.getTenderDetails(tenderId);
+    if (TENDER_PHASE[details[5]] !== "AWARD_PENDING") {
+      error(`Tender is ${TENDER_PHASE[details[5]]} - only notified awards can be challenged`);
+      return;
+    }
+    const standstill = await contract.awardStandstills(tenderId);
+    const currency = await getTenderCurrency(tenderId);
+    const [, winningBid] = await contract.getBid(tenderId, details[6]);
+
+    console.log(`\n📣 Notified Award:`);
+    console.log(`   Winner: ${details[6]}`);
+    console.log(`   Winning Bid: ${formatAmount(winningBid, currency)}`);
+    console.log(`   Standstill Ends: ${formatTimestamp(standstill[1])}`);
+
+    const grounds = await question(
+      "\nGrounds of challenge (document reference or 0x-prefixed hash): "
+    );
+    const groundsHash = toEvidenceHash(grounds);
+    info(`Grounds hash: ${groundsHash}`);
+
+    warning("You can challenge each notified award once");
+    const confirm = await question("\nFile this challenge? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Challenge cancelled");
+      return;
+    }
+
+    const tx = await contract.challengeAward(tenderId, groundsHash);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Challenge filed. The award cannot be confirmed until an arbitrator resolves it.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to challenge award: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve the open challenges against a notified award (Arbitrator only)
+ */
+async function resolveAwardChallenges() {
+  header("Resolve Award Challenges");
+
+  try {
+    if (!(await requireRole("ARBITRATOR", "resolve award challenges"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    const count = await contract.getAwardChallengeCount(tenderId);
+    const open = [];
+    for (let i = 0n; i < count; i++) {
+      const challenge = await contract.getAwardChallenge(tenderId, i);
+      if (challenge[4] === 0n) {
+        open.push(challenge);
+      }
+    }
+    if (open.length === 0) {
+      error("No open challenge on this tender");
+      return;
+    }
+
+    console.log(`\n📣 Open challenges against ${formatAddress(open[0][1])}:`);
+    open.forEach((challenge) => {
+      console.log(
+        `   ${formatAddress(challenge[0])} - grounds ${challenge[3]} (filed ${formatTimestamp(
+          challenge[5]
+        )})`
+      );
+    });
+
+    console.log("\n   1. Dismiss - the award stands");
+    console.log("   2. Uphold - exclude the winner and re-evaluate");
+    console.log("   3. Uphold - cancel the tender");
+    const choice = await question("Decision (1-3): ");
+    if (!["1", "2", "3"].includes(choice)) {
+      error("Invalid decision");
+      return;
+    }
+    const decision = await question("Decision (document reference or 0x-prefixed hash): ");
+    const decisionHash = toEvidenceHash(decision);
+    info(`Decision hash: ${decisionHash}`);
+
+    const tx = await contract.resolveAwardChallenges(tenderId, Number(choice), decisionHash);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    const after = await contract.getTenderDetails(tenderId);
+    success(`Challenges resolved: ${AWARD_CHALLENGE_STATUS[choice]}`);
+    if (choice === "2") {
+      const standstill = await contract.awardStandstills(tenderId);
+      console.log(`   New Winner: ${after[6]}`);
+      console.log(`   New Standstill Ends: ${formatTimestamp(standstill[1])}`);
+    }
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("No valid bids found")) {
+      error("No other valid bid is left - cancel the tender instead");
+    } else {
+      error(`Failed to resolve challenges: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Confirm a notified award after the standstill (Tender Admin only)
+ */
+async function confirmAward() {
+  header("Confirm Award");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "confirm awards"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    const standstill = await contract.awardStandstills(tenderId);
+    const block = await provider.getBlock("latest");
+    if (BigInt(block.timestamp) < standstill[1]) {
+      error(`The standstill runs until ${formatTimestamp(standstill[1])}`);
+      return;
+    }
+    if (standstill[3] > 0n) {
+      error(`${standstill[3]} challenge(s) still awaiting the arbitrator`);
+      return;
+    }
+
+    const tx = await contract.confirmAward(tenderId);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Award confirmed! The tender can now be funded.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to confirm award: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        AWARD ACCEPTANCE & RUNNER-UP FALLBACK
+// =============================================================================
+
+/**
+ * Require winners to accept the award within a period (Tender Admin only)
+ */
+async function configureAwardAcceptance() {
+  header("Configure Award Acceptance");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure award acceptance"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const maxDays = Number(await contract.MAX_ACCEPTANCE_PERIOD()) / 86400;
+    const days = parseFloat(
+      await question(`Acceptance period in days (0 for none, max ${maxDays}): `)
+    );
+    if (isNaN(days) || days < 0 || days > maxDays) {
+      error(`Acceptance period must be between 0 and ${maxDays} days`);
+      return;
+    }
+
+    const tx = await contract.configureAwardAcceptance(tenderId, Math.round(days * 86400));
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(
+      days > 0
+        ? `Winners must accept within ${days} day(s), or the award can pass to the runner-up`
+        : "Acceptance step removed: awards bind the winner at once"
+    );
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure award acceptance: ${err.message}`);
+  }
+}
+
+/**
+ * Accept or decline an award (Winner only)
+ */
+async function answerAward() {
+  header("Accept / Decline Award");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+
+    const details = await contract.getTenderDetails(tenderId);
+    if (details[6].toLowerCase() !== signer.address.toLowerCase()) {
+      error("Only the winner can answer the award");
+      return;
+    }
+    const acceptance = await contract.awardAcceptances(tenderId);
+    if (acceptance[0] === 0n) {
+      info("This tender does not require the winner's acceptance");
+      return;
+    }
+    if (acceptance[2] || acceptance[3]) {
+      error(`Award already ${acceptance[2] ? "accepted" : "declined"}`);
+      return;
+    }
+
+    const currency = await getTenderCurrency(tenderId);
+    const [, winningBid] = await contract.getBid(tenderId, signer.address);
+    console.log(`\n🏆 Award of Tender #${tenderId}:`);
+    console.log(`   Title: ${details[0]}`);
+    console.log(`   Contract Value: ${formatAmount(winningBid, currency)}`);
+    console.log(`   Answer Before: ${formatTimestamp(acceptance[1])}`);
+
+    console.log("\n   1. Accept the award");
+    console.log("   2. Decline the award");
+    const choice = await question("Select option (1-2): ");
+
+    let tx;
+    if (choice === "1") {
+      tx = await contract.acceptAward(tenderId);
+    } else if (choice === "2") {
+      const reason = await question("Reason (document reference or 0x-prefixed hash): ");
+      const reasonHash = toEvidenceHash(reason);
+      info(`Reason hash: ${reasonHash}`);
+      warning("Declining lets the authority pass the award to the next-ranked bidder");
+      const confirm = await question("\nDecline this award? (yes/no): ");
+      if (confirm.toLowerCase() !== "yes") {
+        info("Award left unanswered");
+        return;
+      }
+      tx = await contract.declineAward(tenderId, reasonHash);
+    } else {
+      error("Invalid option");
+      return;
+    }
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(choice === "1" ? "Award accepted! The tender can now be funded." : "Award declined.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to answer award: ${err.message}`);
+  }
+}
+
+/**
+ * Pass the award to the next-ranked bidder (Tender Admin only)
+ */
+async function awardToNextRanked() {
+  header("Award to Next-Ranked Bidder");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "re-award tenders"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    const [ranking, position] = await contract.getAwardRanking(tenderId);
+    if (ranking.length === 0) {
+      error("No ranking kept for this tender (not awarded, framework or call-off)");
+      return;
+    }
+    const currency = await getTenderCurrency(tenderId);
+    console.log(`\n📊 Ranking at award:`);
+    for (let i = 0; i < ranking.length; i++) {
+      const [, amount] = await contract.getBid(tenderId, ranking[i]);
+      const marker = BigInt(i) === position ? " ← current winner" : "";
+      console.log(`   ${i + 1}. ${ranking[i]} - ${formatAmount(amount, currency)}${marker}`);
+    }
+
+    const terminated =
+      TENDER_PHASE[(await contract.getTenderDetails(tenderId))[5]] === "TERMINATED";
+    const acceptance = await contract.awardAcceptances(tenderId);
+    const block = await provider.getBlock("latest");
+    const lapsed =
+      acceptance[0] > 0n && !acceptance[2] && BigInt(block.timestamp) >= acceptance[1];
+    if (!terminated && !acceptance[3] && !lapsed) {
+      error(
+        "The current winner has not declined, let the acceptance period lapse or been terminated"
+      );
+      return;
+    }
+    if (position + 1n >= BigInt(ranking.length)) {
+      error("No ranked bidder left - cancel and re-tender instead");
+      return;
+    }
+    console.log(
+      `\n   Winner ${
+        terminated ? "terminated for default" : acceptance[3] ? "declined" : "did not accept in time"
+      }; next: ${
+        ranking[Number(position) + 1]
+      }`
+    );
+
+    const confirm = await question("\nPass the award to the next-ranked bidder? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Re-award cancelled");
+      return;
+    }
+
+    const tx = await contract.awardToNextRanked(tenderId);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Award passed to the next-ranked bidder at its own bid price.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to re-award tender: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        MULTI-CRITERIA EVALUATION
+// =============================================================================
+
+/**
+ * Switch a tender to weighted price/quality evaluation (Tender Admin only)
+ */
+async function configureWeightedEvaluation() {
+  header("Configure Weighted Evaluation");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure evaluation"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const pricePercent = parseFloat(
+      await question("Price weight (%, quality gets the rest): ")
+    );
+    if (isNaN(pricePercent) || pricePercent < 0 || pricePercent > 100) {
+      error("Price weight must be between 0 and 100");
+      return;
+    }
+    const priceWeight = Math.round(pricePercent * 100); // basis points
+
+    info(
+      `Price ${pricePercent}% / Quality ${100 - pricePercent}% - rules lock at the first bid`
+    );
+
+    const tx = await contract.configureWeightedEvaluation(tenderId, priceWeight);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Weighted evaluation configured!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("Evaluation rules locked after first bid")) {
+      error("Bids have already been committed - evaluation rules are locked");
+    } else {
+      error(`Failed to configure evaluation: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Score the technical quality of a revealed bid (Evaluator only)
+ */
+async function submitTechnicalScore() {
+  header("Submit Technical Score");
+
+  try {
+    if (!(await requireRole("EVALUATOR", "score bids"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const bidder = await question("Enter bidder address: ");
+
+    if (await contract.hasScored(tenderId, bidder, signer.address)) {
+      warning("You have already scored this bid");
+      return;
+    }
+
+    const score = await question("Technical score (0-100): ");
+
+    const tx = await contract.submitTechnicalScore(tenderId, bidder, score);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Technical score recorded!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to submit score: ${err.message}`);
+  }
+}
+
+/**
+ * View the price/quality score table of a tender
+ */
+async function viewScoreTable() {
+  header("View Score Table");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const table = await contract.getScoreTable(tenderId);
+
+    if (table[0].length === 0) {
+      info("No bids submitted for this tender");
+      return;
+    }
+
+    const formatScore = (score) => Number(ethers.formatUnits(score, 18)).toFixed(2);
+
+    console.log(`\n⚖️  Score Table for Tender #${tenderId}:`);
+    for (let i = 0; i < table[0].length; i++) {
+      const evaluation = await contract.technicalEvaluations(tenderId, table[0][i]);
+      console.log(`\n   ${formatAddress(table[0][i])}`);
+      console.log(`      Amount: ${formatAmount(table[1][i], currency)}`);
+      console.log(
+        `      Technical: ${formatScore(table[2][i])} (${evaluation[1]} evaluator(s))`
+      );
+      console.log(`      Weighted Score: ${formatScore(table[3][i])}`);
+    }
+  } catch (err) {
+    error(`Failed to view score table: ${err.message}`);
+  }
+}
+
+/**
+ * Set the abnormally-low-bid threshold of a tender (Tender Admin only)
+ */
+async function configureAbnormalBidThreshold() {
+  header("Configure Abnormally Low Bid Threshold");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure evaluation"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const percent = parseFloat(
+      await question("Flag bids below this % of the median (0 to disable): ")
+    );
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      error("Threshold must be between 0 and 100");
+      return;
+    }
+
+    const tx = await contract.configureAbnormalBidThreshold(
+      tenderId,
+      Math.round(percent * 100) // basis points
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Threshold configured!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure threshold: ${err.message}`);
+  }
+}
+
+/**
+ * Justify a bid flagged as abnormally low (flagged bidder only)
+ */
+async function submitLowBidJustification() {
+  header("Submit Low-Bid Justification");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const review = await contract.lowBidReviews(tenderId, signer.address);
+    if (review[0] !== 1n) {
+      error("Your bid is not awaiting a justification on this tender!");
+      return;
+    }
+
+    const screening = await contract.lowBidScreenings(tenderId);
+    info(`Justification window closes ${formatTimestamp(screening[3])}`);
+
+    const justification = await question(
+      "Justification (text or 0x-prefixed document hash): "
+    );
+
+    const tx = await contract.submitLowBidJustification(
+      tenderId,
+      toEvidenceHash(justification)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Justification submitted - awaiting evaluator review");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to submit justification: ${err.message}`);
+  }
+}
+
+/**
+ * Accept or exclude a justified low bid (Evaluator only)
+ */
+async function reviewLowBid() {
+  header("Review Low-Bid Justification");
+
+  try {
+    if (!(await requireRole("EVALUATOR", "review low bids"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const bidder = await question("Enter bidder address: ");
+
+    const review = await contract.lowBidReviews(tenderId, bidder);
+    if (review[0] !== 2n) {
+      error("This bid has no justification awaiting review!");
+      return;
+    }
+    console.log(`\n📄 Justification Hash: ${review[1]}`);
+
+    const decision = await question("Accept the justification? (yes/no): ");
+    const accept = decision.toLowerCase() === "yes";
+
+    const tx = await contract.reviewLowBid(tenderId, bidder, accept);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(accept ? "Bid accepted" : "Bid excluded from selection");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to review low bid: ${err.message}`);
+  }
+}
+
+/**
+ * Switch a tender to sealed bids with a fresh authority key (Tender Admin only)
+ */
+async function configureSealedBidding() {
+  header("Configure Sealed Bidding");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure sealed bidding"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    const keyPair = sealedBids.generateAuthorityKey();
+    saveAuthorityKey(tenderId, keyPair);
+    success(`Authority key pair saved to ${CONFIG.AUTHORITY_KEYS_FILE}`);
+    info(`Public key: ${keyPair.publicKey.substring(0, 20)}...`);
+
+    const tx = await contract.configureSealedBidding(tenderId, keyPair.publicKey);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Sealed bidding enabled!");
+    warning("Keep the private key secret until the submission deadline.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure sealed bidding: ${err.message}`);
+  }
+}
+
+/**
+ * Publish the authority private key after the submission deadline (Tender Admin only)
+ */
+async function publishDecryptionKey() {
+  header("Publish Decryption Key");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "publish decryption keys"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const keyPair = loadAuthorityKeys()[tenderId];
+    if (!keyPair) {
+      error(`No authority key for this tender in ${CONFIG.AUTHORITY_KEYS_FILE}`);
+      return;
+    }
+
+    const tx = await contract.publishDecryptionKey(tenderId, keyPair.privateKey);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Decryption key published - sealed bids can now be opened by anyone");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to publish decryption key: ${err.message}`);
+  }
+}
+
+/**
+ * Decrypt all sealed bids of a tender and post the unrevealed ones (anyone)
+ */
+async function postSealedBids() {
+  header("Decrypt & Post Sealed Bids");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+    const currency = await getCurrency(details[10]);
+
+    const opened = await sealedBids.decryptTenderBids(contract, tenderId);
+    console.log(`\n🔓 Sealed Bids (${opened.length} total):`);
+
+    const toPost = [];
+    for (const bid of opened) {
+      if (bid.error) {
+        console.log(`   ${formatAddress(bid.bidder)}: ❌ cannot decrypt (${bid.error})`);
+      } else if (!bid.matchesCommitment) {
+        console.log(
+          `   ${formatAddress(bid.bidder)}: ❌ ${formatAmount(
+            bid.bidAmount,
+            currency
+          )} does not match the commitment`
+        );
+      } else {
+        console.log(
+          `   ${formatAddress(bid.bidder)}: ${formatAmount(bid.bidAmount, currency)}${
+            bid.isRevealed ? " (already revealed)" : ""
+          }`
+        );
+        if (!bid.isRevealed) {
+          toPost.push(bid);
+        }
+      }
+    }
+
+    if (toPost.length === 0) {
+      info("No decrypted bids left to post");
+      return;
+    }
+
+    const confirm = await question(`\nPost ${toPost.length} bid(s)? (yes/no): `);
+    if (confirm.toLowerCase() !== "yes") {
+      info("Cancelled");
+      return;
+    }
+
+    for (const bid of toPost) {
+      const tx = await contract.postDecryptedBid(
+        tenderId,
+        bid.bidder,
+        bid.bidAmount,
+        bid.nonce
+      );
+      await tx.wait();
+      success(`Posted bid of ${formatAddress(bid.bidder)} (${tx.hash})`);
+    }
+  } catch (err) {
+    error(`Failed to post sealed bids: ${err.message}`);
+  }
+}
+
+/**
+ * Check every sealed bid against its ciphertext (Tender Admin only): confirm
+ * revealed bids that open to their commitment, reject those that do not
+ */
+async function checkSealedBids() {
+  header("Check Sealed Bids");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "check sealed bids"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const opened = await sealedBids.decryptTenderBids(contract, tenderId);
+
+    const toConfirm = [];
+    const toReject = [];
+    for (const bid of opened) {
+      if (
+        (await contract.rejectedSealedBids(tenderId, bid.bidder)) ||
+        (await contract.confirmedSealedBids(tenderId, bid.bidder))
+      ) {
+        continue;
+      }
+      if (!bid.matchesCommitment) {
+        console.log(
+          `   ${formatAddress(bid.bidder)}: ❌ ${bid.error || "does not match the commitment"}`
+        );
+        toReject.push(bid);
+      } else if ((await contract.getBid(tenderId, bid.bidder))[2]) {
+        console.log(`   ${formatAddress(bid.bidder)}: ✅ opens to the revealed bid`);
+        toConfirm.push(bid);
+      } else {
+        console.log(`   ${formatAddress(bid.bidder)}: ⏳ not revealed yet`);
+      }
+    }
+
+    if (toConfirm.length === 0 && toReject.length === 0) {
+      info("No sealed bid left to check");
+      return;
+    }
+
+    info("Confirmed bidders can reclaim their bonds after the reveal deadline");
+    warning("Rejected bids are excluded from the award and their bonds are forfeited");
+    const confirm = await question(
+      `\nConfirm ${toConfirm.length} and reject ${toReject.length} bid(s)? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Cancelled");
+      return;
+    }
+
+    for (const bid of toConfirm) {
+      const tx = await contract.confirmSealedBid(tenderId, bid.bidder);
+      await tx.wait();
+      success(`Confirmed bid of ${formatAddress(bid.bidder)} (${tx.hash})`);
+    }
+    for (const bid of toReject) {
+      const tx = await contract.rejectSealedBid(tenderId, bid.bidder);
+      await tx.wait();
+      success(`Rejected bid of ${formatAddress(bid.bidder)} (${tx.hash})`);
+    }
+  } catch (err) {
+    error(`Failed to check sealed bids: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        FRAMEWORK AGREEMENTS
+// =============================================================================
+
+/**
+ * Turn a tender into a framework agreement before the first bid (Tender Admin only)
+ */
+async function configureFramework() {
+  header("Configure Framework Agreement");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure frameworks"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const maxSuppliers = parseInt(
+      await question("Suppliers admitted at award (top-ranked bidders, 1-10): ")
+    );
+    const ceiling = await question(`Ceiling value of all call-offs (${currency.symbol}): `);
+    const days = parseFloat(await question("Framework duration after award (days): "));
+    if (isNaN(days) || days <= 0) {
+      error("Duration must be a positive number of days");
+      return;
+    }
+
+    const tx = await contract.configureFramework(
+      tenderId,
+      maxSuppliers,
+      parseAmount(ceiling, currency),
+      Math.round(days * 24 * 3600)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Framework configured!");
+    info("The tender's milestones now describe the reference order bidders price");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure framework: ${err.message}`);
+  }
+}
+
+/**
+ * Issue a call-off order to a framework supplier (Tender Admin only)
+ */
+async function issueCallOff() {
+  header("Issue Call-Off Order");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "issue call-offs"))) {
+      return;
+    }
+
+    const frameworkId = await question("Enter Framework Tender ID: ");
+    const currency = await getTenderCurrency(frameworkId);
+    const suppliers = await contract.getFrameworkSuppliers(frameworkId);
+    if (suppliers.length === 0) {
+      error("This framework has not been awarded yet");
+      return;
+    }
+    const framework = await contract.frameworkAgreements(frameworkId);
+    info(
+      `Remaining ceiling: ${formatAmount(framework[1] - framework[4], currency)} (expires ${formatTimestamp(
+        framework[3]
+      )})`
+    );
+
+    console.log("\nAdmitted suppliers:");
+    suppliers.forEach((supplier, i) => console.log(`   ${i + 1}. ${supplier}`));
+    const choice = parseInt(await question("Supplier number: "));
+    const supplier = suppliers[choice - 1];
+    if (!supplier) {
+      error("Invalid supplier number");
+      return;
+    }
+
+    const title = await question("Call-off title: ");
+    const description = await question("Description: ");
+    const orderValue = parseAmount(
+      await question(`Order value (${currency.symbol}): `),
+      currency
+    );
+    const milestones = await promptMilestones(currency, orderValue);
+    if (!milestones) {
+      return;
+    }
+
+    const tx = await contract.issueCallOff(
+      frameworkId,
+      supplier,
+      title,
+      description,
+      milestones.milestoneDescriptions,
+      milestones.milestoneAmounts,
+      milestones.milestoneDueAfter
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "CallOffIssued");
+
+    success("Call-off issued!");
+    if (event) {
+      console.log(`   Call-off Tender ID: ${event.args.callOffId}`);
+      info("Fund it and pay its milestones using the call-off Tender ID");
+    }
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to issue call-off: ${err.message}`);
+  }
+}
+
+/**
+ * Show a framework's terms, suppliers and call-off orders
+ */
+async function viewFramework() {
+  header("View Framework Agreement");
+
+  try {
+    const frameworkId = await question("Enter Framework Tender ID: ");
+    const framework = await contract.frameworkAgreements(frameworkId);
+    if (framework[0] === 0n) {
+      warning("This tender is not a framework agreement");
+      return;
+    }
+    const currency = await getTenderCurrency(frameworkId);
+
+    console.log(`\n📑 Framework #${frameworkId}:`);
+    console.log(`   Suppliers Admitted: up to ${framework[0]}`);
+    console.log(`   Ceiling: ${formatAmount(framework[1], currency)}`);
+    console.log(`   Called Off: ${formatAmount(framework[4], currency)}`);
+    console.log(
+      `   Expires: ${
+        framework[3] === 0n ? "Not awarded yet" : formatTimestamp(framework[3])
+      }`
+    );
+
+    const suppliers = await contract.getFrameworkSuppliers(frameworkId);
+    if (suppliers.length > 0) {
+      console.log(`\n   Suppliers (best-ranked first):`);
+      suppliers.forEach((supplier, i) => console.log(`      ${i + 1}. ${supplier}`));
+    }
+
+    const callOffIds = await contract.getCallOffs(frameworkId);
+    console.log(`\n   Call-offs (${callOffIds.length}):`);
+    for (const callOffId of callOffIds) {
+      const details = await contract.getTenderDetails(callOffId);
+      console.log(
+        `      #${callOffId} ${details[0]} - ${formatAmount(details[2], currency)} to ${formatAddress(
+          details[6]
+        )} (${TENDER_PHASE[details[5]]})`
+      );
+    }
+  } catch (err) {
+    error(`Failed to view framework: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        PAYMENT OPERATIONS
+// =============================================================================
+
+/**
+ * Fund a tender (Treasurer only)
+ */
+async function fundTender() {
+  header("Fund Tender");
+
+  try {
+    if (!(await requireRole("TREASURER", "fund tenders"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    // Get tender details
+    const details = await contract.getTenderDetails(tenderId);
+    const winner = details[6];
+
+    if (winner === ethers.ZeroAddress) {
+      error("Winner not selected yet!");
+      return;
+    }
+
+    // Winning bid, as amended by change orders approved before funding
+    const [winningBid, amount] = await contract.getContractValue(tenderId);
+    const currency = await getCurrency(details[10]);
+
+    console.log(`\n💰 Funding Details:`);
+    console.log(`   Winner: ${winner}`);
+    console.log(`   Winning Bid: ${formatAmount(winningBid, currency)}`);
+    if (amount !== winningBid) {
+      console.log(`   Contract Value (after change orders): ${formatAmount(amount, currency)}`);
+    }
+
+    const confirm = await question(
+      `\nFund ${formatAmount(amount, currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Funding cancelled");
+      return;
+    }
+
+    info("Funding tender...");
+    const tx = await payIntoEscrow("fundTender", tenderId, amount, currency);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Tender funded successfully!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to fund tender: ${err.message}`);
+  }
+}
+
+/**
+ * Call a payable escrow function with ETH, or approve the token and call it
+ */
+async function payIntoEscrow(method, tenderId, amount, currency) {
+  if (currency === ETH_CURRENCY) {
+    return contract[method](tenderId, { value: amount });
+  }
+
+  // Token tenders are funded via transferFrom: approve the escrow first
+  const token = new ethers.Contract(currency.token, ERC20_ABI, signer);
+  const allowance = await token.allowance(signer.address, contractAddress);
+  if (allowance < amount) {
+    info(`Approving ${formatAmount(amount, currency)} for the contract...`);
+    await (await token.approve(contractAddress, amount)).wait();
+  }
+  info("Transferring tokens (SafeERC20 transferFrom)...");
+  return contract[method](tenderId);
+}
+
+/**
+ * Pay in the extra value added by approved change orders (Treasurer only)
+ */
+async function topUpFunding() {
+  header("Top Up Funding");
+
+  try {
+    if (!(await requireRole("TREASURER", "top up funding"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const [awardedValue, currentValue, topUpDue] = await contract.getContractValue(tenderId);
+
+    console.log(`\n💰 Contract Value:`);
+    console.log(`   Awarded: ${formatAmount(awardedValue, currency)}`);
+    console.log(`   Current: ${formatAmount(currentValue, currency)}`);
+    console.log(`   Top-up Due: ${formatAmount(topUpDue, currency)}`);
+    if (topUpDue === 0n) {
+      info("No top-up required");
+      return;
+    }
+
+    const confirm = await question(
+      `\nTop up ${formatAmount(topUpDue, currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Top-up cancelled");
+      return;
+    }
+
+    const tx = await payIntoEscrow("topUpFunding", tenderId, topUpDue, currency);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Funding topped up!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to top up funding: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        RETENTION & PERFORMANCE BONDS
+// =============================================================================
+
+/**
+ * Set retention, performance bond and defects-liability terms before the first bid (Tender Admin only)
+ */
+async function configureGuarantees() {
+  header("Configure Retention & Performance Bond");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure guarantees"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const retention = parseFloat(
+      await question("Retention withheld from each milestone payment (%, 0 for none): ")
+    );
+    const bond = parseFloat(
+      await question("Performance bond (% of the winning bid, 0 for none): ")
+    );
+    const days = parseFloat(
+      (await question("Defects-liability period after completion (days): ")) || "0"
+    );
+    if ([retention, bond, days].some((value) => isNaN(value) || value < 0)) {
+      error("Percentages and period must be non-negative numbers");
+      return;
+    }
+
+    const tx = await contract.configureGuarantees(
+      tenderId,
+      Math.round(retention * 100), // basis points
+      Math.round(bond * 100),
+      Math.round(days * 24 * 3600)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Guarantee terms configured!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure guarantees: ${err.message}`);
+  }
+}
+
+/**
+ * Deposit the performance bond after winning (Winner only)
+ */
+async function depositPerformanceBond() {
+  header("Deposit Performance Bond");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+    if (details[6].toLowerCase() !== signer.address.toLowerCase()) {
+      error("Only the tender winner can deposit the performance bond!");
+      return;
+    }
+
+    const terms = await contract.guaranteeTerms(tenderId);
+    if (terms[1] === 0n) {
+      info("This tender does not require a performance bond");
+      return;
+    }
+    const [, winningBid] = await contract.getBid(tenderId, signer.address);
+    const amount = (winningBid * terms[1]) / 10000n;
+    const currency = await getCurrency(details[10]);
+
+    const confirm = await question(
+      `\nDeposit ${formatAmount(amount, currency)} (${Number(terms[1]) / 100}% of your bid)? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Deposit cancelled");
+      return;
+    }
+
+    const tx = await payIntoEscrow("depositPerformanceBond", tenderId, amount, currency);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Performance bond deposited - you can now claim milestones");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to deposit performance bond: ${err.message}`);
+  }
+}
+
+/**
+ * Release retention and performance bond after the defects-liability period (anyone)
+ */
+async function releaseGuarantees() {
+  header("Release Retention & Performance Bond");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const held = await contract.guarantees(tenderId);
+
+    console.log(`\n🛡️  Held for Tender #${tenderId}:`);
+    console.log(`   Retention: ${formatAmount(held[0], currency)}`);
+    console.log(`   Performance Bond: ${formatAmount(held[1], currency)}`);
+    if (held[3] > 0n) {
+      console.log(`   Releasable From: ${formatTimestamp(held[3])}`);
+    }
+
+    const tx = await contract.releaseGuarantees(tenderId);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Guarantees released to the winner's withdrawable balance");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to release guarantees: ${err.message}`);
+  }
+}
+
+/**
+ * Forfeit retention and/or performance bond to the treasury (Tender Admin only)
+ */
+async function forfeitGuarantees() {
+  header("Forfeit Retention / Performance Bond");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "forfeit guarantees"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const held = await contract.guarantees(tenderId);
+    console.log(`\n   Retention held: ${formatAmount(held[0], currency)}`);
+    console.log(`   Performance bond held: ${formatAmount(held[1], currency)}`);
+
+    const block = await provider.getBlock("latest");
+    if (BigInt(block.timestamp) >= held[3]) {
+      error("Guarantees can only be forfeited during the defects-liability period!");
+      return;
+    }
+    console.log(`   Defects liability ends: ${formatTimestamp(held[3])}`);
+
+    const forfeitRetention =
+      (await question("Forfeit the retention? (y/N): ")).toLowerCase() === "y";
+    const forfeitBond =
+      (await question("Forfeit the performance bond? (y/N): ")).toLowerCase() === "y";
+    const reason = await question("Reason (defect report hash or text): ");
+
+    const tx = await contract.forfeitGuarantees(
+      tenderId,
+      forfeitRetention,
+      forfeitBond,
+      toEvidenceHash(reason)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Forfeited to the treasury");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to forfeit guarantees: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        LIQUIDATED DAMAGES
+// =============================================================================
+
+/**
+ * Set the liquidated damages for late milestones before the first bid (Tender Admin only)
+ */
+async function configureLiquidatedDamages() {
+  header("Configure Liquidated Damages");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "configure liquidated damages"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    info("Milestone due dates are set when the tender is created");
+    const dailyRate = parseFloat(
+      await question("Damages per day late (% of the milestone payout, 0 for none): ")
+    );
+    const cap = parseFloat(
+      (await question("Maximum damages per milestone (% of the payout): ")) || "0"
+    );
+    if ([dailyRate, cap].some((value) => isNaN(value) || value < 0)) {
+      error("Percentages must be non-negative numbers");
+      return;
+    }
+
+    const tx = await contract.configureLiquidatedDamages(
+      tenderId,
+      Math.round(dailyRate * 100), // basis points
+      Math.round(cap * 100)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Liquidated damages configured!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to configure liquidated damages: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        DISPUTES
+// =============================================================================
+
+/**
+ * Raise a dispute over a milestone, freezing it and its funds (Tender Admin or winner)
+ */
+async function raiseDispute() {
+  header("Raise Milestone Dispute");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    const details = await contract.getTenderDetails(tenderId);
+    if (details[7] === 0n) {
+      error("Tender is not funded yet - disputes can only be raised once it is");
+      return;
+    }
+    const claim = await contract.getMilestoneClaim(tenderId, milestoneIndex);
+    if (![1, 2, 3].includes(Number(claim[0]))) {
+      error(
+        `Milestone is ${MILESTONE_STATUS[claim[0]]} - only claimed, approved or rejected milestones can be disputed`
+      );
+      return;
+    }
+    console.log(`\n   Status: ${MILESTONE_STATUS[claim[0]]}`);
+
+    const reason = await question(
+      "Statement of dispute (document reference or 0x-prefixed hash): "
+    );
+    const reasonHash = toEvidenceHash(reason);
+    info(`Reason hash: ${reasonHash}`);
+
+    const period = await contract.DISPUTE_RULING_PERIOD();
+    warning(
+      `The milestone is frozen until an arbitrator rules (at most ${
+        Number(period) / 86400
+      } days); each milestone can be disputed once`
+    );
+    const confirm = await question("\nRaise this dispute? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Dispute cancelled");
+      return;
+    }
+
+    const tx = await contract.raiseDispute(tenderId, milestoneIndex, reasonHash);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Dispute raised. The milestone and its funds are frozen.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to raise dispute: ${err.message}`);
+  }
+}
+
+/**
+ * Rule on an open dispute with a contractor/treasury split (Arbitrator only)
+ */
+async function ruleOnDispute() {
+  header("Rule on Dispute");
+
+  try {
+    if (!(await requireRole("ARBITRATOR", "rule on disputes"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    const dispute = await contract.disputes(tenderId, milestoneIndex);
+    if (dispute[3] !== 1n) {
+      error(`Dispute is ${DISPUTE_STATUS[dispute[3]]} - nothing to rule on`);
+      return;
+    }
+    const milestone = await contract.getMilestone(tenderId, milestoneIndex);
+    const currency = await getTenderCurrency(tenderId);
+
+    console.log(`\n⚖️  Dispute:`);
+    console.log(`   Milestone: ${milestone[0]}`);
+    console.log(`   Payout at stake: ${formatAmount(milestone[4], currency)}`);
+    console.log(`   Raised By: ${formatAddress(dispute[0])}`);
+    console.log(`   Statement: ${dispute[1]}`);
+    console.log(`   Status before dispute: ${MILESTONE_STATUS[dispute[2]]}`);
+    console.log(
+      `   Rule before: ${formatTimestamp(dispute[4] + (await contract.DISPUTE_RULING_PERIOD()))}`
+    );
+
+    const share = parseFloat(await question("\nShare awarded to the contractor (%): "));
+    if (isNaN(share) || share < 0 || share > 100) {
+      error("Share must be between 0 and 100");
+      return;
+    }
+    const ruling = await question("Ruling (document reference or 0x-prefixed hash): ");
+    const rulingHash = toEvidenceHash(ruling);
+    info(`Ruling hash: ${rulingHash}`);
+
+    const tx = await contract.ruleOnDispute(
+      tenderId,
+      milestoneIndex,
+      Math.round(share * 100), // basis points
+      rulingHash
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Ruling recorded. Both shares are credited as pull payments.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to rule on dispute: ${err.message}`);
+  }
+}
+
+/**
+ * Close a dispute the arbitrator did not rule on in time (anyone)
+ */
+async function closeLapsedDispute() {
+  header("Close Lapsed Dispute");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    const dispute = await contract.disputes(tenderId, milestoneIndex);
+    if (dispute[3] !== 1n) {
+      error(`Dispute is ${DISPUTE_STATUS[dispute[3]]} - nothing to close`);
+      return;
+    }
+    const deadline = dispute[4] + (await contract.DISPUTE_RULING_PERIOD());
+    const block = await provider.getBlock("latest");
+    if (BigInt(block.timestamp) < deadline) {
+      error(`The arbitrator can rule until ${formatTimestamp(deadline)}`);
+      return;
+    }
+
+    const tx = await contract.closeLapsedDispute(tenderId, milestoneIndex);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(`Dispute closed. Milestone restored to ${MILESTONE_STATUS[dispute[2]]}.`);
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to close dispute: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        TERMINATION FOR DEFAULT
+// =============================================================================
+
+/**
+ * Terminate an awarded contract for the winner's default (Tender Admin only)
+ */
+async function terminateForDefault() {
+  header("Terminate Contract for Default");
+
+  try {
+    if (!(await requireRole("TENDER_ADMIN", "terminate contracts"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+    if (TENDER_PHASE[details[5]] !== "PAYMENT_PENDING") {
+      error(`Tender is ${TENDER_PHASE[details[5]]} - only awarded contracts can be terminated`);
+      return;
+    }
+    const currency = await getTenderCurrency(tenderId);
+
+    console.log(`\n🛑 Termination of Tender #${tenderId}:`);
+    console.log(`   Title: ${details[0]}`);
+    console.log(`   Contractor: ${details[6]}`);
+
+    let settled = 0n;
+    let owed = 0n;
+    const milestoneCount = Number(await contract.getMilestoneCount(tenderId));
+    for (let i = 0; i < milestoneCount; i++) {
+      const claim = await contract.getMilestoneClaim(tenderId, i);
+      if (Number(claim[0]) === 6) {
+        error(`Milestone ${i} is under dispute - wait for the ruling first`);
+        return;
+      }
+      if (Number(claim[0]) === 2) {
+        const milestone = await contract.getMilestone(tenderId, i);
+        if (details[7] - settled < milestone[4]) {
+          owed += milestone[4];
+          console.log(
+            `   Owes approved milestone ${i}: ${milestone[0]} (${formatAmount(milestone[4], currency)}, not funded)`
+          );
+          continue;
+        }
+        settled += milestone[4];
+        console.log(
+          `   Settles approved milestone ${i}: ${milestone[0]} (${formatAmount(milestone[4], currency)})`
+        );
+      }
+    }
+    if (settled > 0n) {
+      info("Liquidated damages and retention are deducted as on a normal release");
+      info("Retention withheld from these milestones is forfeited as well");
+    }
+    const remainder = details[7] - settled;
+    console.log(`   Funding returned to treasury: ${formatAmount(remainder, currency)}`);
+    if (owed > 0n) {
+      warning(
+        `${formatAmount(owed, currency)} stays owed to the contractor until the treasurer settles it`
+      );
+    }
+    const held = await contract.guarantees(tenderId);
+    if (held[1] > 0n) {
+      console.log(`   Performance bond forfeited: ${formatAmount(held[1], currency)}`);
+    }
+    if (held[0] > 0n) {
+      console.log(`   Retention forfeited: ${formatAmount(held[0], currency)}`);
+    }
+
+    const reason = await question("\nDefault notice (document reference or 0x-prefixed hash): ");
+    const reasonHash = toEvidenceHash(reason);
+    info(`Reason hash: ${reasonHash}`);
+
+    warning("Termination is final; only an unpaid contract can still pass to the runner-up");
+    const confirm = await question("\nTerminate this contract? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Termination aborted");
+      return;
+    }
+
+    const tx = await contract.terminateForDefault(tenderId, reasonHash);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Contract terminated. Settlements are collected with 'Withdraw Available Funds'.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to terminate contract: ${err.message}`);
+  }
+}
+
+/**
+ * Pay in the approved milestones a termination left unfunded (Treasurer only)
+ */
+async function settleTerminationLiability() {
+  header("Settle Termination Liability");
+
+  try {
+    if (!(await requireRole("TREASURER", "settle termination liabilities"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const details = await contract.getTenderDetails(tenderId);
+    if (TENDER_PHASE[details[5]] !== "TERMINATED") {
+      error(`Tender is ${TENDER_PHASE[details[5]]} - only terminated contracts carry a liability`);
+      return;
+    }
+    const termination = await contract.terminations(tenderId);
+    if (termination[9] === 0n) {
+      info("Nothing is owed on this termination");
+      return;
+    }
+    const currency = await getTenderCurrency(tenderId);
+
+    console.log(`
+🛑 Owed to ${formatAddress(termination[0])}: ${formatAmount(termination[9], currency)}`);
+    info("Retention withheld from these payouts is forfeited to the treasury");
+
+    const confirm = await question(
+      `\nPay in ${formatAmount(termination[9], currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Settlement cancelled");
+      return;
+    }
+
+    const tx = await payIntoEscrow("settleTerminationLiability", tenderId, termination[9], currency);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Liability settled and credited to the contractor!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to settle termination liability: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        CHANGE ORDERS
+// =============================================================================
+
+/**
+ * Propose a change order to an awarded tender (Tender Admin or winner)
+ */
+async function proposeChangeOrder() {
+  header("Propose Change Order");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const milestoneCount = Number(await contract.getMilestoneCount(tenderId));
+
+    console.log("\nCurrent milestones:");
+    for (let i = 0; i < milestoneCount; i++) {
+      const milestone = await contract.getMilestone(tenderId, i);
+      const [status] = await contract.getMilestoneClaim(tenderId, i);
+      console.log(
+        `   ${i + 1}. ${milestone[0]} - ${formatAmount(milestone[4], currency)} (${
+          MILESTONE_STATUS[status]
+        })`
+      );
+    }
+
+    info("Re-price or remove unclaimed milestones (0 removes, Enter to keep)");
+    const milestoneIndexes = [];
+    const newAmounts = [];
+    for (let i = 0; i < milestoneCount; i++) {
+      const input = await question(`   New amount for milestone ${i + 1} (${currency.symbol}): `);
+      if (input.trim() !== "") {
+        milestoneIndexes.push(i);
+        newAmounts.push(parseAmount(input, currency));
+      }
+    }
+
+    const addedDescriptions = [];
+    const addedAmounts = [];
+    const addCount = parseInt((await question("Number of milestones to add: ")) || "0");
+    for (let i = 0; i < addCount; i++) {
+      addedDescriptions.push(await question(`   New milestone ${i + 1} description: `));
+      addedAmounts.push(
+        parseAmount(await question(`   New milestone ${i + 1} amount (${currency.symbol}): `), currency)
+      );
+    }
+
+    const justification = await question("Justification (document hash or text): ");
+
+    const tx = await contract.proposeChangeOrder(
+      tenderId,
+      milestoneIndexes,
+      newAmounts,
+      addedDescriptions,
+      addedAmounts,
+      toEvidenceHash(justification)
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Change order proposed - the other party must approve it");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("Change exceeds contract variation cap")) {
+      const cap = await contract.MAX_CONTRACT_VARIATION();
+      error(`The contract value may move at most ${Number(cap) / 100}% from the awarded value`);
+    } else if (err.message.includes("Framework ceiling exceeded")) {
+      error("This call-off increase does not fit in the framework's remaining ceiling");
+    } else {
+      error(`Failed to propose change order: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Approve or reject a proposed change order (the party that has not signed)
+ */
+async function reviewChangeOrder() {
+  header("Review Change Order");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const changeOrderId = await question("Change Order #: ");
+    await printChangeOrder(tenderId, changeOrderId, await getTenderCurrency(tenderId));
+
+    const decision = (await question("\nApprove, reject or skip? (a/r/s): ")).toLowerCase();
+    let tx;
+    if (decision === "a") {
+      tx = await contract.approveChangeOrder(tenderId, changeOrderId);
+    } else if (decision === "r") {
+      tx = await contract.rejectChangeOrder(tenderId, changeOrderId);
+    } else {
+      info("No decision recorded");
+      return;
+    }
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(decision === "a" ? "Change order approved and applied!" : "Change order rejected");
+    if (decision === "a") {
+      const [, , topUpDue] = await contract.getContractValue(tenderId);
+      if (topUpDue > 0n && (await contract.getTenderDetails(tenderId))[7] > 0n) {
+        warning("The treasurer must top up the funding before the new value can be paid");
+      }
+    }
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("Framework ceiling exceeded")) {
+      error("This call-off increase no longer fits in the framework's remaining ceiling");
+    } else {
+      error(`Failed to review change order: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Print one change order
+ */
+async function printChangeOrder(tenderId, changeOrderId, currency) {
+  const changeOrder = await contract.getChangeOrder(tenderId, changeOrderId);
+  console.log(`\n📝 Change Order #${changeOrderId}: ${CHANGE_ORDER_STATUS[changeOrder.status]}`);
+  console.log(`   Proposed By: ${formatAddress(changeOrder.proposer)}`);
+  console.log(`   Proposed At: ${formatTimestamp(changeOrder.proposedAt)}`);
+  console.log(`   Justification: ${changeOrder.justificationHash}`);
+  console.log(
+    `   Signed: authority ${changeOrder.authorityApproved ? "✅" : "⏳"}, winner ${
+      changeOrder.winnerApproved ? "✅" : "⏳"
+    }`
+  );
+  changeOrder.milestoneIndexes.forEach((index, i) => {
+    const amount = changeOrder.newAmounts[i];
+    console.log(
+      `   Milestone ${Number(index) + 1}: ${
+        amount === 0n ? "removed" : `re-priced to ${formatAmount(amount, currency)}`
+      }`
+    );
+  });
+  changeOrder.addedDescriptions.forEach((description, i) => {
+    console.log(
+      `   Added: ${description} - ${formatAmount(changeOrder.addedAmounts[i], currency)}`
+    );
+  });
+  if (changeOrder.status === 1n) {
+    console.log(
+      `   Value: ${formatAmount(changeOrder.previousValue, currency)} → ${formatAmount(
+        changeOrder.newValue,
+        currency
+      )}`
+    );
+  } else {
+    console.log(`   New Value (at proposal): ${formatAmount(changeOrder.newValue, currency)}`);
+  }
+}
+
+/**
+ * Show the change-order history of a tender
+ */
+async function viewChangeOrders() {
+  header("View Change Orders");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const currency = await getTenderCurrency(tenderId);
+    const [awardedValue, currentValue] = await contract.getContractValue(tenderId);
+    const count = await contract.getChangeOrderCount(tenderId);
+
+    console.log(`\n📋 Tender #${tenderId}:`);
+    console.log(`   Awarded Value: ${formatAmount(awardedValue, currency)}`);
+    console.log(`   Current Value: ${formatAmount(currentValue, currency)}`);
+    console.log(`   Change Orders: ${count}`);
+    for (let i = 0; i < Number(count); i++) {
+      await printChangeOrder(tenderId, i, currency);
+    }
+  } catch (err) {
+    error(`Failed to view change orders: ${err.message}`);
+  }
+}
+
+/**
+ * Submit a milestone completion claim (Winner only)
+ */
+async function submitMilestoneClaim() {
+  header("Submit Milestone Claim");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+
+    const details = await contract.getTenderDetails(tenderId);
+    if (details[6].toLowerCase() !== signer.address.toLowerCase()) {
+      error("Only the tender winner can claim milestones!");
+      return;
+    }
+
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+    const milestone = await contract.getMilestone(tenderId, milestoneIndex);
+    const claim = await contract.getMilestoneClaim(tenderId, milestoneIndex);
+
+    console.log(`\n📨 Milestone Details:`);
+    console.log(`   Description: ${milestone[0]}`);
+    console.log(
+      `   Payout: ${formatAmount(milestone[4], await getCurrency(details[10]))}`
+    );
+    console.log(`   Status: ${MILESTONE_STATUS[claim[0]]}`);
+
+    const status = Number(claim[0]);
+    if (status !== 0 && status !== 3) {
+      warning("Only pending or rejected milestones can be claimed");
+      return;
+    }
+    if (status === 3) {
+      info(`Previous rejection reason: ${claim[3]}`);
+    }
+
+    const evidence = await question(
+      "Evidence (delivery report reference or 0x-prefixed hash): "
+    );
+    const evidenceHash = toEvidenceHash(evidence);
+
+    info(`Evidence hash: ${evidenceHash}`);
+
+    const tx = await contract.submitMilestoneClaim(
+      tenderId,
+      milestoneIndex,
+      evidenceHash
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Milestone claim submitted! Awaiting auditor review.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to submit claim: ${err.message}`);
+  }
+}
+
+/**
+ * Reject a milestone claim with a reason hash (Auditor only)
+ */
+async function rejectMilestoneClaim() {
+  header("Reject Milestone Claim");
+
+  try {
+    if (!(await requireRole("AUDITOR", "reject milestone claims"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    const claim = await contract.getMilestoneClaim(tenderId, milestoneIndex);
+    if (Number(claim[0]) !== 1) {
+      error(`Milestone is ${MILESTONE_STATUS[claim[0]]} - nothing to reject`);
+      return;
+    }
+
+    console.log(`\n📨 Claim:`);
+    console.log(`   Evidence: ${claim[1]}`);
+    console.log(`   Claimed At: ${formatTimestamp(claim[2])}`);
+
+    const reason = await question(
+      "Rejection reason (report reference or 0x-prefixed hash): "
+    );
+    const reasonHash = toEvidenceHash(reason);
+
+    info(`Reason hash: ${reasonHash}`);
+
+    const confirm = await question("\nReject this claim? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Rejection cancelled");
+      return;
+    }
+
+    const tx = await contract.rejectMilestoneClaim(
+      tenderId,
+      milestoneIndex,
+      reasonHash
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Claim rejected. The winner may submit a new claim.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to reject claim: ${err.message}`);
+  }
+}
+
+/**
+ * Approve a claimed milestone with an evidence hash (Auditor only)
+ */
+async function approveMilestone() {
+  header("Approve Milestone");
+
+  try {
+    if (!(await requireRole("AUDITOR", "approve milestones"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    const milestone = await contract.getMilestone(tenderId, milestoneIndex);
+    const currency = await getTenderCurrency(tenderId);
+
+    console.log(`\n🔎 Milestone Details:`);
+    console.log(`   Description: ${milestone[0]}`);
+    console.log(`   Payout: ${formatAmount(milestone[4], currency)}`);
+
+    if (milestone[5]) {
+      warning("This milestone is already approved!");
+      return;
+    }
+
+    const claim = await contract.getMilestoneClaim(tenderId, milestoneIndex);
+    if (Number(claim[0]) !== 1) {
+      error(`Milestone is ${MILESTONE_STATUS[claim[0]]} - the winner must claim it first`);
+      return;
+    }
+    console.log(`   Claim Evidence: ${claim[1]}`);
+    console.log(`   Claimed At: ${formatTimestamp(claim[2])}`);
+
+    const evidence = await question(
+      "Evidence (inspection report reference or 0x-prefixed hash): "
+    );
+    const evidenceHash = toEvidenceHash(evidence);
+
+    info(`Evidence hash: ${evidenceHash}`);
+
+    const confirm = await question("\nApprove this milestone? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Approval cancelled");
+      return;
+    }
+
+    const tx = await contract.approveMilestone(
+      tenderId,
+      milestoneIndex,
+      evidenceHash
+    );
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Milestone approved! Payment can now be released by anyone.");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to approve milestone: ${err.message}`);
+  }
+}
+
+/**
+ * Release an approved milestone payment (anyone - Tests nonReentrant)
+ */
+async function releaseMilestonePayment() {
+  header("Release Milestone Payment");
+
+  try {
+    const tenderId = await question("Enter Tender ID: ");
+    const milestoneIndex = await question("Enter Milestone Index (0-based): ");
+
+    // Get milestone details
+    const milestone = await contract.getMilestone(tenderId, milestoneIndex);
+    const currency = await getTenderCurrency(tenderId);
+
+    console.log(`\n💸 Milestone Details:`);
+    console.log(`   Description: ${milestone[0]}`);
+    console.log(`   Budgeted Amount: ${formatAmount(milestone[1], currency)}`);
+    console.log(
+      `   Payout (pro-rata to winning bid): ${formatAmount(milestone[4], currency)}`
+    );
+    console.log(`   Status: ${milestone[2] ? "Already paid" : "Pending"}`);
+
+    if (milestone[2]) {
+      warning("This milestone is already paid!");
+      return;
+    }
+
+    if (!milestone[5]) {
+      error("This milestone has not been approved by an auditor yet!");
+      return;
+    }
+    console.log(`   Approved By: ${milestone[6]}`);
+
+    // Liquidated damages are computed from the claim date, so this is final
+    const schedule = await contract.getMilestoneSchedule(tenderId, milestoneIndex);
+    if (schedule[1] > 0n) {
+      console.log(`   Due Date: ${formatTimestamp(schedule[1])}`);
+      console.log(`   Days Late: ${schedule[2]}`);
+    }
+    if (schedule[3] > 0n) {
+      console.log(
+        `   Liquidated Damages: -${formatAmount(schedule[3], currency)} (returned to the treasury)`
+      );
+    }
+
+    const confirm = await question(
+      `\nRelease payment of ${formatAmount(schedule[4], currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Release cancelled");
+      return;
+    }
+
+    info("Releasing milestone payment...");
+    info(
+      "Protected by OpenZeppelin ReentrancyGuard.nonReentrant modifier (Fix #3)"
+    );
+
+    // This tests ReentrancyGuard - will block reentrancy attempts
+    const tx = await contract.releaseMilestonePayment(tenderId, milestoneIndex);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Milestone payment credited to the winner!");
+    info("The winner collects it with 'Withdraw Available Funds' (pull payment)");
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("ReentrancyGuard")) {
+      error("Reentrancy attempt blocked by ReentrancyGuard!");
+      info("This is Fix #3 - prevents reentrancy attacks");
+    } else {
+      error(`Failed to release payment: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Emergency withdraw to the treasury (Treasurer only - Tests nonReentrant)
+ */
+async function emergencyWithdraw() {
+  header("Emergency Withdraw");
+
+  try {
+    if (!(await requireRole("TREASURER", "perform emergency withdraw"))) {
+      return;
+    }
+
+    const tenderId = await question("Enter Tender ID: ");
+
+    // Get tender details
+    const details = await contract.getTenderDetails(tenderId);
+    const fundedAmount = details[7];
+    const currency = await getCurrency(details[10]);
+
+    if (fundedAmount === 0n) {
+      warning("No funds to withdraw for this tender");
+      return;
+    }
+
+    console.log(`\n⚠️  Emergency Withdraw:`);
+    console.log(`   Funded Amount: ${formatAmount(fundedAmount, currency)}`);
+
+    const confirm = await question(
+      `\nWithdraw ${formatAmount(fundedAmount, currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Withdrawal cancelled");
+      return;
+    }
+
+    warning("This is an emergency function - use with caution!");
+    info(
+      "Protected by OpenZeppelin ReentrancyGuard.nonReentrant modifier (Fix #3)"
+    );
+
+    const tx = await contract.emergencyWithdraw(tenderId);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Emergency withdrawal credited to the treasury!");
+    info("The treasury collects it with 'Withdraw Available Funds' (pull payment)");
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("ReentrancyGuard")) {
+      error("Reentrancy attempt blocked by ReentrancyGuard!");
+    } else {
+      error(`Failed to withdraw: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Withdraw ETH or ERC-20 credited to the current account (pull payment)
+ */
+async function withdrawFunds() {
+  header("Withdraw Available Funds");
+
+  try {
+    const tokenAddress = await question(
+      "Token address (press Enter to withdraw ETH): "
+    );
+    const currency = await getCurrency(tokenAddress);
+    const isEth = currency === ETH_CURRENCY;
+
+    const amount = isEth
+      ? await contract.pendingWithdrawals(signer.address)
+      : await contract.pendingTokenWithdrawals(currency.token, signer.address);
+    console.log(`\n💰 Withdrawable Balance: ${formatAmount(amount, currency)}`);
+
+    if (amount === 0n) {
+      warning("No funds available to withdraw");
+      return;
+    }
+
+    const confirm = await question(
+      `\nWithdraw ${formatAmount(amount, currency)}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Withdrawal cancelled");
+      return;
+    }
+
+    info(
+      "Protected by OpenZeppelin ReentrancyGuard.nonReentrant modifier (Fix #3)"
+    );
+
+    const tx = isEth
+      ? await contract.withdraw()
+      : await contract.withdrawToken(currency.token);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Funds withdrawn successfully!");
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("ReentrancyGuard")) {
+      error("Reentrancy attempt blocked by ReentrancyGuard!");
+    } else {
+      error(`Failed to withdraw: ${err.message}`);
+    }
+  }
+}
+
+// =============================================================================
+//                        EMERGENCY CONTROLS (Pausable)
+// =============================================================================
+
+/**
+ * Pause contract (Pauser only - Tests Pausable)
+ */
+async function pauseContract() {
+  header("Pause Contract");
+
+  try {
+    if (!(await requireRole("PAUSER", "pause the contract"))) {
+      return;
+    }
+
+    const isPaused = await contract.paused();
+    if (isPaused) {
+      warning("Contract is already paused!");
+      return;
+    }
+
+    warning("This will stop all contract operations!");
+    const confirm = await question("Pause contract? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Pause cancelled");
+      return;
+    }
+
+    info("Pausing contract (OpenZeppelin Pausable)...");
+
+    const tx = await contract.pause();
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Contract paused successfully!");
+    info("All public functions are now blocked by whenNotPaused modifier");
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to pause: ${err.message}`);
+  }
+}
+
+/**
+ * Unpause contract (Pauser only - Tests Pausable)
+ */
+async function unpauseContract() {
+  header("Unpause Contract");
+
+  try {
+    if (!(await requireRole("PAUSER", "unpause the contract"))) {
+      return;
+    }
+
+    const isPaused = await contract.paused();
+    if (!isPaused) {
+      warning("Contract is not paused!");
+      return;
+    }
+
+    const confirm = await question("Unpause contract? (yes/no): ");
+    if (confirm.toLowerCase() !== "yes") {
+      info("Unpause cancelled");
+      return;
+    }
+
+    info("Unpausing contract (OpenZeppelin Pausable)...");
+
+    const tx = await contract.unpause();
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Contract unpaused successfully!");
+    info("All public functions are now operational");
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to unpause: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        OWNERSHIP MANAGEMENT (Ownable)
+// =============================================================================
+
+/**
+ * Transfer ownership (Tests Ownable.transferOwnership)
+ */
+async function transferOwnership() {
+  header("Transfer Ownership");
+
+  try {
+    const currentOwner = await contract.owner();
+    if (currentOwner.toLowerCase() !== signer.address.toLowerCase()) {
+      error("Only the current owner can transfer ownership!");
+      return;
+    }
+
+    console.log(`\nCurrent Owner: ${currentOwner}`);
+
+    const newOwner = await question("Enter new owner address: ");
+
+    if (!ethers.isAddress(newOwner)) {
+      error("Invalid address!");
+      return;
+    }
+
+    if (newOwner === ethers.ZeroAddress) {
+      error("Cannot transfer to zero address! Use renounceOwnership instead.");
+      return;
+    }
+
+    warning("This will permanently transfer contract ownership!");
+    const confirm = await question(
+      `Transfer ownership to ${newOwner}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info("Transfer cancelled");
+      return;
+    }
+
+    info("Transferring ownership (OpenZeppelin Ownable)...");
+
+    const tx = await contract.transferOwnership(newOwner);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success("Ownership transferred successfully!");
+    console.log(`\n👤 New Owner: ${newOwner}`);
+
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    error(`Failed to transfer ownership: ${err.message}`);
+  }
+}
+
+// =============================================================================
+//                        ROLE MANAGEMENT (AccessControl)
+// =============================================================================
+
+/**
+ * Prompt for a role key from the ROLES table
+ */
+async function promptRole() {
+  const keys = Object.keys(ROLES);
+  console.log("\nRoles:");
+  keys.forEach((key, i) => console.log(`   ${i + 1}. ${ROLES[key].label}`));
+
+  const idx = parseInt(await question("Select role: ")) - 1;
+  if (isNaN(idx) || idx < 0 || idx >= keys.length) {
+    error("Invalid role");
+    return null;
+  }
+  return keys[idx];
+}
+
+/**
+ * View roles held by an account
+ */
+async function viewRoles() {
+  header("View Account Roles");
+
+  try {
+    const address = await question(
+      "Enter address (or press Enter for current account): "
+    );
+    const checkAddress = address || signer.address;
+
+    const roles = await getRoles(checkAddress);
+
+    console.log(`\n🔑 Roles for ${checkAddress}:`);
+    for (const [key, role] of Object.entries(ROLES)) {
+      console.log(`   ${role.label}: ${roles[key] ? "✅" : "❌"}`);
+    }
+  } catch (err) {
+    error(`Failed to view roles: ${err.message}`);
+  }
+}
+
+/**
+ * Grant or revoke a role (Owner only - tests AccessControl)
+ */
+async function manageRole(grant) {
+  header(grant ? "Grant Role" : "Revoke Role");
+
+  try {
+    const owner = await contract.owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+      error("Only the contract owner can manage roles!");
+      return;
+    }
+
+    const key = await promptRole();
+    if (!key) {
+      return;
+    }
+
+    const account = await question("Enter account address: ");
+    if (!ethers.isAddress(account)) {
+      error("Invalid address!");
+      return;
+    }
+
+    const role = await contract[ROLES[key].getter]();
+    const action = grant ? "Grant" : "Revoke";
+    const confirm = await question(
+      `${action} ${ROLES[key].label} role ${grant ? "to" : "from"} ${account}? (yes/no): `
+    );
+    if (confirm.toLowerCase() !== "yes") {
+      info(`${action} cancelled`);
+      return;
+    }
+
+    const tx = grant
+      ? await contract.grantRole(role, account)
+      : await contract.revokeRole(role, account);
+    info(`Transaction sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+
+    success(`Role ${grant ? "granted" : "revoked"} successfully!`);
+    await displayTxDetails(tx, receipt);
+  } catch (err) {
+    if (err.message.includes("roles must be separate")) {
+      error(
+        "Separation of duties: the Tender Admin cannot also be Treasurer, Auditor, Evaluator, Arbitrator or Registrar!"
+      );
+    } else {
+      error(`Failed to update role: ${err.message}`);
+    }
+  }
+}
+
+// =============================================================================
+//                        EVENT LISTENING
+// =============================================================================
+
+/**
+ * Listen to contract events
+ */
+async function listenToEvents() {
+  header("Listen to Contract Events");
+
+  try {
+    info("Starting event listener...");
+    info("Press Ctrl+C to stop");
+
+    separator("-");
+
+    // Listen to all events
+    contract.on(
+      "TenderCreated",
+      (tenderId, title, maxBudget, submissionDeadline, revealDeadline) => {
+        console.log(`\n🆕 TenderCreated:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Title: ${title}`);
+        console.log(`   Max Budget: ${formatEth(maxBudget)}`);
+        console.log(
+          `   Submission Deadline: ${formatTimestamp(submissionDeadline)}`
+        );
+        console.log(`   Reveal Deadline: ${formatTimestamp(revealDeadline)}`);
+      }
+    );
+
+    contract.on(
+      "BidderApplicationSubmitted",
+      (bidder, registrationNumberHash, legalName, timestamp) => {
+        console.log(`\n📨 BidderApplicationSubmitted:`);
+        console.log(`   Bidder: ${bidder}`);
+        console.log(`   Legal Name: ${legalName}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "BidderRegistered",
+      (bidder, registrar, attestationHash, validUntil, timestamp) => {
+        console.log(`\n👤 BidderRegistered:`);
+        console.log(`   Bidder: ${bidder}`);
+        console.log(`   Registrar: ${formatAddress(registrar)}`);
+        console.log(`   Valid Until: ${formatTimestamp(validUntil)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "BidderSanctioned",
+      (bidder, registrar, status, reasonHash, sanctionedUntil, timestamp) => {
+        console.log(`\n⛔ BidderSanctioned:`);
+        console.log(`   Bidder: ${bidder}`);
+        console.log(`   Status: ${BIDDER_STATUS[status]}`);
+        console.log(`   Reason: ${reasonHash}`);
+        console.log(
+          `   Until: ${
+            sanctionedUntil === 0n ? "Indefinitely" : formatTimestamp(sanctionedUntil)
+          }`
+        );
+      }
+    );
+
+    contract.on(
+      "CompanyDebarred",
+      (registrationNumberHash, registrar, reasonHash, until, timestamp) => {
+        console.log(`\n⛔ CompanyDebarred:`);
+        console.log(`   Company: ${registrationNumberHash}`);
+        console.log(`   Reason: ${reasonHash}`);
+        console.log(`   Until: ${formatTimestamp(until)}`);
+      }
+    );
+
+    contract.on(
+      "CompanyDebarmentLifted",
+      (registrationNumberHash, registrar, reasonHash, timestamp) => {
+        console.log(`\n✅ CompanyDebarmentLifted:`);
+        console.log(`   Company: ${registrationNumberHash}`);
+        console.log(`   Decision: ${reasonHash}`);
+      }
+    );
+
+    contract.on("ConsortiumRegistered", (tenderId, lead, members, shares) => {
+      console.log(`\n🤝 ConsortiumRegistered:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Lead: ${formatAddress(lead)}`);
+      console.log(`   Members: ${members.length}`);
+    });
+
+    contract.on("ConsortiumMemberAccepted", (tenderId, lead, member) => {
+      console.log(`\n🤝 ConsortiumMemberAccepted:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Lead: ${formatAddress(lead)}`);
+      console.log(`   Member: ${formatAddress(member)}`);
+    });
+
+    contract.on("ConsortiumMemberLeft", (tenderId, lead, member) => {
+      console.log(`\n🚪 ConsortiumMemberLeft:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Lead: ${formatAddress(lead)}`);
+      console.log(`   Member: ${formatAddress(member)}`);
+    });
+
+    contract.on(
+      "ConflictOfInterestDeclared",
+      (tenderId, official, declarationHash, timestamp) => {
+        console.log(`\n🙋 ConflictOfInterestDeclared:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Official: ${formatAddress(official)}`);
+        console.log(`   Declaration: ${declarationHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on("BidderReinstated", (bidder, registrar, reasonHash, timestamp) => {
+      console.log(`\n✅ BidderReinstated:`);
+      console.log(`   Bidder: ${bidder}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("BidSubmitted", (tenderId, bidder, commitHash, timestamp) => {
+      console.log(`\n📩 BidSubmitted:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Bidder: ${formatAddress(bidder)}`);
+      console.log(`   Hash: ${commitHash}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on(
+      "BidRevealed",
+      (tenderId, bidder, amount, isValid, timestamp) => {
+        console.log(`\n🔓 BidRevealed:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Amount: ${formatEth(amount)}`);
+        console.log(`   Valid: ${isValid ? "✅" : "❌"}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on("WinnerSelected", (tenderId, winner, winningBid, timestamp) => {
+      console.log(`\n🏆 WinnerSelected:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Winner: ${winner}`);
+      console.log(`   Winning Bid: ${formatEth(winningBid)}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("StandstillConfigured", (tenderId, period) => {
+      console.log(`\n⏸️  StandstillConfigured:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Period: ${Number(period) / 86400} day(s)`);
+    });
+
+    contract.on(
+      "AwardNotified",
+      (tenderId, winner, amount, standstillEndsAt, timestamp) => {
+        console.log(`\n📣 AwardNotified:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Winner: ${winner}`);
+        console.log(`   Winning Bid: ${formatEth(amount)}`);
+        console.log(`   Standstill Ends: ${formatTimestamp(standstillEndsAt)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "AwardChallenged",
+      (tenderId, challengeId, challenger, awardee, groundsHash, timestamp) => {
+        console.log(`\n🙋 AwardChallenged:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Challenge: #${challengeId}`);
+        console.log(`   Challenger: ${formatAddress(challenger)}`);
+        console.log(`   Awardee: ${formatAddress(awardee)}`);
+        console.log(`   Grounds: ${groundsHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "TenderTerminated",
+      (
+        tenderId,
+        contractor,
+        terminatedBy,
+        reasonHash,
+        milestonesSettled,
+        settledAmount,
+        refundedAmount,
+        bondForfeited,
+        retentionForfeited,
+        timestamp
+      ) => {
+        console.log(`\n🛑 TenderTerminated:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Contractor: ${formatAddress(contractor)}`);
+        console.log(`   By: ${formatAddress(terminatedBy)}`);
+        console.log(`   Notice: ${reasonHash}`);
+        console.log(`   Settled: ${milestonesSettled} milestone(s), ${formatEth(settledAmount)}`);
+        console.log(`   Refunded: ${formatEth(refundedAmount)}`);
+        console.log(`   Bond Forfeited: ${formatEth(bondForfeited)}`);
+        console.log(`   Retention Forfeited: ${formatEth(retentionForfeited)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "TerminationLiabilityRecorded",
+      (tenderId, milestonesOwed, amount, timestamp) => {
+        console.log(`\n📌 TerminationLiabilityRecorded:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestones Owed: ${milestonesOwed}`);
+        console.log(`   Amount: ${formatEth(amount)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on("TerminationLiabilitySettled", (tenderId, settledBy, amount, timestamp) => {
+      console.log(`\n✅ TerminationLiabilitySettled:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   By: ${formatAddress(settledBy)}`);
+      console.log(`   Amount: ${formatEth(amount)}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("AwardAcceptanceConfigured", (tenderId, period) => {
+      console.log(`\n⏳ AwardAcceptanceConfigured:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Period: ${Number(period) / 86400} day(s)`);
+    });
+
+    contract.on("AwardAccepted", (tenderId, winner, timestamp) => {
+      console.log(`\n🤝 AwardAccepted:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Winner: ${formatAddress(winner)}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("AwardDeclined", (tenderId, winner, reasonHash, timestamp) => {
+      console.log(`\n🙅 AwardDeclined:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Winner: ${formatAddress(winner)}`);
+      console.log(`   Reason: ${reasonHash}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on(
+      "AwardPassedToNextRanked",
+      (tenderId, previousWinner, newWinner, amount, rankPosition, acceptanceDeadline, timestamp) => {
+        console.log(`\n🥈 AwardPassedToNextRanked:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Previous Winner: ${formatAddress(previousWinner)}`);
+        console.log(`   New Winner: ${newWinner} (rank ${rankPosition + 1n})`);
+        console.log(`   Amount: ${formatEth(amount)}`);
+        if (acceptanceDeadline > 0n) {
+          console.log(`   Accept Before: ${formatTimestamp(acceptanceDeadline)}`);
+        }
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "AwardChallengesResolved",
+      (tenderId, arbitrator, outcome, challengesResolved, decisionHash, timestamp) => {
+        console.log(`\n⚖️  AwardChallengesResolved:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Arbitrator: ${formatAddress(arbitrator)}`);
+        console.log(`   Outcome: ${AWARD_CHALLENGE_STATUS[outcome]}`);
+        console.log(`   Challenges: ${challengesResolved}`);
+        console.log(`   Decision: ${decisionHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "TenderCancelled",
+      (tenderId, cancelledBy, reasonHash, timestamp) => {
+        console.log(`\n🚫 TenderCancelled:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   By: ${formatAddress(cancelledBy)}`);
+        console.log(`   Reason: ${reasonHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on("PerformanceBondDeposited", (tenderId, winner, amount, timestamp) => {
+      console.log(`\n🛡️  PerformanceBondDeposited:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Winner: ${formatAddress(winner)}`);
+      console.log(`   Amount: ${formatEth(amount)}`);
+    });
+
+    contract.on("RetentionWithheld", (tenderId, milestoneIndex, amount, timestamp) => {
+      console.log(`\n🔒 RetentionWithheld:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Milestone: ${Number(milestoneIndex) + 1}`);
+      console.log(`   Amount: ${formatEth(amount)}`);
+    });
+
+    contract.on(
+      "GuaranteesReleased",
+      (tenderId, winner, retention, performanceBond, timestamp) => {
+        console.log(`\n🔓 GuaranteesReleased:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Winner: ${formatAddress(winner)}`);
+        console.log(`   Retention: ${formatEth(retention)}`);
+        console.log(`   Performance Bond: ${formatEth(performanceBond)}`);
+      }
+    );
+
+    contract.on(
+      "GuaranteeForfeited",
+      (tenderId, retention, performanceBond, reasonHash, timestamp) => {
+        console.log(`\n⚠️  GuaranteeForfeited:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Retention: ${formatEth(retention)}`);
+        console.log(`   Performance Bond: ${formatEth(performanceBond)}`);
+        console.log(`   Reason: ${reasonHash}`);
+      }
+    );
+
+    contract.on(
+      "LiquidatedDamagesDeducted",
+      (tenderId, milestoneIndex, daysLate, amount, timestamp) => {
+        console.log(`\n⏰ LiquidatedDamagesDeducted:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${Number(milestoneIndex) + 1}`);
+        console.log(`   Days Late: ${daysLate}`);
+        console.log(`   Amount: ${formatEth(amount)}`);
+      }
+    );
+
+    contract.on(
+      "BidReplaced",
+      (tenderId, bidder, commitHash, replacementCount, timestamp) => {
+        console.log(`\n✏️  BidReplaced:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   New Hash: ${commitHash}`);
+        console.log(`   Replacements: ${replacementCount}`);
+      }
+    );
+
+    contract.on(
+      "BidWithdrawn",
+      (tenderId, bidder, bondRefunded, replacementCount, timestamp) => {
+        console.log(`\n↩️  BidWithdrawn:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Bond Refunded: ${formatEth(bondRefunded)}`);
+        console.log(`   Replacements: ${replacementCount}`);
+      }
+    );
 
-    const newOwner = await question("Enter new owner address: ");
+    contract.on(
+      "DisputeRaised",
+      (tenderId, milestoneIndex, raisedBy, reasonHash, rulingDeadline, timestamp) => {
+        console.log(`\n⚖️  DisputeRaised:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${Number(milestoneIndex) + 1}`);
+        console.log(`   Raised By: ${formatAddress(raisedBy)}`);
+        console.log(`   Rule Before: ${formatTimestamp(rulingDeadline)}`);
+      }
+    );
 
-    if (!ethers.isAddress(newOwner)) {
-      error("Invalid address!");
-      return;
-    }
+    contract.on(
+      "DisputeRuled",
+      (
+        tenderId,
+        milestoneIndex,
+        arbitrator,
+        contractorAmount,
+        funderAmount,
+        rulingHash,
+        timestamp
+      ) => {
+        console.log(`\n⚖️  DisputeRuled:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${Number(milestoneIndex) + 1}`);
+        console.log(`   Arbitrator: ${formatAddress(arbitrator)}`);
+        console.log(`   To Contractor: ${formatEth(contractorAmount)}`);
+        console.log(`   To Treasury: ${formatEth(funderAmount)}`);
+      }
+    );
 
-    if (newOwner === ethers.ZeroAddress) {
-      error("Cannot transfer to zero address! Use renounceOwnership instead.");
-      return;
-    }
+    contract.on("DisputeLapsed", (tenderId, milestoneIndex, restoredStatus, timestamp) => {
+      console.log(`\n⌛ DisputeLapsed:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Milestone: ${Number(milestoneIndex) + 1}`);
+      console.log(`   Restored Status: ${MILESTONE_STATUS[restoredStatus]}`);
+    });
 
-    warning("This will permanently transfer contract ownership!");
-    const confirm = await question(
-      `Transfer ownership to ${newOwner}? (yes/no): `
+    contract.on(
+      "ChangeOrderProposed",
+      (tenderId, changeOrderId, proposer, newValue, justificationHash, timestamp) => {
+        console.log(`\n📝 ChangeOrderProposed:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Change Order: #${changeOrderId}`);
+        console.log(`   Proposer: ${formatAddress(proposer)}`);
+        console.log(`   New Value: ${formatEth(newValue)}`);
+      }
     );
-    if (confirm.toLowerCase() !== "yes") {
-      info("Transfer cancelled");
-      return;
-    }
 
-    info("Transferring ownership (OpenZeppelin Ownable)...");
+    contract.on(
+      "ChangeOrderApproved",
+      (tenderId, changeOrderId, approver, previousValue, newValue, timestamp) => {
+        console.log(`\n✅ ChangeOrderApproved:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Change Order: #${changeOrderId}`);
+        console.log(`   Value: ${formatEth(previousValue)} → ${formatEth(newValue)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
 
-    const tx = await contract.transferOwnership(newOwner);
-    info(`Transaction sent: ${tx.hash}`);
+    contract.on("ChangeOrderRejected", (tenderId, changeOrderId, rejectedBy) => {
+      console.log(`\n❌ ChangeOrderRejected:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Change Order: #${changeOrderId}`);
+      console.log(`   By: ${formatAddress(rejectedBy)}`);
+    });
 
-    const receipt = await tx.wait();
+    contract.on("FundingToppedUp", (tenderId, amount, timestamp) => {
+      console.log(`\n💰 FundingToppedUp:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Amount: ${formatEth(amount)}`);
+    });
 
-    success("Ownership transferred successfully!");
-    console.log(`\n👤 New Owner: ${newOwner}`);
+    contract.on("FundingReleased", (tenderId, amount, timestamp) => {
+      console.log(`\n↩️  FundingReleased:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Amount: ${formatEth(amount)} returned to the treasury`);
+    });
 
-    await displayTxDetails(tx, receipt);
-  } catch (err) {
-    error(`Failed to transfer ownership: ${err.message}`);
-  }
-}
+    contract.on(
+      "FrameworkAwarded",
+      (tenderId, suppliers, expiresAt, timestamp) => {
+        console.log(`\n📑 FrameworkAwarded:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Suppliers: ${suppliers.map(formatAddress).join(", ")}`);
+        console.log(`   Expires: ${formatTimestamp(expiresAt)}`);
+      }
+    );
 
-// =============================================================================
-//                        EVENT LISTENING
-// =============================================================================
+    contract.on(
+      "CallOffIssued",
+      (frameworkId, callOffId, supplier, value, timestamp) => {
+        console.log(`\n📦 CallOffIssued:`);
+        console.log(`   Framework ID: ${frameworkId}`);
+        console.log(`   Call-off ID: ${callOffId}`);
+        console.log(`   Supplier: ${formatAddress(supplier)}`);
+        console.log(`   Value: ${formatEth(value)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
 
-/**
- * Listen to contract events
- */
-async function listenToEvents() {
-  header("Listen to Contract Events");
+    contract.on("LotAdded", (tenderId, lotTenderId, lotNumber) => {
+      console.log(`\n📦 LotAdded:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Lot ${lotNumber}: Tender ID ${lotTenderId}`);
+    });
 
-  try {
-    info("Starting event listener...");
-    info("Press Ctrl+C to stop");
+    contract.on(
+      "TenderRetendered",
+      (originalTenderId, newTenderId, timestamp) => {
+        console.log(`\n🔁 TenderRetendered:`);
+        console.log(`   Original Tender ID: ${originalTenderId}`);
+        console.log(`   New Tender ID: ${newTenderId}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
 
-    separator("-");
+    contract.on(
+      "DeadlinesExtended",
+      (tenderId, submissionDeadline, revealDeadline, timestamp) => {
+        console.log(`\n⏰ DeadlinesExtended:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Submission: ${formatTimestamp(submissionDeadline)}`);
+        console.log(`   Reveal: ${formatTimestamp(revealDeadline)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
 
-    // Listen to all events
     contract.on(
-      "TenderCreated",
-      (tenderId, title, maxBudget, submissionDeadline, revealDeadline) => {
-        console.log(`\n🆕 TenderCreated:`);
+      "AddendumPublished",
+      (tenderId, addendumIndex, contentHash, timestamp) => {
+        console.log(`\n📝 AddendumPublished:`);
         console.log(`   Tender ID: ${tenderId}`);
-        console.log(`   Title: ${title}`);
-        console.log(`   Max Budget: ${formatEth(maxBudget)}`);
+        console.log(`   Addendum: #${addendumIndex + 1n}`);
+        console.log(`   Content Hash: ${contentHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "EvaluationConfigured",
+      (tenderId, priceWeight, qualityWeight) => {
+        console.log(`\n⚖️  EvaluationConfigured:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Price Weight: ${Number(priceWeight) / 100}%`);
+        console.log(`   Quality Weight: ${Number(qualityWeight) / 100}%`);
+      }
+    );
+
+    contract.on(
+      "TechnicalScoreSubmitted",
+      (tenderId, bidder, evaluator, score, timestamp) => {
+        console.log(`\n📐 TechnicalScoreSubmitted:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Evaluator: ${formatAddress(evaluator)}`);
+        console.log(`   Score: ${score}/100`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "AbnormallyLowBidFlagged",
+      (tenderId, bidder, amount, median, justificationDeadline) => {
+        console.log(`\n🚩 AbnormallyLowBidFlagged:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Amount: ${amount} (median ${median})`);
         console.log(
-          `   Submission Deadline: ${formatTimestamp(submissionDeadline)}`
+          `   Justify Before: ${formatTimestamp(justificationDeadline)}`
         );
-        console.log(`   Reveal Deadline: ${formatTimestamp(revealDeadline)}`);
       }
     );
 
-    contract.on("BidderRegistered", (bidder, timestamp) => {
-      console.log(`\n👤 BidderRegistered:`);
-      console.log(`   Bidder: ${bidder}`);
-      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    contract.on(
+      "LowBidReviewed",
+      (tenderId, bidder, evaluator, accepted, timestamp) => {
+        console.log(`\n📄 LowBidReviewed:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Evaluator: ${formatAddress(evaluator)}`);
+        console.log(`   Decision: ${accepted ? "✅ Accepted" : "⛔ Excluded"}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on("SealedBiddingConfigured", (tenderId, keyAddress) => {
+      console.log(`\n🔐 SealedBiddingConfigured:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Authority Key: ${formatAddress(keyAddress)}`);
     });
 
-    contract.on("BidSubmitted", (tenderId, bidder, commitHash, timestamp) => {
-      console.log(`\n📩 BidSubmitted:`);
+    contract.on("DecryptionKeyPublished", (tenderId, privateKey, timestamp) => {
+      console.log(`\n🔓 DecryptionKeyPublished:`);
       console.log(`   Tender ID: ${tenderId}`);
-      console.log(`   Bidder: ${formatAddress(bidder)}`);
-      console.log(`   Hash: ${commitHash}`);
       console.log(`   Time: ${formatTimestamp(timestamp)}`);
     });
 
     contract.on(
-      "BidRevealed",
-      (tenderId, bidder, amount, isValid, timestamp) => {
-        console.log(`\n🔓 BidRevealed:`);
+      "SealedBidRejected",
+      (tenderId, bidder, rejectedBy, bondForfeited, timestamp) => {
+        console.log(`\n🚫 SealedBidRejected:`);
         console.log(`   Tender ID: ${tenderId}`);
         console.log(`   Bidder: ${formatAddress(bidder)}`);
-        console.log(`   Amount: ${formatEth(amount)}`);
-        console.log(`   Valid: ${isValid ? "✅" : "❌"}`);
+        console.log(`   By: ${formatAddress(rejectedBy)}`);
+        console.log(`   Bond Forfeited: ${formatEth(bondForfeited)}`);
         console.log(`   Time: ${formatTimestamp(timestamp)}`);
       }
     );
 
-    contract.on("WinnerSelected", (tenderId, winner, winningBid, timestamp) => {
-      console.log(`\n🏆 WinnerSelected:`);
+    contract.on("SealedBidConfirmed", (tenderId, bidder, confirmedBy, timestamp) => {
+      console.log(`\n✅ SealedBidConfirmed:`);
       console.log(`   Tender ID: ${tenderId}`);
-      console.log(`   Winner: ${winner}`);
-      console.log(`   Winning Bid: ${formatEth(winningBid)}`);
+      console.log(`   Bidder: ${formatAddress(bidder)}`);
+      console.log(`   By: ${formatAddress(confirmedBy)}`);
       console.log(`   Time: ${formatTimestamp(timestamp)}`);
     });
 
@@ -1171,6 +5151,42 @@ async function listenToEvents() {
       console.log(`   Time: ${formatTimestamp(timestamp)}`);
     });
 
+    contract.on(
+      "MilestoneClaimSubmitted",
+      (tenderId, milestoneIndex, contractor, evidenceHash, timestamp) => {
+        console.log(`\n📨 MilestoneClaimSubmitted:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${milestoneIndex}`);
+        console.log(`   Contractor: ${formatAddress(contractor)}`);
+        console.log(`   Evidence: ${evidenceHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "MilestoneClaimRejected",
+      (tenderId, milestoneIndex, rejectedBy, reasonHash, timestamp) => {
+        console.log(`\n❌ MilestoneClaimRejected:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${milestoneIndex}`);
+        console.log(`   Auditor: ${formatAddress(rejectedBy)}`);
+        console.log(`   Reason: ${reasonHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    contract.on(
+      "MilestoneApproved",
+      (tenderId, milestoneIndex, approvedBy, evidenceHash, timestamp) => {
+        console.log(`\n🔎 MilestoneApproved:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Milestone: ${milestoneIndex}`);
+        console.log(`   Auditor: ${formatAddress(approvedBy)}`);
+        console.log(`   Evidence: ${evidenceHash}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
     contract.on(
       "MilestonePaymentReleased",
       (tenderId, milestoneIndex, recipient, amount, timestamp) => {
@@ -1183,6 +5199,67 @@ async function listenToEvents() {
       }
     );
 
+    contract.on("PaymentCredited", (payee, token, amount, timestamp) => {
+      console.log(`\n🏦 PaymentCredited:`);
+      console.log(`   Payee: ${formatAddress(payee)}`);
+      console.log(
+        `   Amount: ${
+          token === ethers.ZeroAddress
+            ? formatEth(amount)
+            : `${amount} (token ${formatAddress(token)})`
+        }`
+      );
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("PaymentWithdrawn", (payee, token, amount, timestamp) => {
+      console.log(`\n💰 PaymentWithdrawn:`);
+      console.log(`   Payee: ${formatAddress(payee)}`);
+      console.log(
+        `   Amount: ${
+          token === ethers.ZeroAddress
+            ? formatEth(amount)
+            : `${amount} (token ${formatAddress(token)})`
+        }`
+      );
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on("BidBondRefunded", (tenderId, bidder, amount, timestamp) => {
+      console.log(`\n💼 BidBondRefunded:`);
+      console.log(`   Tender ID: ${tenderId}`);
+      console.log(`   Bidder: ${formatAddress(bidder)}`);
+      console.log(`   Amount: ${formatEth(amount)}`);
+      console.log(`   Time: ${formatTimestamp(timestamp)}`);
+    });
+
+    contract.on(
+      "BidBondForfeited",
+      (tenderId, bidder, treasury, amount, timestamp) => {
+        console.log(`\n🔥 BidBondForfeited:`);
+        console.log(`   Tender ID: ${tenderId}`);
+        console.log(`   Bidder: ${formatAddress(bidder)}`);
+        console.log(`   Treasury: ${formatAddress(treasury)}`);
+        console.log(`   Amount: ${formatEth(amount)}`);
+        console.log(`   Time: ${formatTimestamp(timestamp)}`);
+      }
+    );
+
+    // OpenZeppelin AccessControl events
+    contract.on("RoleGranted", (role, account, sender) => {
+      console.log(`\n🔑 RoleGranted (AccessControl):`);
+      console.log(`   Role: ${role}`);
+      console.log(`   Account: ${account}`);
+      console.log(`   By: ${sender}`);
+    });
+
+    contract.on("RoleRevoked", (role, account, sender) => {
+      console.log(`\n🔒 RoleRevoked (AccessControl):`);
+      console.log(`   Role: ${role}`);
+      console.log(`   Account: ${account}`);
+      console.log(`   By: ${sender}`);
+    });
+
     // OpenZeppelin Ownable events
     contract.on("OwnershipTransferred", (previousOwner, newOwner) => {
       console.log(`\n👤 OwnershipTransferred (Ownable):`);
@@ -1227,10 +5304,12 @@ async function checkBalance() {
     const checkAddress = address || signer.address;
 
     const balance = await provider.getBalance(checkAddress);
+    const withdrawable = await contract.pendingWithdrawals(checkAddress);
 
     console.log(`\n💰 Balance Information:`);
     console.log(`   Address: ${checkAddress}`);
     console.log(`   Balance: ${formatEth(balance)}`);
+    console.log(`   Withdrawable (in contract): ${formatEth(withdrawable)}`);
     console.log(
       `   Is You: ${
         checkAddress.toLowerCase() === signer.address.toLowerCase()
@@ -1279,6 +5358,13 @@ async function switchAccount() {
       info("This account is the contract owner!");
     }
 
+    const roles = await getRoles();
+    for (const [key, role] of Object.entries(ROLES)) {
+      if (roles[key]) {
+        info(`This account has the ${role.label} role`);
+      }
+    }
+
     // Check if registered bidder
     const isRegistered = await contract.isBidderRegistered(signer.address);
     if (isRegistered) {
@@ -1303,6 +5389,7 @@ async function viewContractInfo() {
 
     const owner = await contract.owner();
     console.log(`   Owner (Ownable): ${owner}`);
+    console.log(`   Treasury: ${await contract.treasury()}`);
 
     const isPaused = await contract.paused();
     console.log(
@@ -1313,7 +5400,8 @@ async function viewContractInfo() {
     console.log(`   Balance: ${formatEth(balance)}`);
 
     console.log(`\n🛡️  OpenZeppelin Libraries:`);
-    console.log(`   ✅ Ownable - Access control`);
+    console.log(`   ✅ Ownable - Ownership (role administration)`);
+    console.log(`   ✅ AccessControl - Separated duties`);
     console.log(`   ✅ ReentrancyGuard - Reentrancy protection`);
     console.log(`   ✅ Pausable - Emergency stop`);
 
@@ -1333,15 +5421,17 @@ async function viewContractInfo() {
 // =============================================================================
 
 /**
- * Display main menu
+ * Display main menu (items needing a role the account lacks are marked 🔒)
  */
-function displayMenu() {
+function displayMenu(roles) {
+  const lock = (key) => (roles[key] ? "" : " 🔒");
+
   separator("=");
   console.log("  SECURE PROCUREMENT SYSTEM - CLI");
   console.log("  OpenZeppelin Integration Demo");
   separator("=");
   console.log("\n📋 TENDER MANAGEMENT:");
-  console.log("  1. Create Tender (Owner only - tests Ownable)");
+  console.log(`  1. Create Tender (Tender Admin - tests AccessControl)${lock("TENDER_ADMIN")}`);
   console.log("  2. View Tender Details");
   console.log("\n👤 BIDDER OPERATIONS:");
   console.log("  3. Register as Bidder");
@@ -1349,19 +5439,101 @@ function displayMenu() {
   console.log("  5. Reveal Bid (Reveal Phase - tests Fix #1)");
   console.log("  6. View All Bids");
   console.log("\n🏆 WINNER & PAYMENTS:");
-  console.log("  7. Select Winner (Owner only - tests Fix #2)");
-  console.log("  8. Fund Tender (Owner only)");
-  console.log("  9. Release Milestone Payment (tests ReentrancyGuard)");
-  console.log(" 10. Emergency Withdraw (tests ReentrancyGuard)");
+  console.log(`  7. Select Winner (Tender Admin - tests Fix #2)${lock("TENDER_ADMIN")}`);
+  console.log(`  8. Fund Tender (Treasurer)${lock("TREASURER")}`);
+  console.log("  9. Release Approved Milestone Payment (tests ReentrancyGuard)");
+  console.log(` 10. Emergency Withdraw (Treasurer - tests ReentrancyGuard)${lock("TREASURER")}`);
   console.log("\n🛡️  EMERGENCY CONTROLS:");
-  console.log(" 11. Pause Contract (tests Pausable)");
-  console.log(" 12. Unpause Contract (tests Pausable)");
+  console.log(` 11. Pause Contract (Pauser - tests Pausable)${lock("PAUSER")}`);
+  console.log(` 12. Unpause Contract (Pauser - tests Pausable)${lock("PAUSER")}`);
   console.log("\n👥 OWNERSHIP & UTILITIES:");
   console.log(" 13. Transfer Ownership (tests Ownable)");
   console.log(" 14. Listen to Events");
   console.log(" 15. Check Balance");
   console.log(" 16. Switch Account");
   console.log(" 17. View Contract Info");
+  console.log("\n💼 BID BONDS:");
+  console.log(" 18. Claim Bid Bond Refund");
+  console.log(" 19. Forfeit Unrevealed/Invalid Bid Bond");
+  console.log("\n🔑 ROLE MANAGEMENT (AccessControl):");
+  console.log(" 20. View Account Roles");
+  console.log(" 21. Grant Role (Owner only)");
+  console.log(" 22. Revoke Role (Owner only)");
+  console.log("\n🔎 AUDIT:");
+  console.log(` 23. Approve Milestone Claim (Auditor)${lock("AUDITOR")}`);
+  console.log(` 24. Reject Milestone Claim (Auditor)${lock("AUDITOR")}`);
+  console.log(" 25. Submit Milestone Claim (Winner only)");
+  console.log("\n🏦 PULL PAYMENTS:");
+  console.log(" 26. Withdraw Available Funds");
+  console.log("\n🚫 CANCELLATION:");
+  console.log(` 27. Cancel Tender (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 28. Re-tender Cancelled Tender (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n📝 AMENDMENTS (Submission Phase):");
+  console.log(` 29. Extend Deadlines (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 30. Publish Addendum (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n⚖️  MULTI-CRITERIA EVALUATION:");
+  console.log(` 31. Configure Weighted Evaluation (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 32. Submit Technical Score (Evaluator)${lock("EVALUATOR")}`);
+  console.log(" 33. View Score Table");
+  console.log("\n🚩 ABNORMALLY LOW BIDS:");
+  console.log(` 34. Configure Low-Bid Threshold (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 35. Submit Low-Bid Justification (Flagged bidder)");
+  console.log(` 36. Review Low-Bid Justification (Evaluator)${lock("EVALUATOR")}`);
+  console.log("\n🔐 SEALED BIDS:");
+  console.log(` 37. Configure Sealed Bidding (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 38. Publish Decryption Key (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 39. Decrypt & Post Sealed Bids");
+  console.log(` 76. Check Sealed Bids (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n🪪 BIDDER REGISTRY:");
+  console.log(` 40. Review Bidder Applications (Registrar)${lock("REGISTRAR")}`);
+  console.log(` 41. Suspend / Debar Bidder (Registrar)${lock("REGISTRAR")}`);
+  console.log(` 42. Reinstate Bidder (Registrar)${lock("REGISTRAR")}`);
+  console.log(" 43. View Bidder Profile");
+  console.log("\n⛔ DEBARMENT & CONFLICTS OF INTEREST:");
+  console.log(` 44. Debar Company (Registrar)${lock("REGISTRAR")}`);
+  console.log(` 45. Lift Company Debarment (Registrar)${lock("REGISTRAR")}`);
+  console.log(" 46. View Debarment List");
+  console.log(" 47. Declare Conflict of Interest (Evaluator/Auditor/Arbitrator)");
+  console.log("\n🤝 CONSORTIUM BIDS:");
+  console.log(" 48. Propose Consortium (Lead member, before bidding)");
+  console.log(" 75. Accept / Leave Consortium (Member)");
+  console.log("\n📦 LOTS:");
+  console.log(` 49. Add Lot to Tender (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 50. View Tender Lots");
+  console.log("\n📑 FRAMEWORK AGREEMENTS:");
+  console.log(` 51. Configure Framework (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 52. Issue Call-Off Order (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 53. View Framework");
+  console.log("\n📝 CHANGE ORDERS:");
+  console.log(" 54. Propose Change Order (Tender Admin/Winner)");
+  console.log(" 55. Approve / Reject Change Order (Tender Admin/Winner)");
+  console.log(" 56. View Change Orders");
+  console.log(` 57. Top Up Funding (Treasurer)${lock("TREASURER")}`);
+  console.log("\n🛡️  RETENTION & PERFORMANCE BONDS:");
+  console.log(` 58. Configure Retention & Bond (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 59. Deposit Performance Bond (Winner)");
+  console.log(" 60. Release Retention & Bond (after defects period)");
+  console.log(` 61. Forfeit Retention / Bond (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n⏰ LATE DELIVERY:");
+  console.log(` 62. Configure Liquidated Damages (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n⚖️  DISPUTES:");
+  console.log(" 63. Raise Milestone Dispute (Tender Admin/Winner)");
+  console.log(` 64. Rule on Dispute (Arbitrator)${lock("ARBITRATOR")}`);
+  console.log(" 65. Close Lapsed Dispute");
+  console.log("\n✏️  BID CHANGES:");
+  console.log(" 66. Replace / Withdraw Bid (Commit Phase)");
+  console.log("\n⏸️  STANDSTILL & AWARD CHALLENGES:");
+  console.log(` 67. Configure Standstill Period (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 68. Challenge Award (Bidder with a valid bid)");
+  console.log(` 69. Resolve Award Challenges (Arbitrator)${lock("ARBITRATOR")}`);
+  console.log(` 70. Confirm Award (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n🥈 AWARD ACCEPTANCE & RUNNER-UP:");
+  console.log(` 71. Configure Award Acceptance (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(" 72. Accept / Decline Award (Winner)");
+  console.log(` 73. Award to Next-Ranked Bidder (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log("\n🛑 TERMINATION:");
+  console.log(` 74. Terminate Contract for Default (Tender Admin)${lock("TENDER_ADMIN")}`);
+  console.log(` 77. Settle Termination Liability (Treasurer)${lock("TREASURER")}`);
   console.log("\n 0. Exit");
   separator("=");
 }
@@ -1371,7 +5543,7 @@ function displayMenu() {
  */
 async function mainMenu() {
   while (true) {
-    displayMenu();
+    displayMenu(await getRoles());
     const choice = await question("\nEnter your choice: ");
 
     try {
@@ -1427,6 +5599,186 @@ async function mainMenu() {
         case "17":
           await viewContractInfo();
           break;
+        case "18":
+          await claimBidBond();
+          break;
+        case "19":
+          await forfeitBidBond();
+          break;
+        case "20":
+          await viewRoles();
+          break;
+        case "21":
+          await manageRole(true);
+          break;
+        case "22":
+          await manageRole(false);
+          break;
+        case "23":
+          await approveMilestone();
+          break;
+        case "24":
+          await rejectMilestoneClaim();
+          break;
+        case "25":
+          await submitMilestoneClaim();
+          break;
+        case "26":
+          await withdrawFunds();
+          break;
+        case "27":
+          await cancelTender();
+          break;
+        case "28":
+          await retender();
+          break;
+        case "29":
+          await extendDeadlines();
+          break;
+        case "30":
+          await publishAddendum();
+          break;
+        case "31":
+          await configureWeightedEvaluation();
+          break;
+        case "32":
+          await submitTechnicalScore();
+          break;
+        case "33":
+          await viewScoreTable();
+          break;
+        case "34":
+          await configureAbnormalBidThreshold();
+          break;
+        case "35":
+          await submitLowBidJustification();
+          break;
+        case "36":
+          await reviewLowBid();
+          break;
+        case "37":
+          await configureSealedBidding();
+          break;
+        case "38":
+          await publishDecryptionKey();
+          break;
+        case "39":
+          await postSealedBids();
+          break;
+        case "40":
+          await reviewBidderApplications();
+          break;
+        case "41":
+          await sanctionBidder();
+          break;
+        case "42":
+          await reinstateBidder();
+          break;
+        case "43":
+          await viewBidderProfile();
+          break;
+        case "44":
+          await debarCompany();
+          break;
+        case "45":
+          await liftCompanyDebarment();
+          break;
+        case "46":
+          await viewDebarmentList();
+          break;
+        case "47":
+          await declareConflictOfInterest();
+          break;
+        case "48":
+          await registerConsortium();
+          break;
+        case "49":
+          await addLot();
+          break;
+        case "50":
+          await viewLots();
+          break;
+        case "51":
+          await configureFramework();
+          break;
+        case "52":
+          await issueCallOff();
+          break;
+        case "53":
+          await viewFramework();
+          break;
+        case "54":
+          await proposeChangeOrder();
+          break;
+        case "55":
+          await reviewChangeOrder();
+          break;
+        case "56":
+          await viewChangeOrders();
+          break;
+        case "57":
+          await topUpFunding();
+          break;
+        case "58":
+          await configureGuarantees();
+          break;
+        case "59":
+          await depositPerformanceBond();
+          break;
+        case "60":
+          await releaseGuarantees();
+          break;
+        case "61":
+          await forfeitGuarantees();
+          break;
+        case "62":
+          await configureLiquidatedDamages();
+          break;
+        case "63":
+          await raiseDispute();
+          break;
+        case "64":
+          await ruleOnDispute();
+          break;
+        case "65":
+          await closeLapsedDispute();
+          break;
+        case "66":
+          await changeBid();
+          break;
+        case "67":
+          await configureStandstill();
+          break;
+        case "68":
+          await challengeAward();
+          break;
+        case "69":
+          await resolveAwardChallenges();
+          break;
+        case "70":
+          await confirmAward();
+          break;
+        case "71":
+          await configureAwardAcceptance();
+          break;
+        case "72":
+          await answerAward();
+          break;
+        case "73":
+          await awardToNextRanked();
+          break;
+        case "74":
+          await terminateForDefault();
+          break;
+        case "75":
+          await answerConsortium();
+          break;
+        case "76":
+          await checkSealedBids();
+          break;
+        case "77":
+          await settleTerminationLiability();
+          break;
         case "0":
           info("Exiting...");
           rl.close();
@@ -1453,6 +5805,7 @@ async function main() {
   header("Secure Procurement System - Interactive CLI");
   console.log("\n🔐 Security Features:");
   console.log("   ✅ OpenZeppelin Ownable - Ownership management");
+  console.log("   ✅ OpenZeppelin AccessControl - Separated duties");
   console.log("   ✅ OpenZeppelin ReentrancyGuard - Payment protection");
   console.log("   ✅ OpenZeppelin Pausable - Emergency controls");
   console.log("\n🛡️  Security Fixes:");
@@ -0,0 +1,118 @@
+/**
+ * Deployment helper for SecureProcurementSystem and its modules
+ *
+ * SecureProcurementSystem is split into a core contract and modules so that
+ * every deployed contract stays under the EIP-170 size limit. The core and
+ * each module hold the address of the next module, and delegate any call
+ * they do not implement down that chain (see contracts/ProcurementBase.sol),
+ * so the core address serves the whole API.
+ *
+ * Usage:
+ *   const procurement = require("./procurement-modules");
+ *   const contract = await procurement.deployProcurementSystem(deployer);
+ *   ...later, from its address...
+ *   const contract = procurement.attachProcurementSystem(address, signer);
+ *
+ * Both return an ethers Contract with the combined ABI of the core and
+ * every module.
+ */
+
+const { ethers, artifacts } = require("hardhat");
+
+const CORE = "SecureProcurementSystem";
+
+// Module chain, in the order the core forwards calls down it
+const MODULES = [
+  "BiddingModule",
+  "AwardModule",
+  "PaymentModule",
+  "ViewModule",
+  "RegistryModule",
+  "DisputeModule",
+  "GuaranteeModule",
+  "FrameworkModule",
+  "ChangeOrderModule",
+];
+
+/**
+ * Combined ABI of the core and every module
+ *
+ * Every unit inherits the getters, events and errors of ProcurementBase, so
+ * only the functions a module adds are taken from its artifact.
+ */
+function procurementAbi() {
+  const abi = [...artifacts.readArtifactSync(CORE).abi];
+  const signatures = new Set(
+    abi
+      .filter((fragment) => fragment.type === "function")
+      .map((fragment) => ethers.Fragment.from(fragment).format())
+  );
+
+  for (const name of MODULES) {
+    for (const fragment of artifacts.readArtifactSync(name).abi) {
+      if (fragment.type !== "function") continue;
+      const signature = ethers.Fragment.from(fragment).format();
+      if (signatures.has(signature)) continue;
+      signatures.add(signature);
+      abi.push(fragment);
+    }
+  }
+  return abi;
+}
+
+/**
+ * Deploy the module chain, last module first
+ * @param {Signer} [deployer] Account paying for the deployment (default: first signer)
+ * @returns {Promise<Contract[]>} The modules, in chain order
+ */
+async function deployProcurementModules(deployer) {
+  deployer = deployer || (await ethers.getSigners())[0];
+
+  const modules = [];
+  let nextModule = ethers.ZeroAddress;
+  for (const name of [...MODULES].reverse()) {
+    const module = await ethers.deployContract(name, [nextModule], deployer);
+    await module.waitForDeployment();
+    nextModule = await module.getAddress();
+    modules.unshift(module);
+  }
+  return modules;
+}
+
+/**
+ * Deploy the core in front of the module chain
+ * @param {Signer} [deployer] Owner and treasury of the system (default: first signer)
+ * @param {Contract[]} [modules] Modules from deployProcurementModules (deployed if omitted)
+ * @returns {Promise<Contract>} The core, with the combined ABI
+ */
+async function deployProcurementSystem(deployer, modules) {
+  deployer = deployer || (await ethers.getSigners())[0];
+  modules = modules || (await deployProcurementModules(deployer));
+
+  const core = await ethers.deployContract(CORE, [await modules[0].getAddress()], deployer);
+  await core.waitForDeployment();
+  return new ethers.Contract(
+    await core.getAddress(),
+    procurementAbi(),
+    deployer,
+    core.deploymentTransaction()
+  );
+}
+
+/**
+ * Attach to a deployed SecureProcurementSystem
+ * @param {string} address Address of the core contract
+ * @param {Signer|Provider} [runner] Signer or provider to use
+ * @returns {Contract} The core, with the combined ABI
+ */
+function attachProcurementSystem(address, runner) {
+  return new ethers.Contract(address, procurementAbi(), runner || ethers.provider);
+}
+
+module.exports = {
+  MODULES,
+  procurementAbi,
+  deployProcurementModules,
+  deployProcurementSystem,
+  attachProcurementSystem,
+};
@@ -0,0 +1,173 @@
+/**
+ * Sealed-bid encryption helper for SecureProcurementSystem
+ *
+ * ECIES over secp256k1, built from ethers and Node's crypto module:
+ *   1. An ephemeral key pair is generated for every bid
+ *   2. ECDH(ephemeral private key, authority public key) gives a shared point
+ *   3. sha256(shared x-coordinate) is the AES-256-GCM key
+ *   4. Payload = ephemeralPublicKey (65) || iv (12) || authTag (16) || ciphertext
+ *
+ * The plaintext is abi.encode(uint256 bidAmount, string nonce), and the
+ * commitment is the same solidityPackedKeccak256(bidAmount, nonce) used by
+ * commit-reveal, so the contract can check a posted bid against it.
+ *
+ * Usage:
+ *   const sealed = require("./sealed-bids");
+ *   const { publicKey, privateKey } = sealed.generateAuthorityKey();
+ *   const bid = sealed.sealBid(publicKey, ethers.parseEther("1"));
+ *   await contract.submitSealedBid(tenderId, bid.bidHash, bid.encryptedBid, { value: bond });
+ *   ...after publishDecryptionKey...
+ *   const opened = await sealed.decryptTenderBids(contract, tenderId);
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const CIPHER = "aes-256-gcm";
+const PUBLIC_KEY_LENGTH = 65;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = PUBLIC_KEY_LENGTH + IV_LENGTH + TAG_LENGTH;
+const PLAINTEXT_TYPES = ["uint256", "string"];
+
+/**
+ * Generate a tender authority key pair
+ * @returns {{ privateKey: string, publicKey: string }} Hex keys; the public
+ *          key is uncompressed (0x04 || x || y) as configureSealedBidding expects
+ */
+function generateAuthorityKey() {
+  const signingKey = new ethers.SigningKey(ethers.randomBytes(32));
+  return {
+    privateKey: signingKey.privateKey,
+    publicKey: signingKey.publicKey,
+  };
+}
+
+/**
+ * Derive the AES key shared between a private key and a public key
+ */
+function deriveKey(privateKey, publicKey) {
+  const sharedPoint = ethers.getBytes(
+    new ethers.SigningKey(privateKey).computeSharedSecret(publicKey)
+  );
+  // Skip the 0x04 prefix and keep the x-coordinate
+  return ethers.getBytes(ethers.sha256(sharedPoint.slice(1, 33)));
+}
+
+/**
+ * Commitment submitted on-chain for a bid (same as commit-reveal)
+ * @param {bigint} bidAmount Bid amount in the tender's smallest unit
+ * @param {string} nonce Secret nonce
+ * @returns {string} bytes32 hash
+ */
+function bidCommitment(bidAmount, nonce) {
+  return ethers.solidityPackedKeccak256(PLAINTEXT_TYPES, [bidAmount, nonce]);
+}
+
+/**
+ * Encrypt a bid to the tender authority public key
+ * @param {string} publicKey Authority public key (hex)
+ * @param {bigint} bidAmount Bid amount in the tender's smallest unit
+ * @param {string} nonce Secret nonce
+ * @returns {string} Hex-encoded ECIES payload
+ */
+function encryptBid(publicKey, bidAmount, nonce) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const key = deriveKey(ephemeral.privateKey, publicKey);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const plaintext = ethers.getBytes(
+    ethers.AbiCoder.defaultAbiCoder().encode(PLAINTEXT_TYPES, [bidAmount, nonce])
+  );
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return ethers.concat([ephemeral.publicKey, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a sealed bid with the authority private key
+ * @param {string} privateKey Authority private key (hex)
+ * @param {string} encryptedBid Hex-encoded ECIES payload
+ * @returns {{ bidAmount: bigint, nonce: string }}
+ * @throws If the payload is malformed or was not encrypted to this key
+ */
+function decryptBid(privateKey, encryptedBid) {
+  const payload = ethers.getBytes(encryptedBid);
+  if (payload.length <= HEADER_LENGTH) {
+    throw new Error("Encrypted bid too short");
+  }
+
+  const ephemeralPublicKey = payload.slice(0, PUBLIC_KEY_LENGTH);
+  const iv = payload.slice(PUBLIC_KEY_LENGTH, PUBLIC_KEY_LENGTH + IV_LENGTH);
+  const tag = payload.slice(PUBLIC_KEY_LENGTH + IV_LENGTH, HEADER_LENGTH);
+  const ciphertext = payload.slice(HEADER_LENGTH);
+
+  const key = deriveKey(privateKey, ethers.hexlify(ephemeralPublicKey));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+  const [bidAmount, nonce] = ethers.AbiCoder.defaultAbiCoder().decode(
+    PLAINTEXT_TYPES,
+    plaintext
+  );
+  return { bidAmount, nonce };
+}
+
+/**
+ * Build everything submitSealedBid needs
+ * @param {string} publicKey Authority public key (hex)
+ * @param {bigint} bidAmount Bid amount in the tender's smallest unit
+ * @param {string} [nonce] Secret nonce (random if omitted)
+ * @returns {{ bidAmount: bigint, nonce: string, bidHash: string, encryptedBid: string }}
+ */
+function sealBid(publicKey, bidAmount, nonce = ethers.hexlify(ethers.randomBytes(32))) {
+  return {
+    bidAmount,
+    nonce,
+    bidHash: bidCommitment(bidAmount, nonce),
+    encryptedBid: encryptBid(publicKey, bidAmount, nonce),
+  };
+}
+
+/**
+ * Decrypt and verify every sealed bid of a tender after the key is published
+ * @param {Contract} contract SecureProcurementSystem instance
+ * @param {bigint|number} tenderId The tender ID
+ * @returns {Promise<Array>} One entry per bidder with the decrypted bid and
+ *          whether it matches the on-chain commitment (error set if it does not open)
+ */
+async function decryptTenderBids(contract, tenderId) {
+  const [, , privateKey] = await contract.sealedBidConfigs(tenderId);
+  if (privateKey === ethers.ZeroHash) {
+    throw new Error("Decryption key not published yet");
+  }
+
+  const results = [];
+  for (const bidder of await contract.getTenderBidders(tenderId)) {
+    const [commitHash, , isRevealed] = await contract.getBid(tenderId, bidder);
+    const encryptedBid = await contract.sealedBidPayloads(tenderId, bidder);
+    const entry = { bidder, isRevealed, matchesCommitment: false };
+
+    try {
+      const { bidAmount, nonce } = decryptBid(privateKey, encryptedBid);
+      entry.bidAmount = bidAmount;
+      entry.nonce = nonce;
+      entry.matchesCommitment = bidCommitment(bidAmount, nonce) === commitHash;
+    } catch (err) {
+      entry.error = err.message;
+    }
+    results.push(entry);
+  }
+  return results;
+}
+
+module.exports = {
+  generateAuthorityKey,
+  bidCommitment,
+  encryptBid,
+  decryptBid,
+  sealBid,
+  decryptTenderBids,
+};
@@ -11,11 +11,48 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployProcurementModules,
+  deployProcurementSystem,
+} = require("../scripts/procurement-modules");
 
 describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
   let contract;
-  let owner, addr1, addr2, addr3, addr4, addr5;
+  let owner, addr1, addr2, addr3, addr4, addr5, treasurer, auditor, registrar;
   const GAS = {}; // Gas measurements storage
+  const TENDER_ID = 1; // First tender created (2 milestones)
+
+  // Total gas of the given deployments
+  async function deploymentGas(deployed) {
+    let total = 0n;
+    for (const unit of deployed) {
+      total += (await unit.deploymentTransaction().wait()).gasUsed;
+    }
+    return total;
+  }
+
+  // Apply as a bidder and approve as registrar; returns the application tx
+  async function registerBidder(signer) {
+    const tx = await contract
+      .connect(signer)
+      .registerBidder(ethers.id(`REG-${signer.address}`), "Gas Test Co");
+    await contract.connect(registrar).approveBidder(signer.address, ethers.id("KYC"), ethers.MaxUint256);
+    return tx;
+  }
+
+  // Commitment hash of a bid
+  const bidHash = (amount, nonce) =>
+    ethers.solidityPackedKeccak256(["uint256", "string"], [amount, nonce]);
+
+  // Winner (addr1) claims the milestone and the auditor approves it
+  async function approveMilestone(index) {
+    await contract
+      .connect(addr1)
+      .submitMilestoneClaim(TENDER_ID, index, ethers.id("delivery"));
+    await contract
+      .connect(auditor)
+      .approveMilestone(TENDER_ID, index, ethers.id("inspection"));
+  }
 
   // Gas calculation helper
   const calcUSD = (gas) => {
@@ -25,18 +62,18 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
   };
 
   before(async function () {
-    [owner, addr1, addr2, addr3, addr4, addr5] = await ethers.getSigners();
+    [owner, addr1, addr2, addr3, addr4, addr5, treasurer, auditor, registrar] =
+      await ethers.getSigners();
 
-    // Deploy contract
-    const SecureProcurement = await ethers.getContractFactory(
-      "SecureProcurementSystem"
-    );
-    const deployment = await SecureProcurement.deploy();
-    await deployment.waitForDeployment();
-    contract = deployment;
+    // Deploy the module chain and the core in front of it
+    const modules = await deployProcurementModules(owner);
+    contract = await deployProcurementSystem(owner, modules);
 
-    const deployReceipt = await deployment.deploymentTransaction().wait();
-    GAS.deployment = deployReceipt.gasUsed;
+    await contract.grantRole(await contract.REGISTRAR_ROLE(), registrar.address);
+    await contract.grantRole(await contract.TREASURER_ROLE(), treasurer.address);
+    await contract.grantRole(await contract.AUDITOR_ROLE(), auditor.address);
+
+    GAS.deployment = await deploymentGas([...modules, contract]);
 
     console.log("\n" + "═".repeat(80));
     console.log("  GAS ANALYSIS - SecureProcurementSystem (OpenZeppelin v5)");
@@ -52,7 +89,7 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
       const bidders = [addr1, addr2, addr3, addr4, addr5];
 
       for (let i = 0; i < 5; i++) {
-        const tx = await contract.connect(bidders[i]).registerBidder();
+        const tx = await registerBidder(bidders[i]);
         const receipt = await tx.wait();
         runs.push(receipt.gasUsed);
       }
@@ -120,8 +157,11 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
         ethers.parseEther("100"),
         3600, // 1 hour
         1800, // 30 min
+        0, // no bid bond
+        ethers.ZeroAddress, // paid in ETH
         ["Design & Planning", "Construction & Delivery"],
-        [ethers.parseEther("30"), ethers.parseEther("70")]
+        [ethers.parseEther("30"), ethers.parseEther("70")],
+        [0, 0] // no due dates
       );
       const receipt = await tx.wait();
       GAS.createTender_2ms = receipt.gasUsed;
@@ -176,6 +216,8 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
         ethers.parseEther("500"),
         7200,
         3600,
+        0,
+        ethers.ZeroAddress,
         ["Foundation", "Pillars", "Deck", "Road Surface", "Safety Features"],
         [
           ethers.parseEther("100"),
@@ -183,7 +225,8 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
           ethers.parseEther("100"),
           ethers.parseEther("100"),
           ethers.parseEther("50"),
-        ]
+        ],
+        [0, 0, 0, 0, 0]
       );
       const receipt = await tx.wait();
       GAS.createTender_5ms = receipt.gasUsed;
@@ -226,15 +269,11 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
     });
 
     it("4️⃣ submitBid() - Commit phase", async function () {
-      // Use tender ID 0 (created first)
-      const tenderId = 0;
+      const tenderId = TENDER_ID;
 
       const amount = ethers.parseEther("80");
       const nonce = ethers.hexlify(ethers.randomBytes(32));
-      const hash = ethers.solidityPackedKeccak256(
-        ["uint256", "bytes32"],
-        [amount, nonce]
-      );
+      const hash = bidHash(amount, nonce);
 
       const tx = await contract.connect(addr1).submitBid(tenderId, hash);
       const receipt = await tx.wait();
@@ -246,19 +285,13 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
       // Submit 2 more bids
       const amt2 = ethers.parseEther("85");
       const nonce2 = ethers.hexlify(ethers.randomBytes(32));
-      const hash2 = ethers.solidityPackedKeccak256(
-        ["uint256", "bytes32"],
-        [amt2, nonce2]
-      );
+      const hash2 = bidHash(amt2, nonce2);
       await contract.connect(addr2).submitBid(tenderId, hash2);
       GAS.testBid2 = { amount: amt2, nonce: nonce2 };
 
       const amt3 = ethers.parseEther("90");
       const nonce3 = ethers.hexlify(ethers.randomBytes(32));
-      const hash3 = ethers.solidityPackedKeccak256(
-        ["uint256", "bytes32"],
-        [amt3, nonce3]
-      );
+      const hash3 = bidHash(amt3, nonce3);
       await contract.connect(addr3).submitBid(tenderId, hash3);
       GAS.testBid3 = { amount: amt3, nonce: nonce3 };
 
@@ -314,10 +347,10 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
       // Reveal others
       await contract
         .connect(addr2)
-        .revealBid(0, GAS.testBid2.amount, GAS.testBid2.nonce);
+        .revealBid(TENDER_ID, GAS.testBid2.amount, GAS.testBid2.nonce);
       await contract
         .connect(addr3)
-        .revealBid(0, GAS.testBid3.amount, GAS.testBid3.nonce);
+        .revealBid(TENDER_ID, GAS.testBid3.amount, GAS.testBid3.nonce);
 
       console.log(
         "┌─────────────────────────────────────────────────────────────┐"
@@ -364,7 +397,7 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
     it("6️⃣ selectWinner() - 3 bidders", async function () {
       await time.increase(1801);
 
-      const tx = await contract.selectWinner(0);
+      const tx = await contract.selectWinner(TENDER_ID);
       const receipt = await tx.wait();
       GAS.selectWinner = receipt.gasUsed;
 
@@ -411,7 +444,9 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
     });
 
     it("7️⃣ fundTender()", async function () {
-      const tx = await contract.fundTender(0, { value: GAS.testBid.amount });
+      const tx = await contract
+        .connect(treasurer)
+        .fundTender(TENDER_ID, { value: GAS.testBid.amount });
       const receipt = await tx.wait();
       GAS.fundTender = receipt.gasUsed;
 
@@ -452,7 +487,9 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
     });
 
     it("8️⃣ releaseMilestonePayment() - FIRST call (COLD)", async function () {
-      const tx = await contract.releaseMilestonePayment(0, 0);
+      await approveMilestone(0);
+
+      const tx = await contract.releaseMilestonePayment(TENDER_ID, 0);
       const receipt = await tx.wait();
       GAS.releaseMilestone_cold = receipt.gasUsed;
 
@@ -524,7 +561,9 @@ describe("🔥 GAS ANALYSIS - Complete Measurement Suite", function () {
     });
 
     it("9️⃣ releaseMilestonePayment() - SUBSEQUENT call (WARM)", async function () {
-      const tx = await contract.releaseMilestonePayment(0, 1);
+      await approveMilestone(1);
+
+      const tx = await contract.releaseMilestonePayment(TENDER_ID, 1);
       const receipt = await tx.wait();
       GAS.releaseMilestone_warm = receipt.gasUsed;
 
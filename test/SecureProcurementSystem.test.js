@@ -0,0 +1,4652 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sealedBids = require("../scripts/sealed-bids");
+const { deployProcurementSystem } = require("../scripts/procurement-modules");
+
+describe("SecureProcurementSystem - Functional Tests", function () {
+  let contract;
+  let owner, treasurer, auditor, bidder1, bidder2, bidder3, unauthorized, registrar;
+  let TENDER_ADMIN_ROLE, AUDITOR_ROLE, TREASURER_ROLE, PAUSER_ROLE, REGISTRAR_ROLE;
+
+  const SUBMISSION_DURATION = 3600;
+  const REVEAL_DURATION = 1800;
+  const REGISTRATION_VALIDITY = 365 * 24 * 60 * 60;
+
+  // Helper function to create bid hash
+  function createBidHash(amount, nonce) {
+    return ethers.keccak256(
+      ethers.solidityPacked(["uint256", "string"], [amount, nonce])
+    );
+  }
+
+  // Helper function for a company to apply and be approved by the registrar
+  async function registerBidder(bidder) {
+    await contract
+      .connect(bidder)
+      .registerBidder(
+        ethers.keccak256(ethers.toUtf8Bytes(`REG-${bidder.address}`)),
+        `Company ${bidder.address.slice(0, 8)}`
+      );
+    await contract
+      .connect(registrar)
+      .approveBidder(
+        bidder.address,
+        ethers.keccak256(ethers.toUtf8Bytes(`KYC file ${bidder.address}`)),
+        (await time.latest()) + REGISTRATION_VALIDITY
+      );
+  }
+
+  // Helper function to create a tender and return its ID
+  async function createTender(
+    maxBudget,
+    milestoneAmounts,
+    bidBond = 0n,
+    paymentToken = ethers.ZeroAddress,
+    milestoneDueAfter = milestoneAmounts.map(() => 0)
+  ) {
+    const descriptions = milestoneAmounts.map((_, i) => `Phase ${i + 1}`);
+    const tx = await contract.createTender(
+      "Road Construction",
+      "Build 5km highway",
+      maxBudget,
+      SUBMISSION_DURATION,
+      REVEAL_DURATION,
+      bidBond,
+      paymentToken,
+      descriptions,
+      milestoneAmounts,
+      milestoneDueAfter
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "TenderCreated");
+    return event.args.tenderId;
+  }
+
+  // Helper function to commit the given bids, paying the tender's bid bond
+  async function commitBids(tenderId, bidEntries) {
+    const { bidBond } = await contract.getTenderDetails(tenderId);
+    for (const { bidder, amount } of bidEntries) {
+      await contract
+        .connect(bidder)
+        .submitBid(tenderId, createBidHash(amount, `nonce-${bidder.address}`), {
+          value: bidBond,
+        });
+    }
+  }
+
+  // Helper function to reveal the given bids
+  async function revealBids(tenderId, bidEntries) {
+    for (const { bidder, amount } of bidEntries) {
+      await contract
+        .connect(bidder)
+        .revealBid(tenderId, amount, `nonce-${bidder.address}`);
+    }
+  }
+
+  // Helper function to run commit-reveal for the given bids and select the winner
+  async function runAuction(tenderId, bidEntries) {
+    await commitBids(tenderId, bidEntries);
+    await time.increase(SUBMISSION_DURATION);
+    await revealBids(tenderId, bidEntries);
+    await time.increase(REVEAL_DURATION);
+    await contract.selectWinner(tenderId);
+  }
+
+  // Helper function for the winner to claim a milestone as completed
+  async function claimMilestone(tenderId, index) {
+    const { winner } = await contract.getTenderDetails(tenderId);
+    const evidenceHash = ethers.keccak256(
+      ethers.toUtf8Bytes(`delivery report ${tenderId}/${index}`)
+    );
+    await contract
+      .connect(await ethers.getSigner(winner))
+      .submitMilestoneClaim(tenderId, index, evidenceHash);
+    return evidenceHash;
+  }
+
+  // Helper function for winner claim followed by auditor approval
+  async function approveMilestone(tenderId, index) {
+    await claimMilestone(tenderId, index);
+    const evidenceHash = ethers.keccak256(
+      ethers.toUtf8Bytes(`inspection report ${tenderId}/${index}`)
+    );
+    await contract
+      .connect(auditor)
+      .approveMilestone(tenderId, index, evidenceHash);
+    return evidenceHash;
+  }
+
+  beforeEach(async function () {
+    [owner, treasurer, auditor, bidder1, bidder2, bidder3, unauthorized, , , registrar] =
+      await ethers.getSigners();
+
+    contract = await deployProcurementSystem(owner);
+
+    TENDER_ADMIN_ROLE = await contract.TENDER_ADMIN_ROLE();
+    AUDITOR_ROLE = await contract.AUDITOR_ROLE();
+    TREASURER_ROLE = await contract.TREASURER_ROLE();
+    PAUSER_ROLE = await contract.PAUSER_ROLE();
+    REGISTRAR_ROLE = await contract.REGISTRAR_ROLE();
+
+    await contract.grantRole(TREASURER_ROLE, treasurer.address);
+    await contract.grantRole(AUDITOR_ROLE, auditor.address);
+    await contract.grantRole(REGISTRAR_ROLE, registrar.address);
+
+    await registerBidder(bidder1);
+    await registerBidder(bidder2);
+    await registerBidder(bidder3);
+  });
+
+  describe("Pro-rata Milestone Payouts", function () {
+    it("Should pay milestones in full when the winning bid equals maxBudget", async function () {
+      const tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("30"),
+        ethers.parseEther("70"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("100") },
+      ]);
+
+      expect((await contract.getMilestone(tenderId, 0)).payoutAmount).to.equal(
+        ethers.parseEther("30")
+      );
+      expect((await contract.getMilestone(tenderId, 1)).payoutAmount).to.equal(
+        ethers.parseEther("70")
+      );
+    });
+
+    it("Should rescale milestones to a winning bid below maxBudget", async function () {
+      const tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("30"),
+        ethers.parseEther("70"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("90") },
+        { bidder: bidder2, amount: ethers.parseEther("80") },
+      ]);
+
+      const first = await contract.getMilestone(tenderId, 0);
+      const second = await contract.getMilestone(tenderId, 1);
+
+      // Budgeted amounts are kept for reference
+      expect(first.amount).to.equal(ethers.parseEther("30"));
+      expect(second.amount).to.equal(ethers.parseEther("70"));
+      expect(first.payoutAmount).to.equal(ethers.parseEther("24"));
+      expect(second.payoutAmount).to.equal(ethers.parseEther("56"));
+    });
+
+    it("Should assign the rounding remainder to the last milestone", async function () {
+      const tenderId = await createTender(100n, [33n, 33n, 34n]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: 10n }]);
+
+      // 33 * 10 / 100 = 3.3 -> 3, twice; the last milestone takes 10 - 6 = 4
+      expect((await contract.getMilestone(tenderId, 0)).payoutAmount).to.equal(3n);
+      expect((await contract.getMilestone(tenderId, 1)).payoutAmount).to.equal(3n);
+      expect((await contract.getMilestone(tenderId, 2)).payoutAmount).to.equal(4n);
+    });
+
+    it("Should pay out a below-budget tender to completion", async function () {
+      const tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("33"),
+        ethers.parseEther("33"),
+        ethers.parseEther("34"),
+      ]);
+      const winningBid = ethers.parseEther("77.777777777777777777");
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("95") },
+        { bidder: bidder2, amount: winningBid },
+      ]);
+
+      await contract.connect(treasurer).fundTender(tenderId, { value: winningBid });
+
+      for (let i = 0; i < 3; i++) {
+        await approveMilestone(tenderId, i);
+        await contract.connect(treasurer).releaseMilestonePayment(tenderId, i);
+      }
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(4); // COMPLETED
+      expect(details.fundedAmount).to.equal(0);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(winningBid);
+
+      await expect(contract.connect(bidder2).withdraw()).to.changeEtherBalance(
+        bidder2,
+        winningBid
+      );
+      expect(await contract.getContractBalance()).to.equal(0);
+    });
+
+    it("Should emit the rescaled amount on milestone release", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("5"),
+        ethers.parseEther("5"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder3, amount: ethers.parseEther("8") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("8") });
+      await approveMilestone(tenderId, 0);
+
+      await expect(contract.connect(treasurer).releaseMilestonePayment(tenderId, 0))
+        .to.emit(contract, "MilestonePaymentReleased")
+        .withArgs(
+          tenderId,
+          0,
+          bidder3.address,
+          ethers.parseEther("4"),
+          (await time.latest()) + 1
+        );
+    });
+  });
+
+  describe("Bid Bonds", function () {
+    const BOND = ethers.parseEther("1");
+    let tenderId;
+
+    beforeEach(async function () {
+      tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("10")],
+        BOND
+      );
+    });
+
+    it("Should reject a commitment without the exact bid bond", async function () {
+      const hash = createBidHash(ethers.parseEther("5"), "nonce");
+
+      await expect(
+        contract.connect(bidder1).submitBid(tenderId, hash)
+      ).to.be.revertedWith("Incorrect bid bond amount");
+      await expect(
+        contract
+          .connect(bidder1)
+          .submitBid(tenderId, hash, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Incorrect bid bond amount");
+    });
+
+    it("Should hold the bond in escrow with the commitment", async function () {
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+      ]);
+
+      const bid = await contract.getBid(tenderId, bidder1.address);
+      expect(bid.bondAmount).to.equal(BOND);
+      expect(bid.bondSettled).to.equal(false);
+      expect(await contract.getContractBalance()).to.equal(BOND);
+    });
+
+    it("Should refund the bond to a bidder who revealed a valid bid", async function () {
+      const entries = [{ bidder: bidder1, amount: ethers.parseEther("5") }];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(contract.connect(bidder1).claimBidBond(tenderId))
+        .to.emit(contract, "PaymentCredited")
+        .withArgs(bidder1.address, ethers.ZeroAddress, BOND, (await time.latest()) + 1);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(BOND);
+
+      const bid = await contract.getBid(tenderId, bidder1.address);
+      expect(bid.bondSettled).to.equal(true);
+
+      await expect(contract.connect(bidder1).withdraw()).to.changeEtherBalances(
+        [bidder1, contract],
+        [BOND, -BOND]
+      );
+    });
+
+    it("Should emit BidBondRefunded and reject a second claim", async function () {
+      const entries = [{ bidder: bidder1, amount: ethers.parseEther("5") }];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(contract.connect(bidder1).claimBidBond(tenderId))
+        .to.emit(contract, "BidBondRefunded")
+        .withArgs(tenderId, bidder1.address, BOND, (await time.latest()) + 1);
+      await expect(
+        contract.connect(bidder1).claimBidBond(tenderId)
+      ).to.be.revertedWith("Bond already settled");
+    });
+
+    it("Should not refund a bond before the reveal deadline", async function () {
+      const entries = [{ bidder: bidder1, amount: ethers.parseEther("5") }];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+
+      await expect(
+        contract.connect(bidder1).claimBidBond(tenderId)
+      ).to.be.revertedWith("Deadline not reached");
+    });
+
+    it("Should not refund an unrevealed bid", async function () {
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+      ]);
+      await time.increase(SUBMISSION_DURATION + REVEAL_DURATION);
+
+      await expect(
+        contract.connect(bidder1).claimBidBond(tenderId)
+      ).to.be.revertedWith("Bond not refundable");
+    });
+
+    it("Should forfeit the bond of an unrevealed bid to the treasury", async function () {
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+      ]);
+      await time.increase(SUBMISSION_DURATION + REVEAL_DURATION);
+
+      await expect(
+        contract.connect(unauthorized).forfeitBidBond(tenderId, bidder1.address)
+      ).to.changeEtherBalances([owner, contract], [0n, 0n]);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(BOND);
+
+      await expect(
+        contract.connect(bidder1).claimBidBond(tenderId)
+      ).to.be.revertedWith("Bond not refundable");
+    });
+
+    it("Should forfeit the bond of an invalid bid", async function () {
+      const entries = [{ bidder: bidder2, amount: ethers.parseEther("11") }];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(contract.forfeitBidBond(tenderId, bidder2.address))
+        .to.emit(contract, "BidBondForfeited")
+        .withArgs(
+          tenderId,
+          bidder2.address,
+          owner.address,
+          BOND,
+          (await time.latest()) + 1
+        );
+    });
+
+    it("Should not forfeit before the reveal deadline", async function () {
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+      ]);
+
+      await expect(
+        contract.forfeitBidBond(tenderId, bidder1.address)
+      ).to.be.revertedWith("Deadline not reached");
+    });
+
+    it("Should not forfeit the bond of a valid revealed bid", async function () {
+      const entries = [{ bidder: bidder1, amount: ethers.parseEther("5") }];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(
+        contract.forfeitBidBond(tenderId, bidder1.address)
+      ).to.be.revertedWith("Bond not forfeitable");
+    });
+
+    it("Should send forfeited bonds to an updated treasury", async function () {
+      await expect(contract.setTreasury(bidder3.address))
+        .to.emit(contract, "TreasuryUpdated")
+        .withArgs(owner.address, bidder3.address);
+
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+      ]);
+      await time.increase(SUBMISSION_DURATION + REVEAL_DURATION);
+
+      await contract.forfeitBidBond(tenderId, bidder1.address);
+      expect(await contract.pendingWithdrawals(bidder3.address)).to.equal(BOND);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(0);
+    });
+
+    it("Should reject treasury changes from non-admin", async function () {
+      await expect(
+        contract.connect(unauthorized).setTreasury(unauthorized.address)
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Role-Based Access Control", function () {
+    it("Should give the deployer admin, tender admin and pauser roles", async function () {
+      const DEFAULT_ADMIN_ROLE = await contract.DEFAULT_ADMIN_ROLE();
+
+      expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await contract.hasRole(TENDER_ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await contract.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+      expect(await contract.hasRole(TREASURER_ROLE, owner.address)).to.equal(false);
+    });
+
+    it("Should emit RoleGranted and RoleRevoked", async function () {
+      await expect(contract.grantRole(AUDITOR_ROLE, bidder3.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(AUDITOR_ROLE, bidder3.address, owner.address);
+
+      await expect(contract.revokeRole(AUDITOR_ROLE, bidder3.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(AUDITOR_ROLE, bidder3.address, owner.address);
+    });
+
+    it("Should reject role grants from non-admin", async function () {
+      await expect(
+        contract
+          .connect(unauthorized)
+          .grantRole(TREASURER_ROLE, unauthorized.address)
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should not let a tender admin become treasurer", async function () {
+      await expect(
+        contract.grantRole(TREASURER_ROLE, owner.address)
+      ).to.be.revertedWith("Tender admin and treasurer roles must be separate");
+    });
+
+    it("Should not let a treasurer become tender admin", async function () {
+      await expect(
+        contract.grantRole(TENDER_ADMIN_ROLE, treasurer.address)
+      ).to.be.revertedWith("Tender admin and treasurer roles must be separate");
+    });
+
+    it("Should restrict tender creation and winner selection to tender admins", async function () {
+      await expect(
+        contract
+          .connect(treasurer)
+          .createTender(
+            "T",
+            "D",
+            10n,
+            3600,
+            1800,
+            0,
+            ethers.ZeroAddress,
+            ["M"],
+            [10n],
+            [0]
+          )
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      const tenderId = await createTender(10n, [10n]);
+      await commitBids(tenderId, [{ bidder: bidder1, amount: 10n }]);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, [{ bidder: bidder1, amount: 10n }]);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(
+        contract.connect(treasurer).selectWinner(tenderId)
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should restrict funding to treasurers", async function () {
+      const tenderId = await createTender(10n, [10n]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: 10n }]);
+
+      await expect(
+        contract.fundTender(tenderId, { value: 10n })
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should not let a tender admin become auditor", async function () {
+      await expect(
+        contract.grantRole(AUDITOR_ROLE, owner.address)
+      ).to.be.revertedWith("Tender admin and auditor roles must be separate");
+      await expect(
+        contract.grantRole(TENDER_ADMIN_ROLE, auditor.address)
+      ).to.be.revertedWith("Tender admin and auditor roles must be separate");
+    });
+
+    it("Should not let a tender admin become registrar", async function () {
+      await expect(
+        contract.grantRole(REGISTRAR_ROLE, owner.address)
+      ).to.be.revertedWith("Tender admin and registrar roles must be separate");
+      await expect(
+        contract.grantRole(TENDER_ADMIN_ROLE, registrar.address)
+      ).to.be.revertedWith("Tender admin and registrar roles must be separate");
+    });
+
+    it("Should restrict pausing to pausers", async function () {
+      await expect(
+        contract.connect(unauthorized).pause()
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await contract.grantRole(PAUSER_ROLE, unauthorized.address);
+      await contract.connect(unauthorized).pause();
+      expect(await contract.paused()).to.equal(true);
+    });
+
+    it("Should move the admin role with ownership", async function () {
+      const DEFAULT_ADMIN_ROLE = await contract.DEFAULT_ADMIN_ROLE();
+
+      await contract.transferOwnership(unauthorized.address);
+
+      expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+      expect(
+        await contract.hasRole(DEFAULT_ADMIN_ROLE, unauthorized.address)
+      ).to.equal(true);
+    });
+  });
+
+  describe("Milestone Approval", function () {
+    let tenderId;
+    const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("site inspection"));
+
+    beforeEach(async function () {
+      tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("10") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await claimMilestone(tenderId, 0);
+      await claimMilestone(tenderId, 1);
+    });
+
+    it("Should let an auditor approve a milestone with evidence", async function () {
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, evidenceHash)
+      )
+        .to.emit(contract, "MilestoneApproved")
+        .withArgs(
+          tenderId,
+          0,
+          auditor.address,
+          evidenceHash,
+          (await time.latest()) + 1
+        );
+
+      const milestone = await contract.getMilestone(tenderId, 0);
+      expect(milestone.isApproved).to.equal(true);
+      expect(milestone.approvedBy).to.equal(auditor.address);
+      expect(milestone.approvalTimestamp).to.equal(await time.latest());
+      expect(milestone.evidenceHash).to.equal(evidenceHash);
+    });
+
+    it("Should reject approval from non-auditors", async function () {
+      await expect(
+        contract.approveMilestone(tenderId, 0, evidenceHash)
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should require an evidence hash", async function () {
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, ethers.ZeroHash)
+      ).to.be.revertedWith("Evidence hash required");
+    });
+
+    it("Should reject duplicate approval", async function () {
+      await contract.connect(auditor).approveMilestone(tenderId, 0, evidenceHash);
+
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Milestone already approved");
+    });
+
+    it("Should not approve before a winner is selected", async function () {
+      const otherTender = await createTender(10n, [10n]);
+
+      await expect(
+        contract.connect(auditor).approveMilestone(otherTender, 0, evidenceHash)
+      ).to.be.revertedWith("Invalid tender phase");
+    });
+
+    it("Should not release an unapproved milestone", async function () {
+      await expect(
+        contract.connect(treasurer).releaseMilestonePayment(tenderId, 0)
+      ).to.be.revertedWith("Milestone not approved yet");
+    });
+
+    it("Should let anyone release an approved milestone", async function () {
+      await contract.connect(auditor).approveMilestone(tenderId, 1, evidenceHash);
+
+      await expect(
+        contract.connect(unauthorized).releaseMilestonePayment(tenderId, 1)
+      )
+        .to.emit(contract, "PaymentCredited")
+        .withArgs(
+          bidder1.address,
+          ethers.ZeroAddress,
+          ethers.parseEther("6"),
+          (await time.latest()) + 1
+        );
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("6")
+      );
+      const milestone = await contract.getMilestone(tenderId, 1);
+      expect(milestone.isPaid).to.equal(true);
+    });
+  });
+
+  describe("Milestone Claims", function () {
+    let tenderId;
+    const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("as-built drawings"));
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("asphalt too thin"));
+
+    // MilestoneStatus enum values
+    const PENDING = 0;
+    const CLAIMED = 1;
+    const APPROVED = 2;
+    const REJECTED = 3;
+    const PAID = 4;
+
+    beforeEach(async function () {
+      tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("10") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+    });
+
+    it("Should start milestones in PENDING status", async function () {
+      const claim = await contract.getMilestoneClaim(tenderId, 0);
+      expect(claim.status).to.equal(PENDING);
+      expect(claim.claimedAt).to.equal(0);
+    });
+
+    it("Should let the winner submit a claim with evidence", async function () {
+      await expect(
+        contract.connect(bidder1).submitMilestoneClaim(tenderId, 0, evidenceHash)
+      )
+        .to.emit(contract, "MilestoneClaimSubmitted")
+        .withArgs(
+          tenderId,
+          0,
+          bidder1.address,
+          evidenceHash,
+          (await time.latest()) + 1
+        );
+
+      const claim = await contract.getMilestoneClaim(tenderId, 0);
+      expect(claim.status).to.equal(CLAIMED);
+      expect(claim.claimEvidenceHash).to.equal(evidenceHash);
+      expect(claim.claimedAt).to.equal(await time.latest());
+    });
+
+    it("Should reject claims from anyone but the winner", async function () {
+      await expect(
+        contract.connect(bidder2).submitMilestoneClaim(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Only winner can call this");
+    });
+
+    it("Should require an evidence hash on claims", async function () {
+      await expect(
+        contract
+          .connect(bidder1)
+          .submitMilestoneClaim(tenderId, 0, ethers.ZeroHash)
+      ).to.be.revertedWith("Evidence hash required");
+    });
+
+    it("Should not approve an unclaimed milestone", async function () {
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Milestone not claimed");
+    });
+
+    it("Should let an auditor reject a claim with a reason", async function () {
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 0, evidenceHash);
+
+      await expect(
+        contract.connect(auditor).rejectMilestoneClaim(tenderId, 0, reasonHash)
+      )
+        .to.emit(contract, "MilestoneClaimRejected")
+        .withArgs(
+          tenderId,
+          0,
+          auditor.address,
+          reasonHash,
+          (await time.latest()) + 1
+        );
+
+      const claim = await contract.getMilestoneClaim(tenderId, 0);
+      expect(claim.status).to.equal(REJECTED);
+      expect(claim.rejectionReasonHash).to.equal(reasonHash);
+
+      await expect(
+        contract.connect(treasurer).releaseMilestonePayment(tenderId, 0)
+      ).to.be.revertedWith("Milestone not approved yet");
+    });
+
+    it("Should reject rejections from non-auditors and of unclaimed milestones", async function () {
+      await expect(
+        contract.connect(auditor).rejectMilestoneClaim(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Milestone not claimed");
+
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 0, evidenceHash);
+
+      await expect(
+        contract.connect(bidder1).rejectMilestoneClaim(tenderId, 0, reasonHash)
+      ).to.be.revertedWithCustomError(
+        contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should let the winner re-claim after a rejection", async function () {
+      const newEvidence = ethers.keccak256(ethers.toUtf8Bytes("resurfaced"));
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 0, evidenceHash);
+      await contract
+        .connect(auditor)
+        .rejectMilestoneClaim(tenderId, 0, reasonHash);
+
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 0, newEvidence);
+
+      const claim = await contract.getMilestoneClaim(tenderId, 0);
+      expect(claim.status).to.equal(CLAIMED);
+      expect(claim.claimEvidenceHash).to.equal(newEvidence);
+      // The previous rejection stays readable for the audit trail
+      expect(claim.rejectionReasonHash).to.equal(reasonHash);
+    });
+
+    it("Should not accept a second claim while one is pending", async function () {
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 0, evidenceHash);
+
+      await expect(
+        contract.connect(bidder1).submitMilestoneClaim(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Milestone cannot be claimed");
+    });
+
+    it("Should walk a milestone through CLAIMED, APPROVED and PAID", async function () {
+      await contract
+        .connect(bidder1)
+        .submitMilestoneClaim(tenderId, 1, evidenceHash);
+      await contract
+        .connect(auditor)
+        .approveMilestone(tenderId, 1, evidenceHash);
+      expect((await contract.getMilestoneClaim(tenderId, 1)).status).to.equal(
+        APPROVED
+      );
+
+      await contract.releaseMilestonePayment(tenderId, 1);
+      expect((await contract.getMilestoneClaim(tenderId, 1)).status).to.equal(
+        PAID
+      );
+
+      await expect(
+        contract.connect(bidder1).submitMilestoneClaim(tenderId, 1, evidenceHash)
+      ).to.be.revertedWith("Milestone cannot be claimed");
+    });
+  });
+
+  describe("Pull Payments", function () {
+    let tenderId;
+
+    beforeEach(async function () {
+      tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+    });
+
+    it("Should credit released milestones and let the winner withdraw", async function () {
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("10") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await approveMilestone(tenderId, 0);
+
+      await expect(
+        contract.releaseMilestonePayment(tenderId, 0)
+      ).to.changeEtherBalance(bidder1, 0);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("4")
+      );
+
+      await expect(contract.connect(bidder1).withdraw())
+        .to.emit(contract, "PaymentWithdrawn")
+        .withArgs(
+          bidder1.address,
+          ethers.ZeroAddress,
+          ethers.parseEther("4"),
+          (await time.latest()) + 1
+        );
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(0);
+    });
+
+    it("Should reject withdrawals with no credited balance", async function () {
+      await expect(contract.connect(bidder1).withdraw()).to.be.revertedWith(
+        "No funds to withdraw"
+      );
+    });
+
+    it("Should credit emergency withdrawals to the treasury", async function () {
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("10") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await time.increase(30 * 24 * 60 * 60);
+
+      await contract.connect(treasurer).emergencyWithdraw(tenderId);
+
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("10")
+      );
+      await expect(contract.withdraw()).to.changeEtherBalance(
+        owner,
+        ethers.parseEther("10")
+      );
+    });
+
+    it("Should complete a tender whose winner rejects ETH", async function () {
+      const RevertingRecipient = await ethers.getContractFactory("RevertingRecipient");
+      const recipient = await RevertingRecipient.deploy(await contract.getAddress());
+      await recipient.waitForDeployment();
+      const amount = ethers.parseEther("9");
+      const nonce = "reverting-winner";
+
+      const recipientAddress = await recipient.getAddress();
+      await recipient.forward(
+        contract.interface.encodeFunctionData("registerBidder", [
+          ethers.keccak256(ethers.toUtf8Bytes("REG-reverting")),
+          "Reverting Recipient Ltd",
+        ])
+      );
+      await contract
+        .connect(registrar)
+        .approveBidder(
+          recipientAddress,
+          ethers.keccak256(ethers.toUtf8Bytes("KYC reverting")),
+          (await time.latest()) + REGISTRATION_VALIDITY
+        );
+      await recipient.forward(
+        contract.interface.encodeFunctionData("submitBid", [
+          tenderId,
+          createBidHash(amount, nonce),
+        ])
+      );
+      await time.increase(SUBMISSION_DURATION);
+      await recipient.forward(
+        contract.interface.encodeFunctionData("revealBid", [tenderId, amount, nonce])
+      );
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+      await contract.connect(treasurer).fundTender(tenderId, { value: amount });
+
+      for (let i = 0; i < 2; i++) {
+        const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes(`report ${i}`));
+        await recipient.forward(
+          contract.interface.encodeFunctionData("submitMilestoneClaim", [
+            tenderId,
+            i,
+            evidenceHash,
+          ])
+        );
+        await contract.connect(auditor).approveMilestone(tenderId, i, evidenceHash);
+        await contract.releaseMilestonePayment(tenderId, i);
+      }
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(4); // COMPLETED
+      expect(details.fundedAmount).to.equal(0);
+      expect(await contract.pendingWithdrawals(await recipient.getAddress())).to.equal(
+        amount
+      );
+
+      await expect(
+        recipient.forward(contract.interface.encodeFunctionData("withdraw"))
+      ).to.be.revertedWith("Withdrawal failed");
+      expect(await contract.getContractBalance()).to.equal(amount);
+    });
+  });
+
+  describe("ERC-20 Tenders", function () {
+    let token, tokenAddress, tenderId;
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+      await token.mint(treasurer.address, usdc("1000000"));
+
+      tenderId = await createTender(
+        usdc("100000"),
+        [usdc("40000"), usdc("60000")],
+        0n,
+        tokenAddress
+      );
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: usdc("95000") },
+        { bidder: bidder2, amount: usdc("80000") },
+      ]);
+    });
+
+    it("Should run a token tender through its full lifecycle", async function () {
+      expect((await contract.getTenderDetails(tenderId)).paymentToken).to.equal(
+        tokenAddress
+      );
+
+      await token
+        .connect(treasurer)
+        .approve(await contract.getAddress(), usdc("80000"));
+      await expect(contract.connect(treasurer).fundTender(tenderId))
+        .to.emit(contract, "TenderFunded")
+        .withArgs(tenderId, usdc("80000"), (await time.latest()) + 1);
+      expect(await token.balanceOf(await contract.getAddress())).to.equal(
+        usdc("80000")
+      );
+
+      for (let i = 0; i < 2; i++) {
+        await approveMilestone(tenderId, i);
+        await contract.releaseMilestonePayment(tenderId, i);
+      }
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(4); // COMPLETED
+      expect(details.fundedAmount).to.equal(0);
+      expect(
+        await contract.pendingTokenWithdrawals(tokenAddress, bidder2.address)
+      ).to.equal(usdc("80000"));
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(0);
+
+      await expect(
+        contract.connect(bidder2).withdrawToken(tokenAddress)
+      ).to.changeTokenBalances(
+        token,
+        [bidder2, contract],
+        [usdc("80000"), -usdc("80000")]
+      );
+      expect(
+        await contract.pendingTokenWithdrawals(tokenAddress, bidder2.address)
+      ).to.equal(0);
+    });
+
+    it("Should reject ETH sent to fund a token tender", async function () {
+      await token
+        .connect(treasurer)
+        .approve(await contract.getAddress(), usdc("80000"));
+
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId, { value: 1n })
+      ).to.be.revertedWith("ETH not accepted for token tender");
+    });
+
+    it("Should require a token allowance to fund", async function () {
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should credit token emergency withdrawals to the treasury", async function () {
+      await token
+        .connect(treasurer)
+        .approve(await contract.getAddress(), usdc("80000"));
+      await contract.connect(treasurer).fundTender(tenderId);
+      await time.increase(30 * 24 * 60 * 60);
+
+      await expect(contract.connect(treasurer).emergencyWithdraw(tenderId))
+        .to.emit(contract, "PaymentCredited")
+        .withArgs(owner.address, tokenAddress, usdc("80000"), (await time.latest()) + 1);
+
+      await expect(contract.withdrawToken(tokenAddress)).to.changeTokenBalance(
+        token,
+        owner,
+        usdc("80000")
+      );
+    });
+
+    it("Should reject a payment token that is not a contract", async function () {
+      await expect(
+        createTender(10n, [10n], 0n, bidder3.address)
+      ).to.be.revertedWith("Invalid payment token");
+    });
+  });
+
+  describe("Tender Cancellation", function () {
+    const BOND = ethers.parseEther("1");
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("specification error"));
+    const CANCELLED = 5;
+    let tenderId;
+
+    beforeEach(async function () {
+      tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("4"), ethers.parseEther("6")],
+        BOND
+      );
+    });
+
+    it("Should cancel during bidding and credit every bid bond back", async function () {
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+        { bidder: bidder2, amount: ethers.parseEther("9") },
+      ]);
+
+      await expect(contract.cancelTender(tenderId, reasonHash))
+        .to.emit(contract, "TenderCancelled")
+        .withArgs(tenderId, owner.address, reasonHash, (await time.latest()) + 1);
+
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(CANCELLED);
+      expect(await contract.cancellationReasons(tenderId)).to.equal(reasonHash);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(BOND);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(BOND);
+      expect((await contract.getBid(tenderId, bidder1.address)).bondSettled).to.equal(
+        true
+      );
+
+      await expect(
+        contract
+          .connect(bidder3)
+          .submitBid(tenderId, createBidHash(1n, "late"), { value: BOND })
+      ).to.be.revertedWith("Invalid tender phase");
+      await expect(
+        contract.forfeitBidBond(tenderId, bidder1.address)
+      ).to.be.revertedWith("Deadline not reached");
+    });
+
+    it("Should cancel a tender stuck without valid bids", async function () {
+      // Only bid is above maxBudget, so it reveals as invalid
+      const overBudget = [{ bidder: bidder1, amount: ethers.parseEther("11") }];
+      await commitBids(tenderId, overBudget);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, overBudget);
+      await time.increase(REVEAL_DURATION);
+      await expect(contract.selectWinner(tenderId)).to.be.revertedWith(
+        "No valid bids found"
+      );
+
+      await contract.cancelTender(tenderId, reasonHash);
+
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(CANCELLED);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(BOND);
+      await expect(contract.selectWinner(tenderId)).to.be.revertedWith(
+        "Invalid phase for winner selection"
+      );
+    });
+
+    it("Should credit the funding back to the treasury", async function () {
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("8") });
+
+      await contract.cancelTender(tenderId, reasonHash);
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.fundedAmount).to.equal(0);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("8")
+      );
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Invalid tender phase");
+    });
+
+    it("Should not fund a cancelled tender", async function () {
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+      ]);
+      await contract.cancelTender(tenderId, reasonHash);
+
+      await expect(
+        contract
+          .connect(treasurer)
+          .fundTender(tenderId, { value: ethers.parseEther("8") })
+      ).to.be.revertedWith("Invalid tender phase");
+    });
+
+    it("Should not cancel once a milestone is approved", async function () {
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("10") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await approveMilestone(tenderId, 0);
+
+      await expect(
+        contract.cancelTender(tenderId, reasonHash)
+      ).to.be.revertedWith("Milestone payments already started");
+    });
+
+    it("Should validate cancellation requests", async function () {
+      await expect(
+        contract.connect(unauthorized).cancelTender(tenderId, reasonHash)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(
+        contract.cancelTender(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason hash required");
+
+      await contract.cancelTender(tenderId, reasonHash);
+
+      await expect(
+        contract.cancelTender(tenderId, reasonHash)
+      ).to.be.revertedWith("Tender cannot be cancelled");
+    });
+
+    it("Should re-tender a cancelled tender under a new ID", async function () {
+      await contract.cancelTender(tenderId, reasonHash);
+
+      const tx = await contract.retender(tenderId, 7200, 3600);
+      const receipt = await tx.wait();
+      const newTenderId = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "TenderRetendered").args
+        .newTenderId;
+      const start = await time.latest();
+
+      expect(newTenderId).to.equal(tenderId + 1n);
+      const details = await contract.getTenderDetails(newTenderId);
+      expect(details.title).to.equal("Road Construction");
+      expect(details.maxBudget).to.equal(ethers.parseEther("10"));
+      expect(details.bidBond).to.equal(BOND);
+      expect(details.phase).to.equal(0); // BID_SUBMISSION
+      expect(details.submissionDeadline).to.equal(start + 7200);
+      expect(details.revealDeadline).to.equal(start + 7200 + 3600);
+      expect(await contract.getMilestoneCount(newTenderId)).to.equal(2);
+      const milestone = await contract.getMilestone(newTenderId, 1);
+      expect(milestone.description).to.equal("Phase 2");
+      expect(milestone.amount).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should only re-tender cancelled tenders", async function () {
+      await expect(contract.retender(tenderId, 7200, 3600)).to.be.revertedWith(
+        "Invalid tender phase"
+      );
+    });
+  });
+
+  describe("Deadline Extensions and Addenda", function () {
+    const addendumHash = ethers.keccak256(ethers.toUtf8Bytes("clarification #1"));
+    let tenderId, submissionDeadline, revealDeadline;
+
+    beforeEach(async function () {
+      tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      ({ submissionDeadline, revealDeadline } = await contract.getTenderDetails(
+        tenderId
+      ));
+    });
+
+    it("Should push both deadlines forward", async function () {
+      const newSubmission = submissionDeadline + 3600n;
+      const newReveal = revealDeadline + 3600n;
+
+      await expect(contract.extendDeadlines(tenderId, newSubmission, newReveal))
+        .to.emit(contract, "DeadlinesExtended")
+        .withArgs(tenderId, newSubmission, newReveal, (await time.latest()) + 1);
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.submissionDeadline).to.equal(newSubmission);
+      expect(details.revealDeadline).to.equal(newReveal);
+
+      // Commitments are still accepted past the original deadline
+      await time.increaseTo(submissionDeadline + 60n);
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("9") },
+      ]);
+    });
+
+    it("Should never move deadlines backward", async function () {
+      await expect(
+        contract.extendDeadlines(tenderId, submissionDeadline - 1n, revealDeadline)
+      ).to.be.revertedWith("Deadlines cannot move backward");
+      await expect(
+        contract.extendDeadlines(tenderId, submissionDeadline, revealDeadline - 1n)
+      ).to.be.revertedWith("Deadlines cannot move backward");
+      await expect(
+        contract.extendDeadlines(tenderId, submissionDeadline, revealDeadline)
+      ).to.be.revertedWith("No deadline extended");
+      await expect(
+        contract.extendDeadlines(tenderId, revealDeadline, revealDeadline)
+      ).to.be.revertedWith("Reveal window cannot shrink");
+    });
+
+    it("Should not squeeze the reveal window", async function () {
+      const revealWindow = revealDeadline - submissionDeadline;
+
+      await expect(
+        contract.extendDeadlines(tenderId, revealDeadline - 1n, revealDeadline)
+      ).to.be.revertedWith("Reveal window cannot shrink");
+      await expect(
+        contract.extendDeadlines(
+          tenderId,
+          submissionDeadline + 3600n,
+          revealDeadline + 3599n
+        )
+      ).to.be.revertedWith("Reveal window cannot shrink");
+
+      // Widening the reveal window alone, or keeping it, is fine
+      await contract.extendDeadlines(tenderId, submissionDeadline, revealDeadline + 60n);
+      await contract.extendDeadlines(
+        tenderId,
+        submissionDeadline + 3600n,
+        revealDeadline + 3660n
+      );
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.revealDeadline - details.submissionDeadline).to.equal(
+        revealWindow + 60n
+      );
+    });
+
+    it("Should only extend during the submission phase", async function () {
+      await expect(
+        contract
+          .connect(unauthorized)
+          .extendDeadlines(tenderId, submissionDeadline + 1n, revealDeadline + 1n)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      await time.increaseTo(submissionDeadline);
+
+      await expect(
+        contract.extendDeadlines(tenderId, submissionDeadline + 1n, revealDeadline + 1n)
+      ).to.be.revertedWith("Deadline has passed");
+    });
+
+    it("Should publish addenda with an indexed history", async function () {
+      const secondHash = ethers.keccak256(ethers.toUtf8Bytes("clarification #2"));
+
+      await expect(contract.publishAddendum(tenderId, addendumHash))
+        .to.emit(contract, "AddendumPublished")
+        .withArgs(tenderId, 0, addendumHash, (await time.latest()) + 1);
+      const firstPublishedAt = await time.latest();
+      await expect(contract.publishAddendum(tenderId, secondHash))
+        .to.emit(contract, "AddendumPublished")
+        .withArgs(tenderId, 1, secondHash, (await time.latest()) + 1);
+
+      expect(await contract.getAddendumCount(tenderId)).to.equal(2);
+      const first = await contract.getAddendum(tenderId, 0);
+      expect(first.contentHash).to.equal(addendumHash);
+      expect(first.publishedAt).to.equal(firstPublishedAt);
+      expect((await contract.getAddendum(tenderId, 1)).contentHash).to.equal(
+        secondHash
+      );
+      await expect(contract.getAddendum(tenderId, 2)).to.be.revertedWith(
+        "Invalid addendum index"
+      );
+
+      const history = await contract.queryFilter(
+        contract.filters.AddendumPublished(tenderId)
+      );
+      expect(history.map((e) => e.args.contentHash)).to.deep.equal([
+        addendumHash,
+        secondHash,
+      ]);
+    });
+
+    it("Should validate addenda", async function () {
+      await expect(
+        contract.publishAddendum(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Content hash required");
+      await expect(
+        contract.connect(unauthorized).publishAddendum(tenderId, addendumHash)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      await time.increaseTo(submissionDeadline);
+
+      await expect(
+        contract.publishAddendum(tenderId, addendumHash)
+      ).to.be.revertedWith("Deadline has passed");
+    });
+  });
+
+  describe("Weighted Evaluation", function () {
+    const SCALE = 10n ** 18n;
+    let evaluator1, evaluator2, EVALUATOR_ROLE, tenderId;
+
+    // Helper function for evaluators to score bids: [{ evaluator, bidder, score }]
+    async function scoreBids(entries) {
+      for (const { evaluator, bidder, score } of entries) {
+        await contract
+          .connect(evaluator)
+          .submitTechnicalScore(tenderId, bidder.address, score);
+      }
+    }
+
+    // Helper function to commit and reveal bids, stopping before winner selection
+    async function commitAndReveal(bidEntries) {
+      await commitBids(tenderId, bidEntries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, bidEntries);
+      await time.increase(REVEAL_DURATION);
+    }
+
+    beforeEach(async function () {
+      [, , , , , , , evaluator1, evaluator2] = await ethers.getSigners();
+      EVALUATOR_ROLE = await contract.EVALUATOR_ROLE();
+      await contract.grantRole(EVALUATOR_ROLE, evaluator1.address);
+      await contract.grantRole(EVALUATOR_ROLE, evaluator2.address);
+
+      tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("100"),
+      ]);
+    });
+
+    it("Should configure weighted evaluation before the first bid", async function () {
+      await expect(contract.configureWeightedEvaluation(tenderId, 4000))
+        .to.emit(contract, "EvaluationConfigured")
+        .withArgs(tenderId, 4000, 6000);
+
+      const config = await contract.evaluationConfigs(tenderId);
+      expect(config.weighted).to.equal(true);
+      expect(config.priceWeight).to.equal(4000);
+
+      await expect(
+        contract.configureWeightedEvaluation(tenderId, 10001)
+      ).to.be.revertedWith("Invalid price weight");
+      await expect(
+        contract.connect(evaluator1).configureWeightedEvaluation(tenderId, 5000)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+      ]);
+
+      await expect(
+        contract.configureWeightedEvaluation(tenderId, 5000)
+      ).to.be.revertedWith("Evaluation rules locked after first bid");
+    });
+
+    it("Should let technical quality outweigh a lower price", async function () {
+      await contract.configureWeightedEvaluation(tenderId, 4000);
+      await commitAndReveal([
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+        { bidder: bidder2, amount: ethers.parseEther("100") },
+      ]);
+      await scoreBids([
+        { evaluator: evaluator1, bidder: bidder1, score: 40 },
+        { evaluator: evaluator1, bidder: bidder2, score: 90 },
+      ]);
+
+      // bidder1: 0.4 × 100 + 0.6 × 40 = 64; bidder2: 0.4 × 80 + 0.6 × 90 = 86
+      await expect(contract.selectWinner(tenderId))
+        .to.emit(contract, "WinnerSelected")
+        .withArgs(
+          tenderId,
+          bidder2.address,
+          ethers.parseEther("100"),
+          (await time.latest()) + 1
+        );
+      expect((await contract.getMilestone(tenderId, 0)).payoutAmount).to.equal(
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should expose the full score table with averaged committee scores", async function () {
+      await contract.configureWeightedEvaluation(tenderId, 4000);
+      await commitAndReveal([
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+        { bidder: bidder2, amount: ethers.parseEther("100") },
+        { bidder: bidder3, amount: ethers.parseEther("120") }, // above budget
+      ]);
+      await scoreBids([
+        { evaluator: evaluator1, bidder: bidder1, score: 40 },
+        { evaluator: evaluator2, bidder: bidder1, score: 70 },
+        { evaluator: evaluator1, bidder: bidder2, score: 90 },
+      ]);
+
+      const table = await contract.getScoreTable(tenderId);
+      expect(table.bidders).to.deep.equal([
+        bidder1.address,
+        bidder2.address,
+        bidder3.address,
+      ]);
+      expect(table.amounts[2]).to.equal(ethers.parseEther("120"));
+      expect(table.technicalScores[0]).to.equal(55n * SCALE);
+      expect(table.technicalScores[1]).to.equal(90n * SCALE);
+      // 0.4 × 100 + 0.6 × 55 = 73; 0.4 × 80 + 0.6 × 90 = 86; invalid bid = 0
+      expect(table.weightedScores[0]).to.equal(73n * SCALE);
+      expect(table.weightedScores[1]).to.equal(86n * SCALE);
+      expect(table.weightedScores[2]).to.equal(0);
+    });
+
+    it("Should break ties by lower price regardless of commit order", async function () {
+      await contract.configureWeightedEvaluation(tenderId, 5000);
+      await commitAndReveal([
+        { bidder: bidder2, amount: ethers.parseEther("100") },
+        { bidder: bidder1, amount: ethers.parseEther("50") },
+      ]);
+      // bidder2: 0.5 × 50 + 0.5 × 100 = 75; bidder1: 0.5 × 100 + 0.5 × 50 = 75
+      await scoreBids([
+        { evaluator: evaluator1, bidder: bidder2, score: 100 },
+        { evaluator: evaluator1, bidder: bidder1, score: 50 },
+      ]);
+
+      await contract.selectWinner(tenderId);
+
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        bidder1.address
+      );
+    });
+
+    it("Should require every valid bid to be scored", async function () {
+      await contract.configureWeightedEvaluation(tenderId, 4000);
+      await commitAndReveal([
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+        { bidder: bidder2, amount: ethers.parseEther("100") },
+      ]);
+      await scoreBids([{ evaluator: evaluator1, bidder: bidder1, score: 40 }]);
+
+      await expect(contract.selectWinner(tenderId)).to.be.revertedWith(
+        "Valid bid not scored"
+      );
+    });
+
+    it("Should validate technical scores", async function () {
+      await contract.configureWeightedEvaluation(tenderId, 4000);
+      const entries = [
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+        { bidder: bidder2, amount: ethers.parseEther("120") },
+      ];
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder1.address, 50)
+      ).to.be.revertedWith("Deadline not reached");
+
+      await time.increase(REVEAL_DURATION);
+
+      await expect(
+        contract.connect(auditor).submitTechnicalScore(tenderId, bidder1.address, 50)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder1.address, 101)
+      ).to.be.revertedWith("Score out of range");
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder2.address, 50)
+      ).to.be.revertedWith("Bid not eligible for scoring");
+
+      await contract
+        .connect(evaluator1)
+        .submitTechnicalScore(tenderId, bidder1.address, 50);
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder1.address, 60)
+      ).to.be.revertedWith("Bid already scored");
+
+      await contract.selectWinner(tenderId);
+      await expect(
+        contract.connect(evaluator2).submitTechnicalScore(tenderId, bidder1.address, 60)
+      ).to.be.revertedWith("Evaluation closed");
+    });
+
+    it("Should not score lowest-price tenders", async function () {
+      await commitAndReveal([{ bidder: bidder1, amount: ethers.parseEther("80") }]);
+
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder1.address, 50)
+      ).to.be.revertedWith("Tender not using weighted evaluation");
+    });
+
+    it("Should keep the tender admin out of the evaluation committee", async function () {
+      await expect(
+        contract.grantRole(EVALUATOR_ROLE, owner.address)
+      ).to.be.revertedWith("Tender admin and evaluator roles must be separate");
+    });
+  });
+
+  describe("Abnormally Low Bids", function () {
+    const justificationHash = ethers.keccak256(ethers.toUtf8Bytes("cost breakdown"));
+    // LowBidStatus enum values
+    const FLAGGED = 1;
+    const JUSTIFIED = 2;
+    const ACCEPTED = 3;
+    const EXCLUDED = 4;
+    let evaluator, tenderId;
+
+    // bidder1 bids 50 against a median of 90: below the 70% threshold (63)
+    const bidEntries = () => [
+      { bidder: bidder1, amount: ethers.parseEther("50") },
+      { bidder: bidder2, amount: ethers.parseEther("90") },
+      { bidder: bidder3, amount: ethers.parseEther("100") },
+    ];
+
+    // Helper function to commit and reveal bids, then run the first selectWinner
+    async function screenBids(entries) {
+      await commitBids(tenderId, entries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+      return contract.selectWinner(tenderId);
+    }
+
+    beforeEach(async function () {
+      [, , , , , , , evaluator] = await ethers.getSigners();
+      await contract.grantRole(await contract.EVALUATOR_ROLE(), evaluator.address);
+
+      tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("100"),
+      ]);
+      await contract.configureAbnormalBidThreshold(tenderId, 7000);
+    });
+
+    it("Should validate the threshold before the first bid", async function () {
+      expect((await contract.evaluationConfigs(tenderId)).abnormalThreshold).to.equal(
+        7000
+      );
+      await expect(
+        contract.configureAbnormalBidThreshold(tenderId, 10001)
+      ).to.be.revertedWith("Invalid threshold");
+
+      await commitBids(tenderId, bidEntries().slice(0, 1));
+
+      await expect(
+        contract.configureAbnormalBidThreshold(tenderId, 5000)
+      ).to.be.revertedWith("Evaluation rules locked after first bid");
+    });
+
+    it("Should flag bids below the median threshold and defer selection", async function () {
+      const tx = await screenBids(bidEntries());
+      const deadline = BigInt(await time.latest()) + 3n * 24n * 60n * 60n;
+
+      await expect(tx)
+        .to.emit(contract, "AbnormallyLowBidFlagged")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          ethers.parseEther("50"),
+          ethers.parseEther("90"),
+          deadline
+        );
+      await expect(tx).not.to.emit(contract, "WinnerSelected");
+
+      const screening = await contract.lowBidScreenings(tenderId);
+      expect(screening.median).to.equal(ethers.parseEther("90"));
+      expect(screening.flaggedCount).to.equal(1);
+      expect((await contract.lowBidReviews(tenderId, bidder1.address)).status).to.equal(
+        FLAGGED
+      );
+      expect((await contract.lowBidReviews(tenderId, bidder2.address)).status).to.equal(0);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        ethers.ZeroAddress
+      );
+
+      await expect(contract.selectWinner(tenderId)).to.be.revertedWith(
+        "Low bid review pending"
+      );
+    });
+
+    it("Should award an accepted low bid", async function () {
+      await screenBids(bidEntries());
+
+      await expect(
+        contract.connect(bidder1).submitLowBidJustification(tenderId, justificationHash)
+      )
+        .to.emit(contract, "LowBidJustified")
+        .withArgs(tenderId, bidder1.address, justificationHash, (await time.latest()) + 1);
+      const review = await contract.lowBidReviews(tenderId, bidder1.address);
+      expect(review.status).to.equal(JUSTIFIED);
+      expect(review.justificationHash).to.equal(justificationHash);
+
+      await expect(contract.selectWinner(tenderId)).to.be.revertedWith(
+        "Low bid review pending"
+      );
+
+      await expect(contract.connect(evaluator).reviewLowBid(tenderId, bidder1.address, true))
+        .to.emit(contract, "LowBidReviewed")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          evaluator.address,
+          true,
+          (await time.latest()) + 1
+        );
+      expect((await contract.lowBidReviews(tenderId, bidder1.address)).status).to.equal(
+        ACCEPTED
+      );
+
+      await contract.selectWinner(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        bidder1.address
+      );
+    });
+
+    it("Should skip an excluded low bid", async function () {
+      await screenBids(bidEntries());
+      await contract
+        .connect(bidder1)
+        .submitLowBidJustification(tenderId, justificationHash);
+      await contract.connect(evaluator).reviewLowBid(tenderId, bidder1.address, false);
+      expect((await contract.lowBidReviews(tenderId, bidder1.address)).status).to.equal(
+        EXCLUDED
+      );
+
+      await expect(contract.selectWinner(tenderId))
+        .to.emit(contract, "WinnerSelected")
+        .withArgs(
+          tenderId,
+          bidder2.address,
+          ethers.parseEther("90"),
+          (await time.latest()) + 1
+        );
+    });
+
+    it("Should exclude bids left unjustified after the window", async function () {
+      await screenBids(bidEntries());
+      await time.increase(3 * 24 * 60 * 60);
+
+      await expect(
+        contract.connect(bidder1).submitLowBidJustification(tenderId, justificationHash)
+      ).to.be.revertedWith("Deadline has passed");
+
+      await contract.selectWinner(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        bidder2.address
+      );
+    });
+
+    it("Should select in one call when no bid is abnormally low", async function () {
+      const tx = await screenBids([
+        { bidder: bidder1, amount: ethers.parseEther("80") },
+        { bidder: bidder2, amount: ethers.parseEther("90") },
+        { bidder: bidder3, amount: ethers.parseEther("100") },
+      ]);
+
+      await expect(tx).not.to.emit(contract, "AbnormallyLowBidFlagged");
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        bidder1.address
+      );
+    });
+
+    it("Should validate justifications and reviews", async function () {
+      await screenBids(bidEntries());
+
+      await expect(
+        contract.connect(bidder2).submitLowBidJustification(tenderId, justificationHash)
+      ).to.be.revertedWith("Bid not awaiting justification");
+      await expect(
+        contract.connect(bidder1).submitLowBidJustification(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Justification hash required");
+      await expect(
+        contract.connect(evaluator).reviewLowBid(tenderId, bidder1.address, true)
+      ).to.be.revertedWith("No justification to review");
+
+      await contract
+        .connect(bidder1)
+        .submitLowBidJustification(tenderId, justificationHash);
+
+      await expect(
+        contract.connect(auditor).reviewLowBid(tenderId, bidder1.address, true)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Sealed Bids", function () {
+    const bidBond = ethers.parseEther("0.1");
+    let tenderId, authority;
+
+    // Submits ECIES-sealed bids and returns what each bidder sealed
+    async function submitSealedBids(bidEntries) {
+      const sealed = [];
+      for (const { bidder, amount } of bidEntries) {
+        const bid = sealedBids.sealBid(authority.publicKey, amount);
+        await contract
+          .connect(bidder)
+          .submitSealedBid(tenderId, bid.bidHash, bid.encryptedBid, {
+            value: bidBond,
+          });
+        sealed.push(bid);
+      }
+      return sealed;
+    }
+
+    beforeEach(async function () {
+      authority = sealedBids.generateAuthorityKey();
+      tenderId = await createTender(
+        ethers.parseEther("100"),
+        [ethers.parseEther("100")],
+        bidBond
+      );
+      await contract.configureSealedBidding(tenderId, authority.publicKey);
+    });
+
+    it("Should let anyone decrypt and post bids once the key is published", async function () {
+      await submitSealedBids([
+        { bidder: bidder1, amount: ethers.parseEther("90") },
+        { bidder: bidder2, amount: ethers.parseEther("80") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+
+      await expect(contract.publishDecryptionKey(tenderId, authority.privateKey))
+        .to.emit(contract, "DecryptionKeyPublished")
+        .withArgs(tenderId, authority.privateKey, (await time.latest()) + 1);
+
+      // Neither bidder comes back: a third party opens and posts both bids
+      const opened = await sealedBids.decryptTenderBids(contract, tenderId);
+      expect(opened.map((bid) => bid.bidAmount)).to.deep.equal([
+        ethers.parseEther("90"),
+        ethers.parseEther("80"),
+      ]);
+      for (const bid of opened) {
+        expect(bid.matchesCommitment).to.equal(true);
+        await contract
+          .connect(unauthorized)
+          .postDecryptedBid(tenderId, bid.bidder, bid.bidAmount, bid.nonce);
+      }
+
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(
+        bidder2.address
+      );
+
+      await expect(contract.connect(bidder1).claimBidBond(tenderId)).to.be.revertedWith(
+        "Sealed bid not checked"
+      );
+      await expect(contract.confirmSealedBid(tenderId, bidder1.address))
+        .to.emit(contract, "SealedBidConfirmed")
+        .withArgs(tenderId, bidder1.address, owner.address, (await time.latest()) + 1);
+      await contract.connect(bidder1).claimBidBond(tenderId);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(bidBond);
+    });
+
+    it("Should still accept a reveal from the bidder", async function () {
+      const [bid] = await submitSealedBids([
+        { bidder: bidder1, amount: ethers.parseEther("90") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+
+      await contract.connect(bidder1).revealBid(tenderId, bid.bidAmount, bid.nonce);
+      expect((await contract.getBid(tenderId, bidder1.address)).isRevealed).to.equal(
+        true
+      );
+    });
+
+    it("Should check posted bids against the commitment", async function () {
+      const [bid] = await submitSealedBids([
+        { bidder: bidder1, amount: ethers.parseEther("90") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+
+      await expect(
+        contract.postDecryptedBid(
+          tenderId,
+          bidder1.address,
+          ethers.parseEther("50"),
+          bid.nonce
+        )
+      ).to.be.revertedWith("Invalid reveal - hash mismatch");
+    });
+
+    it("Should flag ciphertexts that do not open to the commitment", async function () {
+      const honest = sealedBids.sealBid(authority.publicKey, ethers.parseEther("90"));
+      const decoy = sealedBids.sealBid(authority.publicKey, ethers.parseEther("10"));
+      await contract
+        .connect(bidder1)
+        .submitSealedBid(tenderId, honest.bidHash, decoy.encryptedBid, {
+          value: bidBond,
+        });
+      await contract
+        .connect(bidder2)
+        .submitSealedBid(tenderId, honest.bidHash, "0x1234", { value: bidBond });
+      await time.increase(SUBMISSION_DURATION);
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+
+      const [mismatched, garbage] = await sealedBids.decryptTenderBids(
+        contract,
+        tenderId
+      );
+      expect(mismatched.bidAmount).to.equal(ethers.parseEther("10"));
+      expect(mismatched.matchesCommitment).to.equal(false);
+      expect(garbage.matchesCommitment).to.equal(false);
+      expect(garbage.error).to.equal("Encrypted bid too short");
+    });
+
+    it("Should reject sealed bids that do not open and forfeit their bonds", async function () {
+      const honest = sealedBids.sealBid(authority.publicKey, ethers.parseEther("90"));
+      const decoy = sealedBids.sealBid(authority.publicKey, ethers.parseEther("10"));
+      await contract
+        .connect(bidder1)
+        .submitSealedBid(tenderId, honest.bidHash, decoy.encryptedBid, {
+          value: bidBond,
+        });
+      const garbage = sealedBids.sealBid(authority.publicKey, ethers.parseEther("80"));
+      await contract
+        .connect(bidder2)
+        .submitSealedBid(tenderId, garbage.bidHash, "0x1234", { value: bidBond });
+      await submitSealedBids([{ bidder: bidder3, amount: ethers.parseEther("95") }]);
+      await time.increase(SUBMISSION_DURATION);
+
+      await expect(contract.rejectSealedBid(tenderId, bidder2.address)).to.be.revertedWith(
+        "Decryption key not published"
+      );
+      // bidder1 reveals the bid its ciphertext hides
+      await contract.connect(bidder1).revealBid(tenderId, honest.bidAmount, honest.nonce);
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+
+      await expect(
+        contract.connect(unauthorized).rejectSealedBid(tenderId, bidder1.address)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(contract.rejectSealedBid(tenderId, bidder1.address))
+        .to.emit(contract, "SealedBidRejected")
+        .withArgs(tenderId, bidder1.address, owner.address, bidBond, (await time.latest()) + 1)
+        .and.to.emit(contract, "BidBondForfeited")
+        .withArgs(tenderId, bidder1.address, owner.address, bidBond, (await time.latest()) + 1);
+      await contract.rejectSealedBid(tenderId, bidder2.address);
+      await expect(contract.rejectSealedBid(tenderId, bidder2.address)).to.be.revertedWith(
+        "Sealed bid already rejected"
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(bidBond * 2n);
+
+      await expect(
+        contract.connect(bidder2).revealBid(tenderId, garbage.bidAmount, garbage.nonce)
+      ).to.be.revertedWith("Sealed bid rejected");
+
+      const [, , opened] = await sealedBids.decryptTenderBids(contract, tenderId);
+      await contract.postDecryptedBid(tenderId, opened.bidder, opened.bidAmount, opened.nonce);
+      await time.increase(REVEAL_DURATION);
+      await expect(contract.connect(bidder1).claimBidBond(tenderId)).to.be.revertedWith(
+        "Bond not refundable"
+      );
+      await contract.selectWinner(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder3.address);
+      await expect(contract.rejectSealedBid(tenderId, bidder3.address)).to.be.revertedWith(
+        "Invalid tender phase"
+      );
+    });
+
+    it("Should leave a posted bid that its ciphertext does not hold to the tender admin", async function () {
+      const honest = sealedBids.sealBid(authority.publicKey, ethers.parseEther("80"));
+      const decoy = sealedBids.sealBid(authority.publicKey, ethers.parseEther("99"));
+      await contract
+        .connect(bidder1)
+        .submitSealedBid(tenderId, honest.bidHash, decoy.encryptedBid, {
+          value: bidBond,
+        });
+      await submitSealedBids([{ bidder: bidder2, amount: ethers.parseEther("90") }]);
+      await time.increase(SUBMISSION_DURATION);
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+
+      // The commitment matches, so the contract accepts the post
+      await contract
+        .connect(unauthorized)
+        .postDecryptedBid(tenderId, bidder1.address, honest.bidAmount, honest.nonce);
+      expect((await contract.getBid(tenderId, bidder1.address)).isValid).to.equal(true);
+
+      // Decrypting the payload shows it holds another bid: the admin rejects it
+      const [mismatched, opened] = await sealedBids.decryptTenderBids(contract, tenderId);
+      expect(mismatched.bidAmount).to.equal(ethers.parseEther("99"));
+      expect(mismatched.matchesCommitment).to.equal(false);
+      await contract.rejectSealedBid(tenderId, bidder1.address);
+      await contract.postDecryptedBid(tenderId, opened.bidder, opened.bidAmount, opened.nonce);
+      await contract.confirmSealedBid(tenderId, bidder2.address);
+
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(bidBond);
+    });
+
+    it("Should keep the bond of a revealed sealed bid until it is checked", async function () {
+      const honest = sealedBids.sealBid(authority.publicKey, ethers.parseEther("90"));
+      const decoy = sealedBids.sealBid(authority.publicKey, ethers.parseEther("10"));
+      await contract
+        .connect(bidder1)
+        .submitSealedBid(tenderId, honest.bidHash, decoy.encryptedBid, {
+          value: bidBond,
+        });
+      await time.increase(SUBMISSION_DURATION);
+
+      // bidder1 reveals and tries to take the bond back before anyone decrypts
+      await contract.connect(bidder1).revealBid(tenderId, honest.bidAmount, honest.nonce);
+      await expect(contract.connect(bidder1).claimBidBond(tenderId)).to.be.revertedWith(
+        "Deadline not reached"
+      );
+      await time.increase(REVEAL_DURATION);
+      await expect(contract.connect(bidder1).claimBidBond(tenderId)).to.be.revertedWith(
+        "Sealed bid not checked"
+      );
+      await expect(contract.confirmSealedBid(tenderId, bidder1.address)).to.be.revertedWith(
+        "Decryption key not published"
+      );
+
+      // The late rejection still forfeits the bond
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+      await contract.rejectSealedBid(tenderId, bidder1.address);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(bidBond);
+      await expect(contract.confirmSealedBid(tenderId, bidder1.address)).to.be.revertedWith(
+        "Sealed bid rejected"
+      );
+      await expect(contract.connect(bidder1).claimBidBond(tenderId)).to.be.revertedWith(
+        "Bond not refundable"
+      );
+    });
+
+    it("Should not reject a sealed bid once it is confirmed", async function () {
+      const [bid] = await submitSealedBids([
+        { bidder: bidder1, amount: ethers.parseEther("90") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+
+      await expect(contract.confirmSealedBid(tenderId, bidder1.address)).to.be.revertedWith(
+        "Bid not revealed"
+      );
+      await contract.postDecryptedBid(tenderId, bidder1.address, bid.bidAmount, bid.nonce);
+      await expect(
+        contract.connect(unauthorized).confirmSealedBid(tenderId, bidder1.address)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await contract.confirmSealedBid(tenderId, bidder1.address);
+
+      await expect(contract.confirmSealedBid(tenderId, bidder1.address)).to.be.revertedWith(
+        "Sealed bid already confirmed"
+      );
+      await expect(contract.rejectSealedBid(tenderId, bidder1.address)).to.be.revertedWith(
+        "Sealed bid already confirmed"
+      );
+    });
+
+    it("Should only publish the matching key after the submission deadline", async function () {
+      const other = sealedBids.generateAuthorityKey();
+
+      await expect(
+        contract.publishDecryptionKey(tenderId, authority.privateKey)
+      ).to.be.revertedWith("Deadline not reached");
+
+      await time.increase(SUBMISSION_DURATION);
+
+      await expect(
+        contract.publishDecryptionKey(tenderId, other.privateKey)
+      ).to.be.revertedWith("Key does not match public key");
+      await expect(
+        contract.publishDecryptionKey(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid private key");
+      await expect(
+        contract.connect(unauthorized).publishDecryptionKey(tenderId, authority.privateKey)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      await contract.publishDecryptionKey(tenderId, authority.privateKey);
+      await expect(
+        contract.publishDecryptionKey(tenderId, authority.privateKey)
+      ).to.be.revertedWith("Decryption key already published");
+    });
+
+    it("Should keep sealed and commit-reveal submissions apart", async function () {
+      const plainTenderId = await createTender(
+        ethers.parseEther("100"),
+        [ethers.parseEther("100")],
+        bidBond
+      );
+      const bid = sealedBids.sealBid(authority.publicKey, ethers.parseEther("90"));
+
+      await expect(
+        contract.connect(bidder1).submitBid(tenderId, bid.bidHash, { value: bidBond })
+      ).to.be.revertedWith("Tender requires sealed bids");
+      await expect(
+        contract
+          .connect(bidder1)
+          .submitSealedBid(plainTenderId, bid.bidHash, bid.encryptedBid, {
+            value: bidBond,
+          })
+      ).to.be.revertedWith("Tender not using sealed bids");
+      await expect(
+        contract
+          .connect(bidder1)
+          .submitSealedBid(tenderId, bid.bidHash, "0x", { value: bidBond })
+      ).to.be.revertedWith("Encrypted bid required");
+      await expect(
+        contract.postDecryptedBid(plainTenderId, bidder1.address, 1n, "nonce")
+      ).to.be.revertedWith("Tender not using sealed bids");
+    });
+
+    it("Should validate the authority key and lock it after the first bid", async function () {
+      const compressed = ethers.SigningKey.computePublicKey(authority.publicKey, true);
+
+      await expect(
+        contract.configureSealedBidding(tenderId, compressed)
+      ).to.be.revertedWith("Invalid public key");
+      await expect(
+        contract.connect(unauthorized).configureSealedBidding(tenderId, authority.publicKey)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      const config = await contract.sealedBidConfigs(tenderId);
+      expect(config.publicKey).to.equal(authority.publicKey);
+      expect(config.keyAddress).to.equal(ethers.computeAddress(authority.publicKey));
+
+      await submitSealedBids([{ bidder: bidder1, amount: ethers.parseEther("90") }]);
+      await expect(
+        contract.configureSealedBidding(tenderId, authority.publicKey)
+      ).to.be.revertedWith("Bidding rules locked after first bid");
+    });
+
+    it("Should round-trip bids through the helper", async function () {
+      const other = sealedBids.generateAuthorityKey();
+      const payload = sealedBids.encryptBid(authority.publicKey, 42n, "secret");
+
+      expect(sealedBids.decryptBid(authority.privateKey, payload)).to.deep.equal({
+        bidAmount: 42n,
+        nonce: "secret",
+      });
+      expect(() => sealedBids.decryptBid(other.privateKey, payload)).to.throw();
+      expect(sealedBids.bidCommitment(42n, "secret")).to.equal(
+        createBidHash(42n, "secret")
+      );
+    });
+  });
+
+  describe("Bidder Registry", function () {
+    const registrationHash = ethers.keccak256(ethers.toUtf8Bytes("RC-2026-0042"));
+    const attestationHash = ethers.keccak256(ethers.toUtf8Bytes("KYC file #42"));
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("bid rigging inquiry"));
+    let applicant;
+
+    // Tries to commit a bid for the applicant on a freshly opened tender
+    async function bid() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      return contract
+        .connect(applicant)
+        .submitBid(tenderId, createBidHash(ethers.parseEther("5"), "nonce"));
+    }
+
+    async function approve(validity = REGISTRATION_VALIDITY) {
+      await contract
+        .connect(registrar)
+        .approveBidder(applicant.address, attestationHash, (await time.latest()) + validity);
+    }
+
+    beforeEach(async function () {
+      applicant = unauthorized;
+      await contract.connect(applicant).registerBidder(registrationHash, "Acme Roads SA");
+    });
+
+    it("Should only let approved applicants bid", async function () {
+      expect(await contract.getPendingApplicants()).to.deep.equal([applicant.address]);
+      await expect(bid()).to.be.revertedWith("Bidder not registered");
+
+      const validUntil = (await time.latest()) + REGISTRATION_VALIDITY;
+      await expect(
+        contract
+          .connect(registrar)
+          .approveBidder(applicant.address, attestationHash, validUntil)
+      )
+        .to.emit(contract, "BidderRegistered")
+        .withArgs(
+          applicant.address,
+          registrar.address,
+          attestationHash,
+          validUntil,
+          (await time.latest()) + 1
+        );
+
+      const profile = await contract.bidderProfiles(applicant.address);
+      expect(profile.legalName).to.equal("Acme Roads SA");
+      expect(profile.registrationNumberHash).to.equal(registrationHash);
+      expect(profile.registrar).to.equal(registrar.address);
+      expect(await contract.getPendingApplicants()).to.deep.equal([]);
+      expect(await contract.isBidderRegistered(applicant.address)).to.equal(true);
+
+      await expect(bid()).to.emit(contract, "BidSubmitted");
+    });
+
+    it("Should reject applications and free the registration number", async function () {
+      await expect(
+        contract.connect(owner).registerBidder(registrationHash, "Acme Copycat")
+      ).to.be.revertedWith("Company already registered");
+
+      await expect(
+        contract.connect(registrar).rejectBidderApplication(applicant.address, reasonHash)
+      )
+        .to.emit(contract, "BidderApplicationRejected")
+        .withArgs(applicant.address, registrar.address, reasonHash, (await time.latest()) + 1);
+
+      await contract.connect(owner).registerBidder(registrationHash, "Acme Roads SA");
+      await contract.connect(applicant).registerBidder(
+        ethers.keccak256(ethers.toUtf8Bytes("RC-2026-0043")),
+        "Acme Paving SA"
+      );
+      expect(await contract.getPendingApplicants()).to.deep.equal([
+        applicant.address,
+        owner.address,
+      ]);
+    });
+
+    it("Should block suspended bidders until the suspension ends", async function () {
+      await approve();
+      const until = (await time.latest()) + 3600;
+
+      await expect(
+        contract.connect(registrar).suspendBidder(applicant.address, reasonHash, until)
+      )
+        .to.emit(contract, "BidderSanctioned")
+        .withArgs(
+          applicant.address,
+          registrar.address,
+          3, // SUSPENDED
+          reasonHash,
+          until,
+          (await time.latest()) + 1
+        );
+      await expect(bid()).to.be.revertedWith("Bidder suspended or debarred");
+      expect(await contract.isBidderRegistered(applicant.address)).to.equal(false);
+
+      await time.increaseTo(until);
+      await expect(bid()).to.emit(contract, "BidSubmitted");
+    });
+
+    it("Should keep indefinite debarments until reinstatement", async function () {
+      await approve();
+      await contract.connect(registrar).debarBidder(applicant.address, reasonHash, 0);
+
+      await time.increase(REGISTRATION_VALIDITY / 2);
+      await expect(bid()).to.be.revertedWith("Bidder suspended or debarred");
+
+      const decisionHash = ethers.keccak256(ethers.toUtf8Bytes("appeal upheld"));
+      await expect(
+        contract.connect(registrar).reinstateBidder(applicant.address, decisionHash)
+      )
+        .to.emit(contract, "BidderReinstated")
+        .withArgs(applicant.address, registrar.address, decisionHash, (await time.latest()) + 1);
+      await expect(bid()).to.emit(contract, "BidSubmitted");
+    });
+
+    it("Should reject expired registrations until renewed", async function () {
+      await approve(3600);
+      await time.increase(3600);
+
+      await expect(bid()).to.be.revertedWith("Bidder registration expired");
+
+      await approve();
+      await expect(bid()).to.emit(contract, "BidSubmitted");
+    });
+
+    it("Should validate registry operations", async function () {
+      await expect(
+        contract.connect(applicant).registerBidder(registrationHash, "Acme Roads SA")
+      ).to.be.revertedWith("Already registered");
+      await expect(
+        contract.connect(owner).registerBidder(ethers.ZeroHash, "Nameless")
+      ).to.be.revertedWith("Registration number required");
+      await expect(
+        contract.connect(owner).registerBidder(reasonHash, "")
+      ).to.be.revertedWith("Legal name required");
+
+      await expect(
+        contract.connect(owner).approveBidder(applicant.address, attestationHash, 0)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(
+        contract.connect(registrar).approveBidder(applicant.address, ethers.ZeroHash, 0)
+      ).to.be.revertedWith("Attestation hash required");
+      await expect(
+        contract.connect(registrar).approveBidder(applicant.address, attestationHash, 0)
+      ).to.be.revertedWith("Invalid expiry");
+      await expect(
+        contract.connect(registrar).approveBidder(owner.address, attestationHash, 0)
+      ).to.be.revertedWith("No application to approve");
+
+      await expect(
+        contract.connect(registrar).suspendBidder(applicant.address, reasonHash, 0)
+      ).to.be.revertedWith("Invalid expiry");
+      await expect(
+        contract.connect(registrar).debarBidder(applicant.address, reasonHash, 0)
+      ).to.be.revertedWith("Bidder not registered");
+      await expect(
+        contract.connect(registrar).reinstateBidder(applicant.address, reasonHash)
+      ).to.be.revertedWith("Bidder not sanctioned");
+
+      await approve();
+      await expect(
+        contract.connect(registrar).debarBidder(applicant.address, ethers.ZeroHash, 0)
+      ).to.be.revertedWith("Reason hash required");
+      await expect(
+        contract.connect(registrar).rejectBidderApplication(applicant.address, reasonHash)
+      ).to.be.revertedWith("No pending application");
+    });
+
+    it("Should let lapsed or suspended bidders reveal but leave them out of the award", async function () {
+      const bidBond = ethers.parseEther("0.1");
+      await approve(SUBMISSION_DURATION / 2);
+      const tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("10")],
+        bidBond
+      );
+      const entries = [
+        { bidder: applicant, amount: ethers.parseEther("5") },
+        { bidder: bidder1, amount: ethers.parseEther("6") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+      ];
+      await commitBids(tenderId, entries);
+
+      // applicant's registration lapses and bidder1 is suspended before the reveal
+      await contract
+        .connect(registrar)
+        .suspendBidder(bidder1.address, reasonHash, (await time.latest()) + 7200);
+      await time.increase(SUBMISSION_DURATION);
+      expect(await contract.isBidderRegistered(applicant.address)).to.equal(false);
+      await revealBids(tenderId, entries);
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+      for (const { bidder } of entries.slice(0, 2)) {
+        await contract.connect(bidder).claimBidBond(tenderId);
+        expect(await contract.pendingWithdrawals(bidder.address)).to.equal(bidBond);
+      }
+    });
+  });
+
+  describe("Debarment List and Conflicts of Interest", function () {
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("fraud on tender 7"));
+    const declarationHash = ethers.keccak256(
+      ethers.toUtf8Bytes("brother-in-law is a director of bidder1")
+    );
+    const bidder1Company = () =>
+      ethers.keccak256(ethers.toUtf8Bytes(`REG-${bidder1.address}`));
+
+    // Tries to commit a bid on a freshly opened tender
+    async function bid(bidder) {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      return contract
+        .connect(bidder)
+        .submitBid(tenderId, createBidHash(ethers.parseEther("5"), "nonce"));
+    }
+
+    it("Should reject bids from debarred companies until the debarment ends", async function () {
+      const until = (await time.latest()) + 3600;
+
+      await expect(
+        contract.connect(registrar).debarCompany(bidder1Company(), reasonHash, until)
+      )
+        .to.emit(contract, "CompanyDebarred")
+        .withArgs(
+          bidder1Company(),
+          registrar.address,
+          reasonHash,
+          until,
+          (await time.latest()) + 1
+        );
+
+      expect(await contract.isCompanyDebarred(bidder1Company())).to.equal(true);
+      expect(await contract.getDebarredCompanies()).to.deep.equal([bidder1Company()]);
+      await expect(bid(bidder1)).to.be.revertedWith("Company debarred");
+      await expect(bid(bidder2)).to.emit(contract, "BidSubmitted");
+
+      await time.increaseTo(until);
+      expect(await contract.isCompanyDebarred(bidder1Company())).to.equal(false);
+      await expect(bid(bidder1)).to.emit(contract, "BidSubmitted");
+    });
+
+    it("Should follow the company to a newly registered address", async function () {
+      const companyHash = ethers.keccak256(ethers.toUtf8Bytes("RC-SHELL-1"));
+      await contract
+        .connect(registrar)
+        .debarCompany(companyHash, reasonHash, (await time.latest()) + 3600);
+
+      await contract.connect(unauthorized).registerBidder(companyHash, "Shell Co");
+      await contract
+        .connect(registrar)
+        .approveBidder(
+          unauthorized.address,
+          reasonHash,
+          (await time.latest()) + REGISTRATION_VALIDITY
+        );
+
+      await expect(bid(unauthorized)).to.be.revertedWith("Company debarred");
+    });
+
+    it("Should lift debarments early", async function () {
+      const liftHash = ethers.keccak256(ethers.toUtf8Bytes("court annulment"));
+      await contract
+        .connect(registrar)
+        .debarCompany(bidder1Company(), reasonHash, (await time.latest()) + 3600);
+
+      await expect(
+        contract.connect(registrar).liftCompanyDebarment(bidder1Company(), liftHash)
+      )
+        .to.emit(contract, "CompanyDebarmentLifted")
+        .withArgs(bidder1Company(), registrar.address, liftHash, (await time.latest()) + 1);
+
+      const debarment = await contract.companyDebarments(bidder1Company());
+      expect(debarment.reasonHash).to.equal(liftHash);
+      expect(debarment.until).to.equal(0);
+      await expect(bid(bidder1)).to.emit(contract, "BidSubmitted");
+      await expect(
+        contract.connect(registrar).liftCompanyDebarment(bidder1Company(), liftHash)
+      ).to.be.revertedWith("Company not debarred");
+    });
+
+    it("Should validate debarments", async function () {
+      const until = (await time.latest()) + 3600;
+
+      await expect(
+        contract.debarCompany(bidder1Company(), reasonHash, until)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(
+        contract.connect(registrar).debarCompany(ethers.ZeroHash, reasonHash, until)
+      ).to.be.revertedWith("Registration number required");
+      await expect(
+        contract.connect(registrar).debarCompany(bidder1Company(), ethers.ZeroHash, until)
+      ).to.be.revertedWith("Reason hash required");
+      await expect(
+        contract.connect(registrar).debarCompany(bidder1Company(), reasonHash, 0)
+      ).to.be.revertedWith("Invalid expiry");
+    });
+
+    it("Should recuse an evaluator who declared a conflict", async function () {
+      const [, , , , , , , evaluator1, evaluator2] = await ethers.getSigners();
+      const EVALUATOR_ROLE = await contract.EVALUATOR_ROLE();
+      await contract.grantRole(EVALUATOR_ROLE, evaluator1.address);
+      await contract.grantRole(EVALUATOR_ROLE, evaluator2.address);
+
+      const tenderId = await createTender(ethers.parseEther("100"), [
+        ethers.parseEther("100"),
+      ]);
+      await contract.configureWeightedEvaluation(tenderId, 5000);
+
+      await expect(
+        contract.connect(evaluator1).declareConflictOfInterest(tenderId, declarationHash)
+      )
+        .to.emit(contract, "ConflictOfInterestDeclared")
+        .withArgs(tenderId, evaluator1.address, declarationHash, (await time.latest()) + 1);
+
+      const bidEntries = [{ bidder: bidder1, amount: ethers.parseEther("90") }];
+      await commitBids(tenderId, bidEntries);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, bidEntries);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(
+        contract.connect(evaluator1).submitTechnicalScore(tenderId, bidder1.address, 80)
+      ).to.be.revertedWith("Conflict of interest declared");
+      await contract
+        .connect(evaluator2)
+        .submitTechnicalScore(tenderId, bidder1.address, 80);
+
+      await expect(
+        contract.connect(evaluator1).declareConflictOfInterest(tenderId, declarationHash)
+      ).to.be.revertedWith("Conflict already declared");
+    });
+
+    it("Should recuse an auditor who declared a conflict", async function () {
+      const amount = ethers.parseEther("10");
+      const tenderId = await createTender(amount, [amount]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount }]);
+      await contract.connect(treasurer).fundTender(tenderId, { value: amount });
+      await claimMilestone(tenderId, 0);
+
+      await contract.connect(auditor).declareConflictOfInterest(tenderId, declarationHash);
+      expect(await contract.conflictDeclarations(tenderId, auditor.address)).to.equal(
+        declarationHash
+      );
+
+      const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("inspection"));
+      await expect(
+        contract.connect(auditor).approveMilestone(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Conflict of interest declared");
+      await expect(
+        contract.connect(auditor).rejectMilestoneClaim(tenderId, 0, evidenceHash)
+      ).to.be.revertedWith("Conflict of interest declared");
+    });
+
+    it("Should only accept declarations from evaluators, auditors and arbitrators", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+
+      await expect(
+        contract.connect(bidder1).declareConflictOfInterest(tenderId, declarationHash)
+      ).to.be.revertedWith("Only evaluators, auditors and arbitrators can declare");
+      await expect(
+        contract.connect(auditor).declareConflictOfInterest(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Declaration hash required");
+      await expect(
+        contract.connect(auditor).declareConflictOfInterest(999, declarationHash)
+      ).to.be.revertedWith("Tender does not exist");
+    });
+  });
+
+  describe("Consortium Bids", function () {
+    // Helper function to propose a consortium led by the first member
+    function registerConsortium(tenderId, members, shares) {
+      return contract
+        .connect(members[0])
+        .registerConsortium(
+          tenderId,
+          members.map((member) => member.address),
+          shares
+        );
+    }
+
+    // Helper function to propose a consortium and have every member accept it
+    async function formConsortium(tenderId, members, shares) {
+      await registerConsortium(tenderId, members, shares);
+      for (const member of members.slice(1)) {
+        await contract.connect(member).acceptConsortium(tenderId, members[0].address);
+      }
+    }
+
+    // Helper function for the consortium lead to win and get every milestone paid
+    async function winAndPayMilestones(tenderId, lead, amount) {
+      await runAuction(tenderId, [{ bidder: lead, amount }]);
+      await contract.connect(treasurer).fundTender(tenderId, { value: amount });
+      const count = await contract.getMilestoneCount(tenderId);
+      for (let i = 0; i < count; i++) {
+        await approveMilestone(tenderId, i);
+        await contract.releaseMilestonePayment(tenderId, i);
+      }
+    }
+
+    it("Should split every milestone payout across members", async function () {
+      const amount = ethers.parseEther("10");
+      const tenderId = await createTender(amount, [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+
+      await expect(registerConsortium(tenderId, [bidder1, bidder2], [6000, 4000]))
+        .to.emit(contract, "ConsortiumRegistered")
+        .withArgs(tenderId, bidder1.address, [bidder1.address, bidder2.address], [
+          6000, 4000,
+        ]);
+
+      const [members, shares] = await contract.getConsortium(tenderId, bidder1.address);
+      expect(members).to.deep.equal([bidder1.address, bidder2.address]);
+      expect(shares).to.deep.equal([6000n, 4000n]);
+      expect(await contract.consortiumLeads(tenderId, bidder2.address)).to.equal(
+        ethers.ZeroAddress
+      );
+
+      await expect(contract.connect(bidder2).acceptConsortium(tenderId, bidder1.address))
+        .to.emit(contract, "ConsortiumMemberAccepted")
+        .withArgs(tenderId, bidder1.address, bidder2.address);
+      expect(await contract.consortiumLeads(tenderId, bidder2.address)).to.equal(
+        bidder1.address
+      );
+
+      await winAndPayMilestones(tenderId, bidder1, amount);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("6")
+      );
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(
+        ethers.parseEther("4")
+      );
+      await expect(contract.connect(bidder2).withdraw()).to.changeEtherBalance(
+        bidder2,
+        ethers.parseEther("4")
+      );
+    });
+
+    it("Should give the rounding dust to the lead", async function () {
+      const tenderId = await createTender(100n, [100n]);
+      await formConsortium(tenderId, [bidder1, bidder2, bidder3], [3334, 3333, 3333]);
+
+      await winAndPayMilestones(tenderId, bidder1, 100n);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(34n);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(33n);
+      expect(await contract.pendingWithdrawals(bidder3.address)).to.equal(33n);
+    });
+
+    it("Should pay the other members when one receiver reverts", async function () {
+      const RevertingRecipient = await ethers.getContractFactory("RevertingRecipient");
+      const recipient = await RevertingRecipient.deploy(await contract.getAddress());
+      await recipient.waitForDeployment();
+      const recipientAddress = await recipient.getAddress();
+      await recipient.forward(
+        contract.interface.encodeFunctionData("registerBidder", [
+          ethers.keccak256(ethers.toUtf8Bytes("REG-reverting")),
+          "Reverting Partner Ltd",
+        ])
+      );
+      await contract
+        .connect(registrar)
+        .approveBidder(
+          recipientAddress,
+          ethers.keccak256(ethers.toUtf8Bytes("KYC reverting")),
+          (await time.latest()) + REGISTRATION_VALIDITY
+        );
+
+      const amount = ethers.parseEther("10");
+      const tenderId = await createTender(amount, [amount]);
+      await contract
+        .connect(bidder1)
+        .registerConsortium(tenderId, [bidder1.address, recipientAddress], [7000, 3000]);
+      await recipient.forward(
+        contract.interface.encodeFunctionData("acceptConsortium", [
+          tenderId,
+          bidder1.address,
+        ])
+      );
+
+      await winAndPayMilestones(tenderId, bidder1, amount);
+
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(4); // COMPLETED
+      await expect(contract.connect(bidder1).withdraw()).to.changeEtherBalance(
+        bidder1,
+        ethers.parseEther("7")
+      );
+      await expect(
+        recipient.forward(contract.interface.encodeFunctionData("withdraw"))
+      ).to.be.revertedWith("Withdrawal failed");
+      expect(await contract.pendingWithdrawals(recipientAddress)).to.equal(
+        ethers.parseEther("3")
+      );
+    });
+
+    it("Should stop members from bidding on their own", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await formConsortium(tenderId, [bidder1, bidder2], [5000, 5000]);
+
+      await expect(
+        commitBids(tenderId, [{ bidder: bidder2, amount: ethers.parseEther("9") }])
+      ).to.be.revertedWith("Member of a consortium bid");
+      await expect(
+        registerConsortium(tenderId, [bidder3, bidder2], [5000, 5000])
+      ).to.be.revertedWith("Member already in a consortium");
+
+      // The lead can reshape its consortium until it commits
+      await formConsortium(tenderId, [bidder1, bidder3], [5000, 5000]);
+      expect(await contract.consortiumLeads(tenderId, bidder2.address)).to.equal(
+        ethers.ZeroAddress
+      );
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("9") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+      ]);
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder3], [6000, 4000])
+      ).to.be.revertedWith("Bid already submitted");
+    });
+
+    it("Should validate consortium composition", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+
+      await expect(
+        registerConsortium(tenderId, [bidder1], [10000])
+      ).to.be.revertedWith("Invalid consortium size");
+      await expect(
+        contract.connect(bidder1).registerConsortium(tenderId, [bidder1.address], [])
+      ).to.be.revertedWith("Consortium arrays length mismatch");
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder2], [6000, 3000])
+      ).to.be.revertedWith("Shares must total 100%");
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder2], [10000, 0])
+      ).to.be.revertedWith("Invalid member share");
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder1], [5000, 5000])
+      ).to.be.revertedWith("Duplicate consortium member");
+      await expect(
+        registerConsortium(tenderId, [bidder1, unauthorized], [5000, 5000])
+      ).to.be.revertedWith("Consortium member not registered");
+      await expect(
+        contract
+          .connect(bidder1)
+          .registerConsortium(tenderId, [bidder2.address, bidder3.address], [5000, 5000])
+      ).to.be.revertedWith("Lead must be a consortium member");
+
+      await commitBids(tenderId, [{ bidder: bidder3, amount: ethers.parseEther("9") }]);
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder3], [5000, 5000])
+      ).to.be.revertedWith("Consortium member already bidding");
+
+      await contract
+        .connect(registrar)
+        .debarCompany(
+          ethers.keccak256(ethers.toUtf8Bytes(`REG-${bidder2.address}`)),
+          ethers.keccak256(ethers.toUtf8Bytes("fraud")),
+          (await time.latest()) + 3600
+        );
+      await expect(
+        registerConsortium(tenderId, [bidder1, bidder2], [5000, 5000])
+      ).to.be.revertedWith("Consortium member debarred");
+    });
+
+    it("Should let a listed bidder that never accepts bid on its own", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await registerConsortium(tenderId, [bidder1, bidder2], [5000, 5000]);
+
+      // The lead cannot bid for a consortium its members have not accepted
+      await expect(
+        commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("9") }])
+      ).to.be.revertedWith("Consortium member has not accepted");
+      await expect(
+        contract.connect(bidder3).acceptConsortium(tenderId, bidder1.address)
+      ).to.be.revertedWith("Not proposed for this consortium");
+
+      await commitBids(tenderId, [{ bidder: bidder2, amount: ethers.parseEther("8") }]);
+      expect((await contract.getBid(tenderId, bidder2.address)).commitHash).to.not.equal(
+        ethers.ZeroHash
+      );
+      await expect(
+        contract.connect(bidder2).acceptConsortium(tenderId, bidder1.address)
+      ).to.be.revertedWith("Consortium member already bidding");
+    });
+
+    it("Should let members leave until the lead commits", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await formConsortium(tenderId, [bidder1, bidder2, bidder3], [4000, 3000, 3000]);
+
+      await expect(contract.connect(bidder2).leaveConsortium(tenderId))
+        .to.emit(contract, "ConsortiumMemberLeft")
+        .withArgs(tenderId, bidder1.address, bidder2.address);
+      expect(await contract.consortiumLeads(tenderId, bidder2.address)).to.equal(
+        ethers.ZeroAddress
+      );
+      await expect(
+        commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("9") }])
+      ).to.be.revertedWith("Consortium member has not accepted");
+      await expect(contract.connect(bidder1).leaveConsortium(tenderId)).to.be.revertedWith(
+        "Not a consortium member"
+      );
+
+      // Once the lead has committed, the remaining members are bound
+      await formConsortium(tenderId, [bidder1, bidder3], [5000, 5000]);
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("9") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+      ]);
+      await expect(contract.connect(bidder3).leaveConsortium(tenderId)).to.be.revertedWith(
+        "Consortium bid already submitted"
+      );
+    });
+  });
+
+  describe("Lots", function () {
+    // Helper function to add a lot and return its tender ID
+    async function addLot(tenderId, maxBudget, milestoneAmounts) {
+      const descriptions = milestoneAmounts.map((_, i) => `Lot phase ${i + 1}`);
+      const tx = await contract.addLot(
+        tenderId,
+        "Lot 2: Street Lighting",
+        "Install 200 street lights",
+        maxBudget,
+        descriptions,
+        milestoneAmounts,
+        milestoneAmounts.map(() => 0)
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LotAdded");
+      return event.args.lotTenderId;
+    }
+
+    it("Should award, fund and pay each lot independently", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      const lotBudget = ethers.parseEther("4");
+      const tx = contract.addLot(
+        tenderId,
+        "Lot 2: Street Lighting",
+        "Install 200 street lights",
+        lotBudget,
+        ["Lights installed"],
+        [lotBudget],
+        [0]
+      );
+      await expect(tx)
+        .to.emit(contract, "LotAdded")
+        .withArgs(tenderId, tenderId + 1n, 2);
+      const lotId = tenderId + 1n;
+
+      expect(await contract.getLots(tenderId)).to.deep.equal([tenderId, lotId]);
+      expect(await contract.getLots(lotId)).to.deep.equal([tenderId, lotId]);
+      expect(await contract.parentTenders(lotId)).to.equal(tenderId);
+      expect(await contract.parentTenders(tenderId)).to.equal(0);
+
+      const parent = await contract.getTenderDetails(tenderId);
+      const lot = await contract.getTenderDetails(lotId);
+      expect(lot.maxBudget).to.equal(lotBudget);
+      expect(lot.submissionDeadline).to.equal(parent.submissionDeadline);
+      expect(lot.revealDeadline).to.equal(parent.revealDeadline);
+
+      const lot1Bids = [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+        { bidder: bidder2, amount: ethers.parseEther("9") },
+      ];
+      const lot2Bids = [
+        { bidder: bidder2, amount: ethers.parseEther("3") },
+        { bidder: bidder3, amount: ethers.parseEther("3.5") },
+      ];
+      await commitBids(tenderId, lot1Bids);
+      await commitBids(lotId, lot2Bids);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, lot1Bids);
+      await revealBids(lotId, lot2Bids);
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+      await contract.selectWinner(lotId);
+
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder1.address);
+      expect((await contract.getTenderDetails(lotId)).winner).to.equal(bidder2.address);
+      const [, lotBidAmount] = await contract.getBid(lotId, bidder2.address);
+      expect(lotBidAmount).to.equal(ethers.parseEther("3"));
+
+      await contract
+        .connect(treasurer)
+        .fundTender(lotId, { value: ethers.parseEther("3") });
+      await approveMilestone(lotId, 0);
+      await contract.releaseMilestonePayment(lotId, 0);
+
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(
+        ethers.parseEther("3")
+      );
+      expect((await contract.getTenderDetails(tenderId)).fundedAmount).to.equal(0);
+    });
+
+    it("Should extend deadlines on the parent and its open lots", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      const lotId = await addLot(tenderId, 100n, [100n]);
+      const { submissionDeadline, revealDeadline } = await contract.getTenderDetails(
+        tenderId
+      );
+
+      await expect(
+        contract.extendDeadlines(lotId, submissionDeadline + 60n, revealDeadline + 60n)
+      ).to.be.revertedWith("Deadlines are set on the parent tender");
+
+      await expect(
+        contract.extendDeadlines(tenderId, submissionDeadline + 60n, revealDeadline + 60n)
+      )
+        .to.emit(contract, "DeadlinesExtended")
+        .withArgs(lotId, submissionDeadline + 60n, revealDeadline + 60n, (await time.latest()) + 1);
+
+      const lot = await contract.getTenderDetails(lotId);
+      expect(lot.submissionDeadline).to.equal(submissionDeadline + 60n);
+      expect(lot.revealDeadline).to.equal(revealDeadline + 60n);
+    });
+
+    it("Should validate lots", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      const lotId = await addLot(tenderId, 100n, [100n]);
+
+      await expect(addLot(lotId, 100n, [100n])).to.be.revertedWith(
+        "Lots cannot have lots"
+      );
+      await expect(addLot(tenderId, 100n, [60n])).to.be.revertedWith(
+        "Total milestones must equal maxBudget"
+      );
+      await expect(
+        contract
+          .connect(unauthorized)
+          .addLot(tenderId, "Lot", "Lot", 100n, ["Phase 1"], [100n], [0])
+      ).to.be.reverted;
+
+      await time.increase(SUBMISSION_DURATION);
+      await expect(addLot(tenderId, 100n, [100n])).to.be.revertedWith(
+        "Deadline has passed"
+      );
+    });
+  });
+
+  describe("Framework Agreements", function () {
+    const CEILING = ethers.parseEther("10");
+    const FRAMEWORK_DURATION = 30 * 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("order withdrawn"));
+
+    // Helper function to award a two-supplier framework on three bids
+    async function awardFramework() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await contract.configureFramework(tenderId, 2, CEILING, FRAMEWORK_DURATION);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+        { bidder: bidder3, amount: ethers.parseEther("9") },
+      ]);
+      return tenderId;
+    }
+
+    // Helper function to issue a call-off and return its tender ID
+    async function issueCallOff(frameworkId, supplier, milestoneAmounts) {
+      const descriptions = milestoneAmounts.map((_, i) => `Delivery ${i + 1}`);
+      const tx = await contract.issueCallOff(
+        frameworkId,
+        supplier.address,
+        "Call-off: 500 tonnes of asphalt",
+        "Deliver to depot",
+        descriptions,
+        milestoneAmounts,
+        milestoneAmounts.map(() => 0)
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "CallOffIssued");
+      return event.args.callOffId;
+    }
+
+    it("Should admit the top-ranked bidders to the framework", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await expect(contract.configureFramework(tenderId, 2, CEILING, FRAMEWORK_DURATION))
+        .to.emit(contract, "FrameworkConfigured")
+        .withArgs(tenderId, 2, CEILING, FRAMEWORK_DURATION);
+
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+        { bidder: bidder3, amount: ethers.parseEther("9") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("8") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+        { bidder: bidder3, amount: ethers.parseEther("9") },
+      ]);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(contract.selectWinner(tenderId))
+        .to.emit(contract, "FrameworkAwarded")
+        .withArgs(
+          tenderId,
+          [bidder2.address, bidder1.address],
+          (await time.latest()) + 1 + FRAMEWORK_DURATION,
+          (await time.latest()) + 1
+        );
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(6); // FRAMEWORK_ACTIVE
+      expect(details.winner).to.equal(bidder2.address);
+      expect(await contract.getFrameworkSuppliers(tenderId)).to.deep.equal([
+        bidder2.address,
+        bidder1.address,
+      ]);
+      expect(await contract.isFrameworkSupplier(tenderId, bidder3.address)).to.equal(false);
+
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId, { value: ethers.parseEther("7") })
+      ).to.be.revertedWith("Invalid tender phase");
+    });
+
+    it("Should fund and pay call-offs like tenders", async function () {
+      const frameworkId = await awardFramework();
+      const callOffId = await issueCallOff(frameworkId, bidder1, [
+        ethers.parseEther("2"),
+        ethers.parseEther("1"),
+      ]);
+
+      expect(await contract.getCallOffs(frameworkId)).to.deep.equal([callOffId]);
+      expect(await contract.callOffFrameworks(callOffId)).to.equal(frameworkId);
+      const { calledOffValue } = await contract.frameworkAgreements(frameworkId);
+      expect(calledOffValue).to.equal(ethers.parseEther("3"));
+
+      const details = await contract.getTenderDetails(callOffId);
+      expect(details.phase).to.equal(3); // PAYMENT_PENDING
+      expect(details.winner).to.equal(bidder1.address);
+      expect(details.maxBudget).to.equal(ethers.parseEther("3"));
+
+      await contract
+        .connect(treasurer)
+        .fundTender(callOffId, { value: ethers.parseEther("3") });
+      await approveMilestone(callOffId, 0);
+      await contract.releaseMilestonePayment(callOffId, 0);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("2")
+      );
+    });
+
+    it("Should enforce suppliers, ceiling and expiry", async function () {
+      const frameworkId = await awardFramework();
+
+      await expect(
+        issueCallOff(frameworkId, bidder3, [ethers.parseEther("1")])
+      ).to.be.revertedWith("Supplier not in framework");
+
+      const callOffId = await issueCallOff(frameworkId, bidder2, [ethers.parseEther("6")]);
+      await expect(
+        issueCallOff(frameworkId, bidder1, [ethers.parseEther("5")])
+      ).to.be.revertedWith("Framework ceiling exceeded");
+
+      // Cancelling a call-off releases its value
+      await contract.cancelTender(callOffId, reasonHash);
+      await expect(contract.retender(callOffId, 3600, 1800)).to.be.revertedWith(
+        "Call-offs cannot be re-tendered"
+      );
+      const fullCallOffId = await issueCallOff(frameworkId, bidder1, [
+        ethers.parseEther("10"),
+      ]);
+      await contract.cancelTender(fullCallOffId, reasonHash);
+
+      // Suppliers must still be eligible bidders
+      await contract
+        .connect(registrar)
+        .suspendBidder(bidder1.address, reasonHash, (await time.latest()) + 3600);
+      await expect(
+        issueCallOff(frameworkId, bidder1, [ethers.parseEther("1")])
+      ).to.be.revertedWith("Supplier not eligible");
+
+      await time.increase(FRAMEWORK_DURATION);
+      await expect(
+        issueCallOff(frameworkId, bidder2, [ethers.parseEther("1")])
+      ).to.be.revertedWith("Framework expired");
+    });
+
+    it("Should release the undelivered value of a terminated call-off", async function () {
+      const frameworkId = await awardFramework();
+      const callOffId = await issueCallOff(frameworkId, bidder1, [
+        ethers.parseEther("2"),
+        ethers.parseEther("4"),
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(callOffId, { value: ethers.parseEther("6") });
+      await approveMilestone(callOffId, 0);
+      await contract.releaseMilestonePayment(callOffId, 0);
+
+      await contract.terminateForDefault(callOffId, reasonHash);
+      const { calledOffValue } = await contract.frameworkAgreements(frameworkId);
+      expect(calledOffValue).to.equal(ethers.parseEther("2"));
+
+      await issueCallOff(frameworkId, bidder2, [ethers.parseEther("8")]);
+      await expect(
+        issueCallOff(frameworkId, bidder2, [ethers.parseEther("1")])
+      ).to.be.revertedWith("Framework ceiling exceeded");
+    });
+
+    it("Should charge call-off change orders to the framework ceiling", async function () {
+      const justificationHash = ethers.keccak256(ethers.toUtf8Bytes("extra depot"));
+      const reprice = (signer, callOffId, amount) =>
+        contract
+          .connect(signer)
+          .proposeChangeOrder(callOffId, [1], [amount], [], [], justificationHash);
+      const calledOff = async (frameworkId) =>
+        (await contract.frameworkAgreements(frameworkId)).calledOffValue;
+
+      const frameworkId = await awardFramework();
+      const callOffId = await issueCallOff(frameworkId, bidder1, [
+        ethers.parseEther("4"),
+        ethers.parseEther("4"),
+      ]);
+      await issueCallOff(frameworkId, bidder2, [ethers.parseEther("1.5")]);
+
+      // Within the 15% variation cap, but past the framework ceiling
+      await expect(reprice(owner, callOffId, ethers.parseEther("5"))).to.be.revertedWith(
+        "Framework ceiling exceeded"
+      );
+
+      // Headroom taken by another call-off before approval is re-checked
+      await reprice(owner, callOffId, ethers.parseEther("4.5"));
+      const otherId = await issueCallOff(frameworkId, bidder2, [ethers.parseEther("0.5")]);
+      await expect(
+        contract.connect(bidder1).approveChangeOrder(callOffId, 0)
+      ).to.be.revertedWith("Framework ceiling exceeded");
+      await contract.cancelTender(otherId, reasonHash);
+      await contract.connect(bidder1).approveChangeOrder(callOffId, 0);
+      expect(await calledOff(frameworkId)).to.equal(ethers.parseEther("10"));
+
+      // A reduction gives value back, and cancellation releases the amended value
+      await reprice(bidder1, callOffId, ethers.parseEther("3.5"));
+      await contract.approveChangeOrder(callOffId, 1);
+      expect(await calledOff(frameworkId)).to.equal(ethers.parseEther("9"));
+      await contract.cancelTender(callOffId, reasonHash);
+      expect(await calledOff(frameworkId)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should validate framework settings", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+
+      await expect(
+        contract.configureFramework(tenderId, 0, CEILING, FRAMEWORK_DURATION)
+      ).to.be.revertedWith("Invalid supplier count");
+      await expect(
+        contract.configureFramework(tenderId, 11, CEILING, FRAMEWORK_DURATION)
+      ).to.be.revertedWith("Invalid supplier count");
+      await expect(
+        contract.configureFramework(tenderId, 2, 0, FRAMEWORK_DURATION)
+      ).to.be.revertedWith("Ceiling value required");
+      await expect(contract.configureFramework(tenderId, 2, CEILING, 0)).to.be.revertedWith(
+        "Framework duration required"
+      );
+      await expect(
+        contract
+          .connect(unauthorized)
+          .configureFramework(tenderId, 2, CEILING, FRAMEWORK_DURATION)
+      ).to.be.reverted;
+
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("8") }]);
+      await expect(
+        contract.configureFramework(tenderId, 2, CEILING, FRAMEWORK_DURATION)
+      ).to.be.revertedWith("Bidding rules locked after first bid");
+    });
+  });
+
+  describe("Change Orders", function () {
+    const justificationHash = ethers.keccak256(ethers.toUtf8Bytes("site survey"));
+
+    // Helper function to award a 10 ETH tender with milestones of 4 and 6 ETH
+    async function awardTender() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      return tenderId;
+    }
+
+    function propose(signer, tenderId, indexes, amounts, added = [], addedAmounts = []) {
+      return contract
+        .connect(signer)
+        .proposeChangeOrder(tenderId, indexes, amounts, added, addedAmounts, justificationHash);
+    }
+
+    it("Should apply a change order once both parties sign", async function () {
+      const tenderId = await awardTender();
+
+      await expect(
+        propose(owner, tenderId, [1], [ethers.parseEther("5")], ["Drainage"], [
+          ethers.parseEther("2"),
+        ])
+      )
+        .to.emit(contract, "ChangeOrderProposed")
+        .withArgs(
+          tenderId,
+          0,
+          owner.address,
+          ethers.parseEther("11"),
+          justificationHash,
+          (await time.latest()) + 1
+        );
+
+      // The proposing side cannot approve its own change
+      await expect(contract.approveChangeOrder(tenderId, 0)).to.be.revertedWith(
+        "Already approved by this party"
+      );
+      await expect(
+        contract.connect(bidder2).approveChangeOrder(tenderId, 0)
+      ).to.be.revertedWith("Only the authority or the winner");
+
+      await expect(contract.connect(bidder1).approveChangeOrder(tenderId, 0))
+        .to.emit(contract, "ChangeOrderApproved")
+        .withArgs(
+          tenderId,
+          0,
+          bidder1.address,
+          ethers.parseEther("10"),
+          ethers.parseEther("11"),
+          (await time.latest()) + 1
+        );
+
+      expect(await contract.getMilestoneCount(tenderId)).to.equal(3);
+      const [description, amount, , , payoutAmount] = await contract.getMilestone(tenderId, 2);
+      expect(description).to.equal("Drainage");
+      expect(amount).to.equal(0);
+      expect(payoutAmount).to.equal(ethers.parseEther("2"));
+
+      const changeOrder = await contract.getChangeOrder(tenderId, 0);
+      expect(changeOrder.status).to.equal(1); // APPROVED
+      expect(changeOrder.authorityApproved).to.equal(true);
+      expect(changeOrder.winnerApproved).to.equal(true);
+      expect(changeOrder.milestoneIndexes).to.deep.equal([1n]);
+      expect(changeOrder.addedDescriptions).to.deep.equal(["Drainage"]);
+      expect(await contract.getChangeOrderCount(tenderId)).to.equal(1);
+
+      // Funding covers the amended value
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId, { value: ethers.parseEther("10") })
+      ).to.be.revertedWith("Must fund exact winning bid amount");
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("11") });
+      const [awardedValue, currentValue, topUpDue] = await contract.getContractValue(tenderId);
+      expect(awardedValue).to.equal(ethers.parseEther("10"));
+      expect(currentValue).to.equal(ethers.parseEther("11"));
+      expect(topUpDue).to.equal(0);
+    });
+
+    it("Should top up an increase and release a reduction", async function () {
+      const tenderId = await awardTender();
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+
+      // Winner proposes extra work, the authority signs
+      await propose(bidder1, tenderId, [], [], ["Extra lane"], [ethers.parseEther("1")]);
+      await contract.approveChangeOrder(tenderId, 0);
+      expect((await contract.getContractValue(tenderId)).topUpDue).to.equal(
+        ethers.parseEther("1")
+      );
+
+      await approveMilestone(tenderId, 2);
+      await expect(contract.releaseMilestonePayment(tenderId, 2)).to.emit(
+        contract,
+        "MilestonePaymentReleased"
+      );
+      await approveMilestone(tenderId, 0);
+      await approveMilestone(tenderId, 1);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      await expect(contract.releaseMilestonePayment(tenderId, 1)).to.be.revertedWith(
+        "Top-up required"
+      );
+
+      await expect(
+        contract.connect(treasurer).topUpFunding(tenderId, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Must fund exact top-up amount");
+      await expect(
+        contract.connect(treasurer).topUpFunding(tenderId, { value: ethers.parseEther("1") })
+      )
+        .to.emit(contract, "FundingToppedUp")
+        .withArgs(tenderId, ethers.parseEther("1"), (await time.latest()) + 1);
+      await contract.releaseMilestonePayment(tenderId, 1);
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(4); // COMPLETED
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("11")
+      );
+    });
+
+    it("Should remove milestones and refund the freed escrow", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("9"),
+        ethers.parseEther("1"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+
+      await expect(
+        propose(owner, tenderId, [0], [ethers.parseEther("8")])
+      ).to.be.revertedWith("Milestone cannot be changed");
+
+      await propose(owner, tenderId, [1], [0]);
+      await expect(contract.connect(bidder1).approveChangeOrder(tenderId, 0))
+        .to.emit(contract, "FundingReleased")
+        .withArgs(tenderId, ethers.parseEther("1"), (await time.latest()) + 1)
+        .and.to.emit(contract, "TenderCompleted");
+
+      const [status] = await contract.getMilestoneClaim(tenderId, 1);
+      expect(status).to.equal(5); // REMOVED
+      expect(await contract.removedMilestoneCounts(tenderId)).to.equal(1);
+      expect(await contract.pendingWithdrawals(await contract.treasury())).to.equal(
+        ethers.parseEther("1")
+      );
+    });
+
+    it("Should enforce the variation cap and change-order rules", async function () {
+      const tenderId = await awardTender();
+
+      await expect(
+        propose(owner, tenderId, [1], [ethers.parseEther("7.6")])
+      ).to.be.revertedWith("Change exceeds contract variation cap");
+      await expect(
+        propose(owner, tenderId, [0], [ethers.parseEther("2.4")])
+      ).to.be.revertedWith("Change exceeds contract variation cap");
+      await expect(propose(owner, tenderId, [], [])).to.be.revertedWith("Empty change order");
+      await expect(
+        propose(owner, tenderId, [1, 0], [ethers.parseEther("6"), ethers.parseEther("4")])
+      ).to.be.revertedWith("Milestone indexes must be increasing");
+      await expect(
+        propose(unauthorized, tenderId, [1], [ethers.parseEther("6.5")])
+      ).to.be.revertedWith("Only the authority or the winner");
+
+      // Cumulative: two +10% changes cannot both pass
+      await propose(owner, tenderId, [1], [ethers.parseEther("7")]);
+      await propose(owner, tenderId, [0], [ethers.parseEther("5")]);
+      await contract.connect(bidder1).approveChangeOrder(tenderId, 0);
+      await expect(
+        contract.connect(bidder1).approveChangeOrder(tenderId, 1)
+      ).to.be.revertedWith("Change exceeds contract variation cap");
+
+      await expect(contract.connect(bidder1).rejectChangeOrder(tenderId, 1))
+        .to.emit(contract, "ChangeOrderRejected")
+        .withArgs(tenderId, 1, bidder1.address, (await time.latest()) + 1);
+      await expect(
+        contract.connect(bidder1).approveChangeOrder(tenderId, 1)
+      ).to.be.revertedWith("Change order not pending");
+
+      await expect(
+        contract.connect(treasurer).topUpFunding(tenderId, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Tender not funded");
+    });
+  });
+
+  describe("Retention and Performance Bonds", function () {
+    const DEFECTS_PERIOD = 30 * 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("defect report"));
+
+    // Helper function to award a 10 ETH tender with 5% retention and a 10% bond
+    async function awardTender() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await expect(contract.configureGuarantees(tenderId, 500, 1000, DEFECTS_PERIOD))
+        .to.emit(contract, "GuaranteesConfigured")
+        .withArgs(tenderId, 500, 1000, DEFECTS_PERIOD);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      return tenderId;
+    }
+
+    it("Should withhold retention and release it after the defects period", async function () {
+      const tenderId = await awardTender();
+
+      await expect(claimMilestone(tenderId, 0)).to.be.revertedWith(
+        "Performance bond not deposited"
+      );
+      await expect(
+        contract
+          .connect(bidder1)
+          .depositPerformanceBond(tenderId, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Must deposit exact bond amount");
+      await expect(
+        contract
+          .connect(bidder1)
+          .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") })
+      )
+        .to.emit(contract, "PerformanceBondDeposited")
+        .withArgs(tenderId, bidder1.address, ethers.parseEther("1"), (await time.latest()) + 1);
+
+      await approveMilestone(tenderId, 0);
+      await expect(contract.releaseMilestonePayment(tenderId, 0))
+        .to.emit(contract, "RetentionWithheld")
+        .withArgs(tenderId, 0, ethers.parseEther("0.2"), (await time.latest()) + 1)
+        .and.to.emit(contract, "MilestonePaymentReleased")
+        .withArgs(
+          tenderId,
+          0,
+          bidder1.address,
+          ethers.parseEther("3.8"),
+          (await time.latest()) + 1
+        );
+      await approveMilestone(tenderId, 1);
+      await contract.releaseMilestonePayment(tenderId, 1);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("9.5")
+      );
+      const held = await contract.guarantees(tenderId);
+      expect(held.retentionHeld).to.equal(ethers.parseEther("0.5"));
+      expect(held.performanceBond).to.equal(ethers.parseEther("1"));
+
+      await expect(contract.releaseGuarantees(tenderId)).to.be.revertedWith(
+        "Defects liability period not over"
+      );
+      await time.increase(DEFECTS_PERIOD);
+      await expect(contract.connect(unauthorized).releaseGuarantees(tenderId))
+        .to.emit(contract, "GuaranteesReleased")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          ethers.parseEther("0.5"),
+          ethers.parseEther("1"),
+          (await time.latest()) + 1
+        );
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("11")
+      );
+      await expect(contract.releaseGuarantees(tenderId)).to.be.revertedWith(
+        "Nothing to release"
+      );
+    });
+
+    it("Should let the authority forfeit guarantees with a reason", async function () {
+      const tenderId = await awardTender();
+      await contract
+        .connect(bidder1)
+        .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      await expect(
+        contract.forfeitGuarantees(tenderId, true, true, reasonHash)
+      ).to.be.revertedWith("Not in defects liability period");
+      await approveMilestone(tenderId, 1);
+      await contract.releaseMilestonePayment(tenderId, 1);
+
+      await expect(
+        contract.connect(unauthorized).forfeitGuarantees(tenderId, true, true, reasonHash)
+      ).to.be.reverted;
+      await expect(
+        contract.forfeitGuarantees(tenderId, true, true, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason hash required");
+
+      await expect(contract.forfeitGuarantees(tenderId, false, true, reasonHash))
+        .to.emit(contract, "GuaranteeForfeited")
+        .withArgs(tenderId, 0, ethers.parseEther("1"), reasonHash, (await time.latest()) + 1);
+      await contract.forfeitGuarantees(tenderId, true, false, reasonHash);
+
+      const held = await contract.guarantees(tenderId);
+      expect(held.retentionHeld).to.equal(0);
+      expect(held.performanceBond).to.equal(0);
+      expect(held.forfeitReasonHash).to.equal(reasonHash);
+      expect(await contract.pendingWithdrawals(await contract.treasury())).to.equal(
+        ethers.parseEther("1.5")
+      );
+      await expect(
+        contract.forfeitGuarantees(tenderId, true, true, reasonHash)
+      ).to.be.revertedWith("Nothing to forfeit");
+    });
+
+    it("Should not forfeit guarantees once the defects-liability period is over", async function () {
+      const tenderId = await awardTender();
+      await contract
+        .connect(bidder1)
+        .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      await approveMilestone(tenderId, 1);
+      await contract.releaseMilestonePayment(tenderId, 1);
+
+      await time.increase(DEFECTS_PERIOD);
+      await expect(
+        contract.forfeitGuarantees(tenderId, true, true, reasonHash)
+      ).to.be.revertedWith("Not in defects liability period");
+      await contract.releaseGuarantees(tenderId);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("11")
+      );
+    });
+
+    it("Should return the performance bond when the tender is cancelled", async function () {
+      const tenderId = await awardTender();
+      await contract
+        .connect(bidder1)
+        .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") });
+      await expect(
+        contract
+          .connect(bidder1)
+          .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Performance bond already deposited");
+
+      await contract.cancelTender(tenderId, reasonHash);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("1")
+      );
+      expect((await contract.guarantees(tenderId)).performanceBond).to.equal(0);
+    });
+
+    it("Should validate guarantee terms", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+
+      await expect(
+        contract.configureGuarantees(tenderId, 2001, 0, DEFECTS_PERIOD)
+      ).to.be.revertedWith("Guarantee rate too high");
+      await expect(contract.configureGuarantees(tenderId, 500, 0, 0)).to.be.revertedWith(
+        "Defects liability period required"
+      );
+
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("8") }]);
+      await expect(
+        contract.configureGuarantees(tenderId, 500, 0, DEFECTS_PERIOD)
+      ).to.be.revertedWith("Bidding rules locked after first bid");
+
+      // Tenders without a bond cannot take one
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("8") }]);
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+      await expect(
+        contract.connect(bidder1).depositPerformanceBond(tenderId, { value: 1n })
+      ).to.be.revertedWith("No performance bond required");
+    });
+  });
+
+  describe("Liquidated Damages", function () {
+    const DAY = 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("cancellation decision"));
+
+    // Helper function to award a 10 ETH tender to an 8 ETH bid; milestone 0
+    // is due 10 days after award with 1% damages per day capped at 10%
+    async function awardTender() {
+      const tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("4"), ethers.parseEther("6")],
+        0n,
+        ethers.ZeroAddress,
+        [10 * DAY, 0]
+      );
+      await expect(contract.configureLiquidatedDamages(tenderId, 100, 1000))
+        .to.emit(contract, "LiquidatedDamagesConfigured")
+        .withArgs(tenderId, 100, 1000);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("8") }]);
+      const awardedAt = await time.latest();
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("8") });
+      return { tenderId, dueDate: awardedAt + 10 * DAY };
+    }
+
+    it("Should deduct damages per started day late and return them to the treasury", async function () {
+      const { tenderId, dueDate } = await awardTender();
+      const schedule = await contract.getMilestoneSchedule(tenderId, 0);
+      expect(schedule.dueAfter).to.equal(10 * DAY);
+      expect(schedule.dueDate).to.equal(dueDate);
+      expect(schedule.liquidatedDamages).to.equal(0);
+
+      // Claimed 2 days and 1 hour late: 3 started days, 3% of 3.2 ETH
+      await time.increaseTo(dueDate + 2 * DAY + 3600);
+      await claimMilestone(tenderId, 0);
+      await time.increase(5 * DAY);
+      const late = await contract.getMilestoneSchedule(tenderId, 0);
+      expect(late.daysLate).to.equal(3);
+      expect(late.liquidatedDamages).to.equal(ethers.parseEther("0.096"));
+      expect(late.netPayout).to.equal(ethers.parseEther("3.104"));
+      expect((await contract.getMilestone(tenderId, 0)).liquidatedDamages).to.equal(
+        ethers.parseEther("0.096")
+      );
+
+      await contract
+        .connect(auditor)
+        .approveMilestone(tenderId, 0, ethers.keccak256(ethers.toUtf8Bytes("inspection")));
+      const releasedAt = (await time.latest()) + 1;
+      await expect(contract.releaseMilestonePayment(tenderId, 0))
+        .to.emit(contract, "LiquidatedDamagesDeducted")
+        .withArgs(tenderId, 0, 3, ethers.parseEther("0.096"), releasedAt)
+        .and.to.emit(contract, "MilestonePaymentReleased")
+        .withArgs(tenderId, 0, bidder1.address, ethers.parseEther("3.104"), releasedAt);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("3.104")
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("0.096")
+      );
+
+      // Milestones without a due date are never late
+      await approveMilestone(tenderId, 1);
+      await expect(contract.releaseMilestonePayment(tenderId, 1)).not.to.emit(
+        contract,
+        "LiquidatedDamagesDeducted"
+      );
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("7.904")
+      );
+      const { phase, fundedAmount } = await contract.getTenderDetails(tenderId);
+      expect(phase).to.equal(4); // COMPLETED
+      expect(fundedAmount).to.equal(0);
+    });
+
+    it("Should project damages of unclaimed milestones up to the cap", async function () {
+      const { tenderId, dueDate } = await awardTender();
+
+      await time.increaseTo(dueDate + 30 * DAY);
+      const projected = await contract.getMilestoneSchedule(tenderId, 0);
+      expect(projected.daysLate).to.equal(30);
+      expect(projected.liquidatedDamages).to.equal(ethers.parseEther("0.32"));
+      expect((await contract.getMilestone(tenderId, 0)).liquidatedDamages).to.equal(
+        ethers.parseEther("0.32")
+      );
+
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("2.88")
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("0.32")
+      );
+    });
+
+    it("Should pay milestones delivered on time in full", async function () {
+      const { tenderId } = await awardTender();
+
+      await approveMilestone(tenderId, 0);
+      await time.increase(20 * DAY);
+      await expect(contract.releaseMilestonePayment(tenderId, 0)).not.to.emit(
+        contract,
+        "LiquidatedDamagesDeducted"
+      );
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("3.2")
+      );
+    });
+
+    it("Should validate liquidated damages terms and due dates", async function () {
+      await expect(
+        createTender(10n, [4n, 6n], 0n, ethers.ZeroAddress, [DAY])
+      ).to.be.revertedWith("Milestone arrays length mismatch");
+
+      const tenderId = await createTender(10n, [10n], 0n, ethers.ZeroAddress, [DAY]);
+      expect((await contract.getMilestoneSchedule(tenderId, 0)).dueDate).to.equal(0);
+      await expect(
+        contract.configureLiquidatedDamages(tenderId, 100, 2001)
+      ).to.be.revertedWith("Damages cap too high");
+      await expect(
+        contract.configureLiquidatedDamages(tenderId, 100, 0)
+      ).to.be.revertedWith("Daily rate and cap required together");
+      await expect(
+        contract.connect(unauthorized).configureLiquidatedDamages(tenderId, 100, 1000)
+      ).to.be.reverted;
+      await contract.configureLiquidatedDamages(tenderId, 100, 1000);
+
+      await commitBids(tenderId, [{ bidder: bidder1, amount: 8n }]);
+      await expect(
+        contract.configureLiquidatedDamages(tenderId, 200, 1000)
+      ).to.be.revertedWith("Bidding rules locked after first bid");
+
+      // Re-tendering keeps the due dates and damages terms
+      await contract.cancelTender(tenderId, reasonHash);
+      await contract.retender(tenderId, SUBMISSION_DURATION, REVEAL_DURATION);
+      const newTenderId = tenderId + 1n;
+      expect((await contract.getMilestoneSchedule(newTenderId, 0)).dueAfter).to.equal(DAY);
+      const terms = await contract.liquidatedDamagesTerms(newTenderId);
+      expect(terms.dailyRate).to.equal(100);
+      expect(terms.cap).to.equal(1000);
+    });
+  });
+
+  describe("Disputes", function () {
+    const DISPUTE_RULING_PERIOD = 30 * 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("statement of dispute"));
+    const rulingHash = ethers.keccak256(ethers.toUtf8Bytes("arbitral ruling"));
+    let arbitrator, ARBITRATOR_ROLE;
+
+    beforeEach(async function () {
+      arbitrator = (await ethers.getSigners())[7];
+      ARBITRATOR_ROLE = await contract.ARBITRATOR_ROLE();
+      await contract.grantRole(ARBITRATOR_ROLE, arbitrator.address);
+    });
+
+    // Helper function to award and fully fund a 10 ETH tender to bidder1
+    async function awardTender() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      return tenderId;
+    }
+
+    it("Should freeze a disputed milestone until the arbitrator splits its payout", async function () {
+      const tenderId = await awardTender();
+      await claimMilestone(tenderId, 0);
+      await contract
+        .connect(auditor)
+        .rejectMilestoneClaim(tenderId, 0, ethers.keccak256(ethers.toUtf8Bytes("defects")));
+
+      await expect(contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash))
+        .to.emit(contract, "DisputeRaised")
+        .withArgs(
+          tenderId,
+          0,
+          bidder1.address,
+          reasonHash,
+          (await time.latest()) + 1 + DISPUTE_RULING_PERIOD,
+          (await time.latest()) + 1
+        );
+      expect(await contract.frozenFunds(tenderId)).to.equal(ethers.parseEther("4"));
+      expect((await contract.getMilestoneClaim(tenderId, 0)).status).to.equal(6); // DISPUTED
+
+      await expect(claimMilestone(tenderId, 0)).to.be.reverted;
+      await expect(
+        contract.cancelTender(tenderId, reasonHash)
+      ).to.be.revertedWith("Milestone under dispute");
+      await expect(
+        contract.ruleOnDispute(tenderId, 0, 6000, rulingHash)
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+
+      const ruledAt = (await time.latest()) + 1;
+      await expect(contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 6000, rulingHash))
+        .to.emit(contract, "DisputeRuled")
+        .withArgs(
+          tenderId,
+          0,
+          arbitrator.address,
+          ethers.parseEther("2.4"),
+          ethers.parseEther("1.6"),
+          rulingHash,
+          ruledAt
+        );
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("2.4")
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("1.6")
+      );
+      expect((await contract.getMilestone(tenderId, 0)).isPaid).to.be.true;
+      expect(await contract.frozenFunds(tenderId)).to.equal(0);
+      const dispute = await contract.disputes(tenderId, 0);
+      expect(dispute.status).to.equal(2); // RULED
+      expect(dispute.contractorShare).to.equal(6000);
+      expect((await contract.getTenderDetails(tenderId)).fundedAmount).to.equal(
+        ethers.parseEther("6")
+      );
+    });
+
+    it("Should restore the milestone once a silent arbitrator's period lapses", async function () {
+      const tenderId = await awardTender();
+      await approveMilestone(tenderId, 0);
+
+      // The authority contests an approved milestone before it is paid
+      await contract.raiseDispute(tenderId, 0, reasonHash);
+      await expect(contract.releaseMilestonePayment(tenderId, 0)).to.be.revertedWith(
+        "Milestone not approved yet"
+      );
+      await expect(contract.closeLapsedDispute(tenderId, 0)).to.be.revertedWith(
+        "Ruling period not over"
+      );
+
+      await time.increase(DISPUTE_RULING_PERIOD);
+      await expect(
+        contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 5000, rulingHash)
+      ).to.be.revertedWith("Ruling period over");
+
+      // Emergency withdrawal leaves the frozen payout in escrow
+      await contract.connect(treasurer).emergencyWithdraw(tenderId);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("6")
+      );
+      expect((await contract.getTenderDetails(tenderId)).fundedAmount).to.equal(
+        ethers.parseEther("4")
+      );
+
+      await expect(contract.connect(unauthorized).closeLapsedDispute(tenderId, 0))
+        .to.emit(contract, "DisputeLapsed")
+        .withArgs(tenderId, 0, 2, (await time.latest()) + 1); // APPROVED
+      expect(await contract.frozenFunds(tenderId)).to.equal(0);
+      await expect(contract.raiseDispute(tenderId, 0, reasonHash)).to.be.revertedWith(
+        "Milestone already disputed"
+      );
+
+      await contract.releaseMilestonePayment(tenderId, 0);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("4")
+      );
+    });
+
+    it("Should validate disputes and rulings", async function () {
+      const tenderId = await awardTender();
+
+      await expect(
+        contract.grantRole(ARBITRATOR_ROLE, owner.address)
+      ).to.be.revertedWith("Tender admin and arbitrator roles must be separate");
+      await expect(
+        contract.connect(bidder2).raiseDispute(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Only the authority or the winner");
+      await expect(
+        contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Milestone cannot be disputed");
+
+      await claimMilestone(tenderId, 0);
+      await expect(
+        contract.connect(bidder1).raiseDispute(tenderId, 0, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason hash required");
+      await expect(
+        contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 5000, rulingHash)
+      ).to.be.revertedWith("No open dispute");
+
+      await contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash);
+      await expect(
+        contract.raiseDispute(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Milestone cannot be disputed");
+      await expect(
+        contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 10001, rulingHash)
+      ).to.be.revertedWith("Invalid split");
+      await expect(
+        contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 5000, ethers.ZeroHash)
+      ).to.be.revertedWith("Ruling hash required");
+
+      // A full ruling for the contractor pays the whole milestone
+      await contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 10000, rulingHash);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("4")
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(0);
+    });
+
+    it("Should not open a dispute before the tender is funded", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await claimMilestone(tenderId, 0);
+
+      await expect(
+        contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash)
+      ).to.be.revertedWith("Tender not funded");
+
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await expect(contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash)).to.emit(
+        contract,
+        "DisputeRaised"
+      );
+    });
+
+    it("Should recuse an arbitrator who declared a conflict", async function () {
+      const declarationHash = ethers.keccak256(ethers.toUtf8Bytes("former employer"));
+      const otherArbitrator = (await ethers.getSigners())[8];
+      await contract.grantRole(ARBITRATOR_ROLE, otherArbitrator.address);
+      const tenderId = await awardTender();
+      await claimMilestone(tenderId, 0);
+      await contract.connect(bidder1).raiseDispute(tenderId, 0, reasonHash);
+
+      await expect(
+        contract.connect(arbitrator).declareConflictOfInterest(tenderId, declarationHash)
+      )
+        .to.emit(contract, "ConflictOfInterestDeclared")
+        .withArgs(tenderId, arbitrator.address, declarationHash, (await time.latest()) + 1);
+      await expect(
+        contract.connect(arbitrator).ruleOnDispute(tenderId, 0, 5000, rulingHash)
+      ).to.be.revertedWith("Conflict of interest declared");
+
+      await contract.connect(otherArbitrator).ruleOnDispute(tenderId, 0, 5000, rulingHash);
+      expect((await contract.disputes(tenderId, 0)).arbitrator).to.equal(
+        otherArbitrator.address
+      );
+    });
+  });
+
+  describe("Bid Withdrawal and Replacement", function () {
+    const bidBond = ethers.parseEther("0.1");
+
+    it("Should replace a commitment without adding a bidder and rank it last on ties", async function () {
+      const tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("10")],
+        bidBond
+      );
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("9") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+      ]);
+
+      // bidder1 corrects a pricing mistake and ties with bidder2
+      const newHash = createBidHash(ethers.parseEther("7"), `nonce-${bidder1.address}`);
+      await expect(contract.connect(bidder1).replaceBid(tenderId, newHash))
+        .to.emit(contract, "BidReplaced")
+        .withArgs(tenderId, bidder1.address, newHash, 1, (await time.latest()) + 1);
+      expect(await contract.getTenderBidders(tenderId)).to.deep.equal([
+        bidder2.address,
+        bidder1.address,
+      ]);
+      expect(await contract.bidReplacementCounts(tenderId, bidder1.address)).to.equal(1);
+      expect((await contract.bids(tenderId, bidder1.address)).bondAmount).to.equal(bidBond);
+
+      await time.increase(SUBMISSION_DURATION);
+      await expect(
+        contract
+          .connect(bidder1)
+          .revealBid(tenderId, ethers.parseEther("9"), `nonce-${bidder1.address}`)
+      ).to.be.revertedWith("Invalid reveal - hash mismatch");
+      await revealBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("7") },
+        { bidder: bidder2, amount: ethers.parseEther("7") },
+      ]);
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+    });
+
+    it("Should withdraw a commitment, refund its bond and keep the bidder order", async function () {
+      const tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("10")],
+        bidBond
+      );
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("9") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+        { bidder: bidder3, amount: ethers.parseEther("7") },
+      ]);
+      await contract
+        .connect(bidder1)
+        .replaceBid(tenderId, createBidHash(ethers.parseEther("6"), "second thoughts"));
+
+      await expect(contract.connect(bidder2).withdrawBid(tenderId))
+        .to.emit(contract, "BidWithdrawn")
+        .withArgs(tenderId, bidder2.address, bidBond, 0, (await time.latest()) + 1)
+        .and.to.emit(contract, "BidBondRefunded");
+      await expect(contract.connect(bidder1).withdrawBid(tenderId))
+        .to.emit(contract, "BidWithdrawn")
+        .withArgs(tenderId, bidder1.address, bidBond, 1, (await time.latest()) + 1);
+
+      expect(await contract.getTenderBidders(tenderId)).to.deep.equal([bidder3.address]);
+      expect(await contract.getBidderCount(tenderId)).to.equal(1);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(bidBond);
+      expect((await contract.bids(tenderId, bidder2.address)).commitHash).to.equal(
+        ethers.ZeroHash
+      );
+      await expect(contract.connect(bidder2).withdrawBid(tenderId)).to.be.revertedWith(
+        "No bid submitted"
+      );
+
+      // A withdrawn bidder may commit again
+      await commitBids(tenderId, [{ bidder: bidder2, amount: ethers.parseEther("8") }]);
+      expect(await contract.getTenderBidders(tenderId)).to.deep.equal([
+        bidder3.address,
+        bidder2.address,
+      ]);
+
+      await time.increase(SUBMISSION_DURATION);
+      await expect(contract.connect(bidder2).withdrawBid(tenderId)).to.be.revertedWith(
+        "Deadline has passed"
+      );
+      await expect(
+        contract
+          .connect(bidder3)
+          .replaceBid(tenderId, createBidHash(ethers.parseEther("5"), "late"))
+      ).to.be.revertedWith("Deadline has passed");
+    });
+
+    it("Should validate replacements", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [ethers.parseEther("10")]);
+      const bidHash = createBidHash(ethers.parseEther("8"), "nonce");
+
+      await expect(
+        contract.connect(bidder1).replaceBid(tenderId, bidHash)
+      ).to.be.revertedWith("No bid submitted");
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("9") }]);
+      await expect(
+        contract.connect(bidder1).replaceBid(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid bid hash");
+      await expect(
+        contract.connect(bidder1).replaceSealedBid(tenderId, bidHash, "0x1234")
+      ).to.be.revertedWith("Tender not using sealed bids");
+
+      const authority = sealedBids.generateAuthorityKey();
+      const sealedTenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("10"),
+      ]);
+      await contract.configureSealedBidding(sealedTenderId, authority.publicKey);
+      const first = sealedBids.sealBid(authority.publicKey, ethers.parseEther("9"));
+      await contract
+        .connect(bidder1)
+        .submitSealedBid(sealedTenderId, first.bidHash, first.encryptedBid);
+      await expect(
+        contract.connect(bidder1).replaceBid(sealedTenderId, bidHash)
+      ).to.be.revertedWith("Tender requires sealed bids");
+
+      const second = sealedBids.sealBid(authority.publicKey, ethers.parseEther("8"));
+      await contract
+        .connect(bidder1)
+        .replaceSealedBid(sealedTenderId, second.bidHash, second.encryptedBid);
+      expect(await contract.sealedBidPayloads(sealedTenderId, bidder1.address)).to.equal(
+        second.encryptedBid
+      );
+    });
+  });
+
+  describe("Standstill and Award Challenges", function () {
+    const STANDSTILL = 10 * 24 * 3600;
+    const groundsHash = ethers.keccak256(ethers.toUtf8Bytes("grounds of challenge"));
+    const decisionHash = ethers.keccak256(ethers.toUtf8Bytes("review decision"));
+    const AWARD_CONFIRMED = 1;
+    const REEVALUATED = 2;
+    const TENDER_CANCELLED = 3;
+    let arbitrator;
+
+    beforeEach(async function () {
+      arbitrator = (await ethers.getSigners())[7];
+      await contract.grantRole(await contract.ARBITRATOR_ROLE(), arbitrator.address);
+    });
+
+    // Helper function to notify a 10 ETH tender's award to bidder1 (bidder2 and
+    // bidder3 rank second and third)
+    async function notifyAward(bidBond = 0n) {
+      const tenderId = await createTender(
+        ethers.parseEther("10"),
+        [ethers.parseEther("4"), ethers.parseEther("6")],
+        bidBond
+      );
+      await contract.configureStandstill(tenderId, STANDSTILL);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+        { bidder: bidder3, amount: ethers.parseEther("9") },
+      ]);
+      return tenderId;
+    }
+
+    it("Should hold the award during the standstill and confirm it afterwards", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await contract.configureStandstill(tenderId, STANDSTILL);
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("5") }]);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("5") }]);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(contract.selectWinner(tenderId))
+        .to.emit(contract, "AwardNotified")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          ethers.parseEther("5"),
+          (await time.latest()) + 1 + STANDSTILL,
+          (await time.latest()) + 1
+        )
+        .and.not.to.emit(contract, "WinnerSelected");
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(7); // AWARD_PENDING
+      expect(details.winner).to.equal(bidder1.address);
+
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId, { value: ethers.parseEther("5") })
+      ).to.be.revertedWith("Invalid tender phase");
+      await expect(contract.confirmAward(tenderId)).to.be.revertedWith("Standstill not over");
+      await expect(
+        contract.connect(bidder2).confirmAward(tenderId)
+      ).to.be.reverted;
+
+      await time.increase(STANDSTILL);
+      await expect(contract.confirmAward(tenderId))
+        .to.emit(contract, "WinnerSelected")
+        .withArgs(tenderId, bidder1.address, ethers.parseEther("5"), (await time.latest()) + 1);
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(3); // PAYMENT_PENDING
+      expect((await contract.getMilestone(tenderId, 1)).payoutAmount).to.equal(
+        ethers.parseEther("3")
+      );
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("5") });
+    });
+
+    it("Should only accept one challenge per losing valid bidder within the standstill", async function () {
+      const tenderId = await notifyAward();
+
+      await expect(
+        contract.connect(bidder1).challengeAward(tenderId, groundsHash)
+      ).to.be.revertedWith("Winner cannot challenge");
+      await expect(
+        contract.connect(unauthorized).challengeAward(tenderId, groundsHash)
+      ).to.be.revertedWith("Only bidders with a valid bid");
+      await expect(
+        contract.connect(bidder2).challengeAward(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Grounds hash required");
+
+      await expect(contract.connect(bidder2).challengeAward(tenderId, groundsHash))
+        .to.emit(contract, "AwardChallenged")
+        .withArgs(tenderId, 0, bidder2.address, bidder1.address, groundsHash, (await time.latest()) + 1);
+      await expect(
+        contract.connect(bidder2).challengeAward(tenderId, groundsHash)
+      ).to.be.revertedWith("Award already challenged");
+      expect((await contract.awardStandstills(tenderId)).openChallenges).to.equal(1);
+
+      await time.increase(STANDSTILL);
+      await expect(
+        contract.connect(bidder3).challengeAward(tenderId, groundsHash)
+      ).to.be.revertedWith("Standstill period over");
+      await expect(contract.confirmAward(tenderId)).to.be.revertedWith(
+        "Award challenge pending"
+      );
+    });
+
+    it("Should confirm the award once the arbitrator dismisses the challenges", async function () {
+      const tenderId = await notifyAward();
+      await contract.connect(bidder2).challengeAward(tenderId, groundsHash);
+      await contract.connect(bidder3).challengeAward(tenderId, groundsHash);
+
+      await expect(
+        contract.resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash)
+      ).to.be.reverted;
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, 0, decisionHash)
+      ).to.be.revertedWith("Invalid outcome");
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, AWARD_CONFIRMED, ethers.ZeroHash)
+      ).to.be.revertedWith("Decision hash required");
+
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash)
+      )
+        .to.emit(contract, "AwardChallengesResolved")
+        .withArgs(
+          tenderId,
+          arbitrator.address,
+          AWARD_CONFIRMED,
+          2,
+          decisionHash,
+          (await time.latest()) + 1
+        );
+      const challenge = await contract.getAwardChallenge(tenderId, 1);
+      expect(challenge.challenger).to.equal(bidder3.address);
+      expect(challenge.status).to.equal(AWARD_CONFIRMED);
+      expect(challenge.decisionHash).to.equal(decisionHash);
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash)
+      ).to.be.revertedWith("No open challenge");
+
+      await expect(contract.confirmAward(tenderId)).to.be.revertedWith("Standstill not over");
+      await time.increase(STANDSTILL);
+      await contract.confirmAward(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder1.address);
+    });
+
+    it("Should re-evaluate without the challenged winner and restart the standstill", async function () {
+      const tenderId = await notifyAward();
+      await contract.connect(bidder2).challengeAward(tenderId, groundsHash);
+
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, REEVALUATED, decisionHash)
+      )
+        .to.emit(contract, "AwardNotified")
+        .withArgs(
+          tenderId,
+          bidder2.address,
+          ethers.parseEther("8"),
+          (await time.latest()) + 1 + STANDSTILL,
+          (await time.latest()) + 1
+        );
+      expect(await contract.excludedFromAward(tenderId, bidder1.address)).to.be.true;
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+      expect((await contract.getAwardChallenge(tenderId, 0)).status).to.equal(REEVALUATED);
+
+      // Every other bidder can challenge the new award, including the excluded one
+      await contract.connect(bidder1).challengeAward(tenderId, groundsHash);
+      const standstill = await contract.awardStandstills(tenderId);
+      expect(standstill.round).to.equal(2);
+      expect(standstill.openChallenges).to.equal(1);
+      await contract
+        .connect(arbitrator)
+        .resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash);
+      expect((await contract.getAwardChallenge(tenderId, 0)).status).to.equal(REEVALUATED);
+
+      await time.increase(STANDSTILL);
+      await contract.confirmAward(tenderId);
+      expect((await contract.getMilestone(tenderId, 0)).payoutAmount).to.equal(
+        ethers.parseEther("3.2")
+      );
+    });
+
+    it("Should cancel the tender and refund the bid bonds when the arbitrator so decides", async function () {
+      const bidBond = ethers.parseEther("0.1");
+      const tenderId = await notifyAward(bidBond);
+      await contract.connect(bidder3).challengeAward(tenderId, groundsHash);
+
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, TENDER_CANCELLED, decisionHash)
+      )
+        .to.emit(contract, "TenderCancelled")
+        .withArgs(tenderId, arbitrator.address, decisionHash, (await time.latest()) + 1);
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(5); // CANCELLED
+      expect(await contract.cancellationReasons(tenderId)).to.equal(decisionHash);
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(bidBond);
+      await expect(contract.confirmAward(tenderId)).to.be.revertedWith("Invalid tender phase");
+    });
+
+    it("Should recuse an arbitrator who declared a conflict from resolving challenges", async function () {
+      const declarationHash = ethers.keccak256(ethers.toUtf8Bytes("shareholder of the awardee"));
+      const otherArbitrator = (await ethers.getSigners())[8];
+      await contract.grantRole(await contract.ARBITRATOR_ROLE(), otherArbitrator.address);
+      const tenderId = await notifyAward();
+      await contract.connect(bidder2).challengeAward(tenderId, groundsHash);
+
+      await contract.connect(arbitrator).declareConflictOfInterest(tenderId, declarationHash);
+      await expect(
+        contract.connect(arbitrator).resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash)
+      ).to.be.revertedWith("Conflict of interest declared");
+
+      await expect(
+        contract
+          .connect(otherArbitrator)
+          .resolveAwardChallenges(tenderId, AWARD_CONFIRMED, decisionHash)
+      )
+        .to.emit(contract, "AwardChallengesResolved")
+        .withArgs(
+          tenderId,
+          otherArbitrator.address,
+          AWARD_CONFIRMED,
+          1,
+          decisionHash,
+          (await time.latest()) + 1
+        );
+    });
+
+    it("Should only configure the standstill before bidding, within the maximum", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [ethers.parseEther("10")]);
+      await expect(
+        contract.configureStandstill(tenderId, 61 * 24 * 3600)
+      ).to.be.revertedWith("Standstill period too long");
+      await expect(
+        contract.connect(bidder1).configureStandstill(tenderId, STANDSTILL)
+      ).to.be.reverted;
+      await expect(contract.configureStandstill(tenderId, STANDSTILL))
+        .to.emit(contract, "StandstillConfigured")
+        .withArgs(tenderId, STANDSTILL);
+
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("9") }]);
+      await expect(contract.configureStandstill(tenderId, 0)).to.be.revertedWith(
+        "Bidding rules locked after first bid"
+      );
+    });
+  });
+
+  describe("Award Acceptance and Runner-Up Fallback", function () {
+    const ACCEPTANCE_PERIOD = 7 * 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("capacity withdrawn"));
+
+    // Helper function to award a 10 ETH tender to bidder1 with bidder2 and bidder3
+    // ranked second and third
+    async function awardWithAcceptance() {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await contract.configureAwardAcceptance(tenderId, ACCEPTANCE_PERIOD);
+      await runAuction(tenderId, [
+        { bidder: bidder3, amount: ethers.parseEther("9") },
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+      ]);
+      return tenderId;
+    }
+
+    it("Should keep the full ranking of valid bids at award", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [ethers.parseEther("10")]);
+      await commitBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("7") },
+        { bidder: bidder2, amount: ethers.parseEther("11") }, // over budget
+        { bidder: bidder3, amount: ethers.parseEther("6") },
+      ]);
+      await time.increase(SUBMISSION_DURATION);
+      await revealBids(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("7") },
+        { bidder: bidder2, amount: ethers.parseEther("11") },
+        { bidder: bidder3, amount: ethers.parseEther("6") },
+      ]);
+      await time.increase(REVEAL_DURATION);
+      await contract.selectWinner(tenderId);
+
+      const [ranking, position] = await contract.getAwardRanking(tenderId);
+      expect(ranking).to.deep.equal([bidder3.address, bidder1.address]);
+      expect(position).to.equal(0);
+    });
+
+    it("Should block funding and delivery until the winner accepts in time", async function () {
+      const tenderId = await awardWithAcceptance();
+      const { deadline } = await contract.awardAcceptances(tenderId);
+      expect(deadline).to.equal(BigInt(await time.latest()) + BigInt(ACCEPTANCE_PERIOD));
+
+      await expect(
+        contract.connect(treasurer).fundTender(tenderId, { value: ethers.parseEther("5") })
+      ).to.be.revertedWith("Award not accepted");
+      await expect(claimMilestone(tenderId, 0)).to.be.revertedWith("Award not accepted");
+      await expect(contract.connect(bidder2).acceptAward(tenderId)).to.be.revertedWith(
+        "Only winner can call this"
+      );
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "Winner has not declined or lapsed"
+      );
+
+      await expect(contract.connect(bidder1).acceptAward(tenderId))
+        .to.emit(contract, "AwardAccepted")
+        .withArgs(tenderId, bidder1.address, (await time.latest()) + 1);
+      await expect(
+        contract.connect(bidder1).declineAward(tenderId, reasonHash)
+      ).to.be.revertedWith("Award already answered");
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("5") });
+
+      await time.increase(ACCEPTANCE_PERIOD);
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "Winner has not declined or lapsed"
+      );
+    });
+
+    it("Should pass a declined award to the runner-up at its own bid price", async function () {
+      const tenderId = await awardWithAcceptance();
+      await expect(
+        contract.connect(bidder1).declineAward(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason hash required");
+      await expect(contract.connect(bidder1).declineAward(tenderId, reasonHash))
+        .to.emit(contract, "AwardDeclined")
+        .withArgs(tenderId, bidder1.address, reasonHash, (await time.latest()) + 1);
+      await expect(contract.connect(bidder2).awardToNextRanked(tenderId)).to.be.reverted;
+
+      await expect(contract.awardToNextRanked(tenderId))
+        .to.emit(contract, "AwardPassedToNextRanked")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          bidder2.address,
+          ethers.parseEther("8"),
+          1,
+          (await time.latest()) + 1 + ACCEPTANCE_PERIOD,
+          (await time.latest()) + 1
+        );
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+      expect((await contract.getMilestone(tenderId, 0)).payoutAmount).to.equal(
+        ethers.parseEther("3.2")
+      );
+      expect((await contract.getMilestone(tenderId, 1)).payoutAmount).to.equal(
+        ethers.parseEther("4.8")
+      );
+      const acceptance = await contract.awardAcceptances(tenderId);
+      expect(acceptance.declined).to.be.false;
+      expect(acceptance.accepted).to.be.false;
+
+      await contract.connect(bidder2).acceptAward(tenderId);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("8") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(
+        ethers.parseEther("3.2")
+      );
+    });
+
+    it("Should pass a lapsed award down the ranking until no bidder is left", async function () {
+      const tenderId = await awardWithAcceptance();
+
+      await time.increase(ACCEPTANCE_PERIOD);
+      await expect(contract.connect(bidder1).acceptAward(tenderId)).to.be.revertedWith(
+        "Acceptance period over"
+      );
+      await contract.awardToNextRanked(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder2.address);
+
+      await time.increase(ACCEPTANCE_PERIOD);
+      await contract.awardToNextRanked(tenderId);
+      expect((await contract.getTenderDetails(tenderId)).winner).to.equal(bidder3.address);
+      expect((await contract.getAwardRanking(tenderId)).currentPosition).to.equal(2);
+
+      await contract.connect(bidder3).declineAward(tenderId, reasonHash);
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "No ranked bidder left"
+      );
+    });
+
+    it("Should skip ranked bidders that are no longer eligible", async function () {
+      const tenderId = await awardWithAcceptance();
+      await contract.connect(bidder1).declineAward(tenderId, reasonHash);
+
+      // The runner-up is suspended and the third-ranked company debarred
+      await contract
+        .connect(registrar)
+        .suspendBidder(bidder2.address, reasonHash, (await time.latest()) + 3600);
+      await contract
+        .connect(registrar)
+        .debarCompany(
+          ethers.keccak256(ethers.toUtf8Bytes(`REG-${bidder3.address}`)),
+          reasonHash,
+          (await time.latest()) + 3600
+        );
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "No ranked bidder left"
+      );
+
+      await contract
+        .connect(registrar)
+        .liftCompanyDebarment(
+          ethers.keccak256(ethers.toUtf8Bytes(`REG-${bidder3.address}`)),
+          reasonHash
+        );
+      await expect(contract.awardToNextRanked(tenderId))
+        .to.emit(contract, "AwardPassedToNextRanked")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          bidder3.address,
+          ethers.parseEther("9"),
+          2,
+          (await time.latest()) + 1 + ACCEPTANCE_PERIOD,
+          (await time.latest()) + 1
+        );
+    });
+
+    it("Should only configure award acceptance before bidding, within the maximum", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [ethers.parseEther("10")]);
+      await expect(
+        contract.configureAwardAcceptance(tenderId, 31 * 24 * 3600)
+      ).to.be.revertedWith("Acceptance period too long");
+      await expect(contract.configureAwardAcceptance(tenderId, ACCEPTANCE_PERIOD))
+        .to.emit(contract, "AwardAcceptanceConfigured")
+        .withArgs(tenderId, ACCEPTANCE_PERIOD);
+
+      await commitBids(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("9") }]);
+      await expect(contract.configureAwardAcceptance(tenderId, 0)).to.be.revertedWith(
+        "Bidding rules locked after first bid"
+      );
+    });
+
+    it("Should not require acceptance unless the tender asks for it", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [ethers.parseEther("10")]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+      ]);
+
+      await expect(contract.connect(bidder1).acceptAward(tenderId)).to.be.revertedWith(
+        "No acceptance required"
+      );
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "Winner has not declined or lapsed"
+      );
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("5") });
+    });
+  });
+
+  describe("Termination for Default", function () {
+    const DEFECTS_PERIOD = 30 * 24 * 3600;
+    const reasonHash = ethers.keccak256(ethers.toUtf8Bytes("default notice"));
+
+    it("Should settle approved milestones, refund the rest and forfeit the bond", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("2"),
+        ethers.parseEther("3"),
+        ethers.parseEther("5"),
+      ]);
+      await contract.configureGuarantees(tenderId, 500, 1000, DEFECTS_PERIOD);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await contract
+        .connect(bidder1)
+        .depositPerformanceBond(tenderId, { value: ethers.parseEther("1") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      await approveMilestone(tenderId, 1);
+      await claimMilestone(tenderId, 2);
+
+      await expect(contract.connect(treasurer).terminateForDefault(tenderId, reasonHash)).to.be
+        .reverted;
+      await expect(
+        contract.terminateForDefault(tenderId, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason hash required");
+
+      await expect(contract.terminateForDefault(tenderId, reasonHash))
+        .to.emit(contract, "TenderTerminated")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          owner.address,
+          reasonHash,
+          1,
+          ethers.parseEther("2.85"), // 3 ETH less 5% retention
+          ethers.parseEther("5"),
+          ethers.parseEther("1"),
+          ethers.parseEther("0.25"), // retention on both delivered milestones
+          (await time.latest()) + 1
+        )
+        .and.to.emit(contract, "MilestonePaymentReleased")
+        .withArgs(tenderId, 1, bidder1.address, ethers.parseEther("2.85"), (await time.latest()) + 1);
+
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(8); // TERMINATED
+      expect(details.fundedAmount).to.equal(0);
+      expect((await contract.getMilestoneClaim(tenderId, 2)).status).to.equal(1); // CLAIMED
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("4.75")
+      );
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(
+        ethers.parseEther("6.25")
+      );
+      const termination = await contract.terminations(tenderId);
+      expect(termination.reasonHash).to.equal(reasonHash);
+      expect(termination.milestonesSettled).to.equal(1);
+      expect(termination.retentionForfeited).to.equal(ethers.parseEther("0.25"));
+
+      await expect(contract.releaseMilestonePayment(tenderId, 2)).to.be.revertedWith(
+        "Tender not funded"
+      );
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "Contract partly performed"
+      );
+
+      // The defaulting contractor gets no guarantees back
+      const held = await contract.guarantees(tenderId);
+      expect(held.retentionHeld).to.equal(0);
+      expect(held.performanceBond).to.equal(0);
+      await time.increase(DEFECTS_PERIOD);
+      await expect(contract.releaseGuarantees(tenderId)).to.be.revertedWith(
+        "Invalid tender phase"
+      );
+    });
+
+    it("Should terminate an underfunded contract and record what is still owed", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+
+      // A change order raises the second milestone to 7 ETH and is never topped up
+      await contract.proposeChangeOrder(
+        tenderId,
+        [1],
+        [ethers.parseEther("7")],
+        [],
+        [],
+        ethers.keccak256(ethers.toUtf8Bytes("extra works"))
+      );
+      await contract.connect(bidder1).approveChangeOrder(tenderId, 0);
+      await approveMilestone(tenderId, 0);
+      await approveMilestone(tenderId, 1);
+
+      await expect(contract.terminateForDefault(tenderId, reasonHash))
+        .to.emit(contract, "TerminationLiabilityRecorded")
+        .withArgs(tenderId, 1, ethers.parseEther("7"), (await time.latest()) + 1)
+        .and.to.emit(contract, "TenderTerminated")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          owner.address,
+          reasonHash,
+          1,
+          ethers.parseEther("4"),
+          ethers.parseEther("6"),
+          0,
+          0,
+          (await time.latest()) + 1
+        );
+      expect((await contract.terminations(tenderId)).unfundedLiability).to.equal(
+        ethers.parseEther("7")
+      );
+      expect((await contract.getMilestoneClaim(tenderId, 1)).status).to.equal(2); // APPROVED
+      await expect(contract.awardToNextRanked(tenderId)).to.be.revertedWith(
+        "Contract partly performed"
+      );
+
+      // The treasurer later pays in exactly what is owed
+      await expect(
+        contract.connect(bidder1).settleTerminationLiability(tenderId, {
+          value: ethers.parseEther("7"),
+        })
+      ).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+      await expect(
+        contract.connect(treasurer).settleTerminationLiability(tenderId, {
+          value: ethers.parseEther("6"),
+        })
+      ).to.be.revertedWith("Must fund exact liability amount");
+      await expect(
+        contract.connect(treasurer).settleTerminationLiability(tenderId, {
+          value: ethers.parseEther("7"),
+        })
+      )
+        .to.emit(contract, "TerminationLiabilitySettled")
+        .withArgs(tenderId, treasurer.address, ethers.parseEther("7"), (await time.latest()) + 1)
+        .and.to.emit(contract, "MilestonePaymentReleased")
+        .withArgs(tenderId, 1, bidder1.address, ethers.parseEther("7"), (await time.latest()) + 1);
+
+      expect(await contract.pendingWithdrawals(bidder1.address)).to.equal(
+        ethers.parseEther("11")
+      );
+      const termination = await contract.terminations(tenderId);
+      expect(termination.unfundedLiability).to.equal(0);
+      expect(termination.milestonesSettled).to.equal(2);
+      expect((await contract.getTenderDetails(tenderId)).fundedAmount).to.equal(0);
+      await expect(
+        contract.connect(treasurer).settleTerminationLiability(tenderId)
+      ).to.be.revertedWith("No liability outstanding");
+    });
+
+    it("Should not cancel a terminated contract", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await contract.terminateForDefault(tenderId, reasonHash);
+
+      await expect(contract.cancelTender(tenderId, reasonHash)).to.be.revertedWith(
+        "Tender cannot be cancelled"
+      );
+      expect((await contract.getTenderDetails(tenderId)).phase).to.equal(8); // TERMINATED
+      expect(await contract.cancellationReasons(tenderId)).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should only terminate awarded contracts without an open dispute", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await expect(contract.terminateForDefault(tenderId, reasonHash)).to.be.revertedWith(
+        "Invalid tender phase"
+      );
+
+      await runAuction(tenderId, [{ bidder: bidder1, amount: ethers.parseEther("10") }]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("10") });
+      await claimMilestone(tenderId, 0);
+      await contract
+        .connect(bidder1)
+        .raiseDispute(tenderId, 0, ethers.keccak256(ethers.toUtf8Bytes("statement")));
+
+      await expect(contract.terminateForDefault(tenderId, reasonHash)).to.be.revertedWith(
+        "Milestone under dispute"
+      );
+    });
+
+    it("Should pass a contract terminated before any payment to the runner-up", async function () {
+      const tenderId = await createTender(ethers.parseEther("10"), [
+        ethers.parseEther("4"),
+        ethers.parseEther("6"),
+      ]);
+      await runAuction(tenderId, [
+        { bidder: bidder1, amount: ethers.parseEther("5") },
+        { bidder: bidder2, amount: ethers.parseEther("8") },
+      ]);
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("5") });
+      await claimMilestone(tenderId, 0);
+      await contract
+        .connect(bidder1)
+        .proposeChangeOrder(
+          tenderId,
+          [1],
+          [ethers.parseEther("3.5")],
+          [],
+          [],
+          ethers.keccak256(ethers.toUtf8Bytes("extension of time"))
+        );
+
+      await contract.terminateForDefault(tenderId, reasonHash);
+      expect(await contract.pendingWithdrawals(owner.address)).to.equal(ethers.parseEther("5"));
+
+      await expect(contract.awardToNextRanked(tenderId))
+        .to.emit(contract, "ChangeOrderRejected")
+        .withArgs(tenderId, 0, owner.address, (await time.latest()) + 1)
+        .and.to.emit(contract, "AwardPassedToNextRanked")
+        .withArgs(
+          tenderId,
+          bidder1.address,
+          bidder2.address,
+          ethers.parseEther("8"),
+          1,
+          0,
+          (await time.latest()) + 1
+        );
+      const details = await contract.getTenderDetails(tenderId);
+      expect(details.phase).to.equal(3); // PAYMENT_PENDING
+      expect(details.winner).to.equal(bidder2.address);
+      const claim = await contract.getMilestoneClaim(tenderId, 0);
+      expect(claim.status).to.equal(0); // PENDING
+      expect(claim.claimEvidenceHash).to.equal(ethers.ZeroHash);
+
+      // The terminated contractor's pending change order cannot be applied
+      expect((await contract.getChangeOrder(tenderId, 0)).status).to.equal(2); // REJECTED
+      await expect(contract.approveChangeOrder(tenderId, 0)).to.be.revertedWith(
+        "Change order not pending"
+      );
+
+      await contract
+        .connect(treasurer)
+        .fundTender(tenderId, { value: ethers.parseEther("8") });
+      await approveMilestone(tenderId, 0);
+      await contract.releaseMilestonePayment(tenderId, 0);
+      expect(await contract.pendingWithdrawals(bidder2.address)).to.equal(
+        ethers.parseEther("3.2")
+      );
+    });
+  });
+});
@@ -6,23 +6,54 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployProcurementModules,
+  deployProcurementSystem,
+} = require("../scripts/procurement-modules");
 
 describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
   let contract;
-  let owner, bidder1, bidder2, bidder3;
+  let owner, bidder1, bidder2, bidder3, treasurer, auditor, registrar;
   const gasData = {};
+  const TENDER_ID = 1; // Tender IDs start at 1
+
+  // Total gas of the given deployments
+  async function deploymentGas(deployed) {
+    let total = 0n;
+    for (const unit of deployed) {
+      total += (await unit.deploymentTransaction().wait()).gasUsed;
+    }
+    return total;
+  }
+
+  // Apply as a bidder and approve as registrar; returns the application tx
+  async function registerBidder(signer) {
+    const tx = await contract
+      .connect(signer)
+      .registerBidder(ethers.id(`REG-${signer.address}`), "Gas Test Co");
+    await contract.connect(registrar).approveBidder(signer.address, ethers.id("KYC"), ethers.MaxUint256);
+    return tx;
+  }
+
+  // Winner (bidder1) claims the milestone and the auditor approves it
+  async function approveMilestone(index) {
+    await contract.connect(bidder1).submitMilestoneClaim(TENDER_ID, index, ethers.id("delivery"));
+    await contract.connect(auditor).approveMilestone(TENDER_ID, index, ethers.id("inspection"));
+  }
 
   before(async function () {
-    [owner, bidder1, bidder2, bidder3] = await ethers.getSigners();
+    [owner, bidder1, bidder2, bidder3, treasurer, auditor, registrar] =
+      await ethers.getSigners();
+
+    // Deploy the module chain and the core in front of it
+    const modules = await deployProcurementModules(owner);
+    contract = await deployProcurementSystem(owner, modules);
 
-    // Deploy contract
-    const Contract = await ethers.getContractFactory("SecureProcurementSystem");
-    const deployment = await Contract.deploy();
-    await deployment.waitForDeployment();
-    contract = deployment;
+    await contract.grantRole(await contract.REGISTRAR_ROLE(), registrar.address);
+    await contract.grantRole(await contract.TREASURER_ROLE(), treasurer.address);
+    await contract.grantRole(await contract.AUDITOR_ROLE(), auditor.address);
 
-    const deployTx = await deployment.deploymentTransaction().wait();
-    gasData.deployment = deployTx.gasUsed;
+    gasData.deployment = await deploymentGas([...modules, contract]);
 
     console.log("\n" + "=".repeat(80));
     console.log("  OPENZEPPELIN SECURE CONTRACT - GAS ANALYSIS");
@@ -64,12 +95,12 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
   });
 
   it("👤 BIDDER REGISTRATION", async function () {
-    const tx = await contract.connect(bidder1).registerBidder();
+    const tx = await registerBidder(bidder1);
     const receipt = await tx.wait();
     gasData.registerBidder = receipt.gasUsed;
 
-    await contract.connect(bidder2).registerBidder();
-    await contract.connect(bidder3).registerBidder();
+    await registerBidder(bidder2);
+    await registerBidder(bidder3);
 
     console.log(
       "┌────────────────────────────────────────────────────────────┐"
@@ -114,8 +145,11 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
       ethers.parseEther("100"),
       3600, // 1 hour submission
       1800, // 30 min reveal
+      0, // no bid bond
+      ethers.ZeroAddress, // paid in ETH
       ["Design Phase", "Construction Phase"],
-      [ethers.parseEther("30"), ethers.parseEther("70")]
+      [ethers.parseEther("30"), ethers.parseEther("70")],
+      [0, 0] // no due dates
     );
     const receipt = await tx.wait();
     gasData.createTender2 = receipt.gasUsed;
@@ -166,6 +200,8 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
       ethers.parseEther("200"),
       3600,
       1800,
+      0,
+      ethers.ZeroAddress,
       ["Phase 1", "Phase 2", "Phase 3", "Phase 4", "Phase 5"],
       [
         ethers.parseEther("40"),
@@ -173,7 +209,8 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
         ethers.parseEther("40"),
         ethers.parseEther("40"),
         ethers.parseEther("40"),
-      ]
+      ],
+      [0, 0, 0, 0, 0]
     );
     const receipt = await tx.wait();
     gasData.createTender5 = receipt.gasUsed;
@@ -215,11 +252,11 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
     const amount1 = ethers.parseEther("80");
     const nonce1 = ethers.hexlify(ethers.randomBytes(32));
     const hash1 = ethers.solidityPackedKeccak256(
-      ["uint256", "bytes32"],
+      ["uint256", "string"],
       [amount1, nonce1]
     );
 
-    const tx = await contract.connect(bidder1).submitBid(0, hash1);
+    const tx = await contract.connect(bidder1).submitBid(TENDER_ID, hash1);
     const receipt = await tx.wait();
     gasData.submitBid = receipt.gasUsed;
 
@@ -230,19 +267,19 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
     const amount2 = ethers.parseEther("85");
     const nonce2 = ethers.hexlify(ethers.randomBytes(32));
     const hash2 = ethers.solidityPackedKeccak256(
-      ["uint256", "bytes32"],
+      ["uint256", "string"],
       [amount2, nonce2]
     );
-    await contract.connect(bidder2).submitBid(0, hash2);
+    await contract.connect(bidder2).submitBid(TENDER_ID, hash2);
     gasData.bid2 = { amount: amount2, nonce: nonce2 };
 
     const amount3 = ethers.parseEther("90");
     const nonce3 = ethers.hexlify(ethers.randomBytes(32));
     const hash3 = ethers.solidityPackedKeccak256(
-      ["uint256", "bytes32"],
+      ["uint256", "string"],
       [amount3, nonce3]
     );
-    await contract.connect(bidder3).submitBid(0, hash3);
+    await contract.connect(bidder3).submitBid(TENDER_ID, hash3);
     gasData.bid3 = { amount: amount3, nonce: nonce3 };
 
     console.log(
@@ -299,17 +336,17 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
 
     const tx = await contract
       .connect(bidder1)
-      .revealBid(0, gasData.bid1.amount, gasData.bid1.nonce);
+      .revealBid(TENDER_ID, gasData.bid1.amount, gasData.bid1.nonce);
     const receipt = await tx.wait();
     gasData.revealBid = receipt.gasUsed;
 
     // Reveal others
     await contract
       .connect(bidder2)
-      .revealBid(0, gasData.bid2.amount, gasData.bid2.nonce);
+      .revealBid(TENDER_ID, gasData.bid2.amount, gasData.bid2.nonce);
     await contract
       .connect(bidder3)
-      .revealBid(0, gasData.bid3.amount, gasData.bid3.nonce);
+      .revealBid(TENDER_ID, gasData.bid3.amount, gasData.bid3.nonce);
 
     console.log(
       "┌────────────────────────────────────────────────────────────┐"
@@ -366,7 +403,7 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
     // Move past reveal deadline
     await time.increase(1801);
 
-    const tx = await contract.selectWinner(0);
+    const tx = await contract.selectWinner(TENDER_ID);
     const receipt = await tx.wait();
     gasData.selectWinner = receipt.gasUsed;
 
@@ -425,7 +462,9 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
   });
 
   it("💰 FUND TENDER", async function () {
-    const tx = await contract.fundTender(0, { value: gasData.bid1.amount });
+    const tx = await contract
+      .connect(treasurer)
+      .fundTender(TENDER_ID, { value: gasData.bid1.amount });
     const receipt = await tx.wait();
     gasData.fundTender = receipt.gasUsed;
 
@@ -466,7 +505,8 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
   });
 
   it("💸 RELEASE MILESTONE PAYMENT - FIRST CALL", async function () {
-    const tx = await contract.releaseMilestonePayment(0, 0);
+    await approveMilestone(0);
+    const tx = await contract.releaseMilestonePayment(TENDER_ID, 0);
     const receipt = await tx.wait();
     gasData.releaseMilestone1st = receipt.gasUsed;
 
@@ -539,7 +579,8 @@ describe("🔥 COMPREHENSIVE GAS ANALYSIS", function () {
   });
 
   it("💸 RELEASE MILESTONE PAYMENT - SUBSEQUENT CALL", async function () {
-    const tx = await contract.releaseMilestonePayment(0, 1);
+    await approveMilestone(1);
+    const tx = await contract.releaseMilestonePayment(TENDER_ID, 1);
     const receipt = await tx.wait();
     gasData.releaseMilestone2nd = receipt.gasUsed;
 